@@ -0,0 +1,879 @@
+const { escapeHtml, formatBytes, formatDate, panel } = require('./functions');
+const { PanelConfigError, PanelValidationError } = require('./panelClient');
+const { invalidateServer } = require('./panelCache');
+
+// Application API (admin) helpers. Everything here uses PTERODACTYL_APPLICATION_API_KEY, never a
+// user's client key, so callers must make sure the user is a panel root admin (requireRootAdmin).
+// Admin reads are not cached: the admin area is low traffic and should show the panel as it is.
+
+const APP_API_KEY = process.env.PTERODACTYL_APPLICATION_API_KEY;
+
+// ============ HTML Helpers ============
+
+// Relationship attributes from an ?include= response
+function related(item, name) {
+  return item.relationships?.[name]?.attributes || null;
+}
+
+function usageBar(used, total) {
+  const pct = total > 0 ? Math.min(100, Math.round((used / total) * 100)) : 0;
+  const color = pct >= 90 ? 'bg-danger' : pct >= 75 ? 'bg-warning' : 'bg-success';
+  return `
+    <div class="progress" style="height:.4rem" role="progressbar" aria-valuenow="${pct}" aria-valuemin="0" aria-valuemax="100">
+      <div class="progress-bar ${color}" style="width:${pct}%"></div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the admin users list fragment
+ * @param {array} users - User attributes from listUsers()
+ * @param {number} selfId - Panel id of the signed-in admin (cannot delete themselves)
+ * @returns {string} HTML string
+ */
+function adminUsersHtml(users, selfId) {
+  const rows = users.map(u => {
+    const url = `/api/admin/users/${encodeURIComponent(u.id)}`;
+    return `
+      <tr>
+        <td class="text-break">${escapeHtml(u.username)}<div class="small text-body-secondary">${escapeHtml(u.email)}</div></td>
+        <td class="small">${escapeHtml(`${u.first_name || ''} ${u.last_name || ''}`.trim())}</td>
+        <td>
+          ${u.root_admin ? '<span class="badge bg-danger">Admin</span>' : ''}
+          ${u['2fa'] ? '<span class="badge bg-success">2FA</span>' : '<span class="badge bg-secondary">No 2FA</span>'}
+        </td>
+        <td class="small text-body-secondary">${escapeHtml(formatDate(u.created_at))}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${url}/edit" hx-target="#admin-user-editor" hx-swap="innerHTML"><i class="bi bi-pencil me-1"></i>Edit</button>
+          ${u.id === selfId ? '' : `<button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete the account ${escapeHtml(u.username)}? Users that still own servers cannot be deleted." hx-target="#admin-users-alert" hx-swap="innerHTML" aria-label="Delete"><i class="bi bi-trash"></i></button>`}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="admin-users-list" hx-get="/api/admin/users" hx-trigger="admin-users-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>User</th><th>Name</th><th>Role</th><th>Created</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="5" class="text-center text-body-secondary py-4">No users.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the create / edit user form
+ * @param {object|null} user - User being edited, or null for a new account
+ * @returns {string} HTML string
+ */
+function adminUserFormHtml(user) {
+  const action = user ? `/api/admin/users/${encodeURIComponent(user.id)}` : '/api/admin/users';
+  const field = (name, label, type = 'text', required = true) => `
+    <div class="col-md-6">
+      <label for="admin-user-${name}" class="form-label small">${label}</label>
+      <input type="${type}" class="form-control form-control-sm" id="admin-user-${name}" name="${name}" value="${escapeHtml(user?.[name] ?? '')}" ${required ? 'required' : ''}>
+    </div>
+  `;
+
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">${user ? `Edit ${escapeHtml(user.username)}` : 'Create user'}</h3>
+        <form hx-post="${action}" hx-target="#admin-users-alert" hx-swap="innerHTML">
+          <div class="row g-2 mb-3">
+            ${field('email', 'Email address', 'email')}
+            ${field('username', 'Username')}
+            ${field('first_name', 'First name')}
+            ${field('last_name', 'Last name')}
+            <div class="col-md-6">
+              <label for="admin-user-password" class="form-label small">Password</label>
+              <input type="password" class="form-control form-control-sm" id="admin-user-password" name="password" autocomplete="new-password">
+              <div class="form-text">${user ? 'Leave empty to keep the current password.' : 'Leave empty to let the panel email a setup link.'}</div>
+            </div>
+            <div class="col-md-6 d-flex align-items-center">
+              <div class="form-check mt-3">
+                <input class="form-check-input" type="checkbox" name="root_admin" value="1" id="admin-user-root" ${user?.root_admin ? 'checked' : ''}>
+                <label class="form-check-label small" for="admin-user-root">Panel administrator</label>
+              </div>
+            </div>
+          </div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">${user ? 'Save' : 'Create'}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-admin-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the admin nodes list fragment with memory, disk and allocation usage
+ * @param {array} nodes - Node attributes from listNodes()
+ * @returns {string} HTML string
+ */
+function adminNodesHtml(nodes) {
+  const rows = nodes.map(n => {
+    const url = `/api/admin/nodes/${encodeURIComponent(n.id)}`;
+    const memory = n.allocated_resources?.memory || 0;
+    const disk = n.allocated_resources?.disk || 0;
+    const location = related(n, 'location');
+    return `
+      <tr>
+        <td class="text-break">${escapeHtml(n.name)}<div class="small text-body-secondary font-monospace">${escapeHtml(n.scheme)}://${escapeHtml(n.fqdn)}:${escapeHtml(n.daemon_listen)}</div></td>
+        <td class="small">${escapeHtml(location ? location.short : n.location_id)}</td>
+        <td class="small" style="min-width:9rem">${formatBytes(memory * 1024 * 1024)} / ${formatBytes(n.memory * 1024 * 1024)}${usageBar(memory, n.memory)}</td>
+        <td class="small" style="min-width:9rem">${formatBytes(disk * 1024 * 1024)} / ${formatBytes(n.disk * 1024 * 1024)}${usageBar(disk, n.disk)}</td>
+        <td class="small" style="min-width:8rem">${n.allocations.assigned} / ${n.allocations.total} ports${usageBar(n.allocations.assigned, n.allocations.total)}</td>
+        <td>${n.maintenance_mode ? '<span class="badge bg-warning text-dark">Maintenance</span>' : ''}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${url}/allocations/new" hx-target="#admin-node-editor" hx-swap="innerHTML"><i class="bi bi-plus-lg me-1"></i>Ports</button>
+          <button type="button" class="btn btn-sm btn-outline-warning" hx-post="${url}/maintenance" hx-vals='{"enabled":"${n.maintenance_mode ? '0' : '1'}"}' hx-target="#admin-nodes-alert" hx-swap="innerHTML">${n.maintenance_mode ? 'End maintenance' : 'Maintenance'}</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete node ${escapeHtml(n.name)}? Nodes with servers cannot be deleted." hx-target="#admin-nodes-alert" hx-swap="innerHTML" aria-label="Delete"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="admin-nodes-list" hx-get="/api/admin/nodes" hx-trigger="admin-nodes-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Node</th><th>Location</th><th>Memory</th><th>Disk</th><th>Allocations</th><th></th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="7" class="text-center text-body-secondary py-4">No nodes.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the "add ports" form for a node
+ * @param {object} node - Node attributes
+ * @returns {string} HTML string
+ */
+function adminAllocationFormHtml(node) {
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">Add ports to ${escapeHtml(node.name)}</h3>
+        <form hx-post="/api/admin/nodes/${encodeURIComponent(node.id)}/allocations" hx-target="#admin-nodes-alert" hx-swap="innerHTML">
+          <div class="row g-2 mb-3">
+            <div class="col-md-4">
+              <label for="admin-alloc-ip" class="form-label small">IP address</label>
+              <input type="text" class="form-control form-control-sm font-monospace" id="admin-alloc-ip" name="ip" required>
+            </div>
+            <div class="col-md-4">
+              <label for="admin-alloc-alias" class="form-label small">Alias</label>
+              <input type="text" class="form-control form-control-sm" id="admin-alloc-alias" name="alias" placeholder="Optional">
+            </div>
+            <div class="col-md-4">
+              <label for="admin-alloc-ports" class="form-label small">Ports</label>
+              <input type="text" class="form-control form-control-sm font-monospace" id="admin-alloc-ports" name="ports" placeholder="25565, 25570-25580" required>
+            </div>
+          </div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">Add ports</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-admin-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the admin locations list fragment; rows are edited in place
+ * @param {array} locations - Location attributes from listLocations()
+ * @returns {string} HTML string
+ */
+function adminLocationsHtml(locations) {
+  const rows = locations.map(l => {
+    const url = `/api/admin/locations/${encodeURIComponent(l.id)}`;
+    const nodes = l.relationships?.nodes?.data?.length || 0;
+    return `
+      <tr>
+        <td><input type="text" class="form-control form-control-sm" name="short" value="${escapeHtml(l.short)}" maxlength="60" required aria-label="Short code"></td>
+        <td><input type="text" class="form-control form-control-sm" name="long" value="${escapeHtml(l.long || '')}" maxlength="191" aria-label="Description"></td>
+        <td class="small text-body-secondary">${nodes} node(s)</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-primary" hx-post="${url}" hx-include="closest tr" hx-target="#admin-locations-alert" hx-swap="innerHTML">Save</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete location ${escapeHtml(l.short)}? Locations with nodes cannot be deleted." hx-target="#admin-locations-alert" hx-swap="innerHTML" aria-label="Delete"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="admin-locations-list" hx-get="/api/admin/locations" hx-trigger="admin-locations-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-0">
+          <thead><tr><th>Short code</th><th>Description</th><th>Nodes</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="text-center text-body-secondary py-4">No locations.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the nests and eggs overview (read-only, the Application API cannot change them)
+ * @param {array} nests - Nest attributes with eggs from listNests()
+ * @returns {string} HTML string
+ */
+function adminNestsHtml(nests) {
+  if (!nests.length) return '<div id="admin-nests-list"><div class="alert alert-secondary">No nests.</div></div>';
+
+  const cards = nests.map(n => {
+    const eggs = n.eggs.map(e => `
+      <tr>
+        <td>${escapeHtml(e.name)}<div class="small text-body-secondary">${escapeHtml(e.description || '')}</div></td>
+        <td class="small font-monospace text-break">${escapeHtml(e.docker_image || Object.values(e.docker_images || {})[0] || '')}</td>
+        <td class="small text-body-secondary">${escapeHtml(e.author)}</td>
+      </tr>
+    `).join('');
+    return `
+      <div class="card mb-3">
+        <div class="card-body">
+          <h3 class="h6 mb-1">${escapeHtml(n.name)}</h3>
+          <p class="small text-body-secondary mb-2">${escapeHtml(n.description || '')}</p>
+          <div class="table-responsive">
+            <table class="table table-sm align-middle mb-0">
+              <thead><tr><th>Egg</th><th>Image</th><th>Author</th></tr></thead>
+              <tbody>${eggs || '<tr><td colspan="3" class="text-center text-body-secondary py-3">No eggs.</td></tr>'}</tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `<div id="admin-nests-list">${cards}</div>`;
+}
+
+// Suspended, installing or active, from either the 1.x `suspended` flag or `status`
+function serverState(s) {
+  if (s.suspended || s.status === 'suspended') return 'suspended';
+  if (s.status === 'installing' || s.status === 'install_failed' || s.status === 'restoring_backup') return s.status;
+  return 'active';
+}
+
+/**
+ * Generate the admin servers list fragment
+ * @param {array} servers - Server attributes (with user and node) from listAdminServers()
+ * @returns {string} HTML string
+ */
+function adminServersHtml(servers) {
+  const badges = {
+    suspended: '<span class="badge bg-danger">Suspended</span>',
+    installing: '<span class="badge bg-info text-dark">Installing</span>',
+    install_failed: '<span class="badge bg-danger">Install failed</span>',
+    restoring_backup: '<span class="badge bg-info text-dark">Restoring</span>',
+    active: '<span class="badge bg-success">Active</span>'
+  };
+
+  const rows = servers.map(s => {
+    const url = `/api/admin/servers/${encodeURIComponent(s.id)}`;
+    const owner = related(s, 'user');
+    const node = related(s, 'node');
+    const state = serverState(s);
+    return `
+      <tr>
+        <td class="text-break"><a href="/server/${encodeURIComponent(s.identifier)}">${escapeHtml(s.name)}</a><div class="small text-body-secondary font-monospace">${escapeHtml(s.identifier)}</div></td>
+        <td class="small">${escapeHtml(owner ? owner.username : s.user)}</td>
+        <td class="small">${escapeHtml(node ? node.name : s.node)}</td>
+        <td class="small text-body-secondary">${s.limits.memory ? formatBytes(s.limits.memory * 1024 * 1024) : 'Unlimited'} RAM, ${s.limits.disk ? formatBytes(s.limits.disk * 1024 * 1024) : 'unlimited'} disk, ${s.limits.cpu ? `${escapeHtml(s.limits.cpu)}%` : 'unlimited'} CPU</td>
+        <td>${badges[state]}</td>
+        <td class="text-end text-nowrap">
+          ${state === 'suspended'
+            ? `<button type="button" class="btn btn-sm btn-outline-success" hx-post="${url}/unsuspend" hx-target="#admin-servers-alert" hx-swap="innerHTML">Unsuspend</button>`
+            : `<button type="button" class="btn btn-sm btn-outline-warning" hx-post="${url}/suspend" hx-confirm="Suspend ${escapeHtml(s.name)}? It will be stopped and its users locked out." hx-target="#admin-servers-alert" hx-swap="innerHTML">Suspend</button>`}
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${url}/reinstall" hx-confirm="Reinstall ${escapeHtml(s.name)}? The egg's install script runs again and may overwrite files." hx-target="#admin-servers-alert" hx-swap="innerHTML"><i class="bi bi-arrow-repeat me-1"></i>Reinstall</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete ${escapeHtml(s.name)} and all of its files? This cannot be undone." hx-target="#admin-servers-alert" hx-swap="innerHTML" aria-label="Delete"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="admin-servers-list" hx-get="/api/admin/servers" hx-trigger="admin-servers-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Server</th><th>Owner</th><th>Node</th><th>Limits</th><th>State</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6" class="text-center text-body-secondary py-4">No servers.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the create server form. The panel picks a free allocation in the chosen location.
+ * @param {{users: array, nests: array, locations: array}} options - Choices for the selects
+ * @returns {string} HTML string
+ */
+function adminServerFormHtml({ users, nests, locations }) {
+  const userOptions = users.map(u => `<option value="${escapeHtml(u.id)}">${escapeHtml(u.username)} (${escapeHtml(u.email)})</option>`).join('');
+  const eggOptions = nests.map(n => `
+    <optgroup label="${escapeHtml(n.name)}">
+      ${n.eggs.map(e => `<option value="${escapeHtml(`${n.id}:${e.id}`)}">${escapeHtml(e.name)}</option>`).join('')}
+    </optgroup>
+  `).join('');
+  const locationOptions = locations.map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.short)}${l.long ? ` - ${escapeHtml(l.long)}` : ''}</option>`).join('');
+  const number = (name, label, value, help) => `
+    <div class="col-6 col-md-4 col-xl-2">
+      <label for="admin-server-${name}" class="form-label small">${label}</label>
+      <input type="number" min="0" class="form-control form-control-sm" id="admin-server-${name}" name="${name}" value="${value}" required>
+      ${help ? `<div class="form-text">${help}</div>` : ''}
+    </div>
+  `;
+
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">Create server</h3>
+        <form hx-post="/api/admin/servers" hx-target="#admin-servers-alert" hx-swap="innerHTML">
+          <div class="row g-2 mb-3">
+            <div class="col-md-6">
+              <label for="admin-server-name" class="form-label small">Name</label>
+              <input type="text" class="form-control form-control-sm" id="admin-server-name" name="name" maxlength="191" required>
+            </div>
+            <div class="col-md-6">
+              <label for="admin-server-user" class="form-label small">Owner</label>
+              <select class="form-select form-select-sm" id="admin-server-user" name="user" required>${userOptions}</select>
+            </div>
+            <div class="col-md-6">
+              <label for="admin-server-egg" class="form-label small">Egg</label>
+              <select class="form-select form-select-sm" id="admin-server-egg" name="egg" required>${eggOptions}</select>
+              <div class="form-text">Image, startup command and variables use the egg's defaults.</div>
+            </div>
+            <div class="col-md-6">
+              <label for="admin-server-location" class="form-label small">Location</label>
+              <select class="form-select form-select-sm" id="admin-server-location" name="location" required>${locationOptions}</select>
+            </div>
+            ${number('memory', 'Memory (MiB)', 1024, '0 = unlimited')}
+            ${number('disk', 'Disk (MiB)', 5120, '0 = unlimited')}
+            ${number('cpu', 'CPU (%)', 100, '0 = unlimited')}
+            ${number('databases', 'Databases', 0)}
+            ${number('backups', 'Backups', 0)}
+            ${number('allocations', 'Extra ports', 0)}
+          </div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">Create server</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-admin-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+const LOG_LEVEL_BADGES = { debug: 'text-bg-secondary', info: 'text-bg-info', warn: 'text-bg-warning', error: 'text-bg-danger' };
+
+// One-line summary of a log entry, by entry type
+function logSummary(e) {
+  if (e.type === 'api') {
+    return `${escapeHtml(e.method)} <span class="text-break">${escapeHtml(e.url)}</span> &rarr; ${escapeHtml(e.status ?? 'no response')}`
+      + `${e.durationMs !== null && e.durationMs !== undefined ? ` <span class="text-body-secondary">(${escapeHtml(e.durationMs)}ms${e.attempt > 1 ? `, attempt ${escapeHtml(e.attempt)}` : ''})</span>` : ''}`
+      + `${e.error ? `<div class="text-danger">${escapeHtml(e.error)}</div>` : ''}`;
+  }
+  if (e.type === 'http') {
+    return `${escapeHtml(e.method)} ${escapeHtml(e.path)} &rarr; ${escapeHtml(e.status)} <span class="text-body-secondary">(${escapeHtml(e.durationMs)}ms)</span>`;
+  }
+  return `<span class="text-body-secondary">${escapeHtml(e.component || '')}</span> ${escapeHtml(e.message || '')}`
+    + `${e.error ? `<div class="text-danger">${escapeHtml(e.error)}</div>` : ''}`;
+}
+
+/**
+ * Generate log table rows, newest first; each row carries its timestamp for tailing
+ * @param {array} entries - Entries from readLogEntries()
+ * @returns {string} HTML string
+ */
+function adminLogRowsHtml(entries) {
+  return entries.map(e => `
+    <tr data-ts="${escapeHtml(e.timestamp)}">
+      <td class="small text-nowrap font-monospace">${escapeHtml(String(e.timestamp || '').replace('T', ' ').replace('Z', ''))}</td>
+      <td><span class="badge ${LOG_LEVEL_BADGES[e.level] || 'text-bg-secondary'}">${escapeHtml(e.level)}</span></td>
+      <td class="small">${escapeHtml(e.type)}</td>
+      <td class="small font-monospace">${e.requestId ? `<a href="#logs" data-log-request="${escapeHtml(e.requestId)}">${escapeHtml(e.requestId)}</a>` : ''}</td>
+      <td class="small">
+        ${logSummary(e)}
+        <details><summary class="small text-body-secondary">Entry</summary><pre class="small mb-0 text-break" style="white-space:pre-wrap">${escapeHtml(JSON.stringify(e, null, 2))}</pre></details>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Generate the admin log viewer list fragment
+ * @param {array} entries - Entries from readLogEntries(), newest first
+ * @returns {string} HTML string
+ */
+function adminLogsHtml(entries) {
+  return `
+    <div id="admin-logs-list" data-loaded-at="${new Date().toISOString()}">
+      <div class="table-responsive">
+        <table class="table table-sm align-middle">
+          <thead><tr><th>Time (UTC)</th><th>Level</th><th>Type</th><th>Request</th><th>Entry</th></tr></thead>
+          <tbody id="admin-logs-rows">${adminLogRowsHtml(entries)}</tbody>
+        </table>
+      </div>
+      ${entries.length ? '' : '<div class="alert alert-secondary">No log entries match.</div>'}
+    </div>
+  `;
+}
+
+// ============ Application API ============
+
+// Application API shorthand: paths are relative to /api/application
+function appRequest(method, apiPath, options = {}) {
+  if (!APP_API_KEY) throw new PanelConfigError('PTERODACTYL_APPLICATION_API_KEY is not configured.');
+  return panel.request(method, `/api/application${apiPath}`, { ...options, apiKey: APP_API_KEY });
+}
+
+// Application API list endpoint, every page (100 per page, the most the panel allows)
+function appPaginate(apiPath, options = {}) {
+  if (!APP_API_KEY) throw new PanelConfigError('PTERODACTYL_APPLICATION_API_KEY is not configured.');
+  return panel.paginate(`/api/application${apiPath}`, { ...options, params: { per_page: 100, ...options.params }, apiKey: APP_API_KEY });
+}
+
+// Reject missing form fields locally, one detail per field like the panel's own 422s
+function requireFields(fields, labels) {
+  const missing = Object.entries(labels).filter(([name]) => fields[name] === undefined || String(fields[name]).trim() === '');
+  if (missing.length) {
+    throw new PanelValidationError(`${missing[0][1]} is required.`, { errors: missing.map(([, label]) => ({ detail: `${label} is required.` })) });
+  }
+}
+
+function toInt(value, label) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new PanelValidationError(`${label} must be a whole number.`);
+  return n;
+}
+
+// ---- Users ----
+
+/**
+ * List all panel users
+ * @returns {Promise<array>} User attributes
+ * @throws {PanelError}
+ */
+async function listUsers() {
+  const { items } = await appPaginate('/users', { requestData: {}, errorMessage: 'Failed to list users.' });
+  return items.map(item => item.attributes);
+}
+
+/**
+ * Fetch one panel user
+ * @param {number|string} userId - Panel user id
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function getUser(userId) {
+  const data = await appRequest('GET', `/users/${encodeURIComponent(userId)}`, { requestData: { userId }, errorMessage: 'Failed to fetch user.' });
+  return data.attributes;
+}
+
+// Body shared by create and update; an empty password is left out
+function userBody(fields) {
+  requireFields(fields, { email: 'Email address', username: 'Username', first_name: 'First name', last_name: 'Last name' });
+  const body = {
+    email: String(fields.email).trim(),
+    username: String(fields.username).trim(),
+    first_name: String(fields.first_name).trim(),
+    last_name: String(fields.last_name).trim(),
+    root_admin: !!fields.root_admin
+  };
+  if (fields.password) body.password = String(fields.password);
+  return body;
+}
+
+/**
+ * Create a panel user
+ * @param {{email: string, username: string, first_name: string, last_name: string, password?: string, root_admin?: boolean}} fields
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createUser(fields) {
+  const body = userBody(fields);
+  const data = await appRequest('POST', '/users', {
+    data: body,
+    requestData: { email: body.email, username: body.username, root_admin: body.root_admin },
+    errorMessage: 'Failed to create user.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Update a panel user
+ * @param {number|string} userId - Panel user id
+ * @param {object} fields - Same as createUser()
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function updateUser(userId, fields) {
+  const body = userBody(fields);
+  const data = await appRequest('PATCH', `/users/${encodeURIComponent(userId)}`, {
+    data: body,
+    requestData: { userId, email: body.email, username: body.username, root_admin: body.root_admin },
+    errorMessage: 'Failed to update user.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Delete a panel user (the panel refuses while they own servers)
+ * @param {number|string} userId - Panel user id
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteUser(userId) {
+  await appRequest('DELETE', `/users/${encodeURIComponent(userId)}`, { requestData: { userId }, errorMessage: 'Failed to delete user.' });
+}
+
+// ---- Nodes ----
+
+/**
+ * List nodes with their location and allocation usage ({ total, assigned })
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listNodes() {
+  const { items } = await appPaginate('/nodes', { params: { include: 'location' }, requestData: {}, errorMessage: 'Failed to list nodes.' });
+  return Promise.all(items.map(async (item) => {
+    const { items: allocations } = await appPaginate(`/nodes/${item.attributes.id}/allocations`, {
+      requestData: { nodeId: item.attributes.id },
+      errorMessage: 'Failed to list node allocations.'
+    });
+    return {
+      ...item.attributes,
+      allocations: { total: allocations.length, assigned: allocations.filter(a => a.attributes.assigned).length }
+    };
+  }));
+}
+
+/**
+ * Fetch one node
+ * @param {number|string} nodeId - Node id
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function getNode(nodeId) {
+  const data = await appRequest('GET', `/nodes/${encodeURIComponent(nodeId)}`, { requestData: { nodeId }, errorMessage: 'Failed to fetch node.' });
+  return data.attributes;
+}
+
+/**
+ * Turn a node's maintenance mode on or off. The panel wants the full node on update, so the current
+ * settings are sent back with only maintenance_mode changed.
+ * @param {number|string} nodeId - Node id
+ * @param {boolean} enabled
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function setNodeMaintenance(nodeId, enabled) {
+  const node = await getNode(nodeId);
+  const body = {
+    name: node.name,
+    description: node.description,
+    location_id: node.location_id,
+    fqdn: node.fqdn,
+    scheme: node.scheme,
+    behind_proxy: node.behind_proxy,
+    public: node.public,
+    memory: node.memory,
+    memory_overallocate: node.memory_overallocate,
+    disk: node.disk,
+    disk_overallocate: node.disk_overallocate,
+    upload_size: node.upload_size,
+    daemon_listen: node.daemon_listen,
+    daemon_sftp: node.daemon_sftp,
+    daemon_base: node.daemon_base,
+    maintenance_mode: !!enabled
+  };
+  const data = await appRequest('PATCH', `/nodes/${encodeURIComponent(nodeId)}`, {
+    data: body,
+    requestData: { nodeId, maintenance_mode: !!enabled },
+    errorMessage: 'Failed to update node.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Add ports to a node
+ * @param {number|string} nodeId - Node id
+ * @param {{ip: string, alias?: string, ports: string}} fields - ports like "25565, 25570-25580"
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function createAllocations(nodeId, { ip, alias, ports }) {
+  requireFields({ ip, ports }, { ip: 'IP address', ports: 'Ports' });
+  const list = String(ports).split(',').map(p => p.trim()).filter(Boolean);
+  const invalid = list.filter(p => !/^\d{1,5}(-\d{1,5})?$/.test(p));
+  if (invalid.length) throw new PanelValidationError(`Invalid port or range: ${invalid.join(', ')}`);
+
+  await appRequest('POST', `/nodes/${encodeURIComponent(nodeId)}/allocations`, {
+    data: { ip: String(ip).trim(), alias: alias ? String(alias).trim() : null, ports: list },
+    requestData: { nodeId, ip, ports: list },
+    errorMessage: 'Failed to add ports.'
+  });
+}
+
+/**
+ * Delete a node (the panel refuses while it has servers)
+ * @param {number|string} nodeId - Node id
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteNode(nodeId) {
+  await appRequest('DELETE', `/nodes/${encodeURIComponent(nodeId)}`, { requestData: { nodeId }, errorMessage: 'Failed to delete node.' });
+}
+
+// ---- Locations ----
+
+/**
+ * List locations with their nodes
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listLocations() {
+  const { items } = await appPaginate('/locations', { params: { include: 'nodes' }, requestData: {}, errorMessage: 'Failed to list locations.' });
+  return items.map(item => item.attributes);
+}
+
+function locationBody(fields) {
+  requireFields(fields, { short: 'Short code' });
+  return { short: String(fields.short).trim(), long: fields.long ? String(fields.long).trim() : '' };
+}
+
+/**
+ * Create a location
+ * @param {{short: string, long?: string}} fields
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createLocation(fields) {
+  const body = locationBody(fields);
+  const data = await appRequest('POST', '/locations', { data: body, requestData: body, errorMessage: 'Failed to create location.' });
+  return data.attributes;
+}
+
+/**
+ * Update a location
+ * @param {number|string} locationId - Location id
+ * @param {{short: string, long?: string}} fields
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function updateLocation(locationId, fields) {
+  const body = locationBody(fields);
+  const data = await appRequest('PATCH', `/locations/${encodeURIComponent(locationId)}`, {
+    data: body,
+    requestData: { locationId, ...body },
+    errorMessage: 'Failed to update location.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Delete a location (the panel refuses while it has nodes)
+ * @param {number|string} locationId - Location id
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteLocation(locationId) {
+  await appRequest('DELETE', `/locations/${encodeURIComponent(locationId)}`, { requestData: { locationId }, errorMessage: 'Failed to delete location.' });
+}
+
+// ---- Nests & eggs ----
+
+/**
+ * List nests, each with its eggs
+ * @returns {Promise<array>} Nest attributes plus `eggs` (egg attributes)
+ * @throws {PanelError}
+ */
+async function listNests() {
+  const { items } = await appPaginate('/nests', { params: { include: 'eggs' }, requestData: {}, errorMessage: 'Failed to list nests.' });
+  return items.map(item => ({
+    ...item.attributes,
+    eggs: (item.attributes.relationships?.eggs?.data || []).map(egg => egg.attributes)
+  }));
+}
+
+/**
+ * Fetch an egg with its variables
+ * @param {number|string} nestId - Nest id
+ * @param {number|string} eggId - Egg id
+ * @returns {Promise<object>} Egg attributes plus `variables`
+ * @throws {PanelError}
+ */
+async function getEgg(nestId, eggId) {
+  const data = await appRequest('GET', `/nests/${encodeURIComponent(nestId)}/eggs/${encodeURIComponent(eggId)}`, {
+    params: { include: 'variables' },
+    requestData: { nestId, eggId },
+    errorMessage: 'Failed to fetch egg.'
+  });
+  return {
+    ...data.attributes,
+    variables: (data.attributes.relationships?.variables?.data || []).map(v => v.attributes)
+  };
+}
+
+// ---- Servers ----
+
+/**
+ * List all servers with their owner and node
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listAdminServers() {
+  const { items } = await appPaginate('/servers', { params: { include: 'user,node' }, requestData: {}, errorMessage: 'Failed to list servers.' });
+  return items.map(item => item.attributes);
+}
+
+/**
+ * Create a server from an egg's defaults; the panel deploys it on a free allocation in the location
+ * @param {object} fields - name, user, egg ("nestId:eggId"), location, memory, disk, cpu, databases, backups, allocations
+ * @returns {Promise<object>} Server attributes
+ * @throws {PanelError}
+ */
+async function createServer(fields) {
+  requireFields(fields, { name: 'Name', user: 'Owner', egg: 'Egg', location: 'Location' });
+  const [nestId, eggId] = String(fields.egg).split(':');
+  if (!nestId || !eggId) throw new PanelValidationError('Choose an egg.');
+
+  const limits = {
+    memory: toInt(fields.memory, 'Memory'),
+    swap: 0,
+    disk: toInt(fields.disk, 'Disk'),
+    io: 500,
+    cpu: toInt(fields.cpu, 'CPU')
+  };
+  const featureLimits = {
+    databases: toInt(fields.databases, 'Databases'),
+    backups: toInt(fields.backups, 'Backups'),
+    allocations: toInt(fields.allocations, 'Extra ports')
+  };
+
+  const egg = await getEgg(nestId, eggId);
+  const environment = Object.fromEntries(egg.variables.map(v => [v.env_variable, v.default_value ?? '']));
+  const body = {
+    name: String(fields.name).trim(),
+    user: toInt(fields.user, 'Owner'),
+    egg: egg.id,
+    docker_image: egg.docker_image || Object.values(egg.docker_images || {})[0],
+    startup: egg.startup,
+    environment,
+    limits,
+    feature_limits: featureLimits,
+    deploy: { locations: [toInt(fields.location, 'Location')], dedicated_ip: false, port_range: [] },
+    start_on_completion: false
+  };
+
+  const data = await appRequest('POST', '/servers', {
+    data: body,
+    requestData: { name: body.name, user: body.user, egg: body.egg, limits, feature_limits: featureLimits, deploy: body.deploy },
+    errorMessage: 'Failed to create server.'
+  });
+  return data.attributes;
+}
+
+// Suspend, unsuspend, reinstall and delete change what users see of the server, so its client cache goes too
+async function serverAction(serverId, method, suffix, errorMessage) {
+  const data = await appRequest('GET', `/servers/${encodeURIComponent(serverId)}`, { requestData: { serverId }, errorMessage: 'Failed to fetch server.' });
+  try {
+    await appRequest(method, `/servers/${encodeURIComponent(serverId)}${suffix}`, { requestData: { serverId }, errorMessage });
+  } finally {
+    invalidateServer(data.attributes.identifier);
+  }
+  return data.attributes;
+}
+
+/**
+ * Suspend a server
+ * @param {number|string} serverId - Panel server id (numeric, not the identifier)
+ * @returns {Promise<object>} Server attributes from before the change
+ * @throws {PanelError}
+ */
+function suspendServer(serverId) {
+  return serverAction(serverId, 'POST', '/suspend', 'Failed to suspend server.');
+}
+
+/**
+ * Unsuspend a server
+ * @param {number|string} serverId - Panel server id
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+function unsuspendServer(serverId) {
+  return serverAction(serverId, 'POST', '/unsuspend', 'Failed to unsuspend server.');
+}
+
+/**
+ * Run the egg's install script again
+ * @param {number|string} serverId - Panel server id
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+function reinstallServer(serverId) {
+  return serverAction(serverId, 'POST', '/reinstall', 'Failed to reinstall server.');
+}
+
+/**
+ * Delete a server; force also deletes it when the node cannot be reached
+ * @param {number|string} serverId - Panel server id
+ * @param {boolean} [force=false]
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+function deleteServer(serverId, force = false) {
+  return serverAction(serverId, 'DELETE', force ? '/force' : '', 'Failed to delete server.');
+}
+
+module.exports = {
+  // HTML helpers
+  adminUsersHtml,
+  adminUserFormHtml,
+  adminNodesHtml,
+  adminAllocationFormHtml,
+  adminLocationsHtml,
+  adminNestsHtml,
+  adminServersHtml,
+  adminServerFormHtml,
+  adminLogsHtml,
+  adminLogRowsHtml,
+
+  // Users
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+
+  // Nodes
+  listNodes,
+  getNode,
+  setNodeMaintenance,
+  createAllocations,
+  deleteNode,
+
+  // Locations
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+
+  // Nests & eggs
+  listNests,
+  getEgg,
+
+  // Servers
+  listAdminServers,
+  createServer,
+  suspendServer,
+  unsuspendServer,
+  reinstallServer,
+  deleteServer
+};
@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+
+const { alertHtml, escapeHtml } = require('./functions');
+const {
+  adminUsersHtml,
+  adminUserFormHtml,
+  adminNodesHtml,
+  adminAllocationFormHtml,
+  adminLocationsHtml,
+  adminNestsHtml,
+  adminServersHtml,
+  adminServerFormHtml,
+  adminLogsHtml,
+  adminLogRowsHtml,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  listNodes,
+  getNode,
+  setNodeMaintenance,
+  createAllocations,
+  deleteNode,
+  listLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  listNests,
+  listAdminServers,
+  createServer,
+  suspendServer,
+  unsuspendServer,
+  reinstallServer,
+  deleteServer
+} = require('./adminFunctions');
+const { requireAuth, requireRootAdmin } = require('./auth');
+const { sendPanelError, sendActionResult } = require('./routeHelpers');
+const { createLogger, readLogEntries, LEVELS } = require('./logger');
+
+const log = createLogger('Admin');
+
+// Admin area (mounted at /api/admin): panel root admins only, every call uses the Application API key
+router.use(requireAuth, requireRootAdmin);
+
+// Who did what, since every admin change is made with the same application key
+function audit(req, message) {
+  log.info(`${req.account.username} ${message}`);
+}
+
+// ============ Users ============
+
+router.get('/users', async (req, res) => {
+  try {
+    const users = await listUsers();
+    res.send(adminUsersHtml(users, req.account.id));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin users list error', 'admin-users-list');
+  }
+});
+
+router.get('/users/new', (req, res) => {
+  res.send(adminUserFormHtml(null));
+});
+
+router.get('/users/:user/edit', async (req, res) => {
+  try {
+    const user = await getUser(req.params.user);
+    res.send(adminUserFormHtml(user));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin user form error');
+  }
+});
+
+router.post('/users', async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+    audit(req, `created user ${user.username} (#${user.id})`);
+    sendActionResult(res, `Created <strong>${escapeHtml(user.username)}</strong>.`, 'admin-users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin create user error');
+  }
+});
+
+router.post('/users/:user', async (req, res) => {
+  try {
+    const user = await updateUser(req.params.user, req.body);
+    audit(req, `updated user ${user.username} (#${user.id})`);
+    sendActionResult(res, `Saved <strong>${escapeHtml(user.username)}</strong>.`, 'admin-users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin update user error');
+  }
+});
+
+router.delete('/users/:user', async (req, res) => {
+  try {
+    if (String(req.params.user) === String(req.account.id)) {
+      return res.send(alertHtml('You cannot delete your own account.', 'warning'));
+    }
+    await deleteUser(req.params.user);
+    audit(req, `deleted user #${req.params.user}`);
+    sendActionResult(res, 'User deleted.', 'admin-users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin delete user error');
+  }
+});
+
+// ============ Nodes ============
+
+router.get('/nodes', async (req, res) => {
+  try {
+    const nodes = await listNodes();
+    res.send(adminNodesHtml(nodes));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin nodes list error', 'admin-nodes-list');
+  }
+});
+
+router.post('/nodes/:node/maintenance', async (req, res) => {
+  try {
+    const enabled = req.body.enabled === '1' || req.body.enabled === true;
+    const node = await setNodeMaintenance(req.params.node, enabled);
+    audit(req, `${enabled ? 'enabled' : 'disabled'} maintenance on node ${node.name} (#${node.id})`);
+    sendActionResult(res, `Maintenance mode ${enabled ? 'enabled' : 'disabled'} on <strong>${escapeHtml(node.name)}</strong>.`, 'admin-nodes-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin node maintenance error');
+  }
+});
+
+router.get('/nodes/:node/allocations/new', async (req, res) => {
+  try {
+    const node = await getNode(req.params.node);
+    res.send(adminAllocationFormHtml(node));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin allocation form error');
+  }
+});
+
+router.post('/nodes/:node/allocations', async (req, res) => {
+  try {
+    await createAllocations(req.params.node, req.body);
+    audit(req, `added ports ${req.body.ports} on ${req.body.ip} to node #${req.params.node}`);
+    sendActionResult(res, 'Ports added.', 'admin-nodes-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin create allocations error');
+  }
+});
+
+router.delete('/nodes/:node', async (req, res) => {
+  try {
+    await deleteNode(req.params.node);
+    audit(req, `deleted node #${req.params.node}`);
+    sendActionResult(res, 'Node deleted.', 'admin-nodes-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin delete node error');
+  }
+});
+
+// ============ Locations ============
+
+router.get('/locations', async (req, res) => {
+  try {
+    const locations = await listLocations();
+    res.send(adminLocationsHtml(locations));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin locations list error', 'admin-locations-list');
+  }
+});
+
+router.post('/locations', async (req, res) => {
+  try {
+    const location = await createLocation(req.body);
+    audit(req, `created location ${location.short} (#${location.id})`);
+    sendActionResult(res, `Created <strong>${escapeHtml(location.short)}</strong>.`, 'admin-locations-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin create location error');
+  }
+});
+
+router.post('/locations/:location', async (req, res) => {
+  try {
+    const location = await updateLocation(req.params.location, req.body);
+    audit(req, `updated location ${location.short} (#${location.id})`);
+    sendActionResult(res, `Saved <strong>${escapeHtml(location.short)}</strong>.`, 'admin-locations-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin update location error');
+  }
+});
+
+router.delete('/locations/:location', async (req, res) => {
+  try {
+    await deleteLocation(req.params.location);
+    audit(req, `deleted location #${req.params.location}`);
+    sendActionResult(res, 'Location deleted.', 'admin-locations-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin delete location error');
+  }
+});
+
+// ============ Nests & eggs ============
+
+router.get('/nests', async (req, res) => {
+  try {
+    const nests = await listNests();
+    res.send(adminNestsHtml(nests));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin nests list error', 'admin-nests-list');
+  }
+});
+
+// ============ Servers ============
+
+router.get('/servers', async (req, res) => {
+  try {
+    const servers = await listAdminServers();
+    res.send(adminServersHtml(servers));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin servers list error', 'admin-servers-list');
+  }
+});
+
+router.get('/servers/new', async (req, res) => {
+  try {
+    const [users, nests, locations] = await Promise.all([listUsers(), listNests(), listLocations()]);
+    res.send(adminServerFormHtml({ users, nests, locations }));
+  } catch (err) {
+    sendPanelError(res, err, 'Admin server form error');
+  }
+});
+
+router.post('/servers', async (req, res) => {
+  try {
+    const server = await createServer(req.body);
+    audit(req, `created server ${server.name} (${server.identifier})`);
+    sendActionResult(res, `Created <strong>${escapeHtml(server.name)}</strong>. It is being installed now.`, 'admin-servers-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin create server error');
+  }
+});
+
+// Suspend / unsuspend / reinstall share one shape
+const SERVER_ACTIONS = {
+  suspend: { run: suspendServer, done: 'suspended' },
+  unsuspend: { run: unsuspendServer, done: 'unsuspended' },
+  reinstall: { run: reinstallServer, done: 'is being reinstalled' }
+};
+
+router.post('/servers/:server/:action', async (req, res, next) => {
+  const action = SERVER_ACTIONS[req.params.action];
+  if (!action) return next();
+  try {
+    const server = await action.run(req.params.server);
+    audit(req, `${req.params.action} server ${server.name} (${server.identifier})`);
+    sendActionResult(res, `<strong>${escapeHtml(server.name)}</strong> ${action.done}.`, 'admin-servers-changed');
+  } catch (err) {
+    sendPanelError(res, err, `Admin ${req.params.action} server error`);
+  }
+});
+
+router.delete('/servers/:server', async (req, res) => {
+  try {
+    const server = await deleteServer(req.params.server, req.query.force === '1');
+    audit(req, `deleted server ${server.name} (${server.identifier})${req.query.force === '1' ? ' (forced)' : ''}`);
+    sendActionResult(res, `<strong>${escapeHtml(server.name)}</strong> deleted.`, 'admin-servers-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Admin delete server error');
+  }
+});
+
+// ============ Logs ============
+
+const LOG_TYPES = ['app', 'api', 'http'];
+
+// Viewer filters from the query string; anything unexpected is ignored
+function logFilters(query) {
+  const text = (v, max) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, max) : undefined);
+  return {
+    level: LEVELS[query.level] ? query.level : undefined,
+    type: LOG_TYPES.includes(query.type) ? query.type : undefined,
+    requestId: text(query.requestId, 64),
+    q: text(query.q, 200),
+    after: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(query.after || '') ? query.after : undefined,
+    limit: Number(query.limit) || 200
+  };
+}
+
+// Full list, or with ?after= only the newer rows (live tail prepends them)
+router.get('/logs', (req, res) => {
+  try {
+    const filters = logFilters(req.query);
+    const entries = readLogEntries(filters);
+    res.send(filters.after ? adminLogRowsHtml(entries) : adminLogsHtml(entries));
+  } catch (err) {
+    log.error('Admin logs error', err);
+    res.send(`<div id="admin-logs-list">${alertHtml('Could not read the log file.', 'danger')}</div>`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const { writeEntry, maskText, maskSensitive } = require('./logger');
+
+// Panel API log: one entry per request attempt, written to the shared JSON-lines log (logger.js)
+// with type "api". Successful calls are info, 4xx answers warn, 5xx and network failures error.
+
+function truncateString(s, n = 1000) {
+  const str = typeof s === 'string' ? s : JSON.stringify(s);
+  if (str.length <= n) return str;
+  return str.slice(0, n) + '...';
+}
+
+function safeResponseData(responseData) {
+  if (!responseData) return null;
+  if (typeof responseData === 'string') {
+    try {
+      const parsed = JSON.parse(responseData);
+      return maskSensitive(parsed);
+    } catch (e) {
+      return maskText(truncateString(responseData));
+    }
+  }
+  if (typeof responseData === 'object') return maskSensitive(responseData);
+  return maskText(truncateString(String(responseData)));
+}
+
+function levelFor(status, error) {
+  if (!error) return 'info';
+  return status && status < 500 ? 'warn' : 'error';
+}
+
+async function logApiRequest({ method, url, requestData, status, responseData, error, attempt, durationMs }) {
+  try {
+    writeEntry(levelFor(status, error), {
+      type: 'api',
+      method,
+      url: maskText(url),
+      status: status || null,
+      attempt: attempt || 1,
+      durationMs: durationMs ?? null,
+      request: maskSensitive(requestData) || null,
+      response: safeResponseData(responseData),
+      error: error ? maskText(error.message || String(error)) : null
+    });
+  } catch (e) {
+    process.stderr.write(`Failed to write API log: ${e.message}\n`);
+  }
+}
+
+module.exports = { maskSensitive, logApiRequest };
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createFileBackend } = require('./tokenStore');
+const { createApiKey, revokeApiKey } = require('./functions');
+const { secretBox, requireSessionSecret } = require('./auth');
+const { PanelValidationError } = require('./panelClient');
+const { createLogger } = require('./logger');
+const { gauge } = require('./metrics');
+
+const log = createLogger('ApiTokens');
+
+// Personal API tokens for scripts using /api/v1. Each token gets its own panel client API key,
+// created with the issuing user's key, so it keeps working after that browser session ends and
+// revoking the token revokes the panel key too. Records are keyed by a hash of the token; the
+// panel key is stored encrypted with a key derived from SESSION_SECRET, so no token is issued
+// while that is unset (the key could not be read, nor revoked, after a restart).
+//
+// Config:
+//   API_TOKEN_FILE=data/api-tokens.json   where tokens are kept (readable by the owner only)
+//   API_TOKEN_TTL_DAYS=90                 default lifetime of a new token, 0 for no expiry
+//   API_TOKEN_MAX_PER_USER=10
+
+const TOKEN_PREFIX = 'ptf_';
+const SESSION_PREFIX = 'api:';
+const DEFAULT_TTL_DAYS = process.env.API_TOKEN_TTL_DAYS !== undefined && process.env.API_TOKEN_TTL_DAYS !== ''
+  ? Number(process.env.API_TOKEN_TTL_DAYS) : 90;
+const MAX_PER_USER = Number(process.env.API_TOKEN_MAX_PER_USER) || 10;
+// lastUsedAt is only written back this often, so busy scripts do not rewrite the file on every call
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const backend = createFileBackend(path.resolve(__dirname, process.env.API_TOKEN_FILE || 'data/api-tokens.json'));
+
+function now() { return Date.now(); }
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token).trim()).digest('hex');
+}
+
+// The label is part of the key: changing it makes every stored token unreadable
+const { seal: encrypt, open: decrypt } = secretBox('api-token-encryption');
+
+// ============ Tokens ============
+
+// Called with the "api:<id>" session id of every token that is revoked or expires, e.g. to close its consoles
+const endListeners = [];
+
+/**
+ * Be told when a token stops being valid
+ * @param {(sessionId: string) => void} fn
+ */
+function onApiTokenEnd(fn) {
+  endListeners.push(fn);
+}
+
+// Forget a token, revoke its panel key and tell the listeners
+function dropToken(key, record) {
+  backend.delete(key);
+  for (const fn of endListeners) {
+    try { fn(SESSION_PREFIX + record.id); } catch (e) {}
+  }
+  return revokePanelKey(record);
+}
+
+function isExpired(record) {
+  return !!record.expiresAt && now() > record.expiresAt;
+}
+
+// What the owner sees of a token: never the token or the panel key
+function publicToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    tokenPrefix: record.tokenPrefix,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt,
+    expiresAt: record.expiresAt
+  };
+}
+
+function findById(userId, id) {
+  for (const [key, record] of backend.entries()) {
+    if (record.userId === userId && record.id === id) return { key, record };
+  }
+  return null;
+}
+
+/**
+ * The signed-in user's tokens, newest first
+ * @param {string} userId
+ * @returns {Array<object>}
+ */
+function listApiTokens(userId) {
+  const out = [];
+  for (const [, record] of backend.entries()) {
+    if (record.userId === userId && !isExpired(record)) out.push(publicToken(record));
+  }
+  return out.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Issue a personal token. Creates a panel client API key for it with the caller's key.
+ * @param {{apiKey: string, user: object}} owner - Session (or token) the request came with
+ * @param {{name: string, ttlDays?: number}} options - ttlDays 0 for no expiry
+ * @returns {Promise<{token: string} & object>} The raw token (shown once) plus its public fields
+ * @throws {PanelConfigError} SESSION_SECRET is not set
+ * @throws {PanelError}
+ */
+async function issueApiToken(owner, { name, ttlDays = DEFAULT_TTL_DAYS }) {
+  requireSessionSecret('API tokens');
+  const userId = owner.user?.uuid || owner.user?.username;
+  const label = String(name || '').trim().slice(0, 60) || 'API token';
+  if (listApiTokens(userId).length >= MAX_PER_USER) {
+    throw new PanelValidationError(`You already have ${MAX_PER_USER} API tokens. Revoke one first.`);
+  }
+
+  const key = await createApiKey(owner.apiKey, `API token: ${label}`);
+  const token = TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+  const record = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name: label,
+    tokenPrefix: token.slice(0, 10) + '...',
+    userId,
+    user: { uuid: owner.user?.uuid, username: owner.user?.username },
+    panelKey: encrypt(key.apiKey),
+    panelKeyIdentifier: key.identifier,
+    createdAt: now(),
+    lastUsedAt: null,
+    expiresAt: ttlDays > 0 ? now() + ttlDays * 24 * 60 * 60 * 1000 : null
+  };
+  backend.set(hashToken(token), record);
+  log.info(`issued API token ${record.id} "${label}" for ${record.user.username}`);
+  return { token, ...publicToken(record) };
+}
+
+/**
+ * Revoke one of the user's tokens and its panel key
+ * @param {string} userId
+ * @param {string} id - Token id from listApiTokens
+ * @returns {Promise<boolean>} false when the user has no such token
+ */
+async function revokeApiToken(userId, id) {
+  const found = findById(userId, id);
+  if (!found) return false;
+  await dropToken(found.key, found.record);
+  log.info(`revoked API token ${id} of ${found.record.user?.username}`);
+  return true;
+}
+
+async function revokePanelKey(record) {
+  const panelKey = decrypt(record.panelKey);
+  if (!panelKey) return;
+  try {
+    await revokeApiKey(record.panelKeyIdentifier, panelKey);
+  } catch (err) {
+    log.warn(`could not revoke panel API key ${record.panelKeyIdentifier}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve a bearer token to a session-like object for /api/v1 and the console proxy
+ * @param {string} token - Raw "ptf_..." token
+ * @returns {{id: string, session: {apiKey: string, user: object, apiTokenId: string}}|null}
+ *   `id` is "api:<token id>", used where a browser session id would be
+ */
+function authenticateApiToken(token) {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+  const key = hashToken(token);
+  const record = backend.get(key);
+  if (!record) return null;
+  if (isExpired(record)) {
+    dropToken(key, record).catch(() => {});
+    return null;
+  }
+  const apiKey = decrypt(record.panelKey);
+  if (!apiKey) {
+    log.warn(`API token ${record.id} can no longer be decrypted (SESSION_SECRET changed?)`);
+    return null;
+  }
+  if (!record.lastUsedAt || now() - record.lastUsedAt > TOUCH_INTERVAL_MS) backend.set(key, { ...record, lastUsedAt: now() });
+  return { id: SESSION_PREFIX + record.id, session: { apiKey, user: record.user, apiTokenId: record.id } };
+}
+
+/**
+ * The session behind an "api:<id>" session id, while the token is valid (console hubs use this
+ * to refresh node tokens for script viewers)
+ * @param {string} sessionId
+ * @returns {{apiKey: string, user: object}|null}
+ */
+function getApiTokenSession(sessionId) {
+  if (!String(sessionId).startsWith(SESSION_PREFIX)) return null;
+  const id = String(sessionId).slice(SESSION_PREFIX.length);
+  for (const [key, record] of backend.entries()) {
+    if (record.id !== id) continue;
+    if (isExpired(record)) {
+      dropToken(key, record).catch(() => {});
+      return null;
+    }
+    const apiKey = decrypt(record.panelKey);
+    return apiKey ? { apiKey, user: record.user } : null;
+  }
+  return null;
+}
+
+/**
+ * Token from an "Authorization: Bearer ptf_..." header, if any
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function isApiSession(sessionId) {
+  return String(sessionId).startsWith(SESSION_PREFIX);
+}
+
+// Expired tokens are removed (and their panel keys revoked) once an hour
+setInterval(() => {
+  for (const [key, record] of [...backend.entries()]) {
+    if (!isExpired(record)) continue;
+    dropToken(key, record).catch(() => {});
+  }
+}, 60 * 60 * 1000).unref();
+
+gauge('api_tokens_active', 'Personal API tokens stored and not expired', () => {
+  let n = 0;
+  for (const [, record] of backend.entries()) if (!isExpired(record)) n++;
+  return n;
+});
+
+module.exports = {
+  listApiTokens,
+  issueApiToken,
+  revokeApiToken,
+  authenticateApiToken,
+  getApiTokenSession,
+  bearerToken,
+  isApiSession,
+  onApiTokenEnd
+};
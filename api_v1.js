@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+
+const { POWER_ACTIONS, getServers, getServerDetails, getServerResources, sendPowerAction, sendCommand } = require('./functions');
+const { PanelError, PanelAuthError, PanelNotFoundError, PanelValidationError, PanelConflictError, PanelRateLimitError } = require('./panelClient');
+const { authenticateApiToken, bearerToken, listApiTokens, issueApiToken, revokeApiToken } = require('./apiTokens');
+const { panelErrorStatus, issueConsoleToken } = require('./routeHelpers');
+const { openApiDocument } = require('./openapi');
+const { resolveServerId } = require('./panels');
+const { createLogger } = require('./logger');
+
+const log = createLogger('API v1');
+
+// JSON API for scripts (mounted at /api/v1 before /api). Successful answers are { data }, failures
+// { error: { status, code, message, details } } with a matching HTTP status. Callers authenticate
+// with a personal token (apiTokens.js) as "Authorization: Bearer ptf_..."; a signed-in browser
+// session works too. openapi.js describes every route here, keep the two in sync.
+
+// ============ Errors ============
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function errorCode(err) {
+  if (err instanceof PanelValidationError) return 'validation_failed';
+  if (err instanceof PanelAuthError) return 'forbidden';
+  if (err instanceof PanelNotFoundError) return 'not_found';
+  if (err instanceof PanelConflictError) return 'conflict';
+  if (err instanceof PanelRateLimitError) return 'rate_limited';
+  return 'panel_error';
+}
+
+function sendError(res, status, code, message, details = []) {
+  res.status(status).json({ error: { status, code, message, details } });
+}
+
+// Shared catch: our own errors and panel errors keep their status, anything else is a bug
+function sendApiError(res, err, context) {
+  if (err instanceof ApiError) return sendError(res, err.status, err.code, err.message);
+  if (!(err instanceof PanelError)) {
+    log.error(context, err);
+    return sendError(res, 500, 'internal_error', 'Internal server error.');
+  }
+  if (err instanceof PanelRateLimitError && err.retryAfterMs) res.setHeader('Retry-After', Math.ceil(err.retryAfterMs / 1000));
+  sendError(res, panelErrorStatus(err), errorCode(err), err.message, err.details());
+}
+
+// ============ Auth ============
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument(`${req.protocol}://${req.get('host')}`));
+});
+
+// A bearer header is used on its own (never with the cookie), so CSRF checks can skip these requests
+router.use((req, res, next) => {
+  const token = bearerToken(req);
+  if (token) {
+    const current = authenticateApiToken(token);
+    if (!current) return sendError(res, 401, 'unauthenticated', 'Invalid or expired API token.');
+    req.sessionId = current.id;
+    req.session = current.session;
+    return next();
+  }
+  if (req.get('Authorization')) return sendError(res, 401, 'unauthenticated', 'Use "Authorization: Bearer <token>".');
+  if (req.session) return next();
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendError(res, 401, 'unauthenticated', 'An API token is required.');
+});
+
+function sessionUserId(session) {
+  return session.user?.uuid || session.user?.username;
+}
+
+// ============ Servers ============
+
+// Stable public shape for one server, camelCase like the rest of this API.
+// `id` is what the routes take; `identifier` is the panel's own, which differs for servers on extra panels.
+function serverJson(s, id = s.id || s.identifier) {
+  const { panel } = resolveServerId(id);
+  return {
+    id,
+    identifier: s.identifier,
+    panel: { id: panel.id, name: panel.name },
+    uuid: s.uuid || null,
+    name: s.name,
+    description: s.description || '',
+    node: s.node || null,
+    status: s.status || null,
+    suspended: !!s.is_suspended,
+    installing: !!s.is_installing,
+    limits: s.limits || null,
+    featureLimits: s.feature_limits || null,
+    sftp: s.sftp_details ? { ip: s.sftp_details.ip, port: s.sftp_details.port } : (s.ip ? { ip: s.ip, port: s.port } : null)
+  };
+}
+
+router.get('/servers', async (req, res) => {
+  try {
+    const { servers, warnings } = await getServers(req.session.apiKey);
+    res.json({ data: servers.map(s => serverJson(s)), warnings });
+  } catch (err) {
+    sendApiError(res, err, 'Servers list error');
+  }
+});
+
+router.get('/servers/:id', async (req, res) => {
+  try {
+    res.json({ data: serverJson(await getServerDetails(req.params.id, req.session.apiKey), req.params.id) });
+  } catch (err) {
+    sendApiError(res, err, 'Server details error');
+  }
+});
+
+router.get('/servers/:id/resources', async (req, res) => {
+  try {
+    res.json({ data: await getServerResources(req.params.id, req.session.apiKey) });
+  } catch (err) {
+    sendApiError(res, err, 'Server resources error');
+  }
+});
+
+router.post('/servers/:id/power', async (req, res) => {
+  try {
+    const signal = req.body?.signal;
+    if (!POWER_ACTIONS.includes(signal)) throw new ApiError(400, 'validation_failed', `signal must be one of: ${POWER_ACTIONS.join(', ')}.`);
+    await sendPowerAction(req.params.id, signal, req.session.apiKey);
+    res.status(204).end();
+  } catch (err) {
+    sendApiError(res, err, 'Power action error');
+  }
+});
+
+router.post('/servers/:id/command', async (req, res) => {
+  try {
+    const command = req.body?.command;
+    if (typeof command !== 'string' || !command.trim()) throw new ApiError(400, 'validation_failed', 'command is required.');
+    await sendCommand(req.params.id, command, req.session.apiKey);
+    res.status(204).end();
+  } catch (err) {
+    sendApiError(res, err, 'Command error');
+  }
+});
+
+// The token opens one connection to /ws/server/:id, made with the same bearer token (or browser session)
+router.post('/servers/:id/console-token', async (req, res) => {
+  try {
+    const { token, expiresAt } = await issueConsoleToken(req.params.id, req.session, req.sessionId);
+    res.status(201).json({ data: { token, expiresAt: new Date(expiresAt).toISOString(), socket: `/ws/server/${encodeURIComponent(req.params.id)}` } });
+  } catch (err) {
+    sendApiError(res, err, 'Console token error');
+  }
+});
+
+// ============ Tokens ============
+
+function tokenJson(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    tokenPrefix: t.tokenPrefix,
+    createdAt: new Date(t.createdAt).toISOString(),
+    lastUsedAt: t.lastUsedAt ? new Date(t.lastUsedAt).toISOString() : null,
+    expiresAt: t.expiresAt ? new Date(t.expiresAt).toISOString() : null
+  };
+}
+
+router.get('/tokens', (req, res) => {
+  res.json({ data: listApiTokens(sessionUserId(req.session)).map(tokenJson) });
+});
+
+// Issuing and revoking tokens needs the signed-in browser session: a leaked token must not be able to
+// mint itself successors (without expiry) that outlive its own revocation
+function requireBrowserSession(req) {
+  if (req.session.apiTokenId) throw new ApiError(403, 'forbidden', 'API tokens can only be managed from a signed-in browser session.');
+}
+
+router.post('/tokens', async (req, res) => {
+  try {
+    requireBrowserSession(req);
+    const name = req.body?.name;
+    const days = req.body?.expiresInDays;
+    if (typeof name !== 'string' || !name.trim()) throw new ApiError(400, 'validation_failed', 'name is required.');
+    if (days !== undefined && (!Number.isInteger(days) || days < 0)) throw new ApiError(400, 'validation_failed', 'expiresInDays must be a whole number of days (0 for no expiry).');
+    const issued = await issueApiToken(req.session, { name, ttlDays: days });
+    res.status(201).json({ data: { ...tokenJson(issued), token: issued.token } });
+  } catch (err) {
+    sendApiError(res, err, 'API token error');
+  }
+});
+
+router.delete('/tokens/:token', async (req, res) => {
+  try {
+    requireBrowserSession(req);
+    if (!(await revokeApiToken(sessionUserId(req.session), req.params.token))) throw new ApiError(404, 'not_found', 'Token not found.');
+    res.status(204).end();
+  } catch (err) {
+    sendApiError(res, err, 'API token error');
+  }
+});
+
+// Anything else under /api/v1 gets the same envelope instead of falling through to the fragment router
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}.`);
+});
+
+module.exports = router;
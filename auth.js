@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { createSession, getSession, touchSession, destroySession, setExpireHandler, activeSessions } = require('./sessionStore');
+const { alertHtml, revokeApiKey, revokeStaleSessionKeys, getAccount } = require('./functions');
+const { PanelConfigError } = require('./panelClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Auth');
+
+const COOKIE_NAME = 'ptero_sid';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const REMEMBER_TTL_MS = (Number(process.env.SESSION_REMEMBER_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Sessions live in memory and never survive a restart, secret or not. The secret matters for what is
+// sealed with it on disk (secretBox): with a random per-process one, that is unreadable after a restart.
+const SECRET_CONFIGURED = !!process.env.SESSION_SECRET;
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!SECRET_CONFIGURED) log.warn('SESSION_SECRET not set, using a random per-process secret; API tokens and alerts are disabled');
+
+/**
+ * Refuse a feature that keeps panel keys on disk while SESSION_SECRET is unset: sealed with a
+ * per-process secret, those keys could neither be used nor revoked after a restart, and would stay
+ * valid on the panel for good
+ * @param {string} feature - For the message, e.g. "API tokens"
+ * @throws {PanelConfigError}
+ */
+function requireSessionSecret(feature) {
+  if (!SECRET_CONFIGURED) throw new PanelConfigError(`${feature} need SESSION_SECRET to be configured on this frontend.`);
+}
+
+// Revoke the panel API key that was created for a session once it is gone
+async function revokeSessionKey(session) {
+  if (!session || !session.apiKey || !session.apiKeyIdentifier) return;
+  try {
+    await revokeApiKey(session.apiKeyIdentifier, session.apiKey);
+  } catch (err) {
+    log.warn(`could not revoke panel API key ${session.apiKeyIdentifier}: ${err.message}`);
+  }
+}
+setExpireHandler((s) => { revokeSessionKey(s).catch(() => {}); });
+
+// Give up on revoking at shutdown after this, so a hanging panel cannot keep the process alive
+const SHUTDOWN_REVOKE_TIMEOUT_MS = 5000;
+
+/**
+ * Revoke the panel keys of every session, for a graceful shutdown: sessions only live in memory,
+ * so their keys would otherwise stay valid after a restart. Keys left behind by a crash are
+ * cleaned up when their user next signs in.
+ * @returns {Promise<void>} Resolves once done or after SHUTDOWN_REVOKE_TIMEOUT_MS
+ */
+async function revokeAllSessionKeys() {
+  const sessions = activeSessions();
+  if (!sessions.length) return;
+  log.info(`revoking the panel keys of ${sessions.length} session(s)`);
+  let timer;
+  await Promise.race([
+    Promise.all(sessions.map(revokeSessionKey)),
+    new Promise(resolve => { timer = setTimeout(resolve, SHUTDOWN_REVOKE_TIMEOUT_MS); })
+  ]);
+  clearTimeout(timer);
+}
+
+// HMAC with the session secret; also signs the CSRF tokens (security.js)
+function sign(value) {
+  return crypto.createHmac('sha256', SECRET).update(value).digest('base64url');
+}
+
+/**
+ * AES-256-GCM encryption for secrets kept on disk (panel keys, webhook URLs), with a key derived
+ * from the session secret for the given purpose. open() returns null once the secret has changed.
+ * @param {string} purpose - Key derivation label, distinct per store
+ * @returns {{seal: (text: string) => string, open: (value: string) => string|null}}
+ */
+function secretBox(purpose) {
+  const key = Buffer.from(sign(purpose), 'base64url');
+  return {
+    seal(text) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+    },
+    open(value) {
+      try {
+        const [iv, tag, data] = String(value).split('.').map(s => Buffer.from(s, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+function parseCookies(header) {
+  const out = {};
+  if (!header) return out;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const k = part.slice(0, idx).trim();
+    const v = part.slice(idx + 1).trim();
+    try { out[k] = decodeURIComponent(v); } catch (e) { out[k] = v; }
+  }
+  return out;
+}
+
+// Returns the session id from a signed cookie value, or null when the signature does not match
+function unsignSessionId(value) {
+  if (!value) return null;
+  const idx = value.lastIndexOf('.');
+  if (idx < 0) return null;
+  const id = value.slice(0, idx);
+  const expected = Buffer.from(sign(id));
+  const actual = Buffer.from(value.slice(idx + 1));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return id;
+}
+
+function setSessionCookie(req, res, id, persistent) {
+  const parts = [`${COOKIE_NAME}=${id}.${sign(id)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (persistent) parts.push(`Max-Age=${Math.floor(REMEMBER_TTL_MS / 1000)}`);
+  if (req.secure) parts.push('Secure');
+  res.append('Set-Cookie', parts.join('; '));
+}
+
+function clearSessionCookie(res) {
+  res.append('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+/**
+ * Resolve the session for a raw Node request (also used for websocket upgrades)
+ * @param {import('http').IncomingMessage} req
+ * @returns {{id: string, session: object}|null}
+ */
+function getRequestSession(req) {
+  const id = unsignSessionId(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  const session = id ? touchSession(id) : null;
+  return session ? { id, session } : null;
+}
+
+/**
+ * Create a session after a successful panel login and set its cookie
+ * @param {object} data - { user, apiKey, apiKeyIdentifier }
+ * @param {boolean} remember - Keep the session (and cookie) for SESSION_REMEMBER_DAYS
+ */
+function startSession(req, res, data, remember) {
+  const id = createSession({ ...data, remember: !!remember }, remember ? REMEMBER_TTL_MS : SESSION_TTL_MS);
+  setSessionCookie(req, res, id, remember);
+  // Keys of this user's earlier sessions on this instance that did not end cleanly (it crashed or restarted)
+  revokeStaleSessionKeys(data.apiKey, activeSessions().map(s => s.apiKeyIdentifier).filter(Boolean))
+    .then(count => { if (count) log.info(`revoked ${count} leftover session key(s) of ${data.user?.username}`); })
+    .catch(err => log.warn(`could not clean up leftover session keys of ${data.user?.username}: ${err.message}`));
+  return id;
+}
+
+async function endSession(req, res) {
+  const current = getRequestSession(req);
+  if (current) {
+    destroySession(current.id);
+    await revokeSessionKey(current.session);
+  }
+  clearSessionCookie(res);
+}
+
+// Attach req.session / req.sessionId when a valid session cookie is present
+function loadSession(req, res, next) {
+  const current = getRequestSession(req);
+  if (current) {
+    req.sessionId = current.id;
+    req.session = current.session;
+  }
+  next();
+}
+
+// Page routes redirect to /login, HTMX fragments get an HX-Redirect, anything else a 401
+function requireAuth(req, res, next) {
+  if (req.session) return next();
+
+  if (req.get('HX-Request')) {
+    res.setHeader('HX-Redirect', '/login');
+    return res.status(401).send(alertHtml('Your session has expired. Please sign in again.', 'warning'));
+  }
+  if (req.baseUrl.startsWith('/api')) {
+    return res.status(401).json({ success: false, error: 'Not authenticated.' });
+  }
+  return res.redirect('/login');
+}
+
+/**
+ * Whether the session belongs to a panel root admin (asked from the panel, so a demoted admin loses access)
+ * @param {object} session
+ * @returns {Promise<boolean>}
+ */
+async function isRootAdmin(session) {
+  if (!session) return false;
+  try {
+    return !!(await getAccount(session.apiKey)).admin;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Use after requireAuth. Sets req.account for the admin routes.
+async function requireRootAdmin(req, res, next) {
+  try {
+    const account = await getAccount(req.session.apiKey);
+    if (account.admin) {
+      req.account = account;
+      return next();
+    }
+  } catch (err) {
+    log.warn(`could not check admin status: ${err.message}`);
+  }
+
+  if (req.baseUrl.startsWith('/api') && !req.get('HX-Request')) {
+    return res.status(403).json({ success: false, error: 'Administrators only.' });
+  }
+  return res.status(403).send(alertHtml('This area is restricted to panel administrators.', 'danger'));
+}
+
+module.exports = { sign, secretBox, requireSessionSecret, getRequestSession, startSession, endSession, revokeAllSessionKeys, loadSession, requireAuth, isRootAdmin, requireRootAdmin };
+
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// Command-line companion: talks to this frontend's JSON API (/api/v1) with a personal API token
+// (create one on the dashboard under "API tokens") and follows consoles through /ws/server/:id.
+// Profiles (frontend URL + token) are saved to a config file readable by the owner only.
+//
+// Config:
+//   PTERO_CLI_CONFIG=<file>      profiles file (default $XDG_CONFIG_HOME/ptero-frontend/config.json)
+//   PTERO_URL / PTERO_TOKEN      use these instead of a saved profile
+//
+// Exit codes: 0 ok, 1 error, 2 usage, 3 not authenticated or not allowed, 4 not found, 5 conflict / rejected input
+
+const USAGE = `Usage: ptero-cli [--profile <name>] [--json] <command> [args]
+
+Profiles:
+  login <url> --token <ptf_...>     verify and save a profile (the first one becomes the default)
+  profiles                          list saved profiles
+  use <name>                        make a profile the default
+  logout                            forget the profile
+
+Servers:
+  servers                           list servers
+  server <id>                       details and current resource usage
+  power <id> <start|stop|restart|kill>
+  command <id> <command...>         send a console command
+  console <id>                      print the console and follow it (Ctrl+C to stop)
+
+Options:
+  --profile, -p <name>   profile to use (default: the saved default)
+  --json                 machine-readable output (console: one JSON object per line)
+  --help, -h             show this help`;
+
+const EXIT = { ok: 0, error: 1, usage: 2, auth: 3, notFound: 4, rejected: 5 };
+
+// Reconnects after an unexpected console disconnect wait this long, doubling up to the maximum
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.error) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// ============ Arguments ============
+
+function parseArgs(argv) {
+  const opts = { json: false, profile: null, token: null, help: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else if (arg === '--profile' || arg === '-p') opts.profile = argv[++i];
+    else if (arg === '--token') opts.token = argv[++i];
+    else if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    else if (arg.startsWith('--') && positional[0] !== 'command') throw new CliError(`Unknown option ${arg}`, EXIT.usage);
+    else positional.push(arg);
+  }
+  if (opts.profile === undefined || opts.token === undefined) throw new CliError('Missing option value', EXIT.usage);
+  return { opts, command: positional[0], args: positional.slice(1) };
+}
+
+// ============ Profiles ============
+
+function configPath() {
+  if (process.env.PTERO_CLI_CONFIG) return path.resolve(process.env.PTERO_CLI_CONFIG);
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'ptero-frontend', 'config.json');
+}
+
+function loadConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { default: null, profiles: {} };
+    throw new CliError(`Could not read ${configPath()}: ${err.message}`);
+  }
+}
+
+function saveConfig(config) {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// PTERO_URL + PTERO_TOKEN win over saved profiles, so CI jobs need no config file
+function resolveProfile(opts) {
+  if (process.env.PTERO_URL && process.env.PTERO_TOKEN && !opts.profile) {
+    return { name: '(environment)', url: process.env.PTERO_URL, token: process.env.PTERO_TOKEN };
+  }
+  const config = loadConfig();
+  const name = opts.profile || config.default;
+  const profile = name && config.profiles[name];
+  if (!profile) {
+    throw new CliError(name ? `No profile named "${name}". Run: ptero-cli login <url> --token <token> --profile ${name}` : 'No profile saved. Run: ptero-cli login <url> --token <token>', EXIT.auth);
+  }
+  return { name, ...profile };
+}
+
+// ============ HTTP ============
+
+function exitCodeFor(status) {
+  if (status === 401 || status === 403) return EXIT.auth;
+  if (status === 404) return EXIT.notFound;
+  if (status === 400 || status === 409 || status === 422) return EXIT.rejected;
+  return EXIT.error;
+}
+
+/**
+ * Call the frontend's JSON API
+ * @param {{url: string, token: string}} profile
+ * @param {string} method
+ * @param {string} apiPath - Relative to /api/v1
+ * @param {object} [body]
+ * @returns {Promise<any>} The response's `data` (undefined for 204)
+ * @throws {CliError} With the API's message and an exit code for its status
+ */
+async function api(profile, method, apiPath, body) {
+  let res;
+  try {
+    res = await fetch(`${profile.url.replace(/\/+$/, '')}/api/v1${apiPath}`, {
+      method,
+      headers: { Authorization: `Bearer ${profile.token}`, Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(30000)
+    });
+  } catch (err) {
+    throw new CliError(`Could not reach ${profile.url}: ${err.cause?.message || err.message}`);
+  }
+  if (res.status === 204) return undefined;
+
+  let payload = null;
+  try { payload = await res.json(); } catch (e) { payload = null; }
+  if (!res.ok) {
+    const message = payload?.error?.message || `HTTP ${res.status}`;
+    throw new CliError(message, exitCodeFor(res.status));
+  }
+  if (!payload || !('data' in payload)) throw new CliError(`Unexpected answer from ${profile.url} (is this the frontend URL?)`);
+  return payload.data;
+}
+
+// ============ Output ============
+
+function printJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+// Plain columns, widths from the longest cell
+function printTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i] ?? '').length)));
+  const line = (cells) => cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  process.stdout.write([line(headers), ...rows.map(line)].join('\n') + '\n');
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// Colour codes only make sense on a terminal
+function stripAnsi(text) {
+  return String(text).replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+// ============ Commands ============
+
+async function cmdLogin(opts, args) {
+  const url = args[0];
+  const token = opts.token || process.env.PTERO_TOKEN;
+  if (!url || !token) throw new CliError('Usage: ptero-cli login <url> --token <ptf_...> [--profile <name>]', EXIT.usage);
+  if (!/^https?:\/\//.test(url)) throw new CliError('The URL must start with http:// or https://', EXIT.usage);
+
+  // Listing the token's own tokens proves it works without touching any server
+  await api({ url, token }, 'GET', '/tokens');
+
+  const config = loadConfig();
+  const name = opts.profile || 'default';
+  config.profiles[name] = { url: url.replace(/\/+$/, ''), token };
+  if (!config.default || !config.profiles[config.default]) config.default = name;
+  saveConfig(config);
+  if (opts.json) printJson({ profile: name, url, default: config.default === name });
+  else process.stdout.write(`Saved profile "${name}" for ${url}${config.default === name ? ' (default)' : ''}.\n`);
+}
+
+function cmdProfiles(opts) {
+  const config = loadConfig();
+  const list = Object.entries(config.profiles).map(([name, p]) => ({ name, url: p.url, default: name === config.default }));
+  if (opts.json) return printJson(list);
+  if (!list.length) return process.stdout.write('No profiles saved.\n');
+  printTable(['', 'PROFILE', 'URL'], list.map(p => [p.default ? '*' : '', p.name, p.url]));
+}
+
+function cmdUse(opts, args) {
+  const config = loadConfig();
+  if (!args[0]) throw new CliError('Usage: ptero-cli use <name>', EXIT.usage);
+  if (!config.profiles[args[0]]) throw new CliError(`No profile named "${args[0]}".`, EXIT.notFound);
+  config.default = args[0];
+  saveConfig(config);
+  if (!opts.json) process.stdout.write(`Default profile is now "${args[0]}".\n`);
+}
+
+// Only forgets the token locally; revoke it on the dashboard (or DELETE /api/v1/tokens/:id) to disable it
+function cmdLogout(opts) {
+  const config = loadConfig();
+  const name = opts.profile || config.default;
+  if (!name || !config.profiles[name]) throw new CliError(name ? `No profile named "${name}".` : 'No profile saved.', EXIT.notFound);
+  delete config.profiles[name];
+  if (config.default === name) config.default = Object.keys(config.profiles)[0] || null;
+  saveConfig(config);
+  if (!opts.json) process.stdout.write(`Removed profile "${name}". The token itself stays valid until revoked on the dashboard.\n`);
+}
+
+async function cmdServers(opts) {
+  const servers = await api(resolveProfile(opts), 'GET', '/servers');
+  if (opts.json) return printJson(servers);
+  if (!servers.length) return process.stdout.write('No servers.\n');
+  printTable(['ID', 'NAME', 'NODE', 'STATUS'], servers.map(s => [s.id || s.identifier, s.name, s.node, s.status || (s.suspended ? 'suspended' : '')]));
+}
+
+async function cmdServer(opts, args) {
+  const id = args[0];
+  if (!id) throw new CliError('Usage: ptero-cli server <id>', EXIT.usage);
+  const profile = resolveProfile(opts);
+  const [server, usage] = await Promise.all([
+    api(profile, 'GET', `/servers/${encodeURIComponent(id)}`),
+    api(profile, 'GET', `/servers/${encodeURIComponent(id)}/resources`)
+  ]);
+  if (opts.json) return printJson({ ...server, state: usage.state, resources: usage.resources });
+
+  const r = usage.resources || {};
+  const limits = server.limits || {};
+  const rows = [
+    ['Name', server.name],
+    ['Identifier', server.identifier],
+    ['Node', server.node],
+    ['State', usage.state + (server.status ? ` (${server.status})` : '')],
+    ['Address', server.sftp ? `${server.sftp.ip}:${server.sftp.port} (SFTP)` : ''],
+    ['CPU', `${(r.cpu_absolute || 0).toFixed(1)}%${limits.cpu ? ` of ${limits.cpu}%` : ''}`],
+    ['Memory', `${formatBytes(r.memory_bytes)}${limits.memory ? ` of ${formatBytes(limits.memory * 1024 * 1024)}` : ''}`],
+    ['Disk', `${formatBytes(r.disk_bytes)}${limits.disk ? ` of ${formatBytes(limits.disk * 1024 * 1024)}` : ''}`],
+    ['Uptime', r.uptime ? `${Math.floor(r.uptime / 3600000)}h ${Math.floor(r.uptime / 60000) % 60}m` : '']
+  ];
+  if (server.description) rows.push(['Description', server.description]);
+  const width = Math.max(...rows.map(([k]) => k.length));
+  process.stdout.write(rows.map(([k, v]) => `${k.padEnd(width)}  ${v ?? ''}`).join('\n') + '\n');
+}
+
+async function cmdPower(opts, args) {
+  const [id, signal] = args;
+  if (!id || !['start', 'stop', 'restart', 'kill'].includes(signal)) throw new CliError('Usage: ptero-cli power <id> <start|stop|restart|kill>', EXIT.usage);
+  await api(resolveProfile(opts), 'POST', `/servers/${encodeURIComponent(id)}/power`, { signal });
+  if (opts.json) printJson({ server: id, signal });
+  else process.stdout.write(`Sent ${signal} to ${id}.\n`);
+}
+
+async function cmdCommand(opts, args) {
+  const [id, ...words] = args;
+  const command = words.join(' ');
+  if (!id || !command.trim()) throw new CliError('Usage: ptero-cli command <id> <command...>', EXIT.usage);
+  await api(resolveProfile(opts), 'POST', `/servers/${encodeURIComponent(id)}/command`, { command });
+  if (opts.json) printJson({ server: id, command });
+  else process.stdout.write(`Sent to ${id}: ${command}\n`);
+}
+
+/**
+ * Follow a console: take a console token from the API, open the proxy socket with the same bearer
+ * token, send the auth frame and print output. The proxy keeps the node authenticated across token
+ * refreshes ("token refreshed"); if the connection drops anyway, a new token is fetched and the
+ * socket re-authenticated, with backoff. Resolves on Ctrl+C; rejects when the first handshake fails.
+ */
+function cmdConsole(opts, args) {
+  const id = args[0];
+  if (!id) throw new CliError('Usage: ptero-cli console <id>', EXIT.usage);
+  const profile = resolveProfile(opts);
+  const colour = process.stdout.isTTY && !opts.json;
+  const note = (text) => { if (!opts.json) process.stderr.write(`-- ${text}\n`); };
+
+  return new Promise((resolve, reject) => {
+    let ws = null;
+    let stopped = false;
+    let connectedOnce = false;
+    let delay = RECONNECT_BASE_MS;
+    let retryTimer = null;
+
+    process.once('SIGINT', () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (ws) ws.close();
+      resolve();
+    });
+
+    function retry(reason) {
+      if (stopped) return;
+      note(`${reason}; reconnecting in ${Math.round(delay / 1000)}s`);
+      retryTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    }
+
+    async function connect() {
+      if (stopped) return;
+      let credentials;
+      try {
+        credentials = await api(profile, 'POST', `/servers/${encodeURIComponent(id)}/console-token`);
+      } catch (err) {
+        // A token the panel refuses will not start working by retrying
+        if (!connectedOnce || err.exitCode === EXIT.auth || err.exitCode === EXIT.notFound) return reject(err);
+        return retry(err.message);
+      }
+
+      const socketUrl = profile.url.replace(/\/+$/, '').replace(/^http/, 'ws') + credentials.socket;
+      ws = new WebSocket(socketUrl, { headers: { Authorization: `Bearer ${profile.token}` } });
+
+      ws.on('open', () => ws.send(JSON.stringify({ event: 'auth', args: [credentials.token] })));
+      ws.on('unexpected-response', (req, res) => {
+        const err = new CliError(`Console connection refused (HTTP ${res.statusCode}).`, exitCodeFor(res.statusCode));
+        stopped = true;
+        reject(err);
+      });
+      ws.on('message', (raw) => {
+        let frame;
+        try { frame = JSON.parse(raw.toString()); } catch (e) { return; }
+        const { event, args: eventArgs = [] } = frame;
+
+        if (opts.json) {
+          if (event !== 'stats') process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), event, args: eventArgs }) + '\n');
+        } else if (event === 'console output' || event === 'install output') {
+          process.stdout.write((colour ? eventArgs[0] : stripAnsi(eventArgs[0])) + '\n');
+        } else if (event === 'status') {
+          note(`server is ${eventArgs[0]}`);
+        } else if (event === 'token refreshed') {
+          note('console token refreshed by the proxy');
+        } else if (event === 'error') {
+          note(`error: ${eventArgs[0]}`);
+        }
+
+        if (event === 'auth success') {
+          if (!connectedOnce) note(`connected to ${id} (Ctrl+C to stop)`);
+          connectedOnce = true;
+          delay = RECONNECT_BASE_MS;
+          ws.send(JSON.stringify({ event: 'send logs', args: [null] }));
+        }
+      });
+      ws.on('error', (err) => {
+        if (!connectedOnce && !stopped) {
+          stopped = true;
+          reject(new CliError(`Console connection failed: ${err.message}`));
+        }
+      });
+      ws.on('close', () => {
+        if (stopped) return;
+        if (!connectedOnce) {
+          stopped = true;
+          return reject(new CliError('The console closed before it was ready (token rejected?).'));
+        }
+        retry('console disconnected');
+      });
+    }
+
+    connect();
+  });
+}
+
+const COMMANDS = {
+  login: cmdLogin,
+  profiles: cmdProfiles,
+  use: cmdUse,
+  logout: cmdLogout,
+  servers: cmdServers,
+  server: cmdServer,
+  power: cmdPower,
+  command: cmdCommand,
+  console: cmdConsole
+};
+
+async function main(argv) {
+  const { opts, command, args } = parseArgs(argv);
+  if (opts.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return opts.help ? EXIT.ok : EXIT.usage;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new CliError(`Unknown command "${command}".\n\n${USAGE}`, EXIT.usage);
+  await run(opts, args);
+  return EXIT.ok;
+}
+
+// Piping into head and friends closes stdout early; that is a normal way to stop, not a crash
+process.stdout.on('error', (err) => {
+  if (err.code === 'EPIPE') process.exit(EXIT.ok);
+  throw err;
+});
+
+main(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    if (process.argv.includes('--json')) process.stderr.write(JSON.stringify({ error: err.message, exitCode: err.exitCode || EXIT.error }) + '\n');
+    else process.stderr.write(`ptero-cli: ${err instanceof CliError ? err.message : err.stack}\n`);
+    process.exitCode = err.exitCode || EXIT.error;
+  });
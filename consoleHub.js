@@ -0,0 +1,520 @@
+const WebSocket = require('ws');
+const { getConsoleToken } = require('./functions');
+const { PanelError } = require('./panelClient');
+const { resolveServerId } = require('./panels');
+const { invalidateServer } = require('./panelCache');
+const { getSession, onSessionEnd } = require('./sessionStore');
+const { getApiTokenSession, isApiSession, onApiTokenEnd } = require('./apiTokens');
+const { startRecording } = require('./consoleRecorder');
+const { createLogger, newRequestId, withRequestId, bindRequestId, currentRequestId } = require('./logger');
+const { counter, gauge } = require('./metrics');
+
+const log = createLogger('ConsoleHub');
+
+// One upstream Wings connection per server, shared by every authenticated viewer of its console.
+// Output is broadcast to all viewers (filtered by each viewer's own token permissions), the last
+// lines are kept in a ring buffer for viewers that join later, and the node token is refreshed once
+// per server instead of once per browser tab. Upstream events and token refreshes log under the
+// hub's own correlation id (hub-…), viewer messages under the id of that viewer's proxy connection.
+// Server-side monitors (notifications.js) can watch a console without a browser: they receive every
+// upstream event and keep the upstream open for as long as they are attached.
+//
+// Config:
+//   CONSOLE_SCROLLBACK_LINES=500   lines replayed to a joining viewer
+//   CONSOLE_IDLE_TIMEOUT_MS=5000   keep the upstream open this long after the last viewer left (0 closes at once)
+
+const SCROLLBACK_LINES = Number(process.env.CONSOLE_SCROLLBACK_LINES) || 500;
+const IDLE_TIMEOUT_MS = process.env.CONSOLE_IDLE_TIMEOUT_MS !== undefined ? Number(process.env.CONSOLE_IDLE_TIMEOUT_MS) || 0 : 5000;
+const MAX_QUEUE = 200;
+
+const HUBS = new Map();
+
+const tokenRefreshes = counter('console_token_refreshes_total', 'Node token refreshes by the console hubs, by result');
+gauge('console_proxy_upstreams', 'Open upstream node connections', () => HUBS.size);
+gauge('console_proxy_viewers', 'Browser sessions attached to each server console', () =>
+  [...HUBS.values()].map(hub => ({ labels: { server: hub.serverId }, value: hub.viewers.size })));
+gauge('console_proxy_monitors', 'Server-side monitors attached to each server console', () =>
+  [...HUBS.values()].map(hub => ({ labels: { server: hub.serverId }, value: hub.monitors.size })));
+gauge('console_proxy_queued_messages', 'Viewer messages waiting for the upstream to open, per server', () =>
+  [...HUBS.values()].map(hub => ({ labels: { server: hub.serverId }, value: hub.queue.length })));
+
+// ============ Helpers ============
+
+function createRingBuffer(size) {
+  const items = new Array(size);
+  let start = 0;
+  let length = 0;
+  return {
+    push(item) {
+      items[(start + length) % size] = item;
+      if (length < size) length++;
+      else start = (start + 1) % size;
+    },
+    toArray() {
+      const out = [];
+      for (let i = 0; i < length; i++) out.push(items[(start + i) % size]);
+      return out;
+    },
+    get length() { return length; }
+  };
+}
+
+function sendJson(ws, event, args = []) {
+  try { ws.send(JSON.stringify({ event, args })); } catch (e) {}
+}
+
+function closeSocket(ws) {
+  try { ws.close(); } catch (e) {}
+}
+
+/**
+ * Permissions granted by a Wings token (read from its JWT payload, the panel signed it for us)
+ * @param {string} token
+ * @returns {string[]}
+ */
+function tokenPermissions(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return Array.isArray(payload.permissions) ? payload.permissions : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Same rule as Wings: '*' covers everything except admin permissions
+function hasPermission(permissions, permission) {
+  return permissions.includes(permission) || (!permission.startsWith('admin') && permissions.includes('*'));
+}
+
+function permissionRank(permissions) {
+  return (permissions.includes('*') ? 1000 : 0) + permissions.length;
+}
+
+// Upstream events a viewer only sees when their own token would have received them from Wings
+const EVENT_PERMISSIONS = {
+  'install output': 'admin.websocket.install',
+  'install started': 'admin.websocket.install',
+  'install completed': 'admin.websocket.install',
+  'transfer logs': 'admin.websocket.transfer',
+  'transfer status': 'admin.websocket.transfer'
+};
+
+function eventPermission(event) {
+  if (event.startsWith('backup completed')) return 'backup.read';
+  return EVENT_PERMISSIONS[event] || null;
+}
+
+// Permission a viewer needs to send an event upstream; undefined means the event is not allowed at all
+function commandPermission(event, args) {
+  if (event === 'send command') return 'control.console';
+  if (event === 'set state') {
+    const action = Array.isArray(args) ? args[0] : null;
+    return { start: 'control.start', stop: 'control.stop', kill: 'control.stop', restart: 'control.restart' }[action];
+  }
+  if (event === 'send stats') return 'websocket.connect';
+  return undefined;
+}
+
+// ============ Hub ============
+
+function createHub(serverId, socketUrl) {
+  const hub = {
+    serverId,
+    socketUrl,
+    requestId: `hub-${newRequestId()}`,
+    upstream: null,
+    token: null,
+    permissions: [],
+    authenticated: false,
+    seeded: false,
+    viewers: new Set(),
+    monitors: new Set(),
+    scrollback: createRingBuffer(SCROLLBACK_LINES),
+    lastStatus: null,
+    lastStats: null,
+    queue: [],
+    refreshing: null,
+    idleTimer: null,
+    recording: null,
+    closed: false,
+    createdAt: Date.now()
+  };
+  HUBS.set(serverId, hub);
+  return hub;
+}
+
+function broadcast(hub, parsed, raw) {
+  const required = eventPermission(parsed.event);
+  for (const viewer of hub.viewers) {
+    if (required && !hasPermission(viewer.permissions, required)) continue;
+    // Wings only sends error details to admins; everyone else gets its generic message
+    if (parsed.event === 'daemon error' && !hasPermission(viewer.permissions, 'admin.websocket.errors')) {
+      sendJson(viewer.ws, 'daemon error', ['An unexpected error was encountered while handling this request.']);
+      continue;
+    }
+    try { viewer.ws.send(raw); } catch (e) {}
+  }
+}
+
+function replay(hub, viewer) {
+  viewer.replayed = true;
+  for (const line of hub.scrollback.toArray()) sendJson(viewer.ws, 'console output', [line]);
+}
+
+// Close the upstream and every viewer; the hub is gone afterwards
+function disposeHub(hub, reason) {
+  if (hub.closed) return;
+  hub.closed = true;
+  clearTimeout(hub.idleTimer);
+  if (HUBS.get(hub.serverId) === hub) HUBS.delete(hub.serverId);
+  for (const viewer of hub.viewers) {
+    if (reason) sendJson(viewer.ws, 'error', [reason]);
+    closeSocket(viewer.ws);
+  }
+  hub.viewers.clear();
+  for (const monitor of hub.monitors) {
+    try { monitor.onClose(reason || 'Console closed'); } catch (err) { log.error('monitor close handler failed', err); }
+  }
+  hub.monitors.clear();
+  if (hub.upstream) closeSocket(hub.upstream);
+  if (hub.recording) hub.recording.close();
+  withRequestId(hub.requestId, () => log.info(`closed upstream for server ${hub.serverId}${reason ? ` (${reason})` : ''}`));
+}
+
+function authenticateUpstream(hub, token) {
+  hub.token = token;
+  hub.permissions = tokenPermissions(token);
+  if (hub.upstream && hub.upstream.readyState === WebSocket.OPEN) {
+    try { hub.upstream.send(JSON.stringify({ event: 'auth', args: [token] })); } catch (e) {}
+  }
+}
+
+function connectUpstream(hub) {
+  // Include the server's panel as Origin so its node doesn't reject the upgrade (some nodes validate origin)
+  const originHeader = resolveServerId(hub.serverId).panel.url;
+  let ws;
+  try {
+    ws = new WebSocket(hub.socketUrl, { rejectUnauthorized: false, headers: originHeader ? { Origin: originHeader } : undefined });
+  } catch (err) {
+    log.error('failed to create upstream websocket', err);
+    disposeHub(hub, 'Backend connection failed');
+    return;
+  }
+  hub.upstream = ws;
+
+  // Always attach an error handler immediately to avoid uncaught exceptions
+  ws.on('error', bindRequestId((err) => {
+    log.error(`upstream error for server ${hub.serverId}: ${err && err.message ? err.message : err}`);
+    if (err && String(err).includes('403')) log.warn('remote returned 403 — check node origin/host validation and that the socket URL is correct.');
+    disposeHub(hub, 'Backend connection error');
+  }));
+  ws.on('close', () => disposeHub(hub, hub.viewers.size ? 'Backend connection closed' : null));
+
+  ws.on('open', bindRequestId(() => {
+    hub.recording = startRecording(hub.serverId);
+    authenticateUpstream(hub, hub.token);
+    if (hub.queue.length) {
+      log.debug(`flushing ${hub.queue.length} queued viewer messages for server ${hub.serverId}`);
+      for (const msg of hub.queue.splice(0)) {
+        try { ws.send(msg); } catch (err) { log.error('failed to send queued message', err); }
+      }
+    }
+  }));
+
+  ws.on('message', bindRequestId((m) => {
+    const raw = (typeof m === 'string') ? m : (m && m.toString ? m.toString() : '');
+    let parsed = null;
+    try { parsed = JSON.parse(raw); } catch (e) { parsed = null; }
+    if (!parsed || typeof parsed.event !== 'string') return;
+
+    try {
+      handleUpstreamEvent(hub, parsed, raw);
+    } catch (err) {
+      log.error('error processing upstream message', err);
+    }
+  }));
+}
+
+function handleUpstreamEvent(hub, parsed, raw) {
+  const { event, args = [] } = parsed;
+
+  if (event === 'token expiring' || event === 'token expired') {
+    log.info(`${event} for server ${hub.serverId}`);
+    refreshToken(hub);
+  } else if (event === 'auth success') {
+    log.info(`upstream authenticated for server ${hub.serverId}`);
+    const first = !hub.authenticated;
+    hub.authenticated = true;
+    if (first) {
+      // Viewers already waiting get the node's history live; later ones get it from the scrollback
+      for (const viewer of hub.viewers) viewer.replayed = true;
+      if (!hub.seeded) {
+        hub.seeded = true;
+        try { hub.upstream.send(JSON.stringify({ event: 'send logs', args: [null] })); } catch (e) {}
+      }
+    } else {
+      // Re-authentication after a token refresh, viewers already know they are connected
+      return;
+    }
+  } else if (event === 'console output') {
+    for (const line of args) {
+      hub.scrollback.push(String(line));
+      if (hub.recording) hub.recording.output(line);
+    }
+  } else if (event === 'status') {
+    hub.lastStatus = raw;
+  } else if (event === 'stats') {
+    hub.lastStats = raw;
+  } else if (event.startsWith('backup completed')) {
+    // Backups finish on the node without a panel call, so the cached backup list is stale now
+    invalidateServer(hub.serverId);
+  }
+
+  broadcast(hub, parsed, raw);
+  for (const monitor of hub.monitors) {
+    try { monitor.onEvent(event, args); } catch (err) { log.error(`monitor ${monitor.name} failed on "${event}"`, err); }
+  }
+}
+
+function viewerSession(viewer) {
+  return isApiSession(viewer.sessionId) ? getApiTokenSession(viewer.sessionId) : getSession(viewer.sessionId);
+}
+
+// Stop proxying for a viewer whose session ended; the close handler takes them out of the hub
+function dropViewer(viewer) {
+  sendJson(viewer.ws, 'error', ['Session expired']);
+  closeSocket(viewer.ws);
+}
+
+/**
+ * Close every console socket of a session that ended (logout, expiry, revoked API token), so it
+ * neither sees output nor sends commands until the next token refresh
+ * @param {string} sessionId - Browser session id or "api:<token id>"
+ */
+function closeSessionConsoles(sessionId) {
+  for (const hub of HUBS.values()) {
+    for (const viewer of hub.viewers) {
+      if (viewer.sessionId !== sessionId) continue;
+      log.info(`closing console of server ${hub.serverId} for ${viewer.username || 'a viewer'}: session ended`);
+      dropViewer(viewer);
+    }
+  }
+}
+onSessionEnd(closeSessionConsoles);
+onApiTokenEnd(closeSessionConsoles);
+
+/**
+ * Fetch a fresh node token with the panel key of a viewer still signed in (the one with the broadest
+ * permissions first), then with the monitors' keys. Every viewer whose session ended is dropped first,
+ * not just those tried before a key worked. Concurrent calls share one refresh.
+ */
+function refreshToken(hub) {
+  if (hub.refreshing) return hub.refreshing;
+
+  hub.refreshing = (async () => {
+    const signedIn = [];
+    for (const viewer of hub.viewers) {
+      const session = viewerSession(viewer);
+      if (session) signedIn.push({ viewer, session });
+      else dropViewer(viewer);
+    }
+    signedIn.sort((a, b) => permissionRank(b.viewer.permissions) - permissionRank(a.viewer.permissions));
+    const candidates = [...signedIn.map(c => c.session), ...[...hub.monitors].map(m => m.getSession())];
+    let lastError = null;
+    for (const session of candidates) {
+      if (!session) continue;
+      try {
+        const refreshed = await getConsoleToken(hub.serverId, session.apiKey);
+        if (!refreshed.token || hub.closed) return;
+        const newToken = String(refreshed.token);
+        authenticateUpstream(hub, newToken);
+        tokenRefreshes.inc({ result: 'success' });
+        log.info(`refreshed token for ${hub.serverId} tokenPrefix=${newToken.slice(0,8)}...`);
+        // Notify viewers that a refresh occurred (no full token sent)
+        for (const v of hub.viewers) sendJson(v.ws, 'token refreshed', [newToken.slice(0,8) + '...']);
+        return;
+      } catch (err) {
+        lastError = err;
+        if (err instanceof PanelError) log.warn(`failed to refresh token from panel API: ${err.message}`);
+        else log.error('error while refreshing token', err);
+      }
+    }
+    if (lastError) {
+      tokenRefreshes.inc({ result: 'failure' });
+      const message = lastError instanceof PanelError ? 'Token refresh failed' : 'Token refresh error';
+      for (const v of hub.viewers) sendJson(v.ws, 'error', [message]);
+    }
+  })().finally(() => { hub.refreshing = null; });
+
+  return hub.refreshing;
+}
+
+function handleViewerMessage(hub, viewer, m) {
+  const raw = (typeof m === 'string') ? m : (m && m.toString ? m.toString() : '');
+  let parsed = null;
+  try { parsed = JSON.parse(raw); } catch (e) { parsed = null; }
+  if (!parsed || typeof parsed.event !== 'string') return;
+
+  // Auth is handled by the proxy before joining, the upstream has its own token
+  if (parsed.event === 'auth') return;
+
+  // History comes from the scrollback, asking the node would send it to every viewer again
+  if (parsed.event === 'send logs') {
+    if (hub.authenticated && !viewer.replayed) replay(hub, viewer);
+    return;
+  }
+  if (parsed.event === 'send stats' && hub.lastStats) {
+    try { viewer.ws.send(hub.lastStats); } catch (e) {}
+    return;
+  }
+
+  const required = commandPermission(parsed.event, parsed.args);
+  if (required === undefined) {
+    log.debug(`dropped unsupported viewer event "${parsed.event}" for server ${hub.serverId}`);
+    return;
+  }
+  if (!hasPermission(viewer.permissions, required)) {
+    sendJson(viewer.ws, 'error', [`Permission denied: ${required}`]);
+    return;
+  }
+
+  // Commands and power actions are recorded with who sent them
+  if (parsed.event === 'send command') {
+    log.info(`command from ${viewer.username || 'unknown user'} on server ${hub.serverId}`);
+    if (hub.recording) hub.recording.command(viewer.username, parsed.args?.[0] ?? '');
+  } else if (parsed.event === 'set state' && hub.recording) {
+    hub.recording.power(viewer.username, parsed.args?.[0] ?? '');
+  }
+
+  if (hub.upstream && hub.upstream.readyState === WebSocket.OPEN) {
+    try { hub.upstream.send(raw); } catch (e) { log.error('error sending upstream', e); }
+  } else {
+    // Queue messages until the upstream opens, dropping the oldest when full
+    if (hub.queue.length >= MAX_QUEUE) hub.queue.shift();
+    hub.queue.push(raw);
+  }
+}
+
+function leave(hub, viewer) {
+  if (!hub.viewers.delete(viewer) || hub.closed) return;
+  log.info(`viewer left server ${hub.serverId} (${hub.viewers.size} remaining)`);
+  idleIfUnused(hub);
+}
+
+// Nobody is watching any more: close the upstream after the idle timeout
+function idleIfUnused(hub) {
+  if (hub.viewers.size || hub.monitors.size || hub.closed) return;
+
+  clearTimeout(hub.idleTimer);
+  if (!IDLE_TIMEOUT_MS) return disposeHub(hub);
+  hub.idleTimer = setTimeout(() => { if (!hub.viewers.size && !hub.monitors.size) disposeHub(hub); }, IDLE_TIMEOUT_MS);
+  hub.idleTimer.unref();
+}
+
+// ============ API ============
+
+/**
+ * Attach an authenticated browser socket to the server's console, opening the upstream on first use
+ * @param {string} serverId - Server identifier
+ * @param {import('ws')} ws - Browser websocket (already authenticated by the proxy)
+ * @param {{token: string, socket: string, sessionId: string, userId?: string, username?: string, requestId?: string}} meta - The viewer's validated token and connection id
+ */
+function joinConsole(serverId, ws, { token, socket, sessionId, userId, username, requestId }) {
+  let hub = HUBS.get(serverId);
+  const isNew = !hub;
+  if (isNew) hub = createHub(serverId, socket);
+  clearTimeout(hub.idleTimer);
+
+  const viewer = {
+    ws, sessionId, userId: userId || null, username: username || userId || null, permissions: tokenPermissions(token),
+    requestId: requestId || currentRequestId(), replayed: false, joinedAt: Date.now()
+  };
+  hub.viewers.add(viewer);
+  withRequestId(viewer.requestId, () => log.info(`viewer joined server ${serverId} (${hub.viewers.size} connected${isNew ? ', opening upstream' : ''})`));
+
+  ws.on('message', (m) => withRequestId(viewer.requestId, () => handleViewerMessage(hub, viewer, m)));
+  ws.on('close', () => withRequestId(viewer.requestId, () => leave(hub, viewer)));
+  ws.on('error', () => withRequestId(viewer.requestId, () => leave(hub, viewer)));
+
+  if (isNew) {
+    hub.token = token;
+    withRequestId(hub.requestId, () => connectUpstream(hub));
+    return;
+  }
+
+  // A viewer with broader permissions than the upstream token re-authenticates it, so their events and actions work too
+  if (permissionRank(viewer.permissions) > permissionRank(hub.permissions)) authenticateUpstream(hub, token);
+
+  if (hub.authenticated) {
+    sendJson(ws, 'auth success');
+    if (hub.lastStatus) { try { ws.send(hub.lastStatus); } catch (e) {} }
+    replay(hub, viewer);
+  }
+}
+
+/**
+ * Watch a server's console from the server side, opening the upstream when nobody else has. The
+ * monitor gets every upstream event (after the hub handled it) until it closes the watch or the
+ * upstream goes away; onClose is then called once, and the caller decides whether to watch again.
+ * @param {string} serverId - Server identifier
+ * @param {object} monitor
+ * @param {string} monitor.name - For logs
+ * @param {string} monitor.token - Node token, used when the upstream has to be opened
+ * @param {string} monitor.socket - Node socket URL, idem
+ * @param {() => ({apiKey: string}|null)} monitor.getSession - Panel key for token refreshes
+ * @param {(event: string, args: Array) => void} monitor.onEvent
+ * @param {(reason: string) => void} monitor.onClose
+ * @returns {{close: () => void}}
+ */
+function watchConsole(serverId, { name, token, socket, getSession, onEvent, onClose }) {
+  let hub = HUBS.get(serverId);
+  const isNew = !hub;
+  if (isNew) hub = createHub(serverId, socket);
+  clearTimeout(hub.idleTimer);
+
+  const monitor = { name, getSession, onEvent, onClose, permissions: tokenPermissions(token) };
+  hub.monitors.add(monitor);
+  withRequestId(hub.requestId, () => log.info(`monitor ${name} watching server ${serverId}${isNew ? ', opening upstream' : ''}`));
+
+  if (isNew) {
+    hub.token = token;
+    withRequestId(hub.requestId, () => connectUpstream(hub));
+  } else {
+    if (permissionRank(monitor.permissions) > permissionRank(hub.permissions)) authenticateUpstream(hub, token);
+    // Joining a live hub: hand over what a fresh connection would have been told first
+    if (hub.authenticated) {
+      onEvent('auth success', []);
+      if (hub.lastStatus) {
+        try { const { event, args } = JSON.parse(hub.lastStatus); onEvent(event, args || []); } catch (e) {}
+      }
+    }
+  }
+
+  return {
+    close() {
+      if (!hub.monitors.delete(monitor)) return;
+      withRequestId(hub.requestId, () => log.info(`monitor ${name} stopped watching server ${serverId}`));
+      idleIfUnused(hub);
+    }
+  };
+}
+
+/**
+ * Open consoles, for debugging
+ * @returns {Array<{serverId: string, requestId: string, viewers: number, monitors: number, authenticated: boolean, scrollback: number, queued: number, createdAt: number}>}
+ */
+function listConsoles() {
+  return [...HUBS.values()].map(hub => ({
+    serverId: hub.serverId,
+    requestId: hub.requestId,
+    viewers: hub.viewers.size,
+    monitors: hub.monitors.size,
+    authenticated: hub.authenticated,
+    scrollback: hub.scrollback.length,
+    queued: hub.queue.length,
+    idle: !!hub.idleTimer && !hub.viewers.size,
+    createdAt: hub.createdAt
+  }));
+}
+
+module.exports = { joinConsole, watchConsole, listConsoles, tokenPermissions };
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ConsoleRecorder');
+
+// Console recordings: the console hub writes a server's `console output` lines, and the commands and
+// power actions viewers send, to JSON-lines files on disk. A recording session lasts as long as the
+// hub's upstream connection; it is split into parts of CONSOLE_RECORD_FILE_MB.
+//
+// Files: <CONSOLE_RECORD_DIR>/<serverId>/<startedAtMs>-<rand>.<part>.jsonl, one record per line:
+//   { t, type: 'output', line }  |  { t, type: 'command' | 'power', user, line }
+// Sessions start with whatever history the node sends on connect, so their first lines may repeat
+// the end of the previous session.
+//
+// Config:
+//   CONSOLE_RECORDING=all | <id>,<id>      servers to record (off when unset)
+//   CONSOLE_RECORD_DIR=data/consoles
+//   CONSOLE_RECORD_FILE_MB=5               part size
+//   CONSOLE_RECORD_RETENTION_DAYS=14       0 keeps parts regardless of age
+//   CONSOLE_RECORD_MAX_MB=100              per server, oldest parts are deleted past it
+//   CONSOLE_RECORD_RETENTION_DAYS_<ID> / CONSOLE_RECORD_MAX_MB_<ID>   per server overrides
+
+const RECORD_DIR = path.resolve(__dirname, process.env.CONSOLE_RECORD_DIR || 'data/consoles');
+const PART_BYTES = (Number(process.env.CONSOLE_RECORD_FILE_MB) || 5) * 1024 * 1024;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_PER_PAGE = 500;
+
+const SERVER_ID_RE = /^[A-Za-z0-9-]+$/;
+const SESSION_RE = /^\d{13}-[0-9a-f]{4}$/;
+const FILE_RE = /^(\d{13}-[0-9a-f]{4})\.(\d{4})\.jsonl$/;
+
+// Sessions being written right now, keyed by serverId
+const ACTIVE = new Map();
+
+function now() { return Date.now(); }
+
+function recordedServers() {
+  const value = (process.env.CONSOLE_RECORDING || '').trim();
+  if (!value || value === '0' || value.toLowerCase() === 'off') return null;
+  if (value.toLowerCase() === 'all') return 'all';
+  return new Set(value.split(',').map(s => s.trim()).filter(Boolean));
+}
+
+function isRecorded(serverId) {
+  const servers = recordedServers();
+  return servers === 'all' || (!!servers && servers.has(serverId));
+}
+
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Retention limits for a server, with per-server overrides
+ * @param {string} serverId
+ * @returns {{days: number, maxBytes: number}}
+ */
+function retentionFor(serverId) {
+  const suffix = String(serverId).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const days = envNumber(`CONSOLE_RECORD_RETENTION_DAYS_${suffix}`, envNumber('CONSOLE_RECORD_RETENTION_DAYS', 14));
+  const maxMb = envNumber(`CONSOLE_RECORD_MAX_MB_${suffix}`, envNumber('CONSOLE_RECORD_MAX_MB', 100));
+  return { days, maxBytes: maxMb * 1024 * 1024 };
+}
+
+function serverDir(serverId) {
+  if (!SERVER_ID_RE.test(String(serverId))) return null;
+  return path.join(RECORD_DIR, serverId);
+}
+
+// Parts on disk for a server, oldest first
+function listParts(serverId) {
+  const dir = serverDir(serverId);
+  if (!dir) return [];
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn(`could not read ${dir}: ${err.message}`);
+    return [];
+  }
+  const parts = [];
+  for (const name of names.sort()) {
+    const match = name.match(FILE_RE);
+    if (!match) continue;
+    try {
+      const stat = fs.statSync(path.join(dir, name));
+      parts.push({ file: path.join(dir, name), session: match[1], part: Number(match[2]), size: stat.size, modifiedAt: stat.mtimeMs });
+    } catch (e) {}
+  }
+  return parts;
+}
+
+// Strip ANSI colour codes for searching and plain-text downloads
+function plain(text) {
+  return String(text).replace(/\u001b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+// ============ Writing ============
+
+/**
+ * Start a recording session for a server, if recording is enabled for it
+ * @param {string} serverId
+ * @returns {{sessionId: string, output: Function, command: Function, close: Function}|null}
+ */
+function startRecording(serverId) {
+  const dir = serverDir(serverId);
+  if (!dir || !isRecorded(serverId)) return null;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  } catch (err) {
+    log.error(`cannot create ${dir}`, err);
+    return null;
+  }
+
+  const sessionId = `${now()}-${crypto.randomBytes(2).toString('hex')}`;
+  let part = 0;
+  let bytes = 0;
+  let stream = null;
+  let closed = false;
+
+  function openPart() {
+    part++;
+    bytes = 0;
+    const file = path.join(dir, `${sessionId}.${String(part).padStart(4, '0')}.jsonl`);
+    stream = fs.createWriteStream(file, { flags: 'a', mode: 0o600 });
+    stream.on('error', (err) => {
+      log.error(`write failed for server ${serverId}, recording stopped: ${err.message}`);
+      close();
+    });
+  }
+
+  function write(record) {
+    if (closed) return;
+    const line = JSON.stringify(record) + '\n';
+    const size = Buffer.byteLength(line);
+    if (!stream || bytes + size > PART_BYTES) {
+      if (stream) {
+        stream.end();
+        pruneRecordings(serverId);
+      }
+      openPart();
+    }
+    bytes += size;
+    stream.write(line);
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    if (stream) stream.end();
+    if (ACTIVE.get(serverId) === recording) ACTIVE.delete(serverId);
+  }
+
+  const recording = {
+    sessionId,
+    output: (line) => write({ t: now(), type: 'output', line: String(line) }),
+    command: (user, line) => write({ t: now(), type: 'command', user: user || null, line: String(line) }),
+    power: (user, action) => write({ t: now(), type: 'power', user: user || null, line: String(action) }),
+    close
+  };
+  ACTIVE.set(serverId, recording);
+  log.info(`recording server ${serverId} as session ${sessionId}`);
+  return recording;
+}
+
+/**
+ * Apply the server's retention: drop parts older than its age limit, then the oldest until under its size limit.
+ * Parts of the session being written are kept.
+ * @param {string} serverId
+ * @returns {number} Parts removed
+ */
+function pruneRecordings(serverId) {
+  const { days, maxBytes } = retentionFor(serverId);
+  const activeSession = ACTIVE.get(serverId)?.sessionId;
+  const all = listParts(serverId);
+  const parts = all.filter(p => p.session !== activeSession);
+
+  let total = all.reduce((n, p) => n + p.size, 0);
+  let removed = 0;
+  const cutoff = days ? now() - days * 24 * 60 * 60 * 1000 : null;
+  for (const p of parts) {
+    const tooOld = cutoff !== null && p.modifiedAt < cutoff;
+    const tooBig = maxBytes > 0 && total > maxBytes;
+    if (!tooOld && !tooBig) continue;
+    try {
+      fs.unlinkSync(p.file);
+      total -= p.size;
+      removed++;
+    } catch (err) {
+      log.warn(`could not remove ${p.file}: ${err.message}`);
+    }
+  }
+  return removed;
+}
+
+function sweepRecordings() {
+  let names = [];
+  try { names = fs.readdirSync(RECORD_DIR); } catch (e) { return 0; }
+  return names.filter(name => SERVER_ID_RE.test(name)).reduce((n, serverId) => n + pruneRecordings(serverId), 0);
+}
+
+setInterval(sweepRecordings, SWEEP_INTERVAL_MS).unref();
+
+// ============ Reading ============
+
+/**
+ * Recording sessions of a server, newest first
+ * @param {string} serverId
+ * @returns {Array<{id: string, startedAt: number, endedAt: number, parts: number, bytes: number, active: boolean}>}
+ */
+function listRecordings(serverId) {
+  const sessions = new Map();
+  for (const p of listParts(serverId)) {
+    const s = sessions.get(p.session) || { id: p.session, startedAt: Number(p.session.split('-')[0]), endedAt: 0, parts: 0, bytes: 0 };
+    s.parts++;
+    s.bytes += p.size;
+    s.endedAt = Math.max(s.endedAt, p.modifiedAt);
+    sessions.set(p.session, s);
+  }
+  const activeSession = ACTIVE.get(serverId)?.sessionId;
+  return [...sessions.values()]
+    .map(s => ({ ...s, active: s.id === activeSession }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+async function* readRecords(files) {
+  for (const file of files) {
+    let input;
+    try {
+      input = fs.createReadStream(file, { encoding: 'utf8' });
+    } catch (e) {
+      continue;
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        try { yield JSON.parse(line); } catch (e) {}
+      }
+    } catch (err) {
+      // A part removed by retention while we were reading it
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+/**
+ * Search recorded output and commands, oldest first
+ * @param {string} serverId
+ * @param {object} [options]
+ * @param {string} [options.q] - Case-insensitive text to look for (colour codes ignored)
+ * @param {number} [options.from] - Earliest record time (ms)
+ * @param {number} [options.to] - Latest record time (ms)
+ * @param {string} [options.type] - output, command or power
+ * @param {string} [options.session] - Limit to one recording session
+ * @param {number} [options.page=1]
+ * @param {number} [options.perPage=100]
+ * @returns {Promise<{items: object[], pagination: {total: number, page: number, perPage: number, totalPages: number}}>}
+ */
+async function searchRecordings(serverId, { q, from, to, type, session, page = 1, perPage = 100 } = {}) {
+  perPage = Math.min(Math.max(1, Math.floor(perPage) || 100), MAX_PER_PAGE);
+  page = Math.max(1, Math.floor(page) || 1);
+  const needle = q ? String(q).toLowerCase() : null;
+
+  // Parts that cannot overlap the time range are skipped without reading them
+  const files = listParts(serverId)
+    .filter(p => !session || p.session === session)
+    .filter(p => !from || p.modifiedAt >= from)
+    .filter(p => !to || Number(p.session.split('-')[0]) <= to)
+    .map(p => p.file);
+
+  const items = [];
+  const skip = (page - 1) * perPage;
+  let total = 0;
+  for await (const record of readRecords(files)) {
+    if (from && record.t < from) continue;
+    if (to && record.t > to) continue;
+    if (type && record.type !== type) continue;
+    if (needle && !plain(record.line).toLowerCase().includes(needle)) continue;
+    if (total >= skip && items.length < perPage) items.push(record);
+    total++;
+  }
+  return { items, pagination: { total, page, perPage, totalPages: Math.max(1, Math.ceil(total / perPage)) } };
+}
+
+/**
+ * Stream one recording session
+ * @param {string} serverId
+ * @param {string} sessionId
+ * @param {'jsonl'|'txt'} format - JSON lines as stored, or plain text with timestamps
+ * @returns {AsyncGenerator<string>|null} Chunks to write, or null when there is no such session
+ */
+function readRecording(serverId, sessionId, format = 'jsonl') {
+  if (!SESSION_RE.test(String(sessionId))) return null;
+  const files = listParts(serverId).filter(p => p.session === sessionId).map(p => p.file);
+  if (!files.length) return null;
+
+  return (async function* () {
+    for await (const record of readRecords(files)) {
+      if (format !== 'txt') {
+        yield JSON.stringify(record) + '\n';
+      } else if (record.type === 'output') {
+        yield `[${new Date(record.t).toISOString()}] ${plain(record.line)}\n`;
+      } else {
+        yield `[${new Date(record.t).toISOString()}] ${record.type === 'power' ? 'power' : '>'} ${record.line} (${record.user || 'unknown user'})\n`;
+      }
+    }
+  })();
+}
+
+module.exports = {
+  isRecorded,
+  retentionFor,
+  startRecording,
+  pruneRecordings,
+  sweepRecordings,
+  listRecordings,
+  searchRecordings,
+  readRecording
+};
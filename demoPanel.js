@@ -0,0 +1,568 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const WebSocket = require('ws');
+const { createLogger } = require('./logger');
+
+const log = createLogger('DemoPanel');
+
+// Demo mode: a local stand-in for the panel and its Wings node, so the frontend runs without either.
+// It implements the client API calls the server list, server page and console use (login, account,
+// server list and details, power, command, resources, websocket credentials) over fixture data, plus
+// a Wings-style console socket at /api/servers/:uuid/ws that speaks the same events as a real node.
+//
+// Config (index.js starts it when DEMO_MODE=1):
+//   DEMO_PANEL_PORT=3100              port of the stand-in, bound to 127.0.0.1
+//   DEMO_TOKEN_TTL_SECONDS=600        console token lifetime; "token expiring" is sent 60s before
+//                                     the end (or halfway, for shorter lifetimes)
+//
+// Sign in with demo / demo (owner of every server) or viewer / viewer (subuser with a read-only
+// console on the first server). Everything else the frontend calls answers 404 in demo mode.
+
+const DEMO_PASSWORDS = { demo: 'demo', viewer: 'viewer' };
+
+const FIXTURES = {
+  users: [
+    { id: 1, uuid: '5e1f7a2c-9d3b-4c8e-a1f0-2b6d4e8c0a11', username: 'demo', email: 'demo@example.com', first_name: 'Demo', last_name: 'User', admin: false },
+    { id: 2, uuid: '8c4b2e6d-1f3a-4d7c-b9e5-0a2c4e6f8b22', username: 'viewer', email: 'viewer@example.com', first_name: 'Read', last_name: 'Only', admin: false }
+  ],
+  servers: [
+    {
+      identifier: 'de0a1b2c', uuid: 'de0a1b2c-4f1e-4a8b-9c2d-7e6f5a4b3c21', internal_id: 1,
+      name: 'Survival', description: 'Vanilla survival world', node: 'Demo Node',
+      owner: 'demo', subusers: { viewer: ['websocket.connect'] },
+      limits: { memory: 4096, swap: 0, disk: 20480, io: 500, cpu: 200, threads: null, oom_disabled: true },
+      docker_image: 'ghcr.io/pterodactyl/yolks:java_17', invocation: 'java -Xms128M -Xmx4096M -jar server.jar',
+      allocation: { id: 1, ip: '127.0.0.1', port: 25565 }, state: 'running'
+    },
+    {
+      identifier: 'de0c3d4e', uuid: 'de0c3d4e-8b2a-4c6d-a1e3-5f7b9d1c3e42', internal_id: 2,
+      name: 'Creative', description: 'Flat creative build server', node: 'Demo Node',
+      owner: 'demo', subusers: {},
+      limits: { memory: 2048, swap: 0, disk: 10240, io: 500, cpu: 100, threads: null, oom_disabled: true },
+      docker_image: 'ghcr.io/pterodactyl/yolks:java_17', invocation: 'java -Xms128M -Xmx2048M -jar server.jar',
+      allocation: { id: 2, ip: '127.0.0.1', port: 25566 }, state: 'offline'
+    },
+    {
+      identifier: 'de0e5f60', uuid: 'de0e5f60-2c4e-4f8a-b6d1-9a3c5e7f1b63', internal_id: 3,
+      name: 'Modded', description: 'Forge modpack test server', node: 'Demo Node',
+      owner: 'demo', subusers: {},
+      limits: { memory: 8192, swap: 0, disk: 40960, io: 500, cpu: 400, threads: null, oom_disabled: true },
+      docker_image: 'ghcr.io/pterodactyl/yolks:java_17', invocation: 'java -Xms128M -Xmx8192M -jar forge.jar',
+      allocation: { id: 3, ip: '127.0.0.1', port: 25567 }, state: 'offline'
+    }
+  ]
+};
+
+const BOOT_LINES = [
+  '\u001b[33m\u001b[1m[Pterodactyl Daemon]:\u001b[39m Checking server disk space usage, this could take a few seconds...',
+  '\u001b[33m\u001b[1m[Pterodactyl Daemon]:\u001b[39m Updating process configuration files...',
+  '\u001b[33m\u001b[1m[Pterodactyl Daemon]:\u001b[39m Pulling Docker container image, this could take a few minutes to complete...',
+  'container@pterodactyl~ Server marked as starting...',
+  '[Server thread/INFO]: Starting minecraft server version 1.20.4',
+  '[Server thread/INFO]: Loading properties',
+  '[Server thread/INFO]: Preparing level "world"',
+  '[Server thread/INFO]: Preparing spawn area: 84%'
+];
+const CHATTER_LINES = [
+  '[Server thread/INFO]: Steve joined the game',
+  '[Server thread/INFO]: Alex joined the game',
+  '[Server thread/INFO]: <Steve> anyone got spare iron?',
+  '[Server thread/INFO]: Alex has made the advancement [Stone Age]',
+  '[Server thread/INFO]: Steve left the game',
+  '[Server thread/INFO]: Saving the game (this may take a moment!)'
+];
+const LOG_LINES = 150;
+const STATS_INTERVAL_MS = 2000;
+const CHATTER_INTERVAL_MS = 15000;
+
+function b64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Panel-style error body, which panelClient turns into typed errors
+function panelError(res, status, code, detail) {
+  res.status(status).json({ errors: [{ code, status: String(status), detail }] });
+}
+
+/**
+ * Start the demo panel and node
+ * @param {object} [options]
+ * @param {number} [options.port] - Port to listen on (DEMO_PANEL_PORT or 3100; 0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.tokenTtlSeconds] - Console token lifetime (DEMO_TOKEN_TTL_SECONDS or 600)
+ * @returns {{url: string, ready: Promise<object>, close: Function}} url is final once ready resolves
+ */
+function startDemoPanel(options = {}) {
+  const port = options.port ?? (Number(process.env.DEMO_PANEL_PORT) || 3100);
+  const host = options.host || '127.0.0.1';
+  const tokenTtlMs = (options.tokenTtlSeconds ?? (Number(process.env.DEMO_TOKEN_TTL_SECONDS) || 600)) * 1000;
+  const signingKey = crypto.randomBytes(32);
+
+  const demo = { url: `http://${host}:${port}`, ready: null, close: null };
+  const webSessions = new Map(); // panel web session cookie -> username
+  const apiKeys = new Map(); // secret -> { identifier, username, attributes }
+  const sims = new Map(); // identifier -> simulated server
+
+  for (const fixture of FIXTURES.servers) {
+    const sim = { ...fixture, logs: [], sockets: new Set(), timers: [], startedAt: null, rx: 0, tx: 0 };
+    if (sim.state === 'running') {
+      sim.startedAt = Date.now() - 45 * 60 * 1000;
+      [...BOOT_LINES, '[Server thread/INFO]: Done (6.512s)! For help, type "help"'].forEach(line => sim.logs.push(line));
+    }
+    sims.set(sim.identifier, sim);
+  }
+
+  // ============ Simulated servers ============
+
+  function broadcast(sim, event, ...args) {
+    const frame = JSON.stringify({ event, args });
+    for (const ws of sim.sockets) {
+      if (ws.demoAuth && ws.readyState === WebSocket.OPEN) ws.send(frame);
+    }
+  }
+
+  function output(sim, line) {
+    sim.logs.push(line);
+    if (sim.logs.length > LOG_LINES) sim.logs.shift();
+    broadcast(sim, 'console output', line);
+  }
+
+  function setState(sim, state) {
+    sim.state = state;
+    sim.startedAt = state === 'running' ? Date.now() : state === 'offline' ? null : sim.startedAt;
+    broadcast(sim, 'status', state);
+  }
+
+  function later(sim, ms, fn) {
+    const timer = setTimeout(() => {
+      sim.timers = sim.timers.filter(t => t !== timer);
+      fn();
+    }, ms);
+    sim.timers.push(timer);
+  }
+
+  function clearPending(sim) {
+    sim.timers.forEach(clearTimeout);
+    sim.timers = [];
+  }
+
+  function stats(sim) {
+    const running = sim.state === 'running';
+    const limitBytes = sim.limits.memory * 1024 * 1024;
+    if (running) {
+      sim.rx += Math.floor(Math.random() * 40000);
+      sim.tx += Math.floor(Math.random() * 90000);
+    }
+    return {
+      memory_bytes: running ? Math.floor(limitBytes * (0.45 + Math.random() * 0.15)) : 0,
+      memory_limit_bytes: limitBytes,
+      cpu_absolute: running ? Math.round((10 + Math.random() * 35) * 1000) / 1000 : 0,
+      network: { rx_bytes: sim.rx, tx_bytes: sim.tx },
+      state: sim.state,
+      disk_bytes: 1536 * 1024 * 1024 + sim.internal_id * 256 * 1024 * 1024,
+      uptime: sim.startedAt ? Date.now() - sim.startedAt : 0
+    };
+  }
+
+  function power(sim, signal) {
+    if (signal === 'kill') {
+      clearPending(sim);
+      output(sim, 'container@pterodactyl~ Server marked as offline...');
+      return setState(sim, 'offline');
+    }
+    if (signal === 'start') {
+      if (sim.state !== 'offline') return;
+      setState(sim, 'starting');
+      BOOT_LINES.forEach((line, i) => later(sim, 300 * (i + 1), () => output(sim, line)));
+      later(sim, 300 * (BOOT_LINES.length + 2), () => {
+        output(sim, '[Server thread/INFO]: Done (6.512s)! For help, type "help"');
+        setState(sim, 'running');
+      });
+      return;
+    }
+    // stop and restart
+    if (sim.state === 'offline') return signal === 'restart' ? power(sim, 'start') : undefined;
+    if (sim.state === 'stopping') return;
+    clearPending(sim);
+    setState(sim, 'stopping');
+    output(sim, '[Server thread/INFO]: Stopping the server');
+    later(sim, 600, () => output(sim, '[Server thread/INFO]: Saving worlds'));
+    later(sim, 1500, () => {
+      output(sim, 'container@pterodactyl~ Server marked as offline...');
+      setState(sim, 'offline');
+      if (signal === 'restart') later(sim, 500, () => power(sim, 'start'));
+    });
+  }
+
+  function command(sim, line) {
+    const [name, ...rest] = String(line).trim().split(/\s+/);
+    switch ((name || '').replace(/^\//, '').toLowerCase()) {
+      case 'help':
+        return output(sim, '[Server thread/INFO]: Commands: help, list, say <message>, stop');
+      case 'list':
+        return output(sim, '[Server thread/INFO]: There are 2 of a max of 20 players online: Steve, Alex');
+      case 'say':
+        return output(sim, `[Server thread/INFO]: [Server] ${rest.join(' ')}`);
+      case 'stop':
+        return power(sim, 'stop');
+      default:
+        return output(sim, '[Server thread/INFO]: Unknown command. Type "help" for help.');
+    }
+  }
+
+  const ticker = setInterval(() => {
+    for (const sim of sims.values()) {
+      if (sim.state !== 'offline') broadcast(sim, 'stats', JSON.stringify(stats(sim)));
+    }
+  }, STATS_INTERVAL_MS);
+  let chatter = 0;
+  const chatterTicker = setInterval(() => {
+    const line = CHATTER_LINES[chatter++ % CHATTER_LINES.length];
+    for (const sim of sims.values()) {
+      if (sim.state === 'running') output(sim, line);
+    }
+  }, CHATTER_INTERVAL_MS);
+  ticker.unref();
+  chatterTicker.unref();
+
+  // ============ Access ============
+
+  function userByName(username) {
+    return FIXTURES.users.find(u => u.username === username) || null;
+  }
+
+  // Permissions a user has on a server; owners get everything, like the panel
+  function permissionsFor(sim, username) {
+    if (sim.owner === username) return ['*'];
+    return sim.subusers[username] || null;
+  }
+
+  function can(permissions, permission) {
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  function issueConsoleToken(sim, user, permissions) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = b64url({ alg: 'HS256', typ: 'JWT' });
+    const payload = b64url({
+      iss: demo.url,
+      aud: [demo.url.replace(/^http/, 'ws')],
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat: now,
+      nbf: now - 300,
+      exp: now + Math.floor(tokenTtlMs / 1000),
+      server_uuid: sim.uuid,
+      permissions,
+      user_uuid: user.uuid,
+      user_id: user.id,
+      unique_id: crypto.randomBytes(8).toString('hex')
+    });
+    const signature = crypto.createHmac('sha256', signingKey).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  // Payload of a token we signed that is still valid, or null
+  function verifyConsoleToken(token) {
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!header || !payload || !signature) return null;
+    const expected = crypto.createHmac('sha256', signingKey).update(`${header}.${payload}`).digest('base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return claims.exp * 1000 > Date.now() ? claims : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function cookies(req) {
+    const out = {};
+    for (const part of String(req.headers.cookie || '').split(';')) {
+      const idx = part.indexOf('=');
+      if (idx > 0) out[part.slice(0, idx).trim()] = part.slice(idx + 1).trim();
+    }
+    return out;
+  }
+
+  // ============ Client API ============
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/sanctum/csrf-cookie', (req, res) => {
+    res.setHeader('Set-Cookie', `XSRF-TOKEN=${encodeURIComponent(crypto.randomBytes(20).toString('base64'))}; Path=/`);
+    res.status(204).end();
+  });
+
+  app.post('/auth/login', (req, res) => {
+    const login = String(req.body?.user || '');
+    const user = FIXTURES.users.find(u => u.username === login || u.email === login);
+    if (!user || DEMO_PASSWORDS[user.username] !== req.body?.password) {
+      return panelError(res, 422, 'DisplayException', 'These credentials do not match our records.');
+    }
+    const sid = crypto.randomBytes(20).toString('hex');
+    webSessions.set(sid, user.username);
+    res.setHeader('Set-Cookie', `pterodactyl_session=${sid}; Path=/; HttpOnly`);
+    res.json({ data: { complete: true, intended: '/', user: { uuid: user.uuid, username: user.username, email: user.email, root_admin: user.admin } } });
+  });
+
+  // Key creation is done with the web session from /auth/login (or an existing key), everything else with a key
+  app.post('/api/client/account/api-keys', (req, res) => {
+    const bearer = apiKeys.get(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const username = webSessions.get(cookies(req).pterodactyl_session) || bearer?.username;
+    if (!username) return panelError(res, 401, 'AuthenticationException', 'Unauthenticated.');
+    const identifier = `ptlc_${crypto.randomBytes(8).toString('base64url').slice(0, 11)}`;
+    const secret = identifier + crypto.randomBytes(24).toString('base64url').slice(0, 32);
+    const attributes = { identifier, description: req.body?.description || '', allowed_ips: [], last_used_at: null, created_at: new Date().toISOString() };
+    apiKeys.set(secret, { identifier, username, attributes });
+    res.status(201).json({ object: 'api_key', attributes, meta: { secret_token: secret } });
+  });
+
+  app.use('/api/client', (req, res, next) => {
+    const secret = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const key = apiKeys.get(secret);
+    if (!key) return panelError(res, 401, 'AuthenticationException', 'Unauthenticated.');
+    req.demoUser = userByName(key.username);
+    next();
+  });
+
+  app.get('/api/client/account/api-keys', (req, res) => {
+    const keys = [...apiKeys.values()].filter(key => key.username === req.demoUser.username);
+    res.json({ object: 'list', data: keys.map(key => ({ object: 'api_key', attributes: key.attributes })) });
+  });
+
+  app.delete('/api/client/account/api-keys/:identifier', (req, res) => {
+    for (const [secret, key] of apiKeys) {
+      if (key.identifier === req.params.identifier && key.username === req.demoUser.username) apiKeys.delete(secret);
+    }
+    res.status(204).end();
+  });
+
+  app.get('/api/client/account', (req, res) => {
+    const { id, admin, username, email, first_name, last_name } = req.demoUser;
+    res.json({ object: 'user', attributes: { id, admin, username, email, first_name, last_name, language: 'en' } });
+  });
+
+  function serverAttributes(sim, username) {
+    return {
+      server_owner: sim.owner === username,
+      identifier: sim.identifier,
+      internal_id: sim.internal_id,
+      uuid: sim.uuid,
+      name: sim.name,
+      node: sim.node,
+      is_node_under_maintenance: false,
+      sftp_details: { ip: sim.allocation.ip, port: 2022 },
+      description: sim.description,
+      limits: sim.limits,
+      invocation: sim.invocation,
+      docker_image: sim.docker_image,
+      egg_features: ['eula', 'java_version', 'pid_limit'],
+      feature_limits: { databases: 0, allocations: 1, backups: 0 },
+      status: null,
+      is_suspended: false,
+      is_installing: false,
+      is_transferring: false,
+      relationships: {
+        allocations: {
+          object: 'list',
+          data: [{ object: 'allocation', attributes: { ...sim.allocation, ip_alias: null, notes: null, is_default: true } }]
+        }
+      }
+    };
+  }
+
+  app.get('/api/client', (req, res) => {
+    const visible = [...sims.values()].filter(sim => permissionsFor(sim, req.demoUser.username));
+    const perPage = Math.min(Math.max(1, Number(req.query.per_page) || 50), 100);
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const data = visible.slice((page - 1) * perPage, page * perPage)
+      .map(sim => ({ object: 'server', attributes: serverAttributes(sim, req.demoUser.username) }));
+    res.json({
+      object: 'list',
+      data,
+      meta: { pagination: { total: visible.length, count: data.length, per_page: perPage, current_page: page, total_pages: Math.max(1, Math.ceil(visible.length / perPage)), links: {} } }
+    });
+  });
+
+  // Resolve the server and the caller's permissions on it; unknown and invisible servers are both 404
+  app.use('/api/client/servers/:id', (req, res, next) => {
+    const sim = sims.get(req.params.id);
+    const permissions = sim && permissionsFor(sim, req.demoUser.username);
+    if (!permissions) return panelError(res, 404, 'NotFoundHttpException', 'The requested resource could not be found on the server.');
+    req.sim = sim;
+    req.permissions = permissions;
+    next();
+  });
+
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (!can(req.permissions, permission)) return panelError(res, 403, 'AccessDeniedHttpException', 'This action is unauthorized.');
+      next();
+    };
+  }
+
+  app.get('/api/client/servers/:id', (req, res) => {
+    res.json({
+      object: 'server',
+      attributes: serverAttributes(req.sim, req.demoUser.username),
+      meta: { is_server_owner: req.sim.owner === req.demoUser.username, user_permissions: req.permissions }
+    });
+  });
+
+  app.get('/api/client/servers/:id/resources', (req, res) => {
+    const s = stats(req.sim);
+    res.json({
+      object: 'stats',
+      attributes: {
+        current_state: req.sim.state,
+        is_suspended: false,
+        resources: { memory_bytes: s.memory_bytes, cpu_absolute: s.cpu_absolute, disk_bytes: s.disk_bytes, network_rx_bytes: s.network.rx_bytes, network_tx_bytes: s.network.tx_bytes, uptime: s.uptime }
+      }
+    });
+  });
+
+  app.post('/api/client/servers/:id/power', (req, res) => {
+    const signal = req.body?.signal;
+    if (!['start', 'stop', 'restart', 'kill'].includes(signal)) {
+      return panelError(res, 422, 'ValidationException', 'The selected signal is invalid.');
+    }
+    if (!can(req.permissions, `control.${signal}`)) return panelError(res, 403, 'AccessDeniedHttpException', 'This action is unauthorized.');
+    power(req.sim, signal);
+    res.status(204).end();
+  });
+
+  app.post('/api/client/servers/:id/command', requirePermission('control.console'), (req, res) => {
+    if (!req.body?.command) return panelError(res, 422, 'ValidationException', 'The command field is required.');
+    if (req.sim.state === 'offline') return panelError(res, 409, 'ConflictHttpException', 'Server must be online in order to send commands.');
+    command(req.sim, req.body.command);
+    res.status(204).end();
+  });
+
+  app.get('/api/client/servers/:id/websocket', requirePermission('websocket.connect'), (req, res) => {
+    res.json({
+      data: {
+        token: issueConsoleToken(req.sim, req.demoUser, req.permissions),
+        socket: `${demo.url.replace(/^http/, 'ws')}/api/servers/${req.sim.uuid}/ws`
+      }
+    });
+  });
+
+  // Files, backups, databases, schedules, the application API and so on are not simulated
+  app.use((req, res) => panelError(res, 404, 'NotFoundHttpException', 'This part of the panel is not available in demo mode.'));
+
+  // ============ Wings console socket ============
+
+  const server = http.createServer(app);
+  const wss = new WebSocket.Server({ noServer: true });
+
+  server.on('upgrade', (request, socket, head) => {
+    const match = String(request.url).match(/^\/api\/servers\/([0-9a-f-]+)\/ws$/);
+    const sim = match && [...sims.values()].find(s => s.uuid === match[1]);
+    if (!sim) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => attachConsole(sim, ws));
+  });
+
+  function send(ws, event, ...args) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event, args }));
+  }
+
+  function clearTokenTimers(ws) {
+    clearTimeout(ws.demoExpiring);
+    clearTimeout(ws.demoExpired);
+  }
+
+  // Like Wings: warn before the token runs out, then stop serving the socket until it re-authenticates
+  function scheduleTokenTimers(ws, claims) {
+    clearTokenTimers(ws);
+    const remaining = claims.exp * 1000 - Date.now();
+    const warnIn = remaining > 120000 ? remaining - 60000 : remaining / 2;
+    ws.demoExpiring = setTimeout(() => send(ws, 'token expiring'), warnIn);
+    ws.demoExpired = setTimeout(() => {
+      ws.demoAuth = null;
+      send(ws, 'token expired');
+    }, remaining);
+  }
+
+  function attachConsole(sim, ws) {
+    ws.demoAuth = null;
+    sim.sockets.add(ws);
+
+    ws.on('message', (raw) => {
+      let frame;
+      try { frame = JSON.parse(raw.toString()); } catch (e) { return; }
+      const args = Array.isArray(frame?.args) ? frame.args : [];
+
+      if (frame?.event === 'auth') {
+        const claims = verifyConsoleToken(args[0]);
+        if (!claims || claims.server_uuid !== sim.uuid) return send(ws, 'jwt error', 'jwt: invalid token');
+        if (!can(claims.permissions, 'websocket.connect')) return send(ws, 'jwt error', 'jwt: missing connect permission');
+        ws.demoAuth = claims;
+        scheduleTokenTimers(ws, claims);
+        send(ws, 'auth success');
+        send(ws, 'status', sim.state);
+        return;
+      }
+
+      // Unauthenticated frames are dropped, as on a node
+      const permissions = ws.demoAuth?.permissions;
+      if (!permissions) return;
+
+      switch (frame?.event) {
+        case 'send logs':
+          sim.logs.forEach(line => send(ws, 'console output', line));
+          break;
+        case 'send stats':
+          send(ws, 'stats', JSON.stringify(stats(sim)));
+          break;
+        case 'send command':
+          if (!can(permissions, 'control.console')) return send(ws, 'daemon error', 'You do not have permission to perform this action.');
+          if (sim.state !== 'offline' && args[0]) command(sim, args[0]);
+          break;
+        case 'set state':
+          if (!['start', 'stop', 'restart', 'kill'].includes(args[0])) break;
+          if (!can(permissions, `control.${args[0]}`)) return send(ws, 'daemon error', 'You do not have permission to perform this action.');
+          power(sim, args[0]);
+          break;
+        default:
+          break;
+      }
+    });
+
+    ws.on('close', () => {
+      clearTokenTimers(ws);
+      sim.sockets.delete(ws);
+    });
+  }
+
+  demo.ready = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      demo.url = `http://${host}:${server.address().port}`;
+      log.info(`stand-in panel and node listening on ${demo.url} (sign in with demo / demo or viewer / viewer)`);
+      resolve(demo);
+    });
+  });
+
+  demo.close = () => new Promise((resolve) => {
+    clearInterval(ticker);
+    clearInterval(chatterTicker);
+    for (const sim of sims.values()) {
+      clearPending(sim);
+      for (const ws of sim.sockets) {
+        clearTokenTimers(ws);
+        ws.terminate();
+      }
+    }
+    server.close(() => resolve());
+  });
+
+  return demo;
+}
+
+module.exports = { startDemoPanel };
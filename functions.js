@@ -1,375 +1,2465 @@
-const axios = require('axios');
+const { PanelError, PanelAuthError, PanelNotFoundError, PanelValidationError } = require('./panelClient');
+const { cached, invalidateServer } = require('./panelCache');
+const { createLogger } = require('./logger');
+const { listPanels, getPanel, isMultiPanel, qualifyServerId, resolveServerId, parseKeyRing, formatKeyRing } = require('./panels');
 
-const PANEL_URL = process.env.PANEL_URL;
-const APP_API_KEY = process.env.PTERODACTYL_APPLICATION_API_KEY;
-const CLIENT_API_KEY = process.env.PTERODACTYL_CLIENT_API_KEY;
+const APP_NAME = process.env.APP_NAME || 'Pterodactyl Frontend';
 
-const fs = require('fs');
+const log = createLogger('Functions');
+
+const crypto = require('crypto');
 const path = require('path');
-const LOG_FILE = path.join(__dirname, 'log.txt');
-
-// Ensure log file exists
-try { fs.closeSync(fs.openSync(LOG_FILE, 'a')); } catch (e) { console.error('Could not initialize log file', e); }
-
-function maskSensitive(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  const out = Array.isArray(obj) ? [] : {};
-  for (const [k, v] of Object.entries(obj)) {
-    const lk = k.toLowerCase();
-    if (lk.includes('password') || lk.includes('token') || lk.includes('key') || lk.includes('authorization')) {
-      out[k] = '***REDACTED***';
-    } else if (v && typeof v === 'object') {
-      out[k] = maskSensitive(v);
-    } else {
-      out[k] = v;
-    }
+const { Readable } = require('stream');
+const { createFileBackend } = require('./tokenStore');
+
+// Power signals accepted by the panel; shared by sendPowerAction and scheduled power tasks
+const POWER_ACTIONS = ['start', 'stop', 'restart', 'kill'];
+
+// ============ HTML Helpers ============
+
+/**
+ * Generate a Bootstrap alert HTML snippet
+ * @param {string} message - Alert message as HTML; anything from the panel or the user must go through escapeHtml
+ * @param {'success'|'danger'|'warning'|'info'} type - Alert type
+ * @returns {string} HTML string
+ */
+function alertHtml(message, type = 'info') {
+  return `<div class="alert alert-${type}">${message}</div>`;
+}
+
+// Live state (serverList.js) -> badge
+const STATE_BADGES = {
+  running: ['bg-success', 'Online'],
+  starting: ['bg-warning text-dark', 'Starting'],
+  stopping: ['bg-warning text-dark', 'Stopping'],
+  offline: ['bg-secondary', 'Offline'],
+  unknown: ['text-bg-light border', 'Unknown']
+};
+
+/**
+ * Badge for a server's live state
+ * @param {string} state - running, starting, stopping, offline or unknown
+ * @returns {string} HTML string
+ */
+function serverStateBadgeHtml(state) {
+  const [stateClass, stateLabel] = STATE_BADGES[state] || STATE_BADGES.unknown;
+  return `<span class="badge ${stateClass}">${stateLabel}</span>`;
+}
+
+/**
+ * Generate a server card HTML snippet, with a selection checkbox, favorite and group controls
+ * @param {object} server - Server object (from listDashboardServers)
+ * @returns {string} HTML string
+ */
+function serverCardHtml(server) {
+  const id = server.id || server.identifier;
+  const base = `/api/servers/${encodeURIComponent(id)}`;
+  // Without a state from the list, the badge loads itself once the card is on screen
+  const stateBadge = server.state
+    ? serverStateBadgeHtml(server.state)
+    : `<span class="badge text-bg-light border" hx-get="${base}/state" hx-trigger="intersect once" hx-swap="outerHTML">…</span>`;
+  // installing, suspended, ... from the panel itself
+  const statusBadge = server.status && server.status !== 'running'
+    ? ` <span class="badge text-bg-info">${escapeHtml(server.status.replace(/_/g, ' '))}</span>`
+    : '';
+  // Only worth showing when servers come from more than one panel
+  const panelBadge = server.panel && isMultiPanel()
+    ? ` <span class="badge text-bg-light border" title="Panel"><i class="bi bi-hdd-network me-1"></i>${escapeHtml(server.panel.name)}</span>`
+    : '';
+  const nodeLine = server.node ? `<div class="small text-body-secondary mt-2"><i class="bi bi-hdd-rack me-1"></i>${escapeHtml(server.node)}</div>` : '';
+
+  return `
+    <div class="col-md-6 col-lg-4" data-server-identifier="${escapeHtml(id)}" data-server-name="${escapeHtml(server.name)}">
+      <div class="card h-100${server.favorite ? ' border-warning' : ''}">
+        <div class="card-body position-relative">
+          <div class="d-flex align-items-start gap-2">
+            <input class="form-check-input mt-1 position-relative z-2" type="checkbox" name="servers" value="${escapeHtml(id)}" aria-label="Select ${escapeHtml(server.name)}">
+            <h5 class="card-title flex-grow-1 mb-1">${escapeHtml(server.name)}</h5>
+            <div class="btn-group btn-group-sm position-relative z-2">
+              <button type="button" class="btn btn-link p-0 me-2 text-body-secondary" title="${server.group ? `Group: ${escapeHtml(server.group)}` : 'Add to a group'}"
+                hx-post="${base}/group" hx-prompt="Group for ${escapeHtml(server.name)} (leave empty to remove it from ${server.group ? escapeHtml(server.group) : 'its group'})" hx-target="#servers-alert" hx-swap="innerHTML"><i class="bi bi-tag${server.group ? '-fill' : ''}"></i></button>
+              <button type="button" class="btn btn-link p-0 ${server.favorite ? 'text-warning' : 'text-body-secondary'}" title="${server.favorite ? 'Unpin' : 'Pin to the top'}" aria-pressed="${server.favorite ? 'true' : 'false'}"
+                hx-post="${base}/favorite" hx-target="#servers-alert" hx-swap="innerHTML"><i class="bi bi-star${server.favorite ? '-fill' : ''}"></i></button>
+            </div>
+          </div>
+          <p class="card-text text-body-secondary small mb-2">${escapeHtml(server.description || 'No description')}</p>
+          ${stateBadge}${statusBadge}${panelBadge}
+          ${nodeLine}
+          <!-- Clicking card navigates to server view -->
+          <a href="/server/${encodeURIComponent(id)}" class="stretched-link" aria-label="Open ${escapeHtml(server.name)}"></a>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// <option>s for a filter select, keeping the chosen value even if it no longer exists
+function filterOptionsHtml(anyLabel, values, selected) {
+  const all = selected && !values.includes(selected) ? [...values, selected] : values;
+  return `<option value="">${escapeHtml(anyLabel)}</option>` + all.map(v => `<option value="${escapeHtml(v)}"${v === selected ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('');
+}
+
+/**
+ * Generate the dashboard's server list: panel warnings, a count, and the cards per section. The node
+ * and group filter selects are swapped out-of-band, since their choices depend on the servers.
+ * @param {object} list - From listDashboardServers
+ * @param {object} filters - From parseListQuery
+ * @returns {string} HTML string
+ */
+function serverListHtml(list, filters) {
+  const filtered = filters.q || filters.node || filters.state || filters.group;
+  const sections = list.sections.map(section => `
+    ${section.title ? `<h3 class="h6 text-body-secondary mt-3 mb-2">${section.favorites ? '<i class="bi bi-star-fill text-warning me-1"></i>' : ''}${escapeHtml(section.title)} <span class="badge text-bg-light border">${section.servers.length}</span></h3>` : ''}
+    <div class="row g-3">${section.servers.map(serverCardHtml).join('')}</div>
+  `).join('');
+
+  let body;
+  if (!list.total) body = alertHtml('No servers found.', 'info');
+  else if (!list.shown) body = alertHtml('No servers match these filters.', 'info');
+  else body = `<p class="small text-body-secondary mb-0">${filtered ? `${list.shown} of ${list.total} servers` : `${list.total} server${list.total === 1 ? '' : 's'}`}</p>${sections}`;
+
+  return `
+    ${panelWarningsHtml(list.warnings)}
+    ${body}
+    <select class="form-select form-select-sm" id="server-filter-node" name="node" aria-label="Node" hx-swap-oob="true">${filterOptionsHtml('Any node', list.nodes, filters.node)}</select>
+    <select class="form-select form-select-sm" id="server-filter-group" name="group" aria-label="Group" hx-swap-oob="true">${filterOptionsHtml('Any group', list.groups, filters.group)}</select>
+  `;
+}
+
+/**
+ * Summary of a bulk power action, one line per server
+ * @param {string} action - Power action sent
+ * @param {Array<{name: string, ok: boolean, message: string|null}>} results - From bulkPowerAction
+ * @returns {string} HTML string
+ */
+function bulkPowerResultHtml(action, results) {
+  const failed = results.filter(r => !r.ok).length;
+  const type = !failed ? 'success' : failed === results.length ? 'danger' : 'warning';
+  const summary = `Sent <strong>${escapeHtml(action)}</strong> to ${results.length - failed} of ${results.length} server${results.length === 1 ? '' : 's'}.`;
+  const rows = results.map(r => `
+    <li>${r.ok ? '<i class="bi bi-check-circle-fill text-success me-1"></i>' : '<i class="bi bi-x-circle-fill text-danger me-1"></i>'}${escapeHtml(r.name)}${r.ok ? '' : `: ${escapeHtml(r.message)}`}</li>
+  `).join('');
+  return alertHtml(`${summary}<ul class="list-unstyled small mb-0 mt-2">${rows}</ul>`, type);
+}
+
+/**
+ * Warnings for panels whose servers could not be listed (getServers), shown above the server cards
+ * @param {Array<{panel: {name: string}, message: string}>} warnings
+ * @returns {string} HTML string
+ */
+function panelWarningsHtml(warnings) {
+  return warnings.map(w => alertHtml(`<i class="bi bi-exclamation-triangle me-1"></i>Servers on <strong>${escapeHtml(w.panel.name)}</strong> are not shown: ${escapeHtml(w.message)}`, 'warning')).join('');
+}
+
+/**
+ * Escape a value for use in HTML text or a double-quoted attribute
+ * @param {*} s - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a byte count for display (1024-based)
+ * @param {number} bytes
+ * @returns {string} e.g. "1.5 MiB"
+ */
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let i = 0;
+  let v = n;
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+  return `${i === 0 ? v : v.toFixed(1)} ${units[i]}`;
+}
+
+/**
+ * Format an ISO timestamp as "YYYY-MM-DD HH:MM" (UTC)
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+  return iso ? new Date(iso).toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz|gz|tar\.bz2|tbz2|bz2|tar\.xz|txz|xz|rar|7z)$/i;
+const EDITOR_MAX_BYTES = 4 * 1024 * 1024;
+
+// Mirrors the panel's own rule for which files open in its editor
+function isEditableFile(file) {
+  if (!file.is_file || ARCHIVE_PATTERN.test(file.name) || file.size > EDITOR_MAX_BYTES) return false;
+  const mime = file.mimetype || '';
+  if (['application/jar', 'application/octet-stream', 'inode/directory'].includes(mime)) return false;
+  return !/^image\/(?!svg\+xml)/.test(mime);
+}
+
+/**
+ * Generate the file manager fragment (breadcrumbs, toolbar and directory listing)
+ * @param {string} serverId - Server identifier
+ * @param {string} directory - Directory being listed
+ * @param {array} files - File attributes from listFiles()
+ * @returns {string} HTML string
+ */
+function fileManagerHtml(serverId, directory, files) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/files`;
+  const dir = path.posix.normalize('/' + (directory || '/'));
+  const listUrl = (d) => `${base}?directory=${encodeURIComponent(d)}`;
+  const vals = (obj) => escapeHtml(JSON.stringify(obj));
+
+  // Breadcrumbs: / > a > b
+  const parts = dir.split('/').filter(Boolean);
+  const crumbs = [`<li class="breadcrumb-item"><a href="#files" hx-get="${listUrl('/')}" hx-target="#file-manager" hx-swap="outerHTML">container</a></li>`];
+  parts.forEach((part, i) => {
+    const d = '/' + parts.slice(0, i + 1).join('/');
+    crumbs.push(i === parts.length - 1
+      ? `<li class="breadcrumb-item active" aria-current="page">${escapeHtml(part)}</li>`
+      : `<li class="breadcrumb-item"><a href="#files" hx-get="${listUrl(d)}" hx-target="#file-manager" hx-swap="outerHTML">${escapeHtml(part)}</a></li>`);
+  });
+
+  const sorted = [...files].sort((a, b) => (a.is_file - b.is_file) || a.name.localeCompare(b.name));
+  const rows = sorted.map(f => {
+    const full = path.posix.join(dir, f.name);
+    const name = !f.is_file
+      ? `<a href="#files" hx-get="${listUrl(full)}" hx-target="#file-manager" hx-swap="outerHTML"><i class="bi bi-folder-fill text-warning me-2"></i>${escapeHtml(f.name)}</a>`
+      : isEditableFile(f)
+        ? `<a href="#files" hx-get="${base}/edit?file=${encodeURIComponent(full)}" hx-target="#file-manager" hx-swap="outerHTML"><i class="bi bi-file-earmark-text me-2"></i>${escapeHtml(f.name)}</a>`
+        : `<span><i class="bi bi-file-earmark me-2"></i>${escapeHtml(f.name)}</span>`;
+
+    const actions = [
+      f.is_file ? `<li><a class="dropdown-item" href="${base}/download?file=${encodeURIComponent(full)}"><i class="bi bi-download me-2"></i>Download</a></li>` : '',
+      `<li><button type="button" class="dropdown-item" hx-post="${base}/rename" hx-vals="${vals({ root: dir, from: f.name })}" hx-prompt="Rename or move (relative to ${escapeHtml(dir)})" hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-pencil me-2"></i>Rename / move</button></li>`,
+      `<li><button type="button" class="dropdown-item" hx-post="${base}/chmod" hx-vals="${vals({ root: dir, file: f.name })}" hx-prompt="New permissions in octal (currently ${escapeHtml(f.mode_bits)})" hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-shield-lock me-2"></i>Permissions</button></li>`,
+      f.is_file && ARCHIVE_PATTERN.test(f.name) ? `<li><button type="button" class="dropdown-item" hx-post="${base}/decompress" hx-vals="${vals({ root: dir, file: f.name })}" hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-file-zip me-2"></i>Unarchive</button></li>` : '',
+      `<li><hr class="dropdown-divider"></li>`,
+      `<li><button type="button" class="dropdown-item text-danger" hx-post="${base}/delete" hx-vals="${vals({ root: dir, files: f.name })}" hx-confirm="Delete ${escapeHtml(f.name)}? This cannot be undone." hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-trash me-2"></i>Delete</button></li>`
+    ].join('');
+
+    return `
+      <tr>
+        <td><input class="form-check-input" type="checkbox" name="files" value="${escapeHtml(f.name)}" aria-label="Select ${escapeHtml(f.name)}"></td>
+        <td class="text-break">${name}</td>
+        <td class="text-nowrap small text-body-secondary">${f.is_file ? formatBytes(f.size) : ''}</td>
+        <td class="text-nowrap small font-monospace text-body-secondary">${escapeHtml(f.mode)}</td>
+        <td class="text-nowrap small text-body-secondary">${formatDate(f.modified_at)}</td>
+        <td class="text-end">
+          <div class="dropdown">
+            <button class="btn btn-sm btn-outline-secondary" type="button" data-bs-toggle="dropdown" aria-expanded="false" aria-label="Actions"><i class="bi bi-three-dots"></i></button>
+            <ul class="dropdown-menu dropdown-menu-end">${actions}</ul>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="file-manager" data-directory="${escapeHtml(dir)}" hx-get="${listUrl(dir)}" hx-trigger="files-changed from:body" hx-swap="outerHTML">
+      <nav aria-label="Current directory"><ol class="breadcrumb mb-2">${crumbs.join('')}</ol></nav>
+
+      <div class="d-flex flex-wrap gap-2 mb-2">
+        <button type="button" class="btn btn-sm btn-outline-primary" hx-post="${base}/create-folder" hx-vals="${vals({ root: dir })}" hx-prompt="Folder name" hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-folder-plus me-1"></i>New folder</button>
+        <label class="btn btn-sm btn-outline-primary mb-0"><i class="bi bi-upload me-1"></i>Upload<input type="file" class="d-none" id="file-upload-input" multiple></label>
+        <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${base}/compress" hx-vals="${vals({ root: dir })}" hx-include="#file-list-form" hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-file-zip me-1"></i>Archive selected</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" hx-post="${base}/delete" hx-vals="${vals({ root: dir })}" hx-include="#file-list-form" hx-confirm="Delete the selected files? This cannot be undone." hx-target="#files-alert" hx-swap="innerHTML"><i class="bi bi-trash me-1"></i>Delete selected</button>
+      </div>
+      <div id="file-upload-progress"></div>
+
+      <div id="file-list-form">
+        <div class="table-responsive">
+          <table class="table table-sm table-hover align-middle mb-0">
+            <thead><tr><th style="width:2rem"></th><th>Name</th><th>Size</th><th>Mode</th><th>Modified</th><th></th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="6" class="text-center text-body-secondary py-4">This directory is empty.</td></tr>'}</tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the in-browser text editor fragment for a file
+ * @param {string} serverId - Server identifier
+ * @param {string} file - Full path of the file
+ * @param {string} content - Current file contents
+ * @returns {string} HTML string
+ */
+function fileEditorHtml(serverId, file, content) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/files`;
+  const dir = path.posix.dirname(file);
+
+  return `
+    <div id="file-manager" data-directory="${escapeHtml(dir)}">
+      <div class="d-flex align-items-center justify-content-between gap-2 mb-2">
+        <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${base}?directory=${encodeURIComponent(dir)}" hx-target="#file-manager" hx-swap="outerHTML"><i class="bi bi-arrow-left me-1"></i>Back</button>
+        <code class="text-break">${escapeHtml(file)}</code>
+      </div>
+      <form id="file-editor-form" hx-post="${base}/write" hx-target="#files-alert" hx-swap="innerHTML">
+        <input type="hidden" name="file" value="${escapeHtml(file)}">
+        <textarea name="content" class="form-control font-monospace file-editor" rows="25" spellcheck="false" aria-label="File contents">${escapeHtml(content)}</textarea>
+        <div class="d-flex justify-content-end mt-2">
+          <button type="submit" class="btn btn-sm btn-primary"><i class="bi bi-save me-1"></i>Save</button>
+        </div>
+      </form>
+    </div>
+  `;
+}
+
+/**
+ * Generate the backups list fragment
+ * @param {string} serverId - Server identifier
+ * @param {array} backups - Backup attributes from listBackups()
+ * @returns {string} HTML string
+ */
+function backupsHtml(serverId, backups) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/backups`;
+
+  const rows = backups.map(b => {
+    const inProgress = !b.completed_at;
+    const state = inProgress
+      ? '<span class="badge bg-info"><span class="spinner-border spinner-border-sm me-1" aria-hidden="true"></span>In progress</span>'
+      : b.is_successful
+        ? '<span class="badge bg-success">Completed</span>'
+        : '<span class="badge bg-danger">Failed</span>';
+    const url = `${base}/${encodeURIComponent(b.uuid)}`;
+    const usable = !inProgress && b.is_successful;
+
+    const actions = [
+      usable ? `<li><a class="dropdown-item" href="${url}/download"><i class="bi bi-download me-2"></i>Download</a></li>` : '',
+      usable ? `<li><button type="button" class="dropdown-item" hx-post="${url}/restore" hx-vals='{"truncate":"0"}' hx-confirm="Restore ${escapeHtml(b.name)}? Files in the backup will overwrite existing ones. The server will be stopped." hx-target="#backups-alert" hx-swap="innerHTML"><i class="bi bi-arrow-counterclockwise me-2"></i>Restore</button></li>` : '',
+      usable ? `<li><button type="button" class="dropdown-item" hx-post="${url}/restore" hx-vals='{"truncate":"1"}' hx-confirm="Restore ${escapeHtml(b.name)} and DELETE all existing files first? This cannot be undone." hx-target="#backups-alert" hx-swap="innerHTML"><i class="bi bi-arrow-counterclockwise me-2"></i>Restore (truncate files)</button></li>` : '',
+      !inProgress ? `<li><button type="button" class="dropdown-item" hx-post="${url}/lock" hx-target="#backups-alert" hx-swap="innerHTML"><i class="bi bi-${b.is_locked ? 'unlock' : 'lock'} me-2"></i>${b.is_locked ? 'Unlock' : 'Lock'}</button></li>` : '',
+      `<li><hr class="dropdown-divider"></li>`,
+      `<li><button type="button" class="dropdown-item text-danger" ${b.is_locked ? 'disabled title="Unlock the backup first"' : ''} hx-delete="${url}" hx-confirm="Delete ${escapeHtml(b.name)}? This cannot be undone." hx-target="#backups-alert" hx-swap="innerHTML"><i class="bi bi-trash me-2"></i>Delete</button></li>`
+    ].join('');
+
+    return `
+      <tr data-backup-uuid="${escapeHtml(b.uuid)}">
+        <td class="text-break">${b.is_locked ? '<i class="bi bi-lock-fill text-warning me-1" title="Locked"></i>' : ''}${escapeHtml(b.name)}</td>
+        <td>${state}</td>
+        <td class="text-nowrap small text-body-secondary">${inProgress ? '' : formatBytes(b.bytes)}</td>
+        <td class="small font-monospace text-body-secondary" title="${escapeHtml(b.checksum || '')}">${b.checksum ? escapeHtml(String(b.checksum).slice(0, 18)) + '&hellip;' : ''}</td>
+        <td class="text-nowrap small text-body-secondary">${formatDate(b.created_at)}</td>
+        <td class="text-nowrap small text-body-secondary">${formatDate(b.completed_at)}</td>
+        <td class="text-end">
+          <div class="dropdown">
+            <button class="btn btn-sm btn-outline-secondary" type="button" data-bs-toggle="dropdown" aria-expanded="false" aria-label="Actions"><i class="bi bi-three-dots"></i></button>
+            <ul class="dropdown-menu dropdown-menu-end">${actions}</ul>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  // Completion normally arrives as a websocket event; polling is the fallback while the console is disconnected
+  const polling = backups.some(b => !b.completed_at) ? ', every 15s' : '';
+
+  return `
+    <div id="backups-list" hx-get="${base}" hx-trigger="backups-changed from:body${polling}" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Name</th><th>State</th><th>Size</th><th>Checksum</th><th>Created</th><th>Completed</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="7" class="text-center text-body-secondary py-4">No backups yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the databases list fragment
+ * @param {string} serverId - Server identifier
+ * @param {array} databases - Database attributes from listDatabases()
+ * @returns {string} HTML string
+ */
+function databasesHtml(serverId, databases) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/databases`;
+
+  const rows = databases.map(d => {
+    const url = `${base}/${encodeURIComponent(d.id)}`;
+    const host = d.host ? `${d.host.address}:${d.host.port}` : '';
+    return `
+      <tr>
+        <td class="text-break">${escapeHtml(d.name)}</td>
+        <td class="small font-monospace">${escapeHtml(host)}</td>
+        <td class="small font-monospace text-break">${escapeHtml(d.username)}</td>
+        <td class="small font-monospace">${escapeHtml(d.connections_from)}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${url}/rotate-password" hx-confirm="Rotate the password for ${escapeHtml(d.name)}? Anything using the old password will lose access." hx-target="#databases-alert" hx-swap="innerHTML"><i class="bi bi-key me-1"></i>Rotate password</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete database ${escapeHtml(d.name)}? All data in it will be lost." hx-target="#databases-alert" hx-swap="innerHTML" aria-label="Delete"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="databases-list" hx-get="${base}" hx-trigger="databases-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Database</th><th>Endpoint</th><th>Username</th><th>Connections from</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="5" class="text-center text-body-secondary py-4">No databases yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the one-time password dialog shown after creating a database or rotating its password.
+ * The password only ever exists in this response; it is not stored anywhere on our side.
+ * @param {object} database - Database attributes
+ * @param {string} password - Plain text password from the panel
+ * @returns {string} HTML string
+ */
+function databasePasswordHtml(database, password) {
+  const host = database.host ? `${database.host.address}:${database.host.port}` : '';
+  return `
+    <div class="modal fade" id="database-password-modal" tabindex="-1" aria-labelledby="database-password-title" aria-hidden="true">
+      <div class="modal-dialog">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="database-password-title">Credentials for ${escapeHtml(database.name)}</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            <p class="small text-warning mb-3">This password is shown once. Copy it now; rotate it again if you lose it.</p>
+            <dl class="row small mb-2">
+              <dt class="col-4">Endpoint</dt><dd class="col-8 font-monospace">${escapeHtml(host)}</dd>
+              <dt class="col-4">Username</dt><dd class="col-8 font-monospace text-break">${escapeHtml(database.username)}</dd>
+            </dl>
+            <div class="input-group input-group-sm">
+              <input type="text" class="form-control font-monospace" id="database-password-value" value="${escapeHtml(password)}" readonly aria-label="Password">
+              <button type="button" class="btn btn-outline-secondary" data-copy-target="#database-password-value"><i class="bi bi-clipboard me-1"></i>Copy</button>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-sm btn-primary" data-bs-dismiss="modal">Done</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the subusers list fragment
+ * @param {string} serverId - Server identifier
+ * @param {array} users - Subuser attributes from listSubusers()
+ * @returns {string} HTML string
+ */
+function subusersHtml(serverId, users) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/users`;
+
+  const rows = users.map(u => {
+    const url = `${base}/${encodeURIComponent(u.uuid)}`;
+    return `
+      <tr>
+        <td class="text-break">${escapeHtml(u.username)}<div class="small text-body-secondary">${escapeHtml(u.email)}</div></td>
+        <td>${u['2fa_enabled'] ? '<span class="badge bg-success">2FA</span>' : '<span class="badge bg-secondary">No 2FA</span>'}</td>
+        <td class="small text-body-secondary">${(u.permissions || []).length} permission(s)</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${url}/edit" hx-target="#subuser-editor" hx-swap="innerHTML"><i class="bi bi-pencil me-1"></i>Permissions</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Remove ${escapeHtml(u.email)} from this server?" hx-target="#users-alert" hx-swap="innerHTML" aria-label="Remove"><i class="bi bi-person-x"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="users-list" hx-get="${base}" hx-trigger="users-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>User</th><th>Security</th><th>Access</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="4" class="text-center text-body-secondary py-4">No subusers. Invite someone to share this server.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the invite / edit form with the grouped permission matrix.
+ * Groups and keys come from the panel (getPermissionGroups), so new panel permissions show up automatically.
+ * @param {string} serverId - Server identifier
+ * @param {object} groups - { group: { description, keys: { key: description } } }
+ * @param {object|null} user - Subuser being edited, or null to invite a new one
+ * @returns {string} HTML string
+ */
+function subuserFormHtml(serverId, groups, user) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/users`;
+  const granted = new Set(user?.permissions || []);
+  const action = user ? `${base}/${encodeURIComponent(user.uuid)}` : base;
+
+  const matrix = Object.entries(groups).map(([group, def]) => {
+    const boxes = Object.entries(def.keys || {}).map(([key, description]) => {
+      const perm = `${group}.${key}`;
+      const id = `perm-${perm.replace(/[^\w-]/g, '-')}`;
+      return `
+        <div class="form-check">
+          <input class="form-check-input" type="checkbox" name="permissions" value="${escapeHtml(perm)}" id="${escapeHtml(id)}" data-perm-group="${escapeHtml(group)}" ${granted.has(perm) ? 'checked' : ''}>
+          <label class="form-check-label small" for="${escapeHtml(id)}" title="${escapeHtml(description)}">${escapeHtml(key)}</label>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="col-md-6 col-xl-4">
+        <div class="border rounded p-2 h-100">
+          <div class="form-check mb-1">
+            <input class="form-check-input" type="checkbox" id="perm-group-${escapeHtml(group)}" data-perm-group-toggle="${escapeHtml(group)}">
+            <label class="form-check-label fw-semibold text-capitalize" for="perm-group-${escapeHtml(group)}">${escapeHtml(group)}</label>
+          </div>
+          <p class="small text-body-secondary mb-2">${escapeHtml(def.description)}</p>
+          ${boxes}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">${user ? `Permissions for ${escapeHtml(user.email)}` : 'Invite subuser'}</h3>
+        <form id="subuser-form" hx-post="${action}" hx-target="#users-alert" hx-swap="innerHTML">
+          ${user ? '' : `
+            <div class="mb-3">
+              <label for="subuser-email" class="form-label small">Email address</label>
+              <input type="email" class="form-control form-control-sm" id="subuser-email" name="email" required>
+            </div>
+          `}
+          <div class="row g-2 mb-3">${matrix}</div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">${user ? 'Save permissions' : 'Send invite'}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-subuser-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the network allocations fragment
+ * @param {string} serverId - Server identifier
+ * @param {array} allocations - Allocation attributes from listAllocations()
+ * @returns {string} HTML string
+ */
+function allocationsHtml(serverId, allocations) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/network`;
+
+  const rows = [...allocations].sort((a, b) => b.is_default - a.is_default || a.port - b.port).map(a => {
+    const url = `${base}/${encodeURIComponent(a.id)}`;
+    return `
+      <tr>
+        <td class="font-monospace small">${escapeHtml(a.ip_alias || a.ip)}${a.ip_alias ? `<div class="text-body-secondary">${escapeHtml(a.ip)}</div>` : ''}</td>
+        <td class="font-monospace">${escapeHtml(a.port)}</td>
+        <td style="min-width:14rem">
+          <input type="text" class="form-control form-control-sm" name="notes" value="${escapeHtml(a.notes || '')}" maxlength="255" placeholder="Add a note" aria-label="Notes for port ${escapeHtml(a.port)}"
+            hx-post="${url}/notes" hx-trigger="change" hx-target="#network-alert" hx-swap="innerHTML">
+        </td>
+        <td>${a.is_default
+          ? '<span class="badge bg-primary">Primary</span>'
+          : `<button type="button" class="btn btn-sm btn-outline-primary" hx-post="${url}/primary" hx-target="#network-alert" hx-swap="innerHTML">Make primary</button>`}</td>
+        <td class="text-end">${a.is_default ? '' : `<button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Remove port ${escapeHtml(a.port)} from this server?" hx-target="#network-alert" hx-swap="innerHTML" aria-label="Remove"><i class="bi bi-trash"></i></button>`}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="network-list" hx-get="${base}" hx-trigger="network-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Address</th><th>Port</th><th>Notes</th><th></th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="5" class="text-center text-body-secondary py-4">No allocations.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate a single startup variable's save feedback (used for inline, per-field validation)
+ * @param {string|null} error - Error from the panel, or null when saved
+ * @returns {string} HTML string
+ */
+function startupVariableFeedbackHtml(error) {
+  return error
+    ? `<div class="invalid-feedback d-block">${escapeHtml(error)}</div>`
+    : '<div class="valid-feedback d-block">Saved.</div>';
+}
+
+/**
+ * Generate the startup tab fragment: rendered command, Docker image selector and egg variables
+ * @param {string} serverId - Server identifier
+ * @param {{variables: array, startupCommand: string, dockerImages: object}} startup - From getStartup()
+ * @param {string} currentImage - The server's current Docker image
+ * @returns {string} HTML string
+ */
+function startupHtml(serverId, startup, currentImage) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/startup`;
+  const images = Object.entries(startup.dockerImages || {});
+  const customImage = currentImage && !images.some(([, image]) => image === currentImage);
+
+  const imageOptions = images.map(([label, image]) =>
+    `<option value="${escapeHtml(image)}" ${image === currentImage ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+
+  const variables = startup.variables.map(v => {
+    const id = `startup-var-${escapeHtml(v.env_variable)}`;
+    const value = v.server_value ?? v.default_value ?? '';
+    const common = `id="${id}" name="value" aria-describedby="${id}-help" ${v.is_editable ? '' : 'disabled'}
+      hx-put="${base}/variable" hx-vals="${escapeHtml(JSON.stringify({ key: v.env_variable }))}" hx-trigger="change" hx-target="#${id}-feedback" hx-swap="innerHTML"`;
+
+    // "in:a,b,c" rules become a select so only allowed values can be picked
+    const inRule = String(v.rules || '').split('|').find(r => r.startsWith('in:'));
+    const control = inRule
+      ? `<select class="form-select form-select-sm" ${common}>${inRule.slice(3).split(',').map(o =>
+          `<option value="${escapeHtml(o)}" ${o === String(value) ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}</select>`
+      : `<input type="text" class="form-control form-control-sm font-monospace" value="${escapeHtml(value)}" placeholder="${escapeHtml(v.default_value || '')}" ${common}>`;
+
+    return `
+      <div class="col-md-6">
+        <div class="border rounded p-2 h-100">
+          <label for="${id}" class="form-label small fw-semibold mb-1">${escapeHtml(v.name)}${v.is_editable ? '' : ' <i class="bi bi-lock-fill text-body-secondary" title="Read only"></i>'}</label>
+          ${control}
+          <div id="${id}-feedback"></div>
+          <div id="${id}-help" class="form-text">${escapeHtml(v.description)}</div>
+          <div class="small text-body-secondary mt-1"><code>${escapeHtml(v.env_variable)}</code> &middot; <span class="font-monospace">${escapeHtml(v.rules)}</span></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div id="startup-content" hx-get="${base}" hx-trigger="startup-changed from:body" hx-swap="outerHTML">
+      <div class="card mb-3">
+        <div class="card-body">
+          <h3 class="h6">Startup command</h3>
+          <pre class="bg-dark p-2 rounded-1 mb-0"><code id="startup-command" class="text-white text-wrap">${escapeHtml(startup.startupCommand)}</code></pre>
+        </div>
+      </div>
+
+      <div class="card mb-3">
+        <div class="card-body">
+          <label for="startup-docker-image" class="h6 form-label">Docker image</label>
+          ${customImage
+            ? `<input type="text" class="form-control form-control-sm font-monospace" id="startup-docker-image" value="${escapeHtml(currentImage)}" disabled>
+               <div class="form-text">This server uses a custom image set by an administrator, so it cannot be changed here.</div>`
+            : `<select class="form-select form-select-sm" id="startup-docker-image" name="docker_image" ${images.length > 1 ? '' : 'disabled'}
+                 hx-put="${base}/docker-image" hx-trigger="change" hx-target="#startup-alert" hx-swap="innerHTML">${imageOptions}</select>
+               <div class="form-text">Only the images allowed by this server's egg are listed.</div>`}
+        </div>
+      </div>
+
+      <h3 class="h6 mb-2">Variables</h3>
+      <div class="row g-2">${variables || '<div class="col-12 text-body-secondary small">This egg has no variables.</div>'}</div>
+    </div>
+  `;
+}
+
+const CRON_FIELD_PATTERN = /^(\*|\d+(-\d+)?)(\/\d+)?(,(\*|\d+(-\d+)?)(\/\d+)?)*$/;
+const CRON_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CRON_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// "1,3-5" -> "1, 3 through 5" (optionally mapping numbers to names)
+function describeCronList(value, names, offset = 0) {
+  const name = (n) => names ? (names[(Number(n) - offset) % names.length] || n) : n;
+  const items = value.split(',').map(part => {
+    const [range, step] = part.split('/');
+    const [from, to] = range.split('-');
+    let text = range === '*' ? 'every value' : to !== undefined ? `${name(from)} through ${name(to)}` : name(from);
+    if (step) text += ` (every ${step})`;
+    return text;
+  });
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Describe a schedule's cron fields in plain English, e.g. "At 04:00 on Monday"
+ * @param {{minute: string, hour: string, day_of_month: string, month: string, day_of_week: string}} cron
+ * @returns {string|null} Description, or null when a field is not a valid cron expression
+ */
+function describeCron(cron) {
+  const f = {
+    minute: String(cron.minute ?? '').trim(),
+    hour: String(cron.hour ?? '').trim(),
+    dom: String(cron.day_of_month ?? '').trim(),
+    month: String(cron.month ?? '').trim(),
+    dow: String(cron.day_of_week ?? '').trim()
+  };
+  if (!Object.values(f).every(v => CRON_FIELD_PATTERN.test(v))) return null;
+
+  const num = (v) => /^\d+$/.test(v);
+  const every = (v) => (v.match(/^\*\/(\d+)$/) || [])[1];
+  const pad = (v) => String(v).padStart(2, '0');
+  const parts = [];
+
+  if (num(f.minute) && num(f.hour)) {
+    parts.push(`At ${pad(f.hour)}:${pad(f.minute)}`);
+  } else {
+    if (f.minute === '*') parts.push('Every minute');
+    else if (every(f.minute)) parts.push(`Every ${every(f.minute)} minutes`);
+    else parts.push(`At minute ${describeCronList(f.minute)}`);
+
+    if (every(f.hour)) parts.push(`every ${every(f.hour)} hours`);
+    else if (f.hour !== '*') parts.push(`during hour ${describeCronList(f.hour)}`);
+    else if (f.minute !== '*' && !every(f.minute)) parts.push('of every hour');
+  }
+
+  // Like cron, a restricted day of month and day of week match on either
+  const days = [];
+  if (every(f.dom)) days.push(`every ${every(f.dom)} days`);
+  else if (f.dom !== '*') days.push(`on day ${describeCronList(f.dom)} of the month`);
+  if (f.dow !== '*') days.push(`on ${describeCronList(f.dow, CRON_DAYS)}`);
+  if (days.length) parts.push(days.join(' or '));
+  else if (num(f.minute) && num(f.hour) && f.month === '*') parts.push('every day');
+
+  if (f.month !== '*') parts.push(`in ${describeCronList(f.month, CRON_MONTHS, 1)}`);
+
+  return parts.join(', ').replace(/, (on|in|during|every|of) /g, ' $1 ');
+}
+
+const TASK_LABELS = { command: 'Send command', power: 'Power action', backup: 'Create backup' };
+
+/**
+ * Generate the schedules list fragment, each schedule with its ordered tasks
+ * @param {string} serverId - Server identifier
+ * @param {array} schedules - Schedule attributes (with tasks) from listSchedules()
+ * @returns {string} HTML string
+ */
+function schedulesHtml(serverId, schedules) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/schedules`;
+
+  const cards = schedules.map(sch => {
+    const url = `${base}/${encodeURIComponent(sch.id)}`;
+    const expr = [sch.cron.minute, sch.cron.hour, sch.cron.day_of_month, sch.cron.month, sch.cron.day_of_week].join(' ');
+    const tasks = [...(sch.tasks || [])].sort((a, b) => a.sequence_id - b.sequence_id);
+
+    const taskRows = tasks.map(t => `
+      <tr>
+        <td class="small text-body-secondary">${escapeHtml(t.sequence_id)}</td>
+        <td class="small">${escapeHtml(TASK_LABELS[t.action] || t.action)}</td>
+        <td class="small font-monospace text-break">${escapeHtml(t.payload || '')}</td>
+        <td class="small text-nowrap">${t.time_offset ? `+${escapeHtml(t.time_offset)}s` : ''}</td>
+        <td class="small">${t.continue_on_failure ? '<span class="badge bg-secondary">Continue on failure</span>' : ''}${t.is_queued ? ' <span class="badge bg-info">Queued</span>' : ''}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${url}/tasks/${encodeURIComponent(t.id)}/edit" hx-target="#schedule-editor" hx-swap="innerHTML" aria-label="Edit task"><i class="bi bi-pencil"></i></button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}/tasks/${encodeURIComponent(t.id)}" hx-confirm="Delete this task?" hx-target="#schedules-alert" hx-swap="innerHTML" aria-label="Delete task"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="card mb-3">
+        <div class="card-body">
+          <div class="d-flex flex-wrap justify-content-between gap-2">
+            <div>
+              <h3 class="h6 mb-1">${escapeHtml(sch.name)}
+                ${sch.is_active ? '<span class="badge bg-success ms-1">Active</span>' : '<span class="badge bg-secondary ms-1">Inactive</span>'}
+                ${sch.is_processing ? '<span class="badge bg-info ms-1">Running</span>' : ''}
+                ${sch.only_when_online ? '<span class="badge bg-dark border ms-1">Only when online</span>' : ''}
+              </h3>
+              <div class="small"><code>${escapeHtml(expr)}</code> &middot; ${escapeHtml(describeCron(sch.cron) || 'Invalid expression')}</div>
+              <div class="small text-body-secondary">Next run: ${sch.is_active && sch.next_run_at ? formatDate(sch.next_run_at) + ' UTC' : 'n/a'} &middot; Last run: ${sch.last_run_at ? formatDate(sch.last_run_at) + ' UTC' : 'never'}</div>
+            </div>
+            <div class="d-flex flex-wrap align-items-start gap-1">
+              <button type="button" class="btn btn-sm btn-outline-success" hx-post="${url}/execute" hx-confirm="Run ${escapeHtml(sch.name)} now?" hx-target="#schedules-alert" hx-swap="innerHTML" ${sch.is_processing || !tasks.length ? 'disabled' : ''}><i class="bi bi-play me-1"></i>Run now</button>
+              <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${url}/toggle" hx-target="#schedules-alert" hx-swap="innerHTML">${sch.is_active ? 'Disable' : 'Enable'}</button>
+              <button type="button" class="btn btn-sm btn-outline-secondary" hx-get="${url}/edit" hx-target="#schedule-editor" hx-swap="innerHTML"><i class="bi bi-pencil me-1"></i>Edit</button>
+              <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete ${escapeHtml(sch.name)} and all of its tasks?" hx-target="#schedules-alert" hx-swap="innerHTML" aria-label="Delete schedule"><i class="bi bi-trash"></i></button>
+            </div>
+          </div>
+
+          <div class="table-responsive mt-2">
+            <table class="table table-sm align-middle mb-2">
+              <thead><tr><th>#</th><th>Action</th><th>Payload</th><th>Offset</th><th></th><th></th></tr></thead>
+              <tbody>${taskRows || '<tr><td colspan="6" class="small text-body-secondary">No tasks yet.</td></tr>'}</tbody>
+            </table>
+          </div>
+          <button type="button" class="btn btn-sm btn-outline-primary" hx-get="${url}/tasks/new" hx-target="#schedule-editor" hx-swap="innerHTML"><i class="bi bi-plus-lg me-1"></i>Add task</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div id="schedules-list" hx-get="${base}" hx-trigger="schedules-changed from:body" hx-swap="outerHTML">
+      ${cards || '<div class="text-center text-body-secondary py-4">No schedules yet.</div>'}
+    </div>
+  `;
+}
+
+/**
+ * Generate the create / edit schedule form with a live cron preview
+ * @param {string} serverId - Server identifier
+ * @param {object|null} schedule - Schedule being edited, or null for a new one
+ * @returns {string} HTML string
+ */
+function scheduleFormHtml(serverId, schedule) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/schedules`;
+  const cron = schedule?.cron || { minute: '0', hour: '4', day_of_month: '*', month: '*', day_of_week: '*' };
+  const action = schedule ? `${base}/${encodeURIComponent(schedule.id)}` : base;
+  const field = (name, label) => `
+    <div class="col">
+      <label for="cron-${name}" class="form-label small">${label}</label>
+      <input type="text" class="form-control form-control-sm font-monospace" id="cron-${name}" name="${name}" value="${escapeHtml(cron[name])}" required>
+    </div>
+  `;
+
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">${schedule ? `Edit ${escapeHtml(schedule.name)}` : 'New schedule'}</h3>
+        <form id="schedule-form" hx-post="${action}" hx-target="#schedules-alert" hx-swap="innerHTML">
+          <div class="mb-2">
+            <label for="schedule-name" class="form-label small">Name</label>
+            <input type="text" class="form-control form-control-sm" id="schedule-name" name="name" value="${escapeHtml(schedule?.name || '')}" maxlength="191" required>
+          </div>
+          <div class="row g-2 mb-1" hx-get="${base}/preview" hx-trigger="input changed delay:300ms" hx-include="#schedule-form" hx-target="#cron-preview" hx-swap="innerHTML">
+            ${field('minute', 'Minute')}${field('hour', 'Hour')}${field('day_of_month', 'Day of month')}${field('month', 'Month')}${field('day_of_week', 'Day of week')}
+          </div>
+          <div id="cron-preview" class="small text-info mb-3">${escapeHtml(describeCron(cron) || 'Invalid cron expression')}</div>
+          <div class="form-check">
+            <input type="checkbox" class="form-check-input" id="schedule-active" name="is_active" ${schedule ? (schedule.is_active ? 'checked' : '') : 'checked'}>
+            <label class="form-check-label small" for="schedule-active">Active</label>
+          </div>
+          <div class="form-check mb-3">
+            <input type="checkbox" class="form-check-input" id="schedule-online" name="only_when_online" ${schedule?.only_when_online ? 'checked' : ''}>
+            <label class="form-check-label small" for="schedule-online">Only run when the server is online</label>
+          </div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">${schedule ? 'Save schedule' : 'Create schedule'}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-schedule-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the add / edit task form
+ * @param {string} serverId - Server identifier
+ * @param {object} schedule - Schedule the task belongs to
+ * @param {object|null} task - Task being edited, or null for a new one
+ * @returns {string} HTML string
+ */
+function taskFormHtml(serverId, schedule, task) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/schedules/${encodeURIComponent(schedule.id)}/tasks`;
+  const action = task ? `${base}/${encodeURIComponent(task.id)}` : base;
+  const current = task?.action || 'command';
+  const payload = task?.payload || '';
+
+  // One payload control per action; the inactive ones are disabled so only one "payload" is submitted
+  const payloads = `
+    <div data-task-payload="command" class="${current === 'command' ? '' : 'd-none'}">
+      <label for="task-payload-command" class="form-label small">Command</label>
+      <input type="text" class="form-control form-control-sm font-monospace" id="task-payload-command" name="payload" value="${current === 'command' ? escapeHtml(payload) : ''}" ${current === 'command' ? '' : 'disabled'}>
+    </div>
+    <div data-task-payload="power" class="${current === 'power' ? '' : 'd-none'}">
+      <label for="task-payload-power" class="form-label small">Power action</label>
+      <select class="form-select form-select-sm" id="task-payload-power" name="payload" ${current === 'power' ? '' : 'disabled'}>
+        ${POWER_ACTIONS.map(a => `<option value="${a}" ${current === 'power' && payload === a ? 'selected' : ''}>${a}</option>`).join('')}
+      </select>
+    </div>
+    <div data-task-payload="backup" class="${current === 'backup' ? '' : 'd-none'}">
+      <label for="task-payload-backup" class="form-label small">Ignored files</label>
+      <textarea class="form-control form-control-sm font-monospace" id="task-payload-backup" name="payload" rows="2" placeholder="One pattern per line (optional)" ${current === 'backup' ? '' : 'disabled'}>${current === 'backup' ? escapeHtml(payload) : ''}</textarea>
+    </div>
+  `;
+
+  return `
+    <div class="card mb-3">
+      <div class="card-body">
+        <h3 class="h6 mb-3">${task ? 'Edit task' : 'New task'} for ${escapeHtml(schedule.name)}</h3>
+        <form id="task-form" hx-post="${action}" hx-target="#schedules-alert" hx-swap="innerHTML">
+          <div class="row g-2 mb-2">
+            <div class="col-sm-6">
+              <label for="task-action" class="form-label small">Action</label>
+              <select class="form-select form-select-sm" id="task-action" name="action">
+                ${Object.entries(TASK_LABELS).map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="col-sm-3">
+              <label for="task-offset" class="form-label small">Time offset (s)</label>
+              <input type="number" class="form-control form-control-sm" id="task-offset" name="time_offset" min="0" max="900" value="${escapeHtml(task?.time_offset ?? 0)}">
+            </div>
+            ${task ? `
+              <div class="col-sm-3">
+                <label for="task-sequence" class="form-label small">Position</label>
+                <input type="number" class="form-control form-control-sm" id="task-sequence" name="sequence_id" min="1" value="${escapeHtml(task.sequence_id)}">
+              </div>
+            ` : ''}
+          </div>
+          <div class="mb-2">${payloads}</div>
+          <div class="form-text mb-2">The offset is how long to wait after the previous task before running this one.</div>
+          <div class="form-check mb-3">
+            <input type="checkbox" class="form-check-input" id="task-continue" name="continue_on_failure" ${task?.continue_on_failure ? 'checked' : ''}>
+            <label class="form-check-label small" for="task-continue">Continue with the next tasks if this one fails</label>
+          </div>
+          <div class="d-flex gap-2">
+            <button type="submit" class="btn btn-sm btn-primary">${task ? 'Save task' : 'Add task'}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-schedule-cancel>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the personal API token list fragment (dashboard, #api-tokens)
+ * @param {array} tokens - From listApiTokens()
+ * @returns {string} HTML string
+ */
+function apiTokensHtml(tokens) {
+  const rows = tokens.map(t => `
+      <tr>
+        <td class="text-break">${escapeHtml(t.name)}</td>
+        <td class="small font-monospace text-body-secondary">${escapeHtml(t.tokenPrefix)}</td>
+        <td class="text-nowrap small text-body-secondary">${formatDate(t.createdAt)}</td>
+        <td class="text-nowrap small text-body-secondary">${t.lastUsedAt ? formatDate(t.lastUsedAt) : 'Never'}</td>
+        <td class="text-nowrap small text-body-secondary">${t.expiresAt ? formatDate(t.expiresAt) : 'Never'}</td>
+        <td class="text-end">
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="/api/tokens/${encodeURIComponent(t.id)}" hx-confirm="Revoke ${escapeHtml(t.name)}? Scripts using it stop working at once." hx-target="#api-tokens-alert" hx-swap="innerHTML">Revoke</button>
+        </td>
+      </tr>
+  `).join('');
+
+  return `
+    <div id="api-tokens-list" hx-get="/api/tokens" hx-trigger="api-tokens-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Name</th><th>Token</th><th>Created</th><th>Last used</th><th>Expires</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6" class="text-center text-body-secondary py-4">No API tokens.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Alert showing a freshly issued API token; it is never shown again
+ * @param {{token: string, name: string}} issued - From issueApiToken()
+ * @returns {string} HTML string
+ */
+function apiTokenCreatedHtml(issued) {
+  return alertHtml(`
+    <p class="mb-2">Created <strong>${escapeHtml(issued.name)}</strong>. Copy the token now, it is shown only once:</p>
+    <input type="text" class="form-control form-control-sm font-monospace" value="${escapeHtml(issued.token)}" readonly aria-label="API token">
+  `, 'success');
+}
+
+/**
+ * Generate the alert rules list of a server (rules come from notifications.listRules)
+ * @param {string} serverId - Server identifier
+ * @param {Array<object>} rules - Public rules
+ * @returns {string} HTML string
+ */
+function notificationRulesHtml(serverId, rules) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/alerts`;
+  const rows = rules.map(r => {
+    const url = `${base}/${encodeURIComponent(r.id)}`;
+    const state = r.error
+      ? `<span class="badge bg-danger" title="${escapeHtml(r.error)}">Paused</span>`
+      : r.enabled ? '<span class="badge bg-success">Active</span>' : '<span class="badge bg-secondary">Disabled</span>';
+    return `
+      <tr>
+        <td class="text-break">${escapeHtml(r.name)} ${state}
+          ${r.error ? `<div class="small text-danger">${escapeHtml(r.error)}</div>` : ''}
+        </td>
+        <td class="small text-break">${escapeHtml(r.description)}</td>
+        <td class="small text-nowrap">${escapeHtml(r.formatLabel)}<div class="text-body-secondary font-monospace">${escapeHtml(r.target)}</div></td>
+        <td class="small text-nowrap text-body-secondary">${r.cooldownMinutes ? `${escapeHtml(r.cooldownMinutes)} min` : 'None'}</td>
+        <td class="small text-nowrap text-body-secondary">${r.lastFiredAt ? formatDate(r.lastFiredAt) : 'Never'}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${url}/test" hx-target="#alerts-alert" hx-swap="innerHTML">Send test</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" hx-post="${url}/toggle" hx-target="#alerts-alert" hx-swap="innerHTML">${r.enabled ? 'Disable' : 'Enable'}</button>
+          <button type="button" class="btn btn-sm btn-outline-danger" hx-delete="${url}" hx-confirm="Delete the alert ${escapeHtml(r.name)}?" hx-target="#alerts-alert" hx-swap="innerHTML" aria-label="Delete alert"><i class="bi bi-trash"></i></button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="alert-rules-list" hx-get="${base}" hx-trigger="alerts-changed from:body" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead><tr><th>Name</th><th>When</th><th>Sends to</th><th>Cool-down</th><th>Last fired</th><th></th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6" class="text-center text-body-secondary py-4">No alerts yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+const DELIVERY_BADGES = { delivered: 'bg-success', pending: 'bg-warning text-dark', failed: 'bg-danger' };
+
+/**
+ * Generate the delivery history of a server's alerts (from notifications.listDeliveries)
+ * @param {string} serverId - Server identifier
+ * @param {Array<object>} deliveries - Newest first
+ * @returns {string} HTML string
+ */
+function notificationDeliveriesHtml(serverId, deliveries) {
+  const base = `/api/server/${encodeURIComponent(serverId)}/alerts/deliveries`;
+  const rows = deliveries.map(d => {
+    let result = d.responseStatus ? `HTTP ${escapeHtml(d.responseStatus)}` : '';
+    if (d.status !== 'delivered' && d.error && d.error !== result) result += `${result ? ' &middot; ' : ''}${escapeHtml(d.error)}`;
+    if (d.status === 'pending' && d.nextAttemptAt) result += `${result ? ' &middot; ' : ''}next try ${formatDate(d.nextAttemptAt)}`;
+    return `
+      <tr>
+        <td class="text-nowrap small text-body-secondary">${formatDate(d.createdAt)}</td>
+        <td class="small text-break">${escapeHtml(d.title)}
+          ${d.suppressed ? `<div class="text-body-secondary">${escapeHtml(d.suppressed)} more held back by the cool-down</div>` : ''}
+        </td>
+        <td class="small text-break">${escapeHtml(d.ruleName)}</td>
+        <td><span class="badge ${DELIVERY_BADGES[d.status] || 'bg-secondary'}">${escapeHtml(d.status)}</span></td>
+        <td class="small text-nowrap text-body-secondary">${escapeHtml(d.attempts)}</td>
+        <td class="small text-break text-body-secondary">${result}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div id="alert-deliveries-list" hx-get="${base}" hx-trigger="alerts-changed from:body delay:2s" hx-swap="outerHTML">
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-0">
+          <thead><tr><th>Time (UTC)</th><th>Notification</th><th>Rule</th><th>Status</th><th>Attempts</th><th>Result</th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="6" class="text-center text-body-secondary py-4">Nothing sent yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+// ============ Pterodactyl API ============
+
+// Every panel call goes through a panel's client (timeouts, retries, Retry-After, pagination, typed errors);
+// `panel` is the default panel's, which the admin area and signed node URLs use
+const panel = getPanel().client;
+
+// Read cache TTLs per resource in seconds; PANEL_CACHE_TTL_<RESOURCE> overrides one, 0 turns it off
+const CACHE_TTLS = { account: 60, servers: 30, details: 60, state: 5, permissions: 600, startup: 60, databases: 60, users: 60, allocations: 60, schedules: 15, backups: 10 };
+const CACHE_TTL_MS = Object.fromEntries(Object.entries(CACHE_TTLS).map(([resource, seconds]) => {
+  const override = process.env[`PANEL_CACHE_TTL_${resource.toUpperCase()}`];
+  return [resource, (override !== undefined && override !== '' ? Number(override) : seconds) * 1000];
+}));
+
+// Reads are cached per API key, since what a user can see depends on their permissions
+function cachedRead(apiKey, parts, loader) {
+  if (!apiKey) return loader();
+  const scope = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+  return cached({ ...parts, scope }, CACHE_TTL_MS[parts.resource], loader);
+}
+
+// Which panel a client API call goes to, with that panel's key from the ring. Server paths carry the
+// frontend server id, which is swapped for the panel's own identifier; anything else goes to
+// options.panel, or the default panel.
+function routeClientCall(apiKey, apiPath, options) {
+  const { panel: panelId, ...rest } = options;
+  const match = apiPath.match(/^\/servers\/([^/?]+)(.*)$/);
+  const { panel: target, identifier } = match ? resolveServerId(match[1]) : { panel: getPanel(panelId) };
+  const key = parseKeyRing(apiKey)[target.id];
+  // Without a key for its panel the user cannot see the server at all
+  if (match && !key && apiKey) throw new PanelNotFoundError('Server not found.', { status: 404 });
+  return {
+    client: target.client,
+    path: `/api/client${match ? `/servers/${identifier}${match[2]}` : apiPath}`,
+    options: { ...rest, apiKey: key }
+  };
+}
+
+// Client API shorthand: paths are relative to /api/client.
+// Anything but a GET on a server may change what we cached for it, so drop that server's entries.
+function clientRequest(apiKey, method, apiPath, options = {}) {
+  const call = routeClientCall(apiKey, apiPath, options);
+  const request = call.client.request(method, call.path, call.options);
+  const serverId = method.toUpperCase() !== 'GET' && (apiPath.match(/^\/servers\/([^/]+)/) || [])[1];
+  if (!serverId) return request;
+  // Also on failure: the panel may have applied part of the change
+  return request.finally(() => invalidateServer(serverId));
+}
+
+// Client API list endpoint, every page
+function clientPaginate(apiKey, apiPath, options = {}) {
+  const call = routeClientCall(apiKey, apiPath, options);
+  return call.client.paginate(call.path, call.options);
+}
+
+/**
+ * Collect cookies from a panel response into a name -> value map
+ * @param {object} jar - Existing cookies
+ * @param {string[]} setCookie - Raw Set-Cookie headers
+ * @returns {object} Updated cookie map
+ */
+function mergeCookies(jar, setCookie) {
+  const out = { ...jar };
+  for (const c of setCookie || []) {
+    const pair = c.split(';')[0];
+    const idx = pair.indexOf('=');
+    if (idx > 0) out[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
   }
   return out;
 }
 
-function truncateString(s, n = 1000) {
-  const str = typeof s === 'string' ? s : JSON.stringify(s);
-  if (str.length <= n) return str;
-  return str.slice(0, n) + '...';
+/**
+ * Headers for calls made with the panel's own web session (cookie + XSRF token)
+ * @param {object} jar - Cookie map from mergeCookies
+ * @returns {object} axios headers
+ */
+function panelSessionHeaders(jar) {
+  return {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'Cookie': Object.entries(jar).map(([k, v]) => `${k}=${v}`).join('; '),
+    'X-XSRF-TOKEN': jar['XSRF-TOKEN'] ? decodeURIComponent(jar['XSRF-TOKEN']) : ''
+  };
+}
+
+// Which frontend instance created a session key, kept across restarts (INSTANCE_ID, else a random id
+// saved in INSTANCE_FILE on the first sign-in). Replicas or a second frontend on the same panel need
+// their own id, so INSTANCE_ID must differ when they share the data directory.
+let instanceId = process.env.INSTANCE_ID || null;
+
+function getInstanceId() {
+  if (instanceId) return instanceId;
+  const store = createFileBackend(path.resolve(__dirname, process.env.INSTANCE_FILE || 'data/instance.json'));
+  if (!store.get('id')) {
+    store.set('id', crypto.randomBytes(6).toString('hex'));
+    store.flush();
+  }
+  instanceId = store.get('id');
+  return instanceId;
+}
+
+// Description of the key every sign-in creates, so leftovers of this instance can be told apart from
+// the user's own keys and from the live sessions of other instances
+function sessionKeyDescription() {
+  return `${APP_NAME} session (${getInstanceId()})`;
+}
+
+// Log in to one panel the same way its own UI does, and use that web session once to create a client API key
+async function loginToOnePanel(target, email, password) {
+  const client = target.client;
+  const csrf = await client.request('GET', '/sanctum/csrf-cookie', { auth: false, raw: true, errorMessage: 'Could not reach the panel.' });
+  let jar = mergeCookies({}, csrf.headers['set-cookie']);
+
+  // Log the user only, never the password
+  const response = await client.request('POST', '/auth/login', {
+    auth: false,
+    raw: true,
+    data: { user: email, password },
+    headers: panelSessionHeaders(jar),
+    requestData: { user: email },
+    errorMessage: 'Invalid credentials.'
+  });
+
+  const login = response.data?.data || {};
+  if (login.complete === false) {
+    throw new PanelAuthError('Two-factor authentication is enabled on this account, which this frontend does not support yet.');
+  }
+  jar = mergeCookies(jar, response.headers['set-cookie']);
+
+  const key = await client.request('POST', '/api/client/account/api-keys', {
+    auth: false,
+    data: { description: sessionKeyDescription(), allowed_ips: [] },
+    headers: panelSessionHeaders(jar),
+    requestData: { description: sessionKeyDescription() },
+    errorMessage: 'Failed to create a panel API key.'
+  });
+
+  return { user: login.user || { username: email }, apiKey: key.meta.secret_token, identifier: key.attributes.identifier };
+}
+
+/**
+ * Authenticate user with every configured panel and mint a client API key on each for this session.
+ * The panels only hand out web sessions, so we log in the same way their own UI does and use that
+ * session once to create a personal API key for all later calls. Signing in succeeds when at least
+ * one panel accepts the credentials; the keys come back as a key ring (panels.js).
+ * @param {string} email - User email or username
+ * @param {string} password - User password
+ * @returns {Promise<{user: object, apiKey: string, apiKeyIdentifier: string}>}
+ * @throws {PanelError} The first panel's error when none accepted: PanelValidationError for wrong
+ *   credentials, PanelAuthError for 2FA accounts
+ */
+async function loginToPanel(email, password) {
+  const panels = listPanels();
+  const results = await Promise.allSettled(panels.map(target => loginToOnePanel(target, email, password)));
+
+  const keys = {};
+  const identifiers = {};
+  let user = null;
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      if (panels.length > 1) log.warn(`sign-in on panel ${panels[i].id} failed: ${result.reason.message}`);
+      return;
+    }
+    keys[panels[i].id] = result.value.apiKey;
+    identifiers[panels[i].id] = result.value.identifier;
+    user = user || result.value.user;
+  });
+  if (!user) throw results[0].reason;
+
+  return { user, apiKey: formatKeyRing(keys), apiKeyIdentifier: formatKeyRing(identifiers) };
+}
+
+/**
+ * Create a client API key for the user behind an existing key (personal API tokens, apiTokens.js),
+ * on every panel the ring holds a key for
+ * @param {string} apiKey - Client API key (ring) of the signed-in user
+ * @param {string} description - Shown in the panel's API key list
+ * @returns {Promise<{apiKey: string, identifier: string}>} Key ring and identifier ring
+ * @throws {PanelError} The keys created on other panels are revoked again
+ */
+async function createApiKey(apiKey, description) {
+  const panelIds = Object.keys(parseKeyRing(apiKey));
+  const results = await Promise.allSettled(panelIds.map(panelId => clientRequest(apiKey, 'POST', '/account/api-keys', {
+    panel: panelId,
+    data: { description, allowed_ips: [] },
+    requestData: { description },
+    errorMessage: 'Failed to create a panel API key.'
+  })));
+
+  const keys = {};
+  const identifiers = {};
+  results.forEach((result, i) => {
+    if (result.status !== 'fulfilled') return;
+    keys[panelIds[i]] = result.value.meta.secret_token;
+    identifiers[panelIds[i]] = result.value.attributes.identifier;
+  });
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    await revokeApiKey(formatKeyRing(identifiers), formatKeyRing(keys)).catch(() => {});
+    throw failed.reason;
+  }
+  return { apiKey: formatKeyRing(keys), identifier: formatKeyRing(identifiers) };
+}
+
+/**
+ * Delete a client API key, used to revoke the key created by loginToPanel on logout/expiry
+ * @param {string} identifier - API key identifier (ring)
+ * @param {string} apiKey - Any valid client API key (ring) of the same user (usually the key itself)
+ * @returns {Promise<void>}
+ * @throws {PanelError} The first failure; the other panels' keys are still revoked
+ */
+async function revokeApiKey(identifier, apiKey) {
+  const keys = parseKeyRing(apiKey);
+  const revocations = Object.entries(parseKeyRing(identifier))
+    .filter(([panelId]) => keys[panelId])
+    .map(([panelId, id]) => clientRequest(apiKey, 'DELETE', `/account/api-keys/${id}`, {
+      panel: panelId,
+      requestData: { identifier: id },
+      errorMessage: 'Failed to revoke API key.'
+    }));
+  const failed = (await Promise.allSettled(revocations)).find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+}
+
+/**
+ * Delete the user's session keys created by this instance that no live session holds, on every panel
+ * the ring holds a key for. Sessions only live in memory, so keys of sessions lost to a crash or
+ * restart would otherwise stay valid. Keys of other instances are never touched.
+ * @param {string} apiKey - Client API key (ring) of the signed-in user
+ * @param {string[]} keepIdentifiers - Identifier rings of the sessions still in use (including the new one)
+ * @returns {Promise<number>} How many keys were deleted
+ * @throws {PanelError} The first failure; the other panels are still cleaned up
+ */
+async function revokeStaleSessionKeys(apiKey, keepIdentifiers) {
+  const keep = new Set(keepIdentifiers.flatMap(ring => Object.values(parseKeyRing(ring))));
+  const description = sessionKeyDescription();
+  const results = await Promise.allSettled(Object.keys(parseKeyRing(apiKey)).map(async (panelId) => {
+    const data = await clientRequest(apiKey, 'GET', '/account/api-keys', {
+      panel: panelId,
+      requestData: {},
+      errorMessage: 'Failed to list API keys.'
+    });
+    const stale = (data.data || []).map(item => item.attributes)
+      .filter(key => key.description === description && !keep.has(key.identifier));
+    for (const key of stale) {
+      await clientRequest(apiKey, 'DELETE', `/account/api-keys/${key.identifier}`, {
+        panel: panelId,
+        requestData: { identifier: key.identifier },
+        errorMessage: 'Failed to revoke API key.'
+      });
+    }
+    return stale.length;
+  }));
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.reduce((sum, result) => sum + result.value, 0);
+}
+
+/**
+ * Fetch the signed-in user's account on the default panel; `admin` is true for root admins
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>} Account attributes
+ * @throws {PanelError}
+ */
+async function getAccount(apiKey) {
+  return cachedRead(apiKey, { resource: 'account' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', '/account', {
+      requestData: {},
+      errorMessage: 'Failed to fetch account.'
+    });
+    return data.attributes;
+  });
+}
+
+/**
+ * Fetch all servers of the signed-in user (every page) from every panel they hold a key for.
+ * A panel that fails does not hide the others' servers: it is reported in `warnings` instead.
+ * @param {string} apiKey - Client API key (ring) of the signed-in user
+ * @returns {Promise<{servers: array, warnings: Array<{panel: {id: string, name: string}, message: string}>}>}
+ *   Each server has `id` (the frontend server id used in routes) and `panel`
+ * @throws {PanelError} Only when every panel failed
+ */
+async function getServers(apiKey) {
+  const keys = parseKeyRing(apiKey);
+  const panels = listPanels().filter(target => keys[target.id]);
+  const results = await Promise.allSettled(panels.map(target => cachedRead(keys[target.id], { resource: 'servers', id: target.id }, async () => {
+    const { items } = await clientPaginate(apiKey, '', {
+      panel: target.id,
+      requestData: { api: 'client', panel: target.id },
+      errorMessage: 'Failed to fetch servers.'
+    });
+
+    return items.map(item => ({
+      id: qualifyServerId(target.id, item.attributes.identifier),
+      identifier: item.attributes.identifier,
+      name: item.attributes.name,
+      description: item.attributes.description,
+      status: item.attributes.status,
+      node: item.attributes.node,
+      ip: item.attributes.sftp_details?.ip,
+      port: item.attributes.sftp_details?.port,
+      panel: { id: target.id, name: target.name }
+    }));
+  })));
+
+  const servers = [];
+  const warnings = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') return servers.push(...result.value);
+    if (!(result.reason instanceof PanelError)) throw result.reason;
+    log.warn(`could not list servers on panel ${panels[i].id}: ${result.reason.message}`);
+    warnings.push({ panel: { id: panels[i].id, name: panels[i].name }, message: result.reason.message });
+  });
+  if (panels.length && warnings.length === panels.length) throw results[0].reason;
+  return { servers, warnings };
+}
+
+/**
+ * Fetch server details using the Client API
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>} Server attributes
+ * @throws {PanelError}
+ */
+async function getServerDetails(serverId, apiKey) {
+  return (await loadServer(serverId, apiKey)).attributes;
+}
+
+/**
+ * The signed-in user's permissions on a server, as the panel lists them in the details' meta
+ * ("*" for the owner and admins). Shares the cached details request.
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<string[]>}
+ * @throws {PanelError}
+ */
+async function getServerPermissions(serverId, apiKey) {
+  return (await loadServer(serverId, apiKey)).permissions;
+}
+
+/**
+ * Whether a permission list grants a permission; "*" covers everything but admin permissions, as in Wings
+ * @param {string[]} permissions - From getServerPermissions
+ * @param {string} permission - e.g. "websocket.connect"
+ * @returns {boolean}
+ */
+function hasServerPermission(permissions, permission) {
+  return permissions.includes(permission) || (!permission.startsWith('admin') && permissions.includes('*'));
+}
+
+function loadServer(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'details' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to fetch server details.'
+    });
+    const permissions = data.meta?.user_permissions;
+    return { attributes: data.attributes, permissions: Array.isArray(permissions) ? permissions : [] };
+  });
+}
+
+/**
+ * Send power action to a server
+ * @param {string} serverId - Server identifier
+ * @param {'start'|'stop'|'restart'|'kill'} action - Power action
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function sendPowerAction(serverId, action, apiKey) {
+  if (!POWER_ACTIONS.includes(action)) {
+    throw new PanelValidationError(`Invalid action. Must be one of: ${POWER_ACTIONS.join(', ')}`);
+  }
+
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/power`, {
+    data: { signal: action },
+    requestData: { serverId, action },
+    errorMessage: 'Failed to send power action.'
+  });
+}
+
+/**
+ * Send command to server console
+ * @param {string} serverId - Server identifier
+ * @param {string} command - Command to send
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function sendCommand(serverId, command, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/command`, {
+    data: { command },
+    requestData: { serverId, command },
+    errorMessage: 'Failed to send command.'
+  });
+}
+
+// Token and socket URL from a websocket credentials response
+function consoleCredentials(data) {
+  return {
+    token: data?.data?.token || data?.token || data?.attributes?.token || null,
+    socket: data?.data?.socket || data?.socket || null,
+    data
+  };
+}
+
+/**
+ * Request a console websocket token for a server with the user's own key. There is deliberately no
+ * fallback to the Application key: that would hand node tokens for servers the user cannot access.
+ * @param {string} serverId
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{token: string, socket: string, data: object}>}
+ * @throws {PanelError}
+ */
+async function getConsoleToken(serverId, apiKey) {
+  // The panel expects GET on /api/client/servers/:id/websocket
+  const creds = consoleCredentials(await clientRequest(apiKey, 'GET', `/servers/${serverId}/websocket`, {
+    requestData: { serverId },
+    errorMessage: 'Failed to obtain console token.'
+  }));
+  log.info(`obtained console token for server ${serverId} socket=${creds.socket} tokenPrefix=${String(creds.token).slice(0,8)}...`);
+  return creds;
+}
+
+/**
+ * Open a stream from a signed node URL (file or backup download).
+ * The URL itself is never logged since it grants access on its own.
+ * No timeout: a slow browser can legitimately stall the stream for a long time.
+ * @param {string} url - Signed URL returned by the panel
+ * @param {object} requestData - Context for the log entry
+ * @returns {Promise<{stream: import('stream').Readable, size: number|null}>}
+ * @throws {PanelError}
+ */
+async function streamSignedUrl(url, requestData) {
+  const response = await panel.request('GET', null, {
+    url,
+    auth: false,
+    raw: true,
+    responseType: 'stream',
+    timeout: 0,
+    logUrl: '<signed download url>',
+    requestData,
+    errorMessage: 'Failed to download from node.'
+  });
+  return { stream: response.data, size: Number(response.headers['content-length']) || null };
 }
 
-function safeResponseData(responseData) {
-  if (!responseData) return null;
-  if (typeof responseData === 'string') {
-    try {
-      const parsed = JSON.parse(responseData);
-      return maskSensitive(parsed);
-    } catch (e) {
-      return truncateString(responseData);
-    }
-  }
-  if (typeof responseData === 'object') return maskSensitive(responseData);
-  return truncateString(String(responseData));
-}
-
-async function logApiRequest({ method, url, requestData, status, responseData, error }) {
-  try {
-    const entry = {
-      timestamp: new Date().toISOString(),
-      method,
-      url,
-      status: status || null,
-      request: maskSensitive(requestData) || null,
-      response: safeResponseData(responseData),
-      error: error ? (error.message || String(error)) : null
-    };
-    const line = JSON.stringify(entry) + '\n';
-    await fs.promises.appendFile(LOG_FILE, line, 'utf8');
-  } catch (e) {
-    console.error('Failed to write API log', e);
-  }
+// ============ Resources ============
+
+/**
+ * Fetch a server's current resource usage (same numbers as the websocket "stats" event)
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{state: string, resources: object}>}
+ * @throws {PanelError}
+ */
+async function getServerResources(serverId, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/resources`, {
+    requestData: { serverId },
+    errorMessage: 'Failed to fetch resource usage.'
+  });
+  return { state: data.attributes.current_state, resources: data.attributes.resources };
 }
 
-// ============ HTML Helpers ============
+/**
+ * A server's live state (running, starting, stopping, offline) for the dashboard list. Unlike
+ * getServerResources this is cached briefly, since the list is re-rendered on every filter change.
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<string>}
+ * @throws {PanelError}
+ */
+async function getServerState(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'state' }, async () => (await getServerResources(serverId, apiKey)).state);
+}
+
+// ============ File Manager ============
 
 /**
- * Generate a Bootstrap alert HTML snippet
- * @param {string} message - Alert message
- * @param {'success'|'danger'|'warning'|'info'} type - Alert type
- * @returns {string} HTML string
+ * List a directory on the server
+ * @param {string} serverId - Server identifier
+ * @param {string} directory - Directory path (default "/")
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<array>}
+ * @throws {PanelError}
  */
-function alertHtml(message, type = 'info') {
-  return `<div class="alert alert-${type}">${message}</div>`;
+async function listFiles(serverId, directory, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/files/list`, {
+    params: { directory: directory || '/' },
+    requestData: { serverId, directory },
+    errorMessage: 'Failed to list files.'
+  });
+  return data.data.map(item => item.attributes);
 }
 
 /**
- * Generate a server card HTML snippet
- * @param {object} server - Server object
- * @returns {string} HTML string
+ * Read a file's contents as text
+ * @param {string} serverId - Server identifier
+ * @param {string} file - Full path of the file
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<string>}
+ * @throws {PanelError}
  */
-function serverCardHtml(server) {
-  const statusBadge = server.status === 'running'
-    ? '<span class="badge bg-success">Online</span>'
-    : '<span class="badge bg-secondary">Offline</span>';
+async function getFileContents(serverId, file, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/files/contents`, {
+    params: { file },
+    responseType: 'text',
+    requestData: { serverId, file },
+    errorMessage: 'Failed to read file.'
+  });
+  return data;
+}
 
-  // Escape helper for attribute safety
-  function escapeAttr(s){ return String(s).replace(/"/g, '&quot;').replace(/</g, '&lt;'); }
+/**
+ * Write (create or overwrite) a text file
+ * @param {string} serverId - Server identifier
+ * @param {string} file - Full path of the file
+ * @param {string} content - New file contents
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function writeFile(serverId, file, content, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/write`, {
+    params: { file },
+    data: content,
+    headers: { 'Content-Type': 'text/plain' },
+    // Log the size only, never the file contents
+    requestData: { serverId, file, bytes: Buffer.byteLength(content || '') },
+    errorMessage: 'Failed to save file.'
+  });
+}
 
-  return `
-    <div class="col-md-6 col-lg-4" data-server-identifier="${escapeAttr(server.identifier)}" data-server-name="${escapeAttr(server.name)}">
-      <div class="card h-100">
-        <div class="card-body position-relative">
-          <h5 class="card-title">${server.name}</h5>
-          <p class="card-text text-body-secondary small mb-2">${server.description || 'No description'}</p>
-          ${statusBadge}
-          <!-- Clicking card navigates to server view -->
-          <a href="/server/${escapeAttr(server.identifier)}" class="stretched-link" aria-label="Open ${escapeAttr(server.name)}"></a>
-        </div>
-      </div>
-    </div>
-  `;
+/**
+ * Create a folder
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Parent directory
+ * @param {string} name - Folder name
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function createFolder(serverId, root, name, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/create-folder`, {
+    data: { root, name },
+    requestData: { serverId, root, name },
+    errorMessage: 'Failed to create folder.'
+  });
 }
 
-// ============ Pterodactyl API ============
+/**
+ * Rename or move files
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Directory the paths are relative to
+ * @param {Array<{from: string, to: string}>} files - Rename pairs
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function renameFiles(serverId, root, files, apiKey) {
+  await clientRequest(apiKey, 'PUT', `/servers/${serverId}/files/rename`, {
+    data: { root, files },
+    requestData: { serverId, root, files },
+    errorMessage: 'Failed to rename file.'
+  });
+}
 
 /**
- * Authenticate user with Pterodactyl panel
- * @param {string} email - User email
- * @param {string} password - User password
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * Delete files or folders
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Directory the names are relative to
+ * @param {string[]} files - Names to delete
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
  */
-async function loginToPanel(email, password) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function deleteFiles(serverId, root, files, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/delete`, {
+    data: { root, files },
+    requestData: { serverId, root, files },
+    errorMessage: 'Failed to delete files.'
+  });
+}
 
-  try {
-    const response = await axios.post(`${PANEL_URL}/auth/login`, {
-      user: email,
-      password: password
-    }, {
-      headers: { 'Content-Type': 'application/json' }
-    });
+/**
+ * Change file permissions
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Directory the names are relative to
+ * @param {Array<{file: string, mode: string}>} files - Octal modes per file
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function chmodFiles(serverId, root, files, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/chmod`, {
+    data: { root, files },
+    requestData: { serverId, root, files },
+    errorMessage: 'Failed to change permissions.'
+  });
+}
 
-    // Log successful login attempt (do not include password)
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/auth/login`, requestData: { user: email }, status: response.status, responseData: response.data });
+/**
+ * Compress files into a new archive in the same directory
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Directory the names are relative to
+ * @param {string[]} files - Names to include
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function compressFiles(serverId, root, files, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/compress`, {
+    data: { root, files },
+    requestData: { serverId, root, files },
+    errorMessage: 'Failed to create archive.'
+  });
+  return data.attributes;
+}
 
-    return { success: true, data: response.data };
-  } catch (error) {
-    const message = error.response?.data?.errors?.[0]?.detail || 'Invalid credentials.';
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/auth/login`, requestData: { user: email }, status: error.response?.status, responseData: error.response?.data, error });
-    return { success: false, error: message };
-  }
+/**
+ * Extract an archive into its directory
+ * @param {string} serverId - Server identifier
+ * @param {string} root - Directory containing the archive
+ * @param {string} file - Archive name
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function decompressFile(serverId, root, file, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/files/decompress`, {
+    data: { root, file },
+    requestData: { serverId, root, file },
+    errorMessage: 'Failed to extract archive.'
+  });
 }
 
 /**
- * Fetch servers using the Client API
- * @param {string} apiKey - Client API key (optional, uses env if not provided)
- * @returns {Promise<{success: boolean, servers?: array, error?: string}>}
+ * Open a download stream for a file via the panel's signed download URL.
+ * The node URL stays server-side; the caller pipes the stream to the browser.
+ * @param {string} serverId - Server identifier
+ * @param {string} file - Full path of the file
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{stream: import('stream').Readable, size: number|null}>}
+ * @throws {PanelError}
  */
-async function getServers(apiKey = CLIENT_API_KEY) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function openFileDownload(serverId, file, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/files/download`, {
+    params: { file },
+    requestData: { serverId, file },
+    errorMessage: 'Failed to create download link.'
+  });
+  return streamSignedUrl(data.attributes.url, { serverId, file });
+}
 
-  if (!apiKey) {
-    return { success: false, error: 'Client API key not configured.' };
-  }
+/**
+ * Upload a file via the panel's signed upload URL, streaming the body so large files are not buffered.
+ * @param {string} serverId - Server identifier
+ * @param {string} directory - Target directory
+ * @param {string} fileName - Name for the uploaded file
+ * @param {import('stream').Readable} stream - File contents
+ * @param {number|null} size - Content length if known
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function uploadFileStream(serverId, directory, fileName, stream, size, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/files/upload`, {
+    requestData: { serverId, directory, fileName },
+    errorMessage: 'Failed to create upload link.'
+  });
+
+  // Wings expects multipart/form-data with a "files" field
+  const boundary = '----PterodactylFrontend' + Date.now().toString(16);
+  const safeName = String(fileName).replace(/["\r\n]/g, '_');
+  const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="${safeName}"\r\nContent-Type: application/octet-stream\r\n\r\n`);
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const body = Readable.from((async function* () {
+    yield head;
+    for await (const chunk of stream) yield chunk;
+    yield tail;
+  })());
 
-  try {
-    const response = await axios.get(`${PANEL_URL}/api/client`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+  const url = new URL(data.attributes.url);
+  url.searchParams.set('directory', directory || '/');
+  // A stream can only be sent once, so no retries; no timeout either since large uploads take a while
+  await panel.request('POST', null, {
+    url: url.toString(),
+    auth: false,
+    data: body,
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      ...(size != null ? { 'Content-Length': head.length + size + tail.length } : {})
+    },
+    retry: false,
+    timeout: 0,
+    maxBodyLength: Infinity,
+    logUrl: '<signed upload url>',
+    requestData: { serverId, directory, fileName, bytes: size },
+    errorMessage: 'Upload to node failed.'
+  });
+}
+
+// ============ Backups ============
+
+/**
+ * List a server's backups
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{backups: array, count: number}>}
+ * @throws {PanelError}
+ */
+async function listBackups(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'backups' }, async () => {
+    const { items, meta } = await clientPaginate(apiKey, `/servers/${serverId}/backups`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to list backups.'
     });
+    return { backups: items.map(item => item.attributes), count: meta.backup_count };
+  });
+}
 
-    // Log request (do not include API key)
-    await logApiRequest({ method: 'GET', url: `${PANEL_URL}/api/client`, requestData: { api: 'client' }, status: response.status, responseData: response.data });
+/**
+ * Start a new backup
+ * @param {string} serverId - Server identifier
+ * @param {{name?: string, ignored?: string, isLocked?: boolean}} options - ignored is newline separated patterns
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createBackup(serverId, { name, ignored, isLocked } = {}, apiKey) {
+  const body = { name: name || undefined, ignored: ignored || '', is_locked: !!isLocked };
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/backups`, {
+    data: body,
+    requestData: { serverId, ...body },
+    errorMessage: 'Failed to create backup.'
+  });
+  return data.attributes;
+}
 
-    const servers = response.data.data.map(item => ({
-      identifier: item.attributes.identifier,
-      name: item.attributes.name,
-      description: item.attributes.description,
-      status: item.attributes.status,
-      node: item.attributes.node,
-      ip: item.attributes.sftp_details?.ip,
-      port: item.attributes.sftp_details?.port
-    }));
+/**
+ * Toggle the lock on a backup (locked backups cannot be deleted)
+ * @param {string} serverId - Server identifier
+ * @param {string} backupId - Backup UUID
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function toggleBackupLock(serverId, backupId, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/backups/${backupId}/lock`, {
+    requestData: { serverId, backupId },
+    errorMessage: 'Failed to change backup lock.'
+  });
+  return data.attributes;
+}
 
-    return { success: true, servers };
-  } catch (error) {
-    const message = error.response?.data?.errors?.[0]?.detail || 'Failed to fetch servers.';
-    await logApiRequest({ method: 'GET', url: `${PANEL_URL}/api/client`, requestData: { api: 'client' }, status: error.response?.status, responseData: error.response?.data, error });
-    return { success: false, error: message };
-  }
+/**
+ * Restore a backup onto the server
+ * @param {string} serverId - Server identifier
+ * @param {string} backupId - Backup UUID
+ * @param {boolean} truncate - Delete all existing files before restoring
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function restoreBackup(serverId, backupId, truncate, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/backups/${backupId}/restore`, {
+    data: { truncate: !!truncate },
+    requestData: { serverId, backupId, truncate: !!truncate },
+    errorMessage: 'Failed to restore backup.'
+  });
 }
 
 /**
- * Fetch server details using the Client API
+ * Delete a backup
  * @param {string} serverId - Server identifier
- * @param {string} apiKey - Client API key (optional, uses env if not provided)
- * @returns {Promise<{success: boolean, server?: object, error?: string}>}
+ * @param {string} backupId - Backup UUID
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
  */
-async function getServerDetails(serverId, apiKey = CLIENT_API_KEY) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function deleteBackup(serverId, backupId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/backups/${backupId}`, {
+    requestData: { serverId, backupId },
+    errorMessage: 'Failed to delete backup.'
+  });
+}
 
-  if (!apiKey) {
-    return { success: false, error: 'Client API key not configured.' };
-  }
+/**
+ * Open a download stream for a backup archive via its signed URL
+ * @param {string} serverId - Server identifier
+ * @param {string} backupId - Backup UUID
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{stream: import('stream').Readable, size: number|null}>}
+ * @throws {PanelError}
+ */
+async function openBackupDownload(serverId, backupId, apiKey) {
+  const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/backups/${backupId}/download`, {
+    requestData: { serverId, backupId },
+    errorMessage: 'Failed to create backup download link.'
+  });
+  return streamSignedUrl(data.attributes.url, { serverId, backupId });
+}
+
+// ============ Databases ============
+
+// Password relationship as returned by create / rotate-password
+function databasePassword(attributes) {
+  return attributes?.relationships?.password?.attributes?.password || null;
+}
 
-  try {
-    const response = await axios.get(`${PANEL_URL}/api/client/servers/${serverId}`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+/**
+ * List a server's databases (without passwords)
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listDatabases(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'databases' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/databases`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to list databases.'
     });
+    return data.data.map(item => item.attributes);
+  });
+}
 
-    await logApiRequest({ method: 'GET', url: `${PANEL_URL}/api/client/servers/${serverId}`, requestData: { serverId }, status: response.status, responseData: response.data });
+/**
+ * Create a database
+ * @param {string} serverId - Server identifier
+ * @param {string} database - Database name (the panel prefixes it)
+ * @param {string} remote - Allowed connection source, e.g. "%" or "10.0.0.%"
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{database: object, password: string}>}
+ * @throws {PanelError}
+ */
+async function createDatabase(serverId, database, remote, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/databases`, {
+    data: { database, remote },
+    requestData: { serverId, database, remote },
+    errorMessage: 'Failed to create database.'
+  });
+  return { database: data.attributes, password: databasePassword(data.attributes) };
+}
 
-    return { success: true, server: response.data.attributes };
-  } catch (error) {
-    const message = error.response?.data?.errors?.[0]?.detail || 'Failed to fetch server details.';
-    await logApiRequest({ method: 'GET', url: `${PANEL_URL}/api/client/servers/${serverId}`, requestData: { serverId }, status: error.response?.status, responseData: error.response?.data, error });
-    return { success: false, error: message };
-  }
+/**
+ * Generate a new password for a database
+ * @param {string} serverId - Server identifier
+ * @param {string} databaseId - Database identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{database: object, password: string}>}
+ * @throws {PanelError}
+ */
+async function rotateDatabasePassword(serverId, databaseId, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/databases/${databaseId}/rotate-password`, {
+    requestData: { serverId, databaseId },
+    errorMessage: 'Failed to rotate database password.'
+  });
+  return { database: data.attributes, password: databasePassword(data.attributes) };
 }
 
 /**
- * Send power action to a server
+ * Delete a database
  * @param {string} serverId - Server identifier
- * @param {'start'|'stop'|'restart'|'kill'} action - Power action
- * @param {string} apiKey - Client API key (optional, uses env if not provided)
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {string} databaseId - Database identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
  */
-async function sendPowerAction(serverId, action, apiKey = CLIENT_API_KEY) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function deleteDatabase(serverId, databaseId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/databases/${databaseId}`, {
+    requestData: { serverId, databaseId },
+    errorMessage: 'Failed to delete database.'
+  });
+}
 
-  if (!apiKey) {
-    return { success: false, error: 'Client API key not configured.' };
-  }
+// ============ Subusers ============
 
-  const validActions = ['start', 'stop', 'restart', 'kill'];
-  if (!validActions.includes(action)) {
-    return { success: false, error: `Invalid action. Must be one of: ${validActions.join(', ')}` };
-  }
+/**
+ * Fetch the permission groups and keys of the panel a server is on
+ * @param {string} serverId - Server identifier (panels may run different versions)
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function getPermissionGroups(serverId, apiKey) {
+  const { panel: target } = resolveServerId(serverId);
+  return cachedRead(apiKey, { resource: 'permissions', id: target.id }, async () => {
+    const data = await clientRequest(apiKey, 'GET', '/permissions', {
+      panel: target.id,
+      requestData: {},
+      errorMessage: 'Failed to fetch permissions.'
+    });
+    // websocket.connect is granted implicitly by the panel, like its own UI we do not offer it
+    const { websocket, ...groups } = data.attributes.permissions;
+    return groups;
+  });
+}
 
-  try {
-    const response = await axios.post(`${PANEL_URL}/api/client/servers/${serverId}/power`, {
-      signal: action
-    }, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+/**
+ * List a server's subusers
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listSubusers(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'users' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/users`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to list subusers.'
     });
+    return data.data.map(item => item.attributes);
+  });
+}
 
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/api/client/servers/${serverId}/power`, requestData: { serverId, action }, status: response.status, responseData: response.data });
+/**
+ * Fetch one subuser
+ * @param {string} serverId - Server identifier
+ * @param {string} userId - Subuser UUID
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function getSubuser(serverId, userId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'users', id: userId }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/users/${userId}`, {
+      requestData: { serverId, userId },
+      errorMessage: 'Failed to fetch subuser.'
+    });
+    return data.attributes;
+  });
+}
 
-    return { success: true };
-  } catch (error) {
-    const message = error.response?.data?.errors?.[0]?.detail || 'Failed to send power action.';
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/api/client/servers/${serverId}/power`, requestData: { serverId, action }, status: error.response?.status, responseData: error.response?.data, error });
-    return { success: false, error: message };
-  }
+/**
+ * Invite a user by email (the panel creates the account if needed)
+ * @param {string} serverId - Server identifier
+ * @param {string} email - Email address
+ * @param {string[]} permissions - Permission keys, e.g. ["control.console"]
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createSubuser(serverId, email, permissions, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/users`, {
+    data: { email, permissions },
+    requestData: { serverId, email, permissions },
+    errorMessage: 'Failed to invite subuser.'
+  });
+  return data.attributes;
 }
 
 /**
- * Send command to server console
+ * Replace a subuser's permissions
  * @param {string} serverId - Server identifier
- * @param {string} command - Command to send
- * @param {string} apiKey - Client API key (optional, uses env if not provided)
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {string} userId - Subuser UUID
+ * @param {string[]} permissions - Permission keys
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
  */
-async function sendCommand(serverId, command, apiKey = CLIENT_API_KEY) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function updateSubuser(serverId, userId, permissions, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/users/${userId}`, {
+    data: { permissions },
+    requestData: { serverId, userId, permissions },
+    errorMessage: 'Failed to update subuser.'
+  });
+  return data.attributes;
+}
 
-  if (!apiKey) {
-    return { success: false, error: 'Client API key not configured.' };
-  }
+/**
+ * Remove a subuser from the server
+ * @param {string} serverId - Server identifier
+ * @param {string} userId - Subuser UUID
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteSubuser(serverId, userId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/users/${userId}`, {
+    requestData: { serverId, userId },
+    errorMessage: 'Failed to remove subuser.'
+  });
+}
+
+// ============ Network ============
 
-  try {
-    const response = await axios.post(`${PANEL_URL}/api/client/servers/${serverId}/command`, {
-      command: command
-    }, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+/**
+ * List a server's allocations
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listAllocations(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'allocations' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/network/allocations`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to list allocations.'
     });
+    return data.data.map(item => item.attributes);
+  });
+}
+
+/**
+ * Auto-assign a free allocation on the server's node (needs the panel's auto-allocation feature)
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function assignAllocation(serverId, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/network/allocations`, {
+    requestData: { serverId },
+    errorMessage: 'Failed to assign allocation.'
+  });
+  return data.attributes;
+}
 
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/api/client/servers/${serverId}/command`, requestData: { serverId, command }, status: response.status, responseData: response.data });
+/**
+ * Update an allocation's notes
+ * @param {string} serverId - Server identifier
+ * @param {number|string} allocationId - Allocation id
+ * @param {string} notes - New notes (empty clears them)
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function setAllocationNotes(serverId, allocationId, notes, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/network/allocations/${allocationId}`, {
+    data: { notes: notes || null },
+    requestData: { serverId, allocationId, notes },
+    errorMessage: 'Failed to update notes.'
+  });
+  return data.attributes;
+}
 
-    return { success: true };
-  } catch (error) {
-    const message = error.response?.data?.errors?.[0]?.detail || 'Failed to send command.';
-    await logApiRequest({ method: 'POST', url: `${PANEL_URL}/api/client/servers/${serverId}/command`, requestData: { serverId, command }, status: error.response?.status, responseData: error.response?.data, error });
-    return { success: false, error: message };
-  }
+/**
+ * Make an allocation the server's primary one
+ * @param {string} serverId - Server identifier
+ * @param {number|string} allocationId - Allocation id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function setPrimaryAllocation(serverId, allocationId, apiKey) {
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/network/allocations/${allocationId}/primary`, {
+    requestData: { serverId, allocationId },
+    errorMessage: 'Failed to set primary allocation.'
+  });
+  return data.attributes;
 }
 
 /**
- * Request a console websocket token for a server using the Application (admin) API key.
- * @param {string} serverId
- * @param {string} apiKey - optional (defaults to APP_API_KEY)
- * @returns {Promise<{success:boolean, token?:string, data?:object, error?:string}>}
+ * Remove an allocation from the server
+ * @param {string} serverId - Server identifier
+ * @param {number|string} allocationId - Allocation id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
  */
-async function getConsoleToken(serverId, apiKey = CLIENT_API_KEY) {
-  if (!PANEL_URL) {
-    return { success: false, error: 'Panel URL not configured.' };
-  }
+async function deleteAllocation(serverId, allocationId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/network/allocations/${allocationId}`, {
+    requestData: { serverId, allocationId },
+    errorMessage: 'Failed to remove allocation.'
+  });
+}
 
-  if (!apiKey) {
-    return { success: false, error: 'Client API key not configured.' };
-  }
+// ============ Startup ============
 
-  try {
-    // The panel expects GET on /api/client/servers/:id/websocket
-    const clientUrl = `${PANEL_URL}/api/client/servers/${serverId}/websocket`;
-    try {
-      const response = await axios.get(clientUrl, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Accept': 'application/json'
-        }
-      });
+/**
+ * Fetch the startup configuration: egg variables, rendered startup command and allowed Docker images
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{variables: array, startupCommand: string, dockerImages: object}>}
+ * @throws {PanelError}
+ */
+async function getStartup(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'startup' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/startup`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to fetch startup configuration.'
+    });
+    return {
+      variables: data.data.map(item => item.attributes),
+      startupCommand: data.meta?.startup_command || '',
+      dockerImages: data.meta?.docker_images || {}
+    };
+  });
+}
 
-      await logApiRequest({ method: 'GET', url: clientUrl, requestData: { serverId }, status: response.status, responseData: response.data });
-
-      // Extract token string and socket safely
-      const tokenStr = response.data?.data?.token || response.data?.token || response.data?.attributes?.token || null;
-      const socket = response.data?.data?.socket || response.data?.socket || null;
-      console.log(`Functions: obtained console token for server ${serverId} socket=${socket} tokenPrefix=${String(tokenStr).slice(0,8)}...`);
-      return { success: true, token: tokenStr, data: response.data, socket };
-    } catch (err) {
-      // Log and try application GET as fallback (some panels may differ)
-      await logApiRequest({ method: 'GET', url: clientUrl, requestData: { serverId }, status: err.response?.status, responseData: err.response?.data, error: err });
-
-      // Try application GET with app key if available
-      if (APP_API_KEY) {
-        const appUrl = `${PANEL_URL}/api/application/servers/${serverId}/websocket`;
-        try {
-          const r2 = await axios.get(appUrl, {
-            headers: {
-              'Authorization': `Bearer ${APP_API_KEY}`,
-              'Accept': 'application/json'
-            }
-          });
-          await logApiRequest({ method: 'GET', url: appUrl, requestData: { serverId }, status: r2.status, responseData: r2.data });
-          const token2 = r2.data?.data?.token || r2.data?.token || r2.data?.attributes?.token || null;
-          const socket2 = r2.data?.data?.socket || r2.data?.socket || null;
-          console.log(`Functions: (fallback) obtained console token for server ${serverId} socket=${socket2} tokenPrefix=${String(token2).slice(0,8)}...`);
-          return { success: true, token: token2, data: r2.data, socket: socket2 };
-        } catch (err2) {
-          await logApiRequest({ method: 'GET', url: appUrl, requestData: { serverId }, status: err2.response?.status, responseData: err2.response?.data, error: err2 });
-          return { success: false, error: 'Could not obtain console token from panel.' };
-        }
-      }
-
-      return { success: false, error: 'Could not obtain console token from panel.' };
-    }
-  } catch (error) {
-    await logApiRequest({ method: 'GET', url: `${PANEL_URL}/api/client/servers/${serverId}/websocket`, requestData: { serverId }, status: error.response?.status, responseData: error.response?.data, error });
-    const message = error.response?.data?.errors?.[0]?.detail || 'Failed to obtain console token.';
-    return { success: false, error: message };
+/**
+ * Update a single startup variable. Validation failures come back per field (422).
+ * @param {string} serverId - Server identifier
+ * @param {string} key - Environment variable name
+ * @param {string} value - New value
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<{variable: object, startupCommand: string}>}
+ * @throws {PanelError} PanelValidationError carries the per-field details
+ */
+async function updateStartupVariable(serverId, key, value, apiKey) {
+  const data = await clientRequest(apiKey, 'PUT', `/servers/${serverId}/startup/variable`, {
+    data: { key, value },
+    requestData: { serverId, key, value },
+    errorMessage: 'Failed to update variable.'
+  });
+  return { variable: data.attributes, startupCommand: data.meta?.startup_command };
+}
+
+/**
+ * Switch the server to another of its egg's Docker images
+ * @param {string} serverId - Server identifier
+ * @param {string} image - Docker image (must be one of the egg's images)
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function setDockerImage(serverId, image, apiKey) {
+  await clientRequest(apiKey, 'PUT', `/servers/${serverId}/settings/docker-image`, {
+    data: { docker_image: image },
+    requestData: { serverId, image },
+    errorMessage: 'Failed to change Docker image.'
+  });
+}
+
+// ============ Schedules ============
+
+// Flatten a schedule resource with its tasks relationship
+function scheduleAttributes(item) {
+  const attrs = item.attributes;
+  return { ...attrs, tasks: (attrs.relationships?.tasks?.data || []).map(t => t.attributes) };
+}
+
+// Body shared by create and update; the panel wants every field on both
+function scheduleBody(fields) {
+  return {
+    name: fields.name,
+    minute: fields.minute,
+    hour: fields.hour,
+    day_of_month: fields.day_of_month,
+    month: fields.month,
+    day_of_week: fields.day_of_week,
+    is_active: !!fields.is_active,
+    only_when_online: !!fields.only_when_online
+  };
+}
+
+/**
+ * List a server's schedules with their tasks
+ * @param {string} serverId - Server identifier
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<array>}
+ * @throws {PanelError}
+ */
+async function listSchedules(serverId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'schedules' }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/schedules`, {
+      requestData: { serverId },
+      errorMessage: 'Failed to list schedules.'
+    });
+    return data.data.map(scheduleAttributes);
+  });
+}
+
+/**
+ * Fetch one schedule with its tasks
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function getSchedule(serverId, scheduleId, apiKey) {
+  return cachedRead(apiKey, { serverId, resource: 'schedules', id: scheduleId }, async () => {
+    const data = await clientRequest(apiKey, 'GET', `/servers/${serverId}/schedules/${scheduleId}`, {
+      requestData: { serverId, scheduleId },
+      errorMessage: 'Failed to fetch schedule.'
+    });
+    return scheduleAttributes(data);
+  });
+}
+
+/**
+ * Create a schedule
+ * @param {string} serverId - Server identifier
+ * @param {{name: string, minute: string, hour: string, day_of_month: string, month: string, day_of_week: string, is_active: boolean, only_when_online: boolean}} fields
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createSchedule(serverId, fields, apiKey) {
+  const body = scheduleBody(fields);
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/schedules`, {
+    data: body,
+    requestData: { serverId, ...body },
+    errorMessage: 'Failed to create schedule.'
+  });
+  return scheduleAttributes(data);
+}
+
+/**
+ * Update a schedule (all fields are required by the panel)
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {object} fields - Same shape as createSchedule
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function updateSchedule(serverId, scheduleId, fields, apiKey) {
+  const body = scheduleBody(fields);
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/schedules/${scheduleId}`, {
+    data: body,
+    requestData: { serverId, scheduleId, ...body },
+    errorMessage: 'Failed to update schedule.'
+  });
+  return scheduleAttributes(data);
+}
+
+/**
+ * Run a schedule's tasks now, regardless of its cron timing
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function executeSchedule(serverId, scheduleId, apiKey) {
+  await clientRequest(apiKey, 'POST', `/servers/${serverId}/schedules/${scheduleId}/execute`, {
+    requestData: { serverId, scheduleId },
+    errorMessage: 'Failed to run schedule.'
+  });
+}
+
+/**
+ * Delete a schedule and its tasks
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteSchedule(serverId, scheduleId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/schedules/${scheduleId}`, {
+    requestData: { serverId, scheduleId },
+    errorMessage: 'Failed to delete schedule.'
+  });
+}
+
+// Validate and normalise a task body; power payloads use the same vocabulary as sendPowerAction
+function taskBody({ action, payload, time_offset, sequence_id, continue_on_failure }) {
+  if (!TASK_LABELS[action]) {
+    throw new PanelValidationError(`Invalid task action. Must be one of: ${Object.keys(TASK_LABELS).join(', ')}`);
+  }
+  if (action === 'power' && !POWER_ACTIONS.includes(payload)) {
+    throw new PanelValidationError(`Invalid power action. Must be one of: ${POWER_ACTIONS.join(', ')}`);
   }
+  const data = {
+    action,
+    payload: payload || '',
+    time_offset: Number(time_offset) || 0,
+    continue_on_failure: !!continue_on_failure
+  };
+  if (sequence_id !== undefined && sequence_id !== '') data.sequence_id = Number(sequence_id);
+  return data;
+}
+
+/**
+ * Add a task to the end of a schedule
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {{action: 'command'|'power'|'backup', payload: string, time_offset: number, continue_on_failure: boolean}} fields
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function createTask(serverId, scheduleId, fields, apiKey) {
+  const body = taskBody(fields);
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/schedules/${scheduleId}/tasks`, {
+    data: body,
+    requestData: { serverId, scheduleId, ...body },
+    errorMessage: 'Failed to create task.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Update a task (including its position via sequence_id)
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {number|string} taskId - Task id
+ * @param {object} fields - Same shape as createTask, plus optional sequence_id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<object>}
+ * @throws {PanelError}
+ */
+async function updateTask(serverId, scheduleId, taskId, fields, apiKey) {
+  const body = taskBody(fields);
+  const data = await clientRequest(apiKey, 'POST', `/servers/${serverId}/schedules/${scheduleId}/tasks/${taskId}`, {
+    data: body,
+    requestData: { serverId, scheduleId, taskId, ...body },
+    errorMessage: 'Failed to update task.'
+  });
+  return data.attributes;
+}
+
+/**
+ * Delete a task
+ * @param {string} serverId - Server identifier
+ * @param {number|string} scheduleId - Schedule id
+ * @param {number|string} taskId - Task id
+ * @param {string} apiKey - Client API key of the signed-in user
+ * @returns {Promise<void>}
+ * @throws {PanelError}
+ */
+async function deleteTask(serverId, scheduleId, taskId, apiKey) {
+  await clientRequest(apiKey, 'DELETE', `/servers/${serverId}/schedules/${scheduleId}/tasks/${taskId}`, {
+    requestData: { serverId, scheduleId, taskId },
+    errorMessage: 'Failed to delete task.'
+  });
 }
+
 module.exports = {
   // HTML helpers
   alertHtml,
   serverCardHtml,
-  
+  serverListHtml,
+  serverStateBadgeHtml,
+  bulkPowerResultHtml,
+  panelWarningsHtml,
+  escapeHtml,
+  formatBytes,
+  formatDate,
+  fileManagerHtml,
+  fileEditorHtml,
+  backupsHtml,
+  databasesHtml,
+  databasePasswordHtml,
+  subusersHtml,
+  subuserFormHtml,
+  allocationsHtml,
+  startupHtml,
+  startupVariableFeedbackHtml,
+  describeCron,
+  schedulesHtml,
+  scheduleFormHtml,
+  taskFormHtml,
+  apiTokensHtml,
+  apiTokenCreatedHtml,
+  notificationRulesHtml,
+  notificationDeliveriesHtml,
+
   // Pterodactyl API
+  panel,
+  POWER_ACTIONS,
   loginToPanel,
+  createApiKey,
+  revokeApiKey,
+  revokeStaleSessionKeys,
+  getAccount,
   getServers,
   getServerDetails,
+  getServerPermissions,
+  hasServerPermission,
   sendPowerAction,
   sendCommand,
-  getConsoleToken
+  getConsoleToken,
+  getServerResources,
+  getServerState,
+
+  // File manager
+  listFiles,
+  getFileContents,
+  writeFile,
+  createFolder,
+  renameFiles,
+  deleteFiles,
+  chmodFiles,
+  compressFiles,
+  decompressFile,
+  openFileDownload,
+  uploadFileStream,
+
+  // Backups
+  listBackups,
+  createBackup,
+  toggleBackupLock,
+  restoreBackup,
+  deleteBackup,
+  openBackupDownload,
+
+  // Databases
+  listDatabases,
+  createDatabase,
+  rotateDatabasePassword,
+  deleteDatabase,
+
+  // Subusers
+  getPermissionGroups,
+  listSubusers,
+  getSubuser,
+  createSubuser,
+  updateSubuser,
+  deleteSubuser,
+
+  // Network
+  listAllocations,
+  assignAllocation,
+  setAllocationNotes,
+  setPrimaryAllocation,
+  deleteAllocation,
+
+  // Startup
+  getStartup,
+  updateStartupVariable,
+  setDockerImage,
+
+  // Schedules
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  executeSchedule,
+  deleteSchedule,
+  createTask,
+  updateTask,
+  deleteTask
 };
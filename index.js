@@ -1,4 +1,20 @@
 require('dotenv').config();
+const { createLogger, requestContext, newRequestId, withRequestId, bindRequestId } = require('./logger');
+const { httpMetrics, metricsHandler, counter } = require('./metrics');
+
+// Demo mode: run the built-in stand-in panel (demoPanel.js) and point the client at it.
+// This has to happen before functions.js is loaded, since it reads PANEL_URL once.
+if (['1', 'true'].includes(String(process.env.DEMO_MODE).toLowerCase())) {
+  const demo = require('./demoPanel').startDemoPanel();
+  process.env.PANEL_URL = demo.url;
+  // Never send a real application key to the stand-in; the admin area is unavailable in demo mode
+  delete process.env.PTERODACTYL_APPLICATION_API_KEY;
+  demo.ready.catch((err) => {
+    createLogger('DemoPanel').error(`could not start on ${demo.url}`, err);
+    process.exit(1);
+  });
+}
+
 const path = require('path');
 const fs = require('fs').promises;
 const express = require('express');
@@ -8,27 +24,55 @@ const livereload = require('livereload');
 const http = require('http');
 const WebSocket = require('ws');
 
-const lrserver = livereload.createServer();
+const log = createLogger('Server');
+const proxyLog = createLogger('Proxy');
+
+// Live reload for development; LIVERELOAD=0 turns it off (tests, or a second instance on the same host)
+const LIVERELOAD = !['0', 'false'].includes(String(process.env.LIVERELOAD).toLowerCase());
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so req.ip and req.secure reflect the client
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 const PORT = process.env.PORT || 3000;
 const APP_NAME = process.env.APP_NAME || 'Pterodactyl Frontend';
 
-lrserver.watch(path.join(__dirname, 'public'));
-// Also watch all EJS templates so template edits trigger live reloads
-lrserver.watch(path.join(__dirname, 'views', '**', '*.ejs'));
-console.log('Livereload: watching /public and /views/**/*.ejs for changes');
-
-app.use(connectLivereload());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+if (LIVERELOAD) {
+  const lrserver = livereload.createServer();
+  lrserver.watch(path.join(__dirname, 'public'));
+  // Also watch all EJS templates so template edits trigger live reloads
+  lrserver.watch(path.join(__dirname, 'views', '**', '*.ejs'));
+  createLogger('Livereload').debug('watching /public and /views/**/*.ejs for changes');
+}
+
+// Correlation id per request (X-Request-Id), carried into every log entry and panel call it causes
+app.use(requestContext);
+app.use(httpMetrics);
+
+// Prometheus scrape endpoint (bearer token when METRICS_TOKEN is set)
+app.get('/metrics', metricsHandler);
+if (LIVERELOAD) app.use(connectLivereload());
+// Raised limits so the file editor can save larger config files
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '10mb' }));
+
+// Security headers (CSP with a per-request nonce for inline scripts) and CSRF tokens for POST/PUT/PATCH/DELETE
+const { securityHeaders, csrfProtection, isAllowedOrigin } = require('./security');
+app.use(securityHeaders);
+app.use(csrfProtection);
 
 // Configure EJS view engine
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// Resolve the signed session cookie (if any) for every request
+const { loadSession, requireAuth, getRequestSession, revokeAllSessionKeys, isRootAdmin, requireRootAdmin } = require('./auth');
+app.use(loadSession);
+
 // Serve templated pages (titles/headers reflect APP_NAME)
-app.get('/login', (req, res) => res.render('login', { appName: APP_NAME }));
-app.get('/dashboard', (req, res) => res.render('dashboard', { appName: APP_NAME }));
+app.get('/login', (req, res) => {
+  if (req.session) return res.redirect('/');
+  res.render('login', { appName: APP_NAME });
+});
+app.get('/dashboard', requireAuth, async (req, res) => res.render('dashboard', { appName: APP_NAME, isAdmin: await isRootAdmin(req.session) }));
 app.get('/index', (req, res) => res.render('index', { appName: APP_NAME }));
 
 // Redirect old .html URLs to clean routes
@@ -37,32 +81,40 @@ app.get('/dashboard.html', (req, res) => res.redirect(301, '/dashboard'));
 app.get('/index.html', (req, res) => res.redirect(301, '/index'));
 
 // Home (dashboard) — show servers list at `/`
-app.get('/', (req, res) => res.render('dashboard', { appName: APP_NAME }));
+app.get('/', requireAuth, async (req, res) => res.render('dashboard', { appName: APP_NAME, isAdmin: await isRootAdmin(req.session) }));
+
+// Admin area (panel root admins only)
+app.get('/admin', requireAuth, requireRootAdmin, (req, res) => res.render('admin', { appName: APP_NAME }));
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Mount API router
+// Mount API routers; the admin and v1 ones have their own auth checks
+app.use('/api/v1', require('./api_v1'));
+app.use('/api/admin', require('./admin_api'));
 app.use('/api', require('./index_api'));
 
 // Server view route
-const { getServerDetails, alertHtml, getConsoleToken } = require('./functions');
-app.get('/server/:id', async (req, res) => {
+const { getServerDetails, alertHtml } = require('./functions');
+const { joinConsole } = require('./consoleHub');
+app.get('/server/:id', requireAuth, async (req, res) => {
   const id = req.params.id;
   let serverName = id;
   try {
-    const r = await getServerDetails(id);
-    if (r.success && r.server && r.server.name) serverName = r.server.name;
+    const details = await getServerDetails(id, req.session.apiKey);
+    if (details && details.name) serverName = details.name;
   } catch (err) {
-    // ignore
+    // ignore, the page falls back to the identifier
   }
 
   res.render('server', { appName: APP_NAME, serverId: id, serverName });
 });
 
-// WebSocket proxy: upgrade handling
+// WebSocket proxy: upgrade handling. Browsers authenticate here, then join the server's shared console (consoleHub.js)
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ noServer: true });
+const { authenticateApiToken, bearerToken } = require('./apiTokens');
+const tokenRejections = counter('console_token_rejections_total', 'Console proxy connections refused for an unknown, used or foreign token');
 
 server.on('upgrade', async (request, socket, head) => {
   // Expect path: /ws/server/:id
@@ -74,8 +126,27 @@ server.on('upgrade', async (request, socket, head) => {
   }
   const serverId = decodeURIComponent(match[1]);
 
+  // Refuse sockets opened by pages on other sites (the session cookie would otherwise be sent along)
+  if (!isAllowedOrigin(request)) {
+    socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
+  // Only signed-in browsers (or scripts with a personal API token) may open a console proxy
+  const current = getRequestSession(request) || authenticateApiToken(bearerToken(request));
+  if (!current) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  const sessionId = current.id;
+
+  // Each console connection gets its own correlation id; its handlers are bound to it below
+  const requestId = `ws-${newRequestId()}`;
+
   // Accept the client connection
-  wss.handleUpgrade(request, socket, head, async (wsClient) => {
+  wss.handleUpgrade(request, socket, head, (wsClient) => withRequestId(requestId, () => {
     try {
       // Wait for the client to send an auth message with the token
       let authTimeout = setTimeout(() => {
@@ -85,16 +156,16 @@ server.on('upgrade', async (request, socket, head) => {
 
       // Capture and log the first few raw messages from the client for debugging
       let rawCount = 0;
-      const onRaw = (m) => {
+      const onRaw = bindRequestId((m) => {
         rawCount++;
         const txt = (typeof m === 'string') ? m : (m && m.toString ? m.toString() : '<binary>');
         const sample = txt.length > 300 ? txt.slice(0, 300) + '...[truncated]' : txt;
-        console.log(`Proxy: raw client message #${rawCount} (${sample.length} chars): ${sample.replace(/\n/g, ' ')}`);
+        proxyLog.debug(`raw client message #${rawCount} (${sample.length} chars): ${sample.replace(/\n/g, ' ')}`);
         if (rawCount >= 3) wsClient.off('message', onRaw);
-      };
+      });
       wsClient.on('message', onRaw);
 
-      const onMessage = async (msg) => {
+      const onMessage = bindRequestId((msg) => {
         // msg may be a Buffer in Node's ws implementation
         const text = (typeof msg === 'string') ? msg : (msg && msg.toString ? msg.toString() : '');
         let parsed = null;
@@ -109,168 +180,47 @@ server.on('upgrade', async (request, socket, head) => {
         wsClient.off('message', onRaw);
 
         const token = parsed.args[0];
-        console.log(`Proxy: received auth token for server ${serverId} (tokenPrefix=${String(token).slice(0,8)}...)`);
-        const { getToken, deleteToken } = require('./tokenStore');
-        const meta = getToken(token);
-        console.log(`Proxy: lookup result for tokenPrefix=${String(token).slice(0,8)}... -> ${meta ? 'FOUND' : 'NOT_FOUND'}`);
-        if (!meta || meta.serverId !== serverId) {
+        proxyLog.debug(`received auth token for server ${serverId} (tokenPrefix=${String(token).slice(0,8)}...)`);
+        const { getToken, consumeToken } = require('./tokenStore');
+        const found = getToken(token);
+        proxyLog.debug(`lookup result for tokenPrefix=${String(token).slice(0,8)}... -> ${found ? 'FOUND' : 'NOT_FOUND'}`);
+        // Only consume a token that belongs to this server and session; single-use tokens fail here on reuse
+        const meta = found && found.serverId === serverId && found.sessionId === sessionId ? consumeToken(token) : null;
+        if (!meta) {
+          tokenRejections.inc();
+          proxyLog.warn(`rejected console token for server ${serverId} (tokenPrefix=${String(token).slice(0,8)}...)`);
           try { wsClient.send(JSON.stringify({ event: 'error', args: ['Invalid or expired token'] })); } catch (e) {}
           try { wsClient.close(); } catch (e) {}
           return;
         }
-        console.log(`Proxy: token valid for server ${meta.serverId} createdAt=${new Date(meta.createdAt).toISOString()} expiresAt=${meta.expiresAt ? new Date(meta.expiresAt).toISOString() : 'none'}`);
-
-        // Connect to backend websocket
-        const backendSocket = meta.socket;
-        let wsRemote;
-        try {
-          // Include Origin header so node doesn't reject upgrade (some nodes validate origin)
-          const originHeader = (process.env.PANEL_URL || '').replace(/^https?:\/\//, '') ? process.env.PANEL_URL : undefined;
-          wsRemote = new WebSocket(backendSocket, { rejectUnauthorized: false, headers: originHeader ? { Origin: originHeader } : undefined });
-        } catch (err) {
-          console.error('Failed to create remote websocket', err);
-          try { wsClient.send(JSON.stringify({ event: 'error', args: ['Backend connection failed'] })); } catch (e) {}
-          try { wsClient.close(); } catch (e) {}
-          return;
-        }
+        proxyLog.info(`token valid for server ${meta.serverId} uses=${meta.uses} createdAt=${new Date(meta.createdAt).toISOString()} expiresAt=${meta.expiresAt ? new Date(meta.expiresAt).toISOString() : 'none'}`);
 
-        // Always attach an error handler immediately to avoid uncaught exceptions
-        wsRemote.on('error', (err) => {
-          console.error('Remote WS error during handshake or runtime', err && err.message ? err.message : err);
-          // If it's a 403, note probable origin/auth mismatch
-          if (err && String(err).includes('403')) console.warn('Remote returned 403 — check node origin/host validation and that the socket URL is correct.');
-          try { wsClient.send(JSON.stringify({ event: 'error', args: ['Backend connection error'] })); } catch (e) {}
-          try { wsClient.close(); } catch (e) {}
-        });
-
-        wsRemote.on('open', () => {
-          // Forward auth to backend
-          try { wsRemote.send(JSON.stringify({ event: 'auth', args: [token] })); } catch (e) {}
-
-          // Flush any queued client messages that arrived while the backend was connecting
-          if (pendingClientMessages && pendingClientMessages.length) {
-            console.log(`Proxy: flushing ${pendingClientMessages.length} queued client messages to backend`);
-            while (pendingClientMessages.length) {
-              const msg = pendingClientMessages.shift();
-              try { wsRemote.send(msg); } catch (err) { console.error('Proxy: failed to send queued message', err); }
-            }
-          }
-
-          // Forward remote -> client, but handle token lifecycle events
-          wsRemote.on('message', async (m) => {
-            try {
-              const txt = (typeof m === 'string') ? m : (m && m.toString ? m.toString() : '');
-              let parsed = null;
-              try { parsed = JSON.parse(txt); } catch (e) { parsed = null; }
-
-              // Handle token lifecycle notifications from the node
-              if (parsed && (parsed.event === 'token expiring' || parsed.event === 'token expired')) {
-                console.log(`Proxy: backend event ${parsed.event} received for server ${serverId}, attempting token refresh`);
-                try {
-                  const { getConsoleToken } = require('./functions');
-                  const { storeToken, deleteToken } = require('./tokenStore');
-                  const refreshed = await getConsoleToken(serverId);
-                  if (refreshed && refreshed.success && refreshed.token) {
-                    const newToken = String(refreshed.token);
-                    const newSocket = refreshed.socket || meta.socket;
-                    const expiresInMs = (15 * 60 * 1000);
-                    const expiresAt = Date.now() + expiresInMs;
-
-                    // Store new token and update socket
-                    storeToken(newToken, { serverId, socket: newSocket, expiresAt });
-                    console.log(`Proxy: refreshed token for ${serverId} tokenPrefix=${newToken.slice(0,8)}...`);
-
-                    // Re-auth backend with the new token on behalf of the client
-                    try { wsRemote.send(JSON.stringify({ event: 'auth', args: [newToken] })); } catch (e) {}
-
-                    // Notify client UI that a refresh occurred (no full token sent)
-                    try { wsClient.send(JSON.stringify({ event: 'token refreshed', args: [newToken.slice(0,8) + '...'] })); } catch (e) {}
-                  } else {
-                    console.warn('Proxy: failed to refresh token from panel API');
-                    try { wsClient.send(JSON.stringify({ event: 'error', args: ['Token refresh failed'] })); } catch (e) {}
-                  }
-                } catch (err) {
-                  console.error('Proxy: error while refreshing token', err);
-                  try { wsClient.send(JSON.stringify({ event: 'error', args: ['Token refresh error'] })); } catch (e) {}
-                }
-
-                // Forward the original message to the client as well
-                try { wsClient.send(m); } catch (e) {}
-                return;
-              }
-
-              // Log and forward auth success for visibility
-              if (parsed && parsed.event === 'auth success') {
-                console.log(`Proxy: backend auth success for server ${serverId}`);
-              }
-
-              // Default forward
-              try { wsClient.send(m); } catch (e) {}
-            } catch (err) {
-              console.error('Proxy: error processing remote message', err);
-              try { wsClient.send(m); } catch (e) {}
-            }
-          });
-          wsRemote.on('close', () => { try { wsClient.close(); } catch (e) {} });
-          wsRemote.on('error', (err) => { console.error('Remote WS error', err); try { wsClient.close(); } catch (e) {} });
-        });
-
-        // Queue for client messages that arrive before the backend is ready
-        const MAX_QUEUE = 200;
-        const pendingClientMessages = [];
-
-        // Helper to forward or queue client messages
-        const forwardClientMessage = (m) => {
-          try {
-            // Normalize to string for parsing without modifying raw buffer for forwarding
-            const txt = (typeof m === 'string') ? m : (m && m.toString ? m.toString() : null);
-            let p = null;
-            try { p = txt ? JSON.parse(txt) : null; } catch (e) { p = null; }
-
-            // Ignore auth frames sent by the client (we handle auth separately)
-            if (p && p.event === 'auth') {
-              console.log('Proxy: ignoring client auth frame (handled)');
-              return;
-            }
-
-            if (wsRemote && wsRemote.readyState === WebSocket.OPEN) {
-              try { wsRemote.send(m); console.log('Proxy: forwarded client->remote message', typeof m === 'string' ? (txt && txt.slice(0,120)) : `<binary:${m.length} bytes>`); } catch (e) { console.error('Proxy: error sending to remote', e); }
-            } else {
-              // Queue messages until remote opens
-              if (pendingClientMessages.length >= MAX_QUEUE) {
-                // Drop oldest if we're full
-                pendingClientMessages.shift();
-              }
-              pendingClientMessages.push(m);
-              console.log('Proxy: queued client message (remote not open yet). queueLength=', pendingClientMessages.length);
-            }
-          } catch (e) {
-            console.error('Forward client->remote error', e);
-          }
-        };
-
-        wsClient.on('message', forwardClientMessage);
-
-        wsClient.on('close', () => { try { wsRemote.close(); } catch (e) {} });
-        wsClient.on('error', () => { try { wsRemote.close(); } catch (e) {} });
-
-        // Optionally, delete token after it's been used once
-        // deleteToken(token);
-      };
+        // Share the server's upstream connection with the other viewers
+        joinConsole(serverId, wsClient, { token, socket: meta.socket, sessionId, userId: meta.userId, username: meta.username, requestId });
+      });
 
       wsClient.on('message', onMessage);
 
     } catch (err) {
-      console.error('Websocket proxy error', err);
+      proxyLog.error('websocket proxy error', err);
       try { wsClient.send(JSON.stringify({ event: 'error', args: ['Internal server error'] })); } catch (e) {}
       try { wsClient.close(); } catch (e) {}
     }
-  });
+  }));
 });
 
 // Generic error handler (do not leak stack traces to clients)
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  // JSON API callers get its error envelope; a malformed body is their mistake, not ours
+  if (req.path.startsWith('/api/v1/')) {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: { status: 400, code: 'validation_failed', message: 'The request body is not valid JSON.', details: [] } });
+    }
+    log.error('unhandled error', err);
+    return res.status(500).json({ error: { status: 500, code: 'internal_error', message: 'Internal server error.', details: [] } });
+  }
+
+  log.error('unhandled error', err);
 
   // If request expects HTML, send sanitized alert
   if (req.accepts && req.accepts('html')) {
@@ -283,5 +233,28 @@ app.use((err, req, res, next) => {
 
 // Start server using our http server (so ws works)
 server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+  log.info(`listening on http://localhost:${PORT}`);
+  // Alert rules are watched from here on, with or without a browser open
+  require('./notifications').startNotifications();
 });
+
+// Graceful shutdown: stop accepting requests and write out the file-backed stores first (revoking can
+// take a while and a supervisor may not wait), then revoke the panel keys of the in-memory sessions
+// (they cannot outlive the process)
+const { flushFileBackends } = require('./tokenStore');
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`${signal} received, shutting down`);
+  server.close();
+  flushFileBackends();
+  try {
+    await revokeAllSessionKeys();
+  } catch (err) {
+    log.error('shutdown cleanup failed', err);
+  }
+  process.exit(0);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
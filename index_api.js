@@ -1,13 +1,91 @@
+const path = require('path');
 const express = require('express');
 const router = express.Router();
+const { createLogger } = require('./logger');
+
+const log = createLogger('API');
 
 const {
   alertHtml,
-  serverCardHtml,
+  serverListHtml,
+  serverStateBadgeHtml,
+  bulkPowerResultHtml,
+  escapeHtml,
   loginToPanel,
   getServers,
-  getServerDetails
+  getServerDetails,
+  getServerPermissions,
+  hasServerPermission,
+  sendPowerAction,
+  getServerResources,
+  fileManagerHtml,
+  fileEditorHtml,
+  listFiles,
+  getFileContents,
+  writeFile,
+  createFolder,
+  renameFiles,
+  deleteFiles,
+  chmodFiles,
+  compressFiles,
+  decompressFile,
+  openFileDownload,
+  uploadFileStream,
+  backupsHtml,
+  listBackups,
+  createBackup,
+  toggleBackupLock,
+  restoreBackup,
+  deleteBackup,
+  openBackupDownload,
+  databasesHtml,
+  databasePasswordHtml,
+  listDatabases,
+  createDatabase,
+  rotateDatabasePassword,
+  deleteDatabase,
+  subusersHtml,
+  subuserFormHtml,
+  getPermissionGroups,
+  listSubusers,
+  getSubuser,
+  createSubuser,
+  updateSubuser,
+  deleteSubuser,
+  allocationsHtml,
+  listAllocations,
+  assignAllocation,
+  setAllocationNotes,
+  setPrimaryAllocation,
+  deleteAllocation,
+  startupHtml,
+  startupVariableFeedbackHtml,
+  getStartup,
+  updateStartupVariable,
+  setDockerImage,
+  describeCron,
+  schedulesHtml,
+  scheduleFormHtml,
+  taskFormHtml,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  executeSchedule,
+  deleteSchedule,
+  createTask,
+  updateTask,
+  deleteTask,
+  apiTokensHtml,
+  apiTokenCreatedHtml,
+  notificationRulesHtml,
+  notificationDeliveriesHtml
 } = require('./functions');
+const { PanelError, PanelAuthError, PanelValidationError } = require('./panelClient');
+const { loginLockedFor, recordLoginFailure, recordLoginSuccess } = require('./security');
+const { startSession, endSession, requireAuth, requireRootAdmin } = require('./auth');
+const { cacheStats } = require('./panelCache');
+const { toArray, panelErrorStatus, sendPanelError, sendPanelErrorJson, sendActionResult, issueConsoleToken } = require('./routeHelpers');
 
 // Health
 router.get('/health', (req, res) => res.json({ ok: true }));
@@ -15,44 +93,101 @@ router.get('/health', (req, res) => res.json({ ok: true }));
 // Login endpoint
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, remember } = req.body;
 
     if (!email || !password) {
       return res.send(alertHtml('Email and password are required.', 'danger'));
     }
 
-    const result = await loginToPanel(email, password);
+    // Locked out addresses and accounts are refused before the panel is asked
+    const lockedMs = loginLockedFor(req.ip, email);
+    if (lockedMs) {
+      return res.send(alertHtml(`Too many failed sign-in attempts. Try again in ${Math.ceil(lockedMs / 60000)} min.`, 'danger'));
+    }
 
-    if (result.success) {
-      res.setHeader('HX-Redirect', '/dashboard');
-      res.send(alertHtml('Login successful! Redirecting...', 'success'));
-    } else {
-      res.send(alertHtml(result.error, 'danger'));
+    let login;
+    try {
+      login = await loginToPanel(email, password);
+    } catch (err) {
+      // Wrong credentials count towards the lockout; an unreachable panel does not
+      if (err instanceof PanelValidationError || err instanceof PanelAuthError) recordLoginFailure(req.ip, email);
+      throw err;
     }
+    recordLoginSuccess(email);
+    startSession(req, res, login, remember === 'on' || remember === true);
+    res.setHeader('HX-Redirect', '/dashboard');
+    res.send(alertHtml('Login successful! Redirecting...', 'success'));
   } catch (err) {
-    console.error('Login error', err);
-    return res.status(500).send(alertHtml('Internal server error.', 'danger'));
+    sendPanelError(res, err, 'Login error');
   }
 });
 
-// Servers list
+// Logout: revokes the session's panel API key and clears the cookie
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+  } catch (err) {
+    log.error('Logout error', err);
+  }
+  res.setHeader('HX-Redirect', '/login');
+  res.send(alertHtml('Signed out.', 'info'));
+});
+
+// Everything below requires a signed-in session
+router.use(requireAuth);
+
+// ============ Server list ============
+
+// Dashboard server list (serverList.js): search, filters, sort, favorites and groups
+const { parseListQuery, serverState, listDashboardServers, toggleFavorite, setServerGroup, bulkPowerAction } = require('./serverList');
+
 router.get('/servers', async (req, res) => {
   try {
-    const result = await getServers();
+    const filters = parseListQuery(req.query);
+    const list = await listDashboardServers(req.session, sessionUserId(req.session), filters);
+    res.send(serverListHtml(list, filters));
+  } catch (err) {
+    sendPanelError(res, err, 'Servers list error');
+  }
+});
 
-    if (!result.success) {
-      return res.send(alertHtml(result.error, 'warning'));
-    }
+// State badge a card loads for itself when the list was built without live states
+router.get('/servers/:id/state', async (req, res) => {
+  try {
+    res.send(serverStateBadgeHtml(await serverState(req.session, req.params.id)));
+  } catch (err) {
+    sendPanelError(res, err, 'Server state error');
+  }
+});
 
-    if (!result.servers || result.servers.length === 0) {
-      return res.send(alertHtml('No servers found.', 'info'));
-    }
+// Same power action on every selected server, answered with a line per server
+router.post('/servers/power', async (req, res) => {
+  try {
+    const action = req.body?.action;
+    const results = await bulkPowerAction(req.session, toArray(req.body?.servers), action);
+    res.setHeader('HX-Trigger', 'servers-changed');
+    res.send(bulkPowerResultHtml(action, results));
+  } catch (err) {
+    sendPanelError(res, err, 'Bulk power error');
+  }
+});
 
-    const cardsHtml = result.servers.map(serverCardHtml).join('');
-    res.send(`<div class="row g-3">${cardsHtml}</div>`);
+// Favorites and groups only change this frontend's view, so they need no panel call
+router.post('/servers/:id/favorite', (req, res) => {
+  try {
+    const favorite = toggleFavorite(sessionUserId(req.session), req.params.id);
+    sendActionResult(res, favorite ? 'Pinned to the top.' : 'Unpinned.', 'servers-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Favorite error');
+  }
+});
+
+router.post('/servers/:id/group', (req, res) => {
+  try {
+    const group = setServerGroup(sessionUserId(req.session), req.params.id, req.get('HX-Prompt') ?? req.body?.group);
+    sendActionResult(res, group ? `Moved to <strong>${escapeHtml(group)}</strong>.` : 'Removed from its group.', 'servers-changed');
   } catch (err) {
-    console.error('Servers list error', err);
-    return res.status(500).send(alertHtml('Internal server error.', 'danger'));
+    sendPanelError(res, err, 'Server group error');
   }
 });
 
@@ -61,57 +196,780 @@ router.get('/server/:id/overview', async (req, res) => {
   try {
     const id = req.params.id;
 
-    const details = await getServerDetails(id);
-    if (!details.success) {
-      return res.send('<div class="alert alert-warning">Could not fetch server details.</div>');
-    }
-
-    const s = details.server;
+    const s = await getServerDetails(id, req.session.apiKey);
     const html = `
       <div class="card mb-3">
         <div class="card-body">
-          <h5 class="card-title">${s.name}</h5>
-          <p class="small text-body-secondary mb-1">Node: ${s.node}</p>
-          <p class="small text-body-secondary mb-1">IP: ${s.ip}:${s.port}</p>
-          <p class="small mb-0">Status: <strong>${s.status}</strong></p>
+          <h5 class="card-title">${escapeHtml(s.name)}</h5>
+          <p class="small text-body-secondary mb-1">Node: ${escapeHtml(s.node)}</p>
+          <p class="small text-body-secondary mb-1">IP: ${escapeHtml(s.ip)}:${escapeHtml(s.port)}</p>
+          <p class="small mb-0">Status: <strong>${escapeHtml(s.status)}</strong></p>
         </div>
       </div>
     `;
 
     res.send(html);
   } catch (err) {
-    console.error('Server overview error', err);
-    return res.status(500).send('<div class="alert alert-danger">Internal server error.</div>');
+    sendPanelError(res, err, 'Server overview error');
   }
 });
 
-// Console token
-const { storeToken } = require('./tokenStore');
-router.get('/server/:id/console', async (req, res) => {
+// Power action (start/stop/restart/kill) — returns an alert fragment for the power toolbar
+router.post('/server/:id/power', async (req, res) => {
   try {
     const id = req.params.id;
-    const { getConsoleToken } = require('./functions');
+    const action = req.body?.action;
 
-    const result = await getConsoleToken(id);
-    if (!result.success) {
-      return res.status(500).json({ success: false, error: 'Could not obtain console token.' });
+    if (!action) {
+      return res.send(alertHtml('No power action given.', 'danger'));
     }
 
-    // Store token and backend socket in token store with expiry (10-15min).
-    const token = String(result.token);
-    const socket = result.socket || result.data?.data?.socket || result.data?.socket || null;
-    const expiresInMs = (15 * 60 * 1000); // 15 minutes
-    const expiresAt = Date.now() + expiresInMs;
+    await sendPowerAction(id, action, req.session.apiKey);
+    res.send(alertHtml(`Sent <strong>${escapeHtml(action)}</strong> signal.`, 'success'));
+  } catch (err) {
+    if (err instanceof PanelError) return res.send(alertHtml(`Power action rejected: ${escapeHtml(err.message)}`, 'danger'));
+    sendPanelError(res, err, 'Power action error');
+  }
+});
+
+// Resource usage snapshot plus limits, so the page has numbers before the console socket connects
+router.get('/server/:id/resources', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const [usage, details] = await Promise.all([
+      getServerResources(id, req.session.apiKey),
+      // Limits are a nice-to-have; the gauges still work without them
+      getServerDetails(id, req.session.apiKey).catch(() => null)
+    ]);
+
+    // Panel limits are in MiB / percent; 0 means unlimited
+    const limits = details ? details.limits : null;
+    return res.json({ success: true, state: usage.state, resources: usage.resources, limits });
+  } catch (err) {
+    sendPanelErrorJson(res, err, 'Resources error');
+  }
+});
+
+// ============ File manager ============
+
+// Directory listing fragment
+router.get('/server/:id/files', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const directory = req.query.directory || '/';
+
+    const files = await listFiles(id, directory, req.session.apiKey);
+    res.send(fileManagerHtml(id, directory, files));
+  } catch (err) {
+    sendPanelError(res, err, 'File list error', 'file-manager');
+  }
+});
+
+// Editor fragment for a single file
+router.get('/server/:id/files/edit', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const file = req.query.file;
+    if (!file) return res.send(alertHtml('No file given.', 'danger'));
+
+    const content = await getFileContents(id, file, req.session.apiKey);
+    res.send(fileEditorHtml(id, file, content));
+  } catch (err) {
+    sendPanelError(res, err, 'File read error', 'file-manager');
+  }
+});
+
+router.post('/server/:id/files/write', async (req, res) => {
+  try {
+    const { file, content } = req.body;
+    if (!file) return res.send(alertHtml('No file given.', 'danger'));
+
+    await writeFile(req.params.id, file, String(content ?? ''), req.session.apiKey);
+    res.send(alertHtml(`Saved <code>${escapeHtml(file)}</code>.`, 'success'));
+  } catch (err) {
+    sendPanelError(res, err, 'File write error');
+  }
+});
+
+router.post('/server/:id/files/create-folder', async (req, res) => {
+  try {
+    const name = (req.get('HX-Prompt') || req.body.name || '').trim();
+    if (!name) return res.send(alertHtml('Folder name is required.', 'warning'));
+
+    await createFolder(req.params.id, req.body.root || '/', name, req.session.apiKey);
+    sendActionResult(res, `Created folder <code>${escapeHtml(name)}</code>.`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create folder error');
+  }
+});
+
+router.post('/server/:id/files/rename', async (req, res) => {
+  try {
+    const from = req.body.from;
+    const to = (req.get('HX-Prompt') || req.body.to || '').trim();
+    if (!from || !to) return res.send(alertHtml('Both the current and the new name are required.', 'warning'));
+
+    await renameFiles(req.params.id, req.body.root || '/', [{ from, to }], req.session.apiKey);
+    sendActionResult(res, `Renamed <code>${escapeHtml(from)}</code> to <code>${escapeHtml(to)}</code>.`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Rename error');
+  }
+});
+
+router.post('/server/:id/files/delete', async (req, res) => {
+  try {
+    const files = toArray(req.body.files);
+    if (!files.length) return res.send(alertHtml('Select at least one file.', 'warning'));
+
+    await deleteFiles(req.params.id, req.body.root || '/', files, req.session.apiKey);
+    sendActionResult(res, `Deleted ${files.length} item(s).`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete files error');
+  }
+});
+
+router.post('/server/:id/files/chmod', async (req, res) => {
+  try {
+    const file = req.body.file;
+    const mode = (req.get('HX-Prompt') || req.body.mode || '').trim();
+    if (!file || !/^[0-7]{3,4}$/.test(mode)) {
+      return res.send(alertHtml('Permissions must be an octal mode such as 644 or 0755.', 'warning'));
+    }
+
+    await chmodFiles(req.params.id, req.body.root || '/', [{ file, mode }], req.session.apiKey);
+    sendActionResult(res, `Changed permissions of <code>${escapeHtml(file)}</code> to ${mode}.`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Chmod error');
+  }
+});
+
+router.post('/server/:id/files/compress', async (req, res) => {
+  try {
+    const files = toArray(req.body.files);
+    if (!files.length) return res.send(alertHtml('Select at least one file.', 'warning'));
+
+    const archive = await compressFiles(req.params.id, req.body.root || '/', files, req.session.apiKey);
+    sendActionResult(res, `Created archive <code>${escapeHtml(archive.name)}</code>.`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Compress error');
+  }
+});
+
+router.post('/server/:id/files/decompress', async (req, res) => {
+  try {
+    const file = req.body.file;
+    if (!file) return res.send(alertHtml('No archive given.', 'warning'));
 
-    storeToken(token, { serverId: id, socket, expiresAt });
+    await decompressFile(req.params.id, req.body.root || '/', file, req.session.apiKey);
+    sendActionResult(res, `Extracted <code>${escapeHtml(file)}</code>.`, 'files-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Decompress error');
+  }
+});
+
+// Download: streamed through this server so the node URL never reaches the browser
+router.get('/server/:id/files/download', async (req, res) => {
+  try {
+    const file = req.query.file;
+    if (!file) return res.status(400).send('No file given.');
 
-    console.log(`API: stored console token for server ${id} socket=${socket} expiresAt=${new Date(expiresAt).toISOString()} tokenPrefix=${String(token).slice(0,8)}...`);
+    const download = await openFileDownload(req.params.id, file, req.session.apiKey);
+
+    res.attachment(path.posix.basename(file));
+    if (download.size) res.setHeader('Content-Length', download.size);
+    download.stream.on('error', () => res.destroy());
+    download.stream.pipe(res);
+  } catch (err) {
+    if (err instanceof PanelError) return res.status(panelErrorStatus(err)).type('text/plain').send(err.message);
+    log.error('Download error', err);
+    return res.status(500).send('Internal server error.');
+  }
+});
+
+// Upload: the browser sends the raw file body, which is streamed to the node's signed upload URL
+router.post('/server/:id/files/upload', async (req, res) => {
+  try {
+    const directory = req.query.directory || '/';
+    const name = req.get('X-File-Name') ? decodeURIComponent(req.get('X-File-Name')) : '';
+    if (!name) return res.status(400).json({ success: false, error: 'No file name given.' });
+
+    const size = req.get('Content-Length') ? Number(req.get('Content-Length')) : null;
+    await uploadFileStream(req.params.id, directory, name, req, size, req.session.apiKey);
+    return res.json({ success: true });
+  } catch (err) {
+    sendPanelErrorJson(res, err, 'Upload error');
+  }
+});
+
+// ============ Backups ============
+
+// Backups list fragment
+router.get('/server/:id/backups', async (req, res) => {
+  try {
+    const { backups } = await listBackups(req.params.id, req.session.apiKey);
+    res.send(backupsHtml(req.params.id, backups));
+  } catch (err) {
+    sendPanelError(res, err, 'Backups list error', 'backups-list');
+  }
+});
+
+router.post('/server/:id/backups', async (req, res) => {
+  try {
+    const { name, ignored, locked } = req.body;
+    await createBackup(req.params.id, {
+      name: (name || '').trim(),
+      ignored: ignored || '',
+      isLocked: locked === 'on' || locked === true
+    }, req.session.apiKey);
+    sendActionResult(res, 'Backup started. It will show as completed here once the node finishes.', 'backups-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create backup error');
+  }
+});
+
+router.post('/server/:id/backups/:backup/lock', async (req, res) => {
+  try {
+    const backup = await toggleBackupLock(req.params.id, req.params.backup, req.session.apiKey);
+    sendActionResult(res, backup.is_locked ? 'Backup locked.' : 'Backup unlocked.', 'backups-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Backup lock error');
+  }
+});
+
+router.post('/server/:id/backups/:backup/restore', async (req, res) => {
+  try {
+    const truncate = req.body.truncate === '1' || req.body.truncate === true;
+    await restoreBackup(req.params.id, req.params.backup, truncate, req.session.apiKey);
+    sendActionResult(res, 'Restore started. Watch the console for progress.', 'backups-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Backup restore error');
+  }
+});
+
+router.delete('/server/:id/backups/:backup', async (req, res) => {
+  try {
+    await deleteBackup(req.params.id, req.params.backup, req.session.apiKey);
+    sendActionResult(res, 'Backup deleted.', 'backups-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Backup delete error');
+  }
+});
+
+// Download: streamed through this server like file downloads
+router.get('/server/:id/backups/:backup/download', async (req, res) => {
+  try {
+    const download = await openBackupDownload(req.params.id, req.params.backup, req.session.apiKey);
+
+    res.attachment(`${req.params.backup}.tar.gz`);
+    if (download.size) res.setHeader('Content-Length', download.size);
+    download.stream.on('error', () => res.destroy());
+    download.stream.pipe(res);
+  } catch (err) {
+    if (err instanceof PanelError) return res.status(panelErrorStatus(err)).type('text/plain').send(err.message);
+    log.error('Backup download error', err);
+    return res.status(500).send('Internal server error.');
+  }
+});
 
+// ============ Databases ============
+
+router.get('/server/:id/databases', async (req, res) => {
+  try {
+    const databases = await listDatabases(req.params.id, req.session.apiKey);
+    res.send(databasesHtml(req.params.id, databases));
+  } catch (err) {
+    sendPanelError(res, err, 'Databases list error', 'databases-list');
+  }
+});
+
+// Create and rotate answer with the reveal-once password dialog; never cache those responses
+router.post('/server/:id/databases', async (req, res) => {
+  try {
+    const database = (req.body.database || '').trim();
+    const remote = (req.body.remote || '%').trim();
+    if (!database) return res.send(alertHtml('Database name is required.', 'warning'));
+
+    const result = await createDatabase(req.params.id, database, remote, req.session.apiKey);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('HX-Trigger', 'databases-changed');
+    res.send(databasePasswordHtml(result.database, result.password));
+  } catch (err) {
+    sendPanelError(res, err, 'Create database error');
+  }
+});
+
+router.post('/server/:id/databases/:database/rotate-password', async (req, res) => {
+  try {
+    const result = await rotateDatabasePassword(req.params.id, req.params.database, req.session.apiKey);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(databasePasswordHtml(result.database, result.password));
+  } catch (err) {
+    sendPanelError(res, err, 'Rotate database password error');
+  }
+});
+
+router.delete('/server/:id/databases/:database', async (req, res) => {
+  try {
+    await deleteDatabase(req.params.id, req.params.database, req.session.apiKey);
+    sendActionResult(res, 'Database deleted.', 'databases-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete database error');
+  }
+});
+
+// ============ Subusers ============
+
+router.get('/server/:id/users', async (req, res) => {
+  try {
+    const users = await listSubusers(req.params.id, req.session.apiKey);
+    res.send(subusersHtml(req.params.id, users));
+  } catch (err) {
+    sendPanelError(res, err, 'Subusers list error', 'users-list');
+  }
+});
+
+// Invite form (empty permission matrix)
+router.get('/server/:id/users/new', async (req, res) => {
+  try {
+    const groups = await getPermissionGroups(req.params.id, req.session.apiKey);
+    res.send(subuserFormHtml(req.params.id, groups, null));
+  } catch (err) {
+    sendPanelError(res, err, 'Subuser form error');
+  }
+});
+
+// Edit form with the subuser's current permissions checked
+router.get('/server/:id/users/:user/edit', async (req, res) => {
+  try {
+    const [groups, user] = await Promise.all([
+      getPermissionGroups(req.params.id, req.session.apiKey),
+      getSubuser(req.params.id, req.params.user, req.session.apiKey)
+    ]);
+    res.send(subuserFormHtml(req.params.id, groups, user));
+  } catch (err) {
+    sendPanelError(res, err, 'Subuser form error');
+  }
+});
+
+router.post('/server/:id/users', async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim();
+    const permissions = toArray(req.body.permissions);
+    await createSubuser(req.params.id, email, permissions, req.session.apiKey);
+    sendActionResult(res, `Invited <strong>${escapeHtml(email)}</strong>.`, 'users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create subuser error');
+  }
+});
+
+router.post('/server/:id/users/:user', async (req, res) => {
+  try {
+    const permissions = toArray(req.body.permissions);
+    await updateSubuser(req.params.id, req.params.user, permissions, req.session.apiKey);
+    sendActionResult(res, 'Permissions saved.', 'users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Update subuser error');
+  }
+});
+
+router.delete('/server/:id/users/:user', async (req, res) => {
+  try {
+    await deleteSubuser(req.params.id, req.params.user, req.session.apiKey);
+    sendActionResult(res, 'Subuser removed.', 'users-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete subuser error');
+  }
+});
+
+// ============ Network ============
+
+router.get('/server/:id/network', async (req, res) => {
+  try {
+    const allocations = await listAllocations(req.params.id, req.session.apiKey);
+    res.send(allocationsHtml(req.params.id, allocations));
+  } catch (err) {
+    sendPanelError(res, err, 'Allocations list error', 'network-list');
+  }
+});
+
+router.post('/server/:id/network', async (req, res) => {
+  try {
+    const allocation = await assignAllocation(req.params.id, req.session.apiKey);
+    sendActionResult(res, `Assigned port <strong>${escapeHtml(allocation.port)}</strong>.`, 'network-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Assign allocation error');
+  }
+});
+
+// Notes are saved on change without reloading the list, so the input keeps focus
+router.post('/server/:id/network/:allocation/notes', async (req, res) => {
+  try {
+    await setAllocationNotes(req.params.id, req.params.allocation, (req.body.notes || '').trim(), req.session.apiKey);
+    res.send(alertHtml('Notes saved.', 'success'));
+  } catch (err) {
+    sendPanelError(res, err, 'Allocation notes error');
+  }
+});
+
+router.post('/server/:id/network/:allocation/primary', async (req, res) => {
+  try {
+    await setPrimaryAllocation(req.params.id, req.params.allocation, req.session.apiKey);
+    sendActionResult(res, 'Primary allocation updated. Restart the server to apply it.', 'network-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Primary allocation error');
+  }
+});
+
+router.delete('/server/:id/network/:allocation', async (req, res) => {
+  try {
+    await deleteAllocation(req.params.id, req.params.allocation, req.session.apiKey);
+    sendActionResult(res, 'Allocation removed.', 'network-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete allocation error');
+  }
+});
+
+// ============ Startup ============
+
+router.get('/server/:id/startup', async (req, res) => {
+  try {
+    const [startup, details] = await Promise.all([
+      getStartup(req.params.id, req.session.apiKey),
+      getServerDetails(req.params.id, req.session.apiKey).catch(() => null)
+    ]);
+    res.send(startupHtml(req.params.id, startup, details ? details.docker_image : null));
+  } catch (err) {
+    sendPanelError(res, err, 'Startup error', 'startup-content');
+  }
+});
+
+// Per-field save: feedback goes under the field, the rendered command is swapped out-of-band
+router.put('/server/:id/startup/variable', async (req, res) => {
+  try {
+    const key = req.body.key;
+    if (!key) return res.send(startupVariableFeedbackHtml('No variable given.'));
+
+    const result = await updateStartupVariable(req.params.id, key, String(req.body.value ?? ''), req.session.apiKey);
+    res.send(startupVariableFeedbackHtml(null)
+      + `<code id="startup-command" class="text-white text-wrap" hx-swap-oob="true">${escapeHtml(result.startupCommand || '')}</code>`);
+  } catch (err) {
+    if (err instanceof PanelError) return res.send(startupVariableFeedbackHtml(err.details().join(' ')));
+    log.error('Startup variable error', err);
+    return res.status(500).send(startupVariableFeedbackHtml('Internal server error.'));
+  }
+});
+
+router.put('/server/:id/startup/docker-image', async (req, res) => {
+  try {
+    const image = req.body.docker_image;
+    if (!image) return res.send(alertHtml('No image selected.', 'warning'));
+
+    await setDockerImage(req.params.id, image, req.session.apiKey);
+    res.send(alertHtml(`Docker image changed to <code>${escapeHtml(image)}</code>. Restart the server to use it.`, 'success'));
+  } catch (err) {
+    sendPanelError(res, err, 'Docker image error');
+  }
+});
+
+// ============ Schedules ============
+
+// Checkbox fields from the schedule / task forms
+function scheduleFields(body) {
+  return { ...body, name: (body.name || '').trim(), is_active: body.is_active === 'on', only_when_online: body.only_when_online === 'on' };
+}
+
+function taskFields(body) {
+  return { ...body, continue_on_failure: body.continue_on_failure === 'on' };
+}
+
+router.get('/server/:id/schedules', async (req, res) => {
+  try {
+    const schedules = await listSchedules(req.params.id, req.session.apiKey);
+    res.send(schedulesHtml(req.params.id, schedules));
+  } catch (err) {
+    sendPanelError(res, err, 'Schedules list error', 'schedules-list');
+  }
+});
+
+router.get('/server/:id/schedules/new', (req, res) => {
+  res.send(scheduleFormHtml(req.params.id, null));
+});
+
+// Human-readable cron preview for the schedule form
+router.get('/server/:id/schedules/preview', (req, res) => {
+  res.send(escapeHtml(describeCron(req.query) || 'Invalid cron expression'));
+});
+
+router.get('/server/:id/schedules/:schedule/edit', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    res.send(scheduleFormHtml(req.params.id, schedule));
+  } catch (err) {
+    sendPanelError(res, err, 'Schedule form error');
+  }
+});
+
+router.post('/server/:id/schedules', async (req, res) => {
+  try {
+    await createSchedule(req.params.id, scheduleFields(req.body), req.session.apiKey);
+    sendActionResult(res, 'Schedule created. Add tasks to it below.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create schedule error');
+  }
+});
+
+router.post('/server/:id/schedules/:schedule', async (req, res) => {
+  try {
+    await updateSchedule(req.params.id, req.params.schedule, scheduleFields(req.body), req.session.apiKey);
+    sendActionResult(res, 'Schedule saved.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Update schedule error');
+  }
+});
+
+// The panel has no toggle endpoint, so resend the schedule with is_active flipped
+router.post('/server/:id/schedules/:schedule/toggle', async (req, res) => {
+  try {
+    const sch = await getSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    await updateSchedule(req.params.id, sch.id, { ...sch, ...sch.cron, is_active: !sch.is_active }, req.session.apiKey);
+    sendActionResult(res, sch.is_active ? 'Schedule disabled.' : 'Schedule enabled.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Toggle schedule error');
+  }
+});
+
+router.post('/server/:id/schedules/:schedule/execute', async (req, res) => {
+  try {
+    await executeSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    sendActionResult(res, 'Schedule triggered.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Execute schedule error');
+  }
+});
+
+router.delete('/server/:id/schedules/:schedule', async (req, res) => {
+  try {
+    await deleteSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    sendActionResult(res, 'Schedule deleted.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete schedule error');
+  }
+});
+
+router.get('/server/:id/schedules/:schedule/tasks/new', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    res.send(taskFormHtml(req.params.id, schedule, null));
+  } catch (err) {
+    sendPanelError(res, err, 'Task form error');
+  }
+});
+
+router.get('/server/:id/schedules/:schedule/tasks/:task/edit', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id, req.params.schedule, req.session.apiKey);
+    const task = schedule.tasks.find(t => String(t.id) === req.params.task);
+    if (!task) return res.send(alertHtml('Task not found.', 'warning'));
+    res.send(taskFormHtml(req.params.id, schedule, task));
+  } catch (err) {
+    sendPanelError(res, err, 'Task form error');
+  }
+});
+
+router.post('/server/:id/schedules/:schedule/tasks', async (req, res) => {
+  try {
+    await createTask(req.params.id, req.params.schedule, taskFields(req.body), req.session.apiKey);
+    sendActionResult(res, 'Task added.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create task error');
+  }
+});
+
+router.post('/server/:id/schedules/:schedule/tasks/:task', async (req, res) => {
+  try {
+    await updateTask(req.params.id, req.params.schedule, req.params.task, taskFields(req.body), req.session.apiKey);
+    sendActionResult(res, 'Task saved.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Update task error');
+  }
+});
+
+router.delete('/server/:id/schedules/:schedule/tasks/:task', async (req, res) => {
+  try {
+    await deleteTask(req.params.id, req.params.schedule, req.params.task, req.session.apiKey);
+    sendActionResult(res, 'Task deleted.', 'schedules-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete task error');
+  }
+});
+
+// Read cache hit rates per resource, for tuning the PANEL_CACHE_TTL_* settings (operators only)
+router.get('/cache/stats', requireRootAdmin, (req, res) => {
+  res.json({ success: true, ...cacheStats() });
+});
+
+// Personal API tokens for /api/v1 (apiTokens.js), managed from the dashboard
+const { listApiTokens, issueApiToken, revokeApiToken } = require('./apiTokens');
+
+function sessionUserId(session) {
+  return session.user?.uuid || session.user?.username;
+}
+
+router.get('/tokens', (req, res) => {
+  res.send(apiTokensHtml(listApiTokens(sessionUserId(req.session))));
+});
+
+router.post('/tokens', async (req, res) => {
+  try {
+    const days = Number(req.body?.expires_in_days);
+    const issued = await issueApiToken(req.session, { name: req.body?.name, ttlDays: Number.isFinite(days) && days >= 0 ? days : undefined });
+    res.setHeader('HX-Trigger', 'api-tokens-changed');
+    res.send(apiTokenCreatedHtml(issued));
+  } catch (err) {
+    sendPanelError(res, err, 'API token error');
+  }
+});
+
+router.delete('/tokens/:token', async (req, res) => {
+  try {
+    if (!(await revokeApiToken(sessionUserId(req.session), req.params.token))) {
+      return res.send(alertHtml('Token not found.', 'warning'));
+    }
+    sendActionResult(res, 'Token revoked.', 'api-tokens-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'API token error');
+  }
+});
+
+// Console token
+router.get('/server/:id/console', async (req, res) => {
+  try {
+    const { token } = await issueConsoleToken(req.params.id, req.session, req.sessionId);
     // Return the raw token to the caller so it can authenticate the websocket proxy.
     return res.json({ success: true, token });
   } catch (err) {
-    console.error('Console token error', err);
-    return res.status(500).json({ success: false, error: 'Internal server error.' });
+    sendPanelErrorJson(res, err, 'Console token error');
+  }
+});
+
+// Console recordings (see consoleRecorder.js). Only users who may open the server's console may read them.
+const { isRecorded, retentionFor, listRecordings, searchRecordings, readRecording } = require('./consoleRecorder');
+
+// Recordings hold console output and commands, so seeing the server is not enough (a subuser may only manage files)
+async function requireConsoleAccess(serverId, apiKey) {
+  if (!hasServerPermission(await getServerPermissions(serverId, apiKey), 'websocket.connect')) {
+    throw new PanelAuthError('You do not have access to the console of this server.', { status: 403 });
+  }
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands; NaN when invalid
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+}
+
+router.get('/server/:id/console/recordings', async (req, res) => {
+  try {
+    const id = req.params.id;
+    await requireConsoleAccess(id, req.session.apiKey);
+    return res.json({ success: true, enabled: isRecorded(id), retention: retentionFor(id), sessions: listRecordings(id) });
+  } catch (err) {
+    sendPanelErrorJson(res, err, 'Console recordings error');
+  }
+});
+
+router.get('/server/:id/console/recordings/search', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ success: false, error: 'Invalid time range.' });
+    if (req.query.type && !['output', 'command', 'power'].includes(req.query.type)) {
+      return res.status(400).json({ success: false, error: 'Type must be output, command or power.' });
+    }
+
+    await requireConsoleAccess(id, req.session.apiKey);
+    const result = await searchRecordings(id, {
+      q: req.query.q,
+      from,
+      to,
+      type: req.query.type,
+      session: req.query.session,
+      page: Number(req.query.page) || 1,
+      perPage: Number(req.query.per_page) || 100
+    });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    sendPanelErrorJson(res, err, 'Console search error');
+  }
+});
+
+router.get('/server/:id/console/recordings/:session/download', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const format = req.query.format === 'txt' ? 'txt' : 'jsonl';
+    await requireConsoleAccess(id, req.session.apiKey);
+
+    const chunks = readRecording(id, req.params.session, format);
+    if (!chunks) return res.status(404).send('Recording not found.');
+
+    res.attachment(`console-${id}-${req.params.session}.${format === 'txt' ? 'txt' : 'jsonl'}`);
+    res.type(format === 'txt' ? 'text/plain' : 'application/x-ndjson');
+    for await (const chunk of chunks) {
+      if (!res.write(chunk)) await new Promise(resolve => res.once('drain', resolve));
+    }
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.destroy();
+    if (err instanceof PanelError) return res.status(panelErrorStatus(err)).type('text/plain').send(err.message);
+    log.error('Console recording download error', err);
+    return res.status(500).send('Internal server error.');
+  }
+});
+
+// Alerts: rules per server delivered to webhooks, watched server-side (notifications.js)
+const { listRules, createRule, toggleRule, deleteRule, sendTestNotification, listDeliveries } = require('./notifications');
+
+router.get('/server/:id/alerts', (req, res) => {
+  res.send(notificationRulesHtml(req.params.id, listRules(sessionUserId(req.session), req.params.id)));
+});
+
+router.get('/server/:id/alerts/deliveries', (req, res) => {
+  res.send(notificationDeliveriesHtml(req.params.id, listDeliveries(sessionUserId(req.session), req.params.id)));
+});
+
+router.post('/server/:id/alerts', async (req, res) => {
+  try {
+    const rule = await createRule(req.session, req.params.id, req.body || {});
+    sendActionResult(res, `Alert ${escapeHtml(rule.name)} added. It is watched even while this page is closed.`, 'alerts-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Create alert error');
+  }
+});
+
+router.post('/server/:id/alerts/:rule/toggle', (req, res) => {
+  const rule = toggleRule(sessionUserId(req.session), req.params.id, req.params.rule);
+  if (!rule) return res.send(alertHtml('Alert not found.', 'warning'));
+  sendActionResult(res, rule.enabled ? 'Alert enabled.' : 'Alert disabled.', 'alerts-changed');
+});
+
+router.post('/server/:id/alerts/:rule/test', (req, res) => {
+  if (!sendTestNotification(sessionUserId(req.session), req.params.id, req.params.rule)) {
+    return res.send(alertHtml('Alert not found.', 'warning'));
+  }
+  sendActionResult(res, 'Test notification queued. See the delivery history below for the result.', 'alerts-changed');
+});
+
+router.delete('/server/:id/alerts/:rule', async (req, res) => {
+  try {
+    if (!(await deleteRule(sessionUserId(req.session), req.params.id, req.params.rule))) {
+      return res.send(alertHtml('Alert not found.', 'warning'));
+    }
+    sendActionResult(res, 'Alert deleted.', 'alerts-changed');
+  } catch (err) {
+    sendPanelError(res, err, 'Delete alert error');
   }
 });
 
@@ -123,10 +981,15 @@ if (process.env.DEBUG_TOKEN_DUMP === '1' || process.env.NODE_ENV === 'developmen
       const tokens = listTokens();
       return res.json({ success: true, tokens });
     } catch (err) {
-      console.error('Debug tokens error', err);
+      log.error('Debug tokens error', err);
       return res.status(500).json({ success: false, error: 'Could not list tokens.' });
     }
   });
+
+  router.get('/debug/consoles', (req, res) => {
+    const { listConsoles } = require('./consoleHub');
+    return res.json({ success: true, consoles: listConsoles() });
+  });
 }
 
 module.exports = router;
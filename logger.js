@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Logging: levelled per-component loggers that print to stdout and append to one JSON-lines file,
+// shared with the panel API log (apiLog.js). Every entry carries the correlation id of the HTTP
+// request or console session it happened in, so a page load can be followed to its panel calls.
+//
+// File entries: { timestamp, level, type: 'app' | 'api' | 'http', requestId, ... }
+//   app:  component, message, plus any fields passed to the logger (masked)
+//   api:  method, url, status, attempt, durationMs, request, response, error (see apiLog.js)
+//   http: method, path, status, durationMs (debug level)
+//
+// Config:
+//   LOG_LEVEL=info                debug | info | warn | error, for stdout and the file
+//   LOG_FILE=log.txt
+//   LOG_ROTATE=size               size | daily; rotated files are <LOG_FILE>.<timestamp>
+//   LOG_MAX_MB=10                 size rotation threshold
+//   LOG_RETENTION_FILES=5         rotated files kept (0 keeps all)
+//   LOG_RETENTION_DAYS=14         rotated files older than this are deleted (0 = no age limit)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info';
+const LOG_FILE = path.resolve(__dirname, process.env.LOG_FILE || 'log.txt');
+const ROTATE_DAILY = String(process.env.LOG_ROTATE || '').toLowerCase() === 'daily';
+const MAX_BYTES = (Number(process.env.LOG_MAX_MB) || 10) * 1024 * 1024;
+const RETENTION_FILES = process.env.LOG_RETENTION_FILES !== undefined && process.env.LOG_RETENTION_FILES !== '' ? Number(process.env.LOG_RETENTION_FILES) || 0 : 5;
+const RETENTION_DAYS = process.env.LOG_RETENTION_DAYS !== undefined && process.env.LOG_RETENTION_DAYS !== '' ? Number(process.env.LOG_RETENTION_DAYS) || 0 : 14;
+const MAX_READ = 1000;
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// ============ Masking ============
+
+// Secrets that show up inside free text: Wings JWTs (also cut off after the payload), panel API keys and our personal API tokens
+const SECRET_TEXT_RE = /\beyJ[\w-]+\.[\w-]+(?:\.[\w-]+)?|\bptl[acr]_[A-Za-z0-9]{32,}|\bptf_[\w-]{32,}/g;
+
+/**
+ * Redact secrets inside a string (tokens and API keys; 8-character token prefixes are kept)
+ * @param {string} text
+ * @returns {string}
+ */
+function maskText(text) {
+  return String(text).replace(SECRET_TEXT_RE, '***REDACTED***');
+}
+
+/**
+ * Copy of an object with password/token/key/authorization values redacted, at any depth
+ * @param {*} obj
+ * @returns {*}
+ */
+function maskSensitive(obj) {
+  if (typeof obj === 'string') return maskText(obj);
+  if (!obj || typeof obj !== 'object') return obj;
+  const out = Array.isArray(obj) ? [] : {};
+  for (const [k, v] of Object.entries(obj)) {
+    const lk = k.toLowerCase();
+    if (lk.includes('password') || lk.includes('token') || lk.includes('key') || lk.includes('authorization')) {
+      out[k] = '***REDACTED***';
+    } else {
+      out[k] = maskSensitive(v);
+    }
+  }
+  return out;
+}
+
+// ============ Correlation ids ============
+
+const context = new AsyncLocalStorage();
+
+function newRequestId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/** Correlation id of the code running now, or null outside a request or console session */
+function currentRequestId() {
+  return context.getStore()?.requestId || null;
+}
+
+/**
+ * Run fn with a correlation id; everything it starts (including panel calls) logs with that id
+ * @param {string} requestId
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+function withRequestId(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+/**
+ * Bind a callback to the current correlation id, for event handlers (sockets do not carry it on their own)
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function bindRequestId(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Express middleware: give each request a correlation id (a sane incoming X-Request-Id is kept),
+ * echo it back in X-Request-Id and log the request at debug level when it finishes
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : newRequestId();
+  res.setHeader('X-Request-Id', req.id);
+  const started = Date.now();
+  res.on('finish', () => {
+    withRequestId(req.id, () => writeEntry('debug', {
+      type: 'http', method: req.method, path: req.originalUrl.split('?')[0], status: res.statusCode, durationMs: Date.now() - started
+    }, `HTTP: ${req.method} ${req.originalUrl.split('?')[0]} -> ${res.statusCode} (${Date.now() - started}ms)`));
+  });
+  withRequestId(req.id, next);
+}
+
+// ============ File output ============
+
+let stream = null;
+let bytes = 0;
+let openedDay = null;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// The file is opened synchronously so a rotation right after this always finds it to rename
+function openLog() {
+  let fd;
+  try {
+    fd = fs.openSync(LOG_FILE, 'a');
+    const stat = fs.fstatSync(fd);
+    bytes = stat.size;
+    openedDay = stat.size ? stat.mtime.toISOString().slice(0, 10) : today();
+  } catch (err) {
+    if (fd !== undefined) fs.closeSync(fd);
+    process.stderr.write(`Logger: could not open ${LOG_FILE}: ${err.message}\n`);
+    return;
+  }
+  stream = fs.createWriteStream(LOG_FILE, { fd });
+  stream.on('error', (err) => {
+    process.stderr.write(`Logger: could not write ${LOG_FILE}: ${err.message}\n`);
+    stream = null;
+  });
+}
+
+// Rotated files next to LOG_FILE, oldest first (timestamps sort as text)
+function rotatedFiles() {
+  const dir = path.dirname(LOG_FILE);
+  const prefix = `${path.basename(LOG_FILE)}.`;
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch (e) { return []; }
+  return names.filter(name => name.startsWith(prefix)).sort().map(name => path.join(dir, name));
+}
+
+function pruneRotated() {
+  const files = rotatedFiles();
+  const cutoff = RETENTION_DAYS ? Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000 : null;
+  files.forEach((file, i) => {
+    const overCount = RETENTION_FILES > 0 && i < files.length - RETENTION_FILES;
+    let tooOld = false;
+    if (!overCount && cutoff !== null) {
+      try { tooOld = fs.statSync(file).mtimeMs < cutoff; } catch (e) {}
+    }
+    if (!overCount && !tooOld) return;
+    try { fs.unlinkSync(file); } catch (e) {}
+  });
+}
+
+// Renaming an open file is fine on POSIX: writes still queued land in the rotated file
+function rotate() {
+  if (stream) stream.end();
+  stream = null;
+  const stamp = new Date().toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  let target = `${LOG_FILE}.${stamp}`;
+  for (let n = 1; fs.existsSync(target); n++) target = `${LOG_FILE}.${stamp}-${n}`;
+  try {
+    fs.renameSync(LOG_FILE, target);
+  } catch (err) {
+    if (err.code !== 'ENOENT') process.stderr.write(`Logger: could not rotate ${LOG_FILE}: ${err.message}\n`);
+  }
+  pruneRotated();
+  openLog();
+}
+
+function appendLine(line) {
+  if (!stream) openLog();
+  const size = Buffer.byteLength(line);
+  if (bytes > 0 && (ROTATE_DAILY ? openedDay !== today() : bytes + size > MAX_BYTES)) rotate();
+  if (!stream) return;
+  bytes += size;
+  stream.write(line);
+}
+
+function enabled(level) {
+  return LEVELS[level] >= LEVELS[LOG_LEVEL];
+}
+
+// One entry to the file, and its text form to stdout/stderr
+function writeEntry(level, fields, text, extra) {
+  if (!enabled(level)) return;
+  const requestId = currentRequestId();
+  const entry = { timestamp: new Date().toISOString(), level, type: 'app', requestId, ...fields };
+  try {
+    appendLine(JSON.stringify(entry) + '\n');
+  } catch (e) {
+    process.stderr.write(`Logger: failed to write log entry: ${e.message}\n`);
+  }
+  if (text === undefined) return;
+  const line = `${maskText(text)}${requestId ? ` [${requestId}]` : ''}`;
+  const out = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  if (extra !== undefined) out(line, maskText(extra.stack || extra));
+  else out(line);
+}
+
+// Errors become { error, stack }; other details are masked
+function entryFields(details) {
+  if (details instanceof Error) return { error: maskText(details.message), stack: maskText(details.stack || '') };
+  if (details === undefined || details === null) return {};
+  if (typeof details === 'object') return { details: maskSensitive(details) };
+  return { details: maskText(String(details)) };
+}
+
+/**
+ * Logger for one component; messages print as "<Component>: <message>" like the rest of the app.
+ * The optional second argument is an Error (printed with its stack on stdout) or extra fields (file only).
+ * @param {string} component - e.g. "ConsoleHub"
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger(component) {
+  const log = (level) => (message, details) => {
+    const text = component ? `${component}: ${message}` : String(message);
+    writeEntry(level, { component, message: maskText(message), ...entryFields(details) }, text, details instanceof Error ? details : undefined);
+  };
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+// ============ Reading ============
+
+// Lines of a file from the end, newest first, without loading all of it
+function* linesBackward(file) {
+  let fd;
+  try { fd = fs.openSync(file, 'r'); } catch (e) { return; }
+  try {
+    const chunkSize = 64 * 1024;
+    let position = fs.fstatSync(fd).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      let buf = Buffer.concat([chunk, rest]);
+      let end = buf.length;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) continue;
+        if (end > i + 1) yield buf.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = buf.subarray(0, end);
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read log entries newest first, across the current and rotated files
+ * @param {object} [filters]
+ * @param {string} [filters.level] - Minimum level
+ * @param {string} [filters.type] - app, api or http
+ * @param {string} [filters.requestId] - Only entries of one request or console session
+ * @param {string} [filters.q] - Case-insensitive text anywhere in the entry
+ * @param {string} [filters.after] - Only entries newer than this ISO timestamp (for tailing)
+ * @param {number} [filters.limit=200] - At most this many (capped at 1000)
+ * @returns {object[]} Entries; lines written before levels existed count as info api entries
+ */
+function readLogEntries({ level, type, requestId, q, after, limit = 200 } = {}) {
+  limit = Math.min(Math.max(1, Math.floor(limit) || 200), MAX_READ);
+  const minLevel = LEVELS[level] || 0;
+  const needle = q ? String(q).toLowerCase() : null;
+  const entries = [];
+  for (const file of [LOG_FILE, ...rotatedFiles().reverse()]) {
+    for (const line of linesBackward(file)) {
+      let entry;
+      try { entry = JSON.parse(line); } catch (e) { continue; }
+      entry.level = entry.level || 'info';
+      entry.type = entry.type || 'api';
+      if (after && entry.timestamp <= after) return entries;
+      if (LEVELS[entry.level] < minLevel) continue;
+      if (type && entry.type !== type) continue;
+      if (requestId && entry.requestId !== requestId) continue;
+      if (needle && !line.toLowerCase().includes(needle)) continue;
+      entries.push(entry);
+      if (entries.length >= limit) return entries;
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  writeEntry,
+  maskText,
+  maskSensitive,
+  newRequestId,
+  currentRequestId,
+  withRequestId,
+  bindRequestId,
+  requestContext,
+  readLogEntries
+};
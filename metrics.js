@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+
+// Prometheus metrics. Counters and histograms are updated where things happen; gauges are read
+// from their owner (console hubs, token store, sessions) when /metrics is scraped. Modules register
+// their own metrics with counter() / histogram() / gauge(); this file only knows the panel client
+// and HTTP ones.
+//
+// Config:
+//   METRICS_TOKEN=<secret>   require "Authorization: Bearer <secret>" on /metrics (open when unset)
+
+const METRICS = new Map();
+
+// Seconds; panel calls and page loads both sit comfortably inside this range
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series key: label values in a stable order
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function register(name, metric) {
+  if (METRICS.has(name)) return METRICS.get(name);
+  METRICS.set(name, metric);
+  return metric;
+}
+
+/**
+ * A counter; registering the same name twice returns the first one
+ * @param {string} name
+ * @param {string} help
+ * @returns {{inc: (labels?: object, n?: number) => void}}
+ */
+function counter(name, help) {
+  const series = new Map();
+  return register(name, {
+    inc(labels = {}, n = 1) {
+      const key = seriesKey(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += n;
+      series.set(key, s);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const s of series.values()) lines.push(`${name}${labelText(s.labels)} ${s.value}`);
+      return lines;
+    }
+  });
+}
+
+/**
+ * A histogram of durations in seconds
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} [buckets]
+ * @returns {{observe: (labels: object, seconds: number) => void}}
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register(name, {
+    observe(labels = {}, seconds) {
+      const key = seriesKey(labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${labelText(s.labels)} ${Number(s.sum.toFixed(6))}`);
+        lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * A gauge read at scrape time
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number|Array<{labels: object, value: number}>} collect - One value, or one per label set
+ */
+function gauge(name, help, collect) {
+  return register(name, {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      let values;
+      try {
+        values = collect();
+      } catch (e) {
+        return lines;
+      }
+      for (const v of typeof values === 'number' ? [{ labels: {}, value: values }] : values) {
+        lines.push(`${name}${labelText(v.labels)} ${v.value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/** Every registered metric in the Prometheus text format */
+function renderMetrics() {
+  return [...METRICS.values()].flatMap(m => m.render()).join('\n') + '\n';
+}
+
+// ============ Panel API ============
+
+const panelRequests = counter('panel_api_requests_total', 'Panel API request attempts by endpoint and status');
+const panelDuration = histogram('panel_api_request_duration_seconds', 'Panel API request latency by endpoint and status');
+
+// Path segments naming a collection of the Client or Application API; the segment after one is an
+// id of any shape (identifiers, UUIDs, numbers, api key identifiers, database hashids, ...)
+const COLLECTIONS = new Set(['servers', 'api-keys', 'ssh-keys', 'backups', 'databases', 'users', 'allocations',
+  'schedules', 'tasks', 'nodes', 'locations', 'nests', 'eggs']);
+
+/**
+ * Endpoint label for a panel URL: the path as a route template ("/api/client/servers/:id/backups/:id"),
+ * so there is one series per endpoint rather than per server or object
+ * @param {string} url - Absolute panel URL or a placeholder such as "<signed download url>"
+ * @returns {string}
+ */
+function panelEndpoint(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    return 'node';
+  }
+  const template = [];
+  for (const seg of pathname.split('/')) {
+    // Compared with the templated previous segment, so an id that happens to read "users" is no collection
+    template.push(seg && COLLECTIONS.has(template[template.length - 1]) ? ':id' : seg);
+  }
+  return template.join('/');
+}
+
+/**
+ * Count and time one panel request attempt (called next to logApiRequest)
+ * @param {{method: string, url: string, status?: number, durationMs: number}} call
+ */
+function observePanelCall({ method, url, status, durationMs }) {
+  const labels = { method, endpoint: panelEndpoint(url), status: status || 'error' };
+  panelRequests.inc(labels);
+  panelDuration.observe(labels, (durationMs || 0) / 1000);
+}
+
+// ============ HTTP ============
+
+const httpDuration = histogram('http_request_duration_seconds', 'Frontend HTTP latency by route and status');
+
+/**
+ * Express middleware timing every request by its matched route pattern (not the raw URL)
+ */
+function httpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : (res.statusCode === 404 ? 'unmatched' : 'static');
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+}
+
+// ============ Process ============
+
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+
+// ============ Endpoint ============
+
+function tokenMatches(header) {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const given = Buffer.from(String(header || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * GET /metrics handler, bearer-protected when METRICS_TOKEN is set
+ */
+function metricsHandler(req, res) {
+  if (process.env.METRICS_TOKEN && !tokenMatches(req.get('Authorization'))) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  panelEndpoint,
+  observePanelCall,
+  httpMetrics,
+  metricsHandler
+};
@@ -0,0 +1,954 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const { createFileBackend } = require('./tokenStore');
+const { createApiKey, revokeApiKey, getServerDetails, getServerPermissions, hasServerPermission, getConsoleToken } = require('./functions');
+const { secretBox, requireSessionSecret } = require('./auth');
+const { PanelValidationError, PanelAuthError, PanelNotFoundError } = require('./panelClient');
+const { watchConsole } = require('./consoleHub');
+const { createLogger } = require('./logger');
+const { counter, gauge } = require('./metrics');
+
+const log = createLogger('Notifications');
+
+// Alert rules per server, evaluated server-side against the console hub's upstream events, and
+// delivered to webhooks (generic JSON, Discord or Slack). Every server with an enabled rule is
+// watched through consoleHub.watchConsole whether or not a browser is open, with a panel key created
+// for that purpose when the user saves their first rule (revoked with their last one). Webhook URLs
+// and those keys are stored encrypted with SESSION_SECRET, like API tokens, so no rule can be saved
+// while that is unset.
+//
+// Rules fire on status changes (offline, crash = offline without a stop first, back up), on CPU or
+// memory staying above a threshold, or on a console line containing a text pattern. A rule that fired stays
+// quiet for its cool-down; threshold rules also re-arm only after the value dropped below again.
+// Failed deliveries are retried with backoff (pending ones survive a restart) and every attempt is
+// kept in the delivery history.
+//
+// Config:
+//   NOTIFY_FILE=data/notifications.json                  rules and monitoring keys
+//   NOTIFY_HISTORY_FILE=data/notification-deliveries.json
+//   NOTIFY_HISTORY_PER_SERVER=200                        deliveries kept per server, oldest dropped
+//   NOTIFY_MAX_RULES_PER_USER=25
+//   NOTIFY_DEFAULT_COOLDOWN_MINUTES=5
+//   NOTIFY_MAX_ATTEMPTS=5                                attempts before a delivery is marked failed
+//   NOTIFY_RETRY_BASE_SECONDS=15                         first retry delay, doubled per attempt (max 15 min)
+//   NOTIFY_TIMEOUT_MS=10000
+//   NOTIFY_ALLOWED_HOSTS=discord.com,hooks.slack.com     webhook hosts users may enter (any public host when empty)
+//   NOTIFY_ALLOW_HTTP=0                                  1 also accepts plain http:// webhook URLs
+//   NOTIFY_ALLOW_PRIVATE_ADDRESSES=0                     1 lets webhooks reach loopback, private and link-local
+//                                                        addresses (only for trusted users: it exposes internal services)
+
+const RULES_FILE = path.resolve(__dirname, process.env.NOTIFY_FILE || 'data/notifications.json');
+const HISTORY_FILE = path.resolve(__dirname, process.env.NOTIFY_HISTORY_FILE || 'data/notification-deliveries.json');
+const HISTORY_PER_SERVER = Number(process.env.NOTIFY_HISTORY_PER_SERVER) || 200;
+const MAX_RULES_PER_USER = Number(process.env.NOTIFY_MAX_RULES_PER_USER) || 25;
+const DEFAULT_COOLDOWN_MINUTES = process.env.NOTIFY_DEFAULT_COOLDOWN_MINUTES !== undefined && process.env.NOTIFY_DEFAULT_COOLDOWN_MINUTES !== ''
+  ? Number(process.env.NOTIFY_DEFAULT_COOLDOWN_MINUTES) : 5;
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = (Number(process.env.NOTIFY_RETRY_BASE_SECONDS) || 15) * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS) || 10000;
+const ALLOW_HTTP = ['1', 'true'].includes(String(process.env.NOTIFY_ALLOW_HTTP).toLowerCase());
+const ALLOW_PRIVATE = ['1', 'true'].includes(String(process.env.NOTIFY_ALLOW_PRIVATE_ADDRESSES).toLowerCase());
+const APP_NAME = process.env.APP_NAME || 'Pterodactyl Frontend';
+
+// Monitors that lost their console reconnect after this, doubled per failure
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+// The node replays its log history right after a (re)connect; console rules ignore lines this early
+const HISTORY_GRACE_MS = 3000;
+// Console lines longer than this are cut before matching
+const MAX_LINE_LENGTH = 2000;
+
+const RULE_TYPES = {
+  offline: 'Server went offline',
+  crash: 'Server crashed',
+  online: 'Server came back up',
+  cpu: 'CPU above threshold',
+  memory: 'Memory above threshold',
+  console: 'Console line contains'
+};
+const FORMATS = { json: 'JSON webhook', discord: 'Discord', slack: 'Slack' };
+// Embed / attachment colours per rule type
+const COLORS = { offline: 0xdc3545, crash: 0xdc3545, online: 0x198754, cpu: 0xffc107, memory: 0xffc107, console: 0x0d6efd, test: 0x6c757d };
+
+const RULE_PREFIX = 'rule:';
+const KEY_PREFIX = 'key:';
+
+// rule:<id> -> rule, key:<userId> -> monitoring key
+const backend = createFileBackend(RULES_FILE);
+// delivery id -> delivery
+const history = createFileBackend(HISTORY_FILE);
+
+const { seal, open } = secretBox('notification-encryption');
+
+const fired = counter('notifications_fired_total', 'Alert rules that fired, by rule type');
+const suppressed = counter('notifications_suppressed_total', 'Alerts not sent because their rule was cooling down, by rule type');
+const deliveryAttempts = counter('notification_deliveries_total', 'Webhook delivery attempts by format and result (delivered, retry, failed)');
+
+function now() { return Date.now(); }
+
+function randomId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// ============ Storage ============
+
+function rules() {
+  const out = [];
+  for (const [key, record] of backend.entries()) if (key.startsWith(RULE_PREFIX)) out.push(record);
+  return out;
+}
+
+function getRule(id) {
+  return backend.get(RULE_PREFIX + id) || null;
+}
+
+function saveRule(rule) {
+  backend.set(RULE_PREFIX + rule.id, rule);
+}
+
+function findRule(userId, serverId, id) {
+  const rule = getRule(id);
+  return rule && rule.userId === userId && rule.serverId === serverId ? rule : null;
+}
+
+function panelKeyFor(userId) {
+  const record = backend.get(KEY_PREFIX + userId);
+  return record && !record.rejected ? open(record.panelKey) : null;
+}
+
+/**
+ * The monitoring key is created from the user's own key the first time they save a rule, and
+ * again when the panel stopped accepting the old one (then their other servers are retried too)
+ * @returns {Promise<boolean>} Whether a new key was created
+ */
+async function ensurePanelKey(session, userId) {
+  if (panelKeyFor(userId)) return false;
+  const key = await createApiKey(session.apiKey, 'Server alerts');
+  backend.set(KEY_PREFIX + userId, {
+    userId,
+    username: session.user?.username,
+    panelKey: seal(key.apiKey),
+    panelKeyIdentifier: key.identifier,
+    createdAt: now()
+  });
+  log.info(`created monitoring key for ${session.user?.username}`);
+  return true;
+}
+
+async function releasePanelKey(userId) {
+  if (rules().some(r => r.userId === userId)) return;
+  const record = backend.get(KEY_PREFIX + userId);
+  if (!record) return;
+  backend.delete(KEY_PREFIX + userId);
+  const panelKey = open(record.panelKey);
+  if (!panelKey) return;
+  try {
+    await revokeApiKey(record.panelKeyIdentifier, panelKey);
+  } catch (err) {
+    log.warn(`could not revoke monitoring key ${record.panelKeyIdentifier}: ${err.message}`);
+  }
+}
+
+// ============ Rules ============
+
+function describeRule(rule) {
+  switch (rule.type) {
+    case 'cpu': return `CPU above ${rule.threshold}% for ${rule.durationSeconds}s`;
+    case 'memory': return `Memory above ${rule.threshold}% of the limit for ${rule.durationSeconds}s`;
+    case 'console': return `Console line contains "${rule.pattern}"`;
+    default: return RULE_TYPES[rule.type];
+  }
+}
+
+// What the owner sees of a rule: never the webhook URL itself
+function publicRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    description: describeRule(rule),
+    format: rule.format,
+    formatLabel: FORMATS[rule.format],
+    target: rule.urlHint,
+    cooldownMinutes: rule.cooldownMinutes,
+    enabled: rule.enabled,
+    error: rule.error || null,
+    lastFiredAt: rule.lastFiredAt || null,
+    createdAt: rule.createdAt
+  };
+}
+
+// Webhooks are requested by this server, so a URL pointing inside its network would let users probe
+// internal services (and read the answer's status in the delivery history)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [range, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED_ADDRESSES.addSubnet(range, bits, 'ipv4');
+}
+for (const [range, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(range, bits, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE) return false;
+  // BlockList also checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const BLOCKED_MESSAGE = 'The webhook host is a loopback, private or link-local address.';
+
+// Resolve like the connection will, refusing when any address is internal. Delivery connects through
+// this too, so a name that changes what it resolves to after the rule was saved is still refused.
+async function lookupPublic(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  if (addresses.some(a => isBlockedAddress(a.address))) {
+    throw Object.assign(new Error(BLOCKED_MESSAGE), { code: 'EBLOCKEDADDRESS' });
+  }
+  return addresses;
+}
+
+function validWebhookUrl(value) {
+  let url;
+  try { url = new URL(String(value || '').trim()); } catch (e) { return null; }
+  if (url.protocol !== 'https:' && !(ALLOW_HTTP && url.protocol === 'http:')) return null;
+  const allowed = (process.env.NOTIFY_ALLOWED_HOSTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const host = url.hostname.toLowerCase();
+  if (allowed.length && !allowed.some(h => host === h || host.endsWith(`.${h}`))) return null;
+  return url;
+}
+
+/**
+ * Refuse a webhook URL whose host is, or resolves to, an internal address
+ * @param {URL} url - From validWebhookUrl
+ * @returns {Promise<void>}
+ * @throws {PanelValidationError}
+ */
+async function checkWebhookHost(url) {
+  // IP literals are connected to without a lookup, so check them directly
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw new PanelValidationError(BLOCKED_MESSAGE);
+    return;
+  }
+  try {
+    await lookupPublic(host);
+  } catch (err) {
+    throw new PanelValidationError(err.code === 'EBLOCKEDADDRESS' ? BLOCKED_MESSAGE : `The webhook host ${host} could not be resolved.`);
+  }
+}
+
+function numberField(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Form fields to a rule; every problem is reported at once, like panel validation errors
+function ruleFields(input) {
+  const errors = [];
+  const type = String(input.type || '');
+  const format = String(input.format || 'json');
+  const fields = {
+    name: String(input.name || '').trim().slice(0, 60) || RULE_TYPES[type] || 'Alert',
+    type,
+    format,
+    threshold: null,
+    durationSeconds: null,
+    pattern: null,
+    cooldownMinutes: numberField(input.cooldown_minutes, DEFAULT_COOLDOWN_MINUTES)
+  };
+
+  if (!RULE_TYPES[type]) errors.push('Choose what the rule should watch.');
+  if (!FORMATS[format]) errors.push('Choose a webhook format.');
+  if (!(fields.cooldownMinutes >= 0 && fields.cooldownMinutes <= 1440)) errors.push('Cool-down must be between 0 and 1440 minutes.');
+
+  if (type === 'cpu' || type === 'memory') {
+    fields.threshold = numberField(input.threshold, NaN);
+    fields.durationSeconds = numberField(input.duration_seconds, 60);
+    const max = type === 'cpu' ? 10000 : 100;
+    if (!(fields.threshold > 0 && fields.threshold <= max)) errors.push(`Threshold must be a percentage between 1 and ${max}.`);
+    if (!(fields.durationSeconds >= 0 && fields.durationSeconds <= 3600)) errors.push('Duration must be between 0 and 3600 seconds.');
+  }
+  if (type === 'console') {
+    fields.pattern = String(input.pattern || '').trim();
+    if (!fields.pattern) errors.push('Enter a pattern to look for.');
+    else if (fields.pattern.length > 200) errors.push('The pattern may be at most 200 characters.');
+    else if (compilePattern(fields.pattern).some(parts => !parts.length)) {
+      errors.push('Every alternative in the pattern needs some text besides *.');
+    }
+  }
+
+  const url = validWebhookUrl(input.url);
+  if (!url) {
+    const scheme = ALLOW_HTTP ? 'http(s)' : 'https';
+    errors.push(process.env.NOTIFY_ALLOWED_HOSTS
+      ? `The webhook URL must be ${scheme} on one of: ${process.env.NOTIFY_ALLOWED_HOSTS}.`
+      : `Enter a valid ${scheme} webhook URL.`);
+  }
+
+  if (errors.length) throw new PanelValidationError(errors.join(' '), { errors: errors.map(detail => ({ detail })) });
+  return { ...fields, url };
+}
+
+/**
+ * The user's rules for one server, oldest first
+ * @param {string} userId
+ * @param {string} serverId
+ * @returns {Array<object>}
+ */
+function listRules(userId, serverId) {
+  return rules()
+    .filter(r => r.userId === userId && r.serverId === serverId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(publicRule);
+}
+
+/**
+ * Add a rule for a server the user can see, and start watching it
+ * @param {{apiKey: string, user: object}} session
+ * @param {string} serverId
+ * @param {object} input - Form fields: name, type, threshold, duration_seconds, pattern, cooldown_minutes, format, url
+ * @returns {Promise<object>} The public rule
+ * @throws {PanelError}
+ */
+async function createRule(session, serverId, input) {
+  requireSessionSecret('Alerts');
+  const userId = session.user?.uuid || session.user?.username;
+  const fields = ruleFields(input);
+  if (rules().filter(r => r.userId === userId).length >= MAX_RULES_PER_USER) {
+    throw new PanelValidationError(`You already have ${MAX_RULES_PER_USER} alert rules. Delete one first.`);
+  }
+
+  await checkWebhookHost(fields.url);
+  const server = await getServerDetails(serverId, session.apiKey);
+  if (!hasServerPermission(await getServerPermissions(serverId, session.apiKey), 'websocket.connect')) {
+    throw new PanelAuthError('Alerts need access to the console of this server.', { status: 403 });
+  }
+  const renewed = await ensurePanelKey(session, userId);
+
+  const rule = {
+    ...fields,
+    id: randomId(),
+    userId,
+    username: session.user?.username,
+    serverId,
+    serverName: server.name || serverId,
+    url: seal(fields.url.href),
+    urlHint: `${fields.url.protocol}//${fields.url.host}/…`,
+    enabled: true,
+    error: null,
+    lastFiredAt: null,
+    createdAt: now()
+  };
+  saveRule(rule);
+  log.info(`${rule.username} added ${rule.type} alert ${rule.id} on server ${serverId}`);
+  if (renewed) {
+    for (const other of new Set(rules().filter(r => r.userId === userId && r.serverId !== serverId).map(r => r.serverId))) syncMonitor(other);
+  }
+  syncMonitor(serverId);
+  return publicRule(rule);
+}
+
+/**
+ * Enable a disabled rule of the user or disable an enabled one
+ * @returns {object|null} The public rule, null when the user has no such rule
+ */
+function toggleRule(userId, serverId, id) {
+  const rule = findRule(userId, serverId, id);
+  if (!rule) return null;
+  // Re-enabling also retries a rule that was paused for an error
+  const updated = { ...rule, enabled: !rule.enabled, error: null };
+  saveRule(updated);
+  syncMonitor(serverId);
+  return publicRule(updated);
+}
+
+/**
+ * Delete one of the user's rules; their monitoring key goes with their last rule
+ * @returns {Promise<boolean>} false when the user has no such rule
+ */
+async function deleteRule(userId, serverId, id) {
+  const rule = findRule(userId, serverId, id);
+  if (!rule) return false;
+  backend.delete(RULE_PREFIX + id);
+  COMPILED.delete(id);
+  log.info(`${rule.username} deleted alert ${id} on server ${serverId}`);
+  syncMonitor(serverId);
+  await releasePanelKey(userId);
+  return true;
+}
+
+/**
+ * Queue a test notification for a rule, regardless of its cool-down
+ * @returns {object|null} The delivery, null when the user has no such rule
+ */
+function sendTestNotification(userId, serverId, id) {
+  const rule = findRule(userId, serverId, id);
+  if (!rule) return null;
+  return queueDelivery(rule, {
+    event: 'test',
+    title: `Test: ${rule.name}`,
+    message: `This is a test notification for "${rule.name}" (${describeRule(rule)}).`,
+    fields: {}
+  });
+}
+
+// ============ Deliveries ============
+
+const RETRY_TIMERS = new Map();
+
+function publicDelivery(d) {
+  return {
+    id: d.id,
+    ruleId: d.ruleId,
+    ruleName: d.ruleName,
+    event: d.event,
+    format: d.format,
+    title: d.title,
+    message: d.message,
+    status: d.status,
+    attempts: d.attempts,
+    responseStatus: d.responseStatus,
+    error: d.error,
+    suppressed: d.suppressed,
+    createdAt: d.createdAt,
+    deliveredAt: d.deliveredAt,
+    nextAttemptAt: d.nextAttemptAt
+  };
+}
+
+/**
+ * The user's deliveries for one server, newest first
+ * @param {string} userId
+ * @param {string} serverId
+ * @param {number} [limit=50]
+ * @returns {Array<object>}
+ */
+function listDeliveries(userId, serverId, limit = 50) {
+  const out = [];
+  for (const [, d] of history.entries()) if (d.userId === userId && d.serverId === serverId) out.push(d);
+  return out.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit).map(publicDelivery);
+}
+
+// Keep the newest HISTORY_PER_SERVER deliveries of a server
+function trimHistory(serverId) {
+  const all = [];
+  for (const [id, d] of history.entries()) if (d.serverId === serverId) all.push([id, d.createdAt]);
+  if (all.length <= HISTORY_PER_SERVER) return;
+  all.sort((a, b) => b[1] - a[1]);
+  for (const [id] of all.slice(HISTORY_PER_SERVER)) {
+    clearTimeout(RETRY_TIMERS.get(id));
+    RETRY_TIMERS.delete(id);
+    history.delete(id);
+  }
+}
+
+function queueDelivery(rule, { event, title, message, fields, suppressedCount = 0 }) {
+  const delivery = {
+    id: randomId(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    userId: rule.userId,
+    serverId: rule.serverId,
+    serverName: rule.serverName,
+    event,
+    format: rule.format,
+    title,
+    message,
+    fields,
+    suppressed: suppressedCount,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: now(),
+    deliveredAt: null,
+    nextAttemptAt: now()
+  };
+  history.set(delivery.id, delivery);
+  trimHistory(rule.serverId);
+  deliver(delivery.id).catch(err => log.error('delivery failed unexpectedly', err));
+  return publicDelivery(delivery);
+}
+
+function slackEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Request body for the rule's format
+function buildPayload(d) {
+  const occurredAt = new Date(d.createdAt).toISOString();
+  const fields = { Server: `${d.serverName} (${d.serverId})`, ...d.fields };
+  if (d.suppressed) fields['Suppressed during cool-down'] = String(d.suppressed);
+
+  if (d.format === 'discord') {
+    return {
+      username: APP_NAME,
+      embeds: [{
+        title: d.title.slice(0, 256),
+        description: d.message.slice(0, 4000),
+        color: COLORS[d.event] ?? COLORS.test,
+        timestamp: occurredAt,
+        fields: Object.entries(fields).slice(0, 25).map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }))
+      }]
+    };
+  }
+  if (d.format === 'slack') {
+    const context = Object.entries(fields).map(([name, value]) => `*${slackEscape(name)}:* ${slackEscape(value)}`).join('  ·  ');
+    return {
+      text: `${d.title}: ${d.message}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${slackEscape(d.title)}*\n${slackEscape(d.message)}`.slice(0, 3000) } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: context.slice(0, 3000) }] }
+      ]
+    };
+  }
+  return {
+    id: d.id,
+    event: d.event,
+    title: d.title,
+    message: d.message,
+    server: { identifier: d.serverId, name: d.serverName },
+    rule: { id: d.ruleId, name: d.ruleName },
+    details: d.fields,
+    suppressed: d.suppressed,
+    occurredAt
+  };
+}
+
+// Retry-After in seconds or as a date; Discord also sends retry_after in the body, the header is enough
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now());
+}
+
+function scheduleRetry(id, delayMs) {
+  clearTimeout(RETRY_TIMERS.get(id));
+  const timer = setTimeout(() => {
+    RETRY_TIMERS.delete(id);
+    deliver(id).catch(err => log.error('delivery failed unexpectedly', err));
+  }, Math.max(0, delayMs));
+  timer.unref();
+  RETRY_TIMERS.set(id, timer);
+}
+
+/**
+ * Make one delivery attempt; schedules the next one on a retryable failure
+ * @param {string} id - Delivery id
+ */
+async function deliver(id) {
+  const d = history.get(id);
+  if (!d || d.status !== 'pending') return;
+  const rule = getRule(d.ruleId);
+  const url = rule && open(rule.url);
+  if (!url) {
+    history.set(id, { ...d, status: 'failed', error: rule ? 'The webhook URL can no longer be decrypted (SESSION_SECRET changed?).' : 'The rule was deleted.', nextAttemptAt: null });
+    deliveryAttempts.inc({ format: d.format, result: 'failed' });
+    return;
+  }
+
+  const attempts = d.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+  let retryable = false;
+  let delayMs = null;
+  try {
+    // A URL saved before these checks existed, or an address literal, is checked again here
+    const target = validWebhookUrl(url);
+    const literal = target && target.hostname.replace(/^\[|\]$/g, '');
+    if (!target || (net.isIP(literal) && isBlockedAddress(literal))) {
+      throw Object.assign(new Error(target ? BLOCKED_MESSAGE : 'The webhook URL is no longer allowed.'), { code: 'EBLOCKEDADDRESS' });
+    }
+    const response = await axios.post(target.href, JSON.stringify(buildPayload(d)), {
+      headers: { 'Content-Type': 'application/json', 'User-Agent': `${APP_NAME} notifications`, 'X-Notification-Id': d.id },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      lookup: lookupPublic,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    responseStatus = response.status;
+    if (responseStatus >= 200 && responseStatus < 300) {
+      history.set(id, { ...d, status: 'delivered', attempts, responseStatus, error: null, deliveredAt: now(), nextAttemptAt: null });
+      deliveryAttempts.inc({ format: d.format, result: 'delivered' });
+      log.info(`delivered ${d.event} notification ${d.id} for rule ${d.ruleId} (HTTP ${responseStatus})`);
+      return;
+    }
+    error = `HTTP ${responseStatus}`;
+    retryable = responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+    delayMs = retryAfterMs(response);
+  } catch (err) {
+    const blocked = err.code === 'EBLOCKEDADDRESS' || err.cause?.code === 'EBLOCKEDADDRESS';
+    error = blocked ? err.message : err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' ? `No answer within ${TIMEOUT_MS / 1000}s` : (err.code || err.message);
+    retryable = !blocked;
+  }
+
+  // Still there? The rule may have been deleted, or the history trimmed, while we waited
+  if (!history.get(id)) return;
+  if (retryable && attempts < MAX_ATTEMPTS) {
+    const wait = Math.min(RETRY_MAX_MS, delayMs ?? RETRY_BASE_MS * 2 ** (attempts - 1));
+    history.set(id, { ...d, attempts, responseStatus, error, nextAttemptAt: now() + wait });
+    deliveryAttempts.inc({ format: d.format, result: 'retry' });
+    log.warn(`notification ${d.id} for rule ${d.ruleId} failed (${error}), retry ${attempts}/${MAX_ATTEMPTS - 1} in ${Math.round(wait / 1000)}s`);
+    scheduleRetry(id, wait);
+    return;
+  }
+  history.set(id, { ...d, status: 'failed', attempts, responseStatus, error, nextAttemptAt: null });
+  deliveryAttempts.inc({ format: d.format, result: 'failed' });
+  log.warn(`notification ${d.id} for rule ${d.ruleId} failed after ${attempts} attempt(s): ${error}`);
+}
+
+// ============ Evaluation ============
+
+// Compiled console patterns, by rule id
+const COMPILED = new Map();
+// Alerts held back by a rule's cool-down since it last fired, by rule id
+const SUPPRESSED = new Map();
+
+// Console patterns are plain text, not regular expressions: a user's regex would run on the event loop
+// against every line, where a catastrophic one could stall the whole process. "|" separates
+// alternatives and "*" stands for any text, so "error*world|can't keep up" works; matching is
+// case-insensitive and linear in the line length. Compiles to a list of alternatives, each the
+// lower-cased pieces between the "*"s.
+function compilePattern(pattern) {
+  return String(pattern).split('|').map(alt => alt.trim().toLowerCase().split('*').filter(Boolean));
+}
+
+// Whether the pieces occur in order; taking the leftmost match of each piece never misses one
+function matchesPieces(line, pieces) {
+  let from = 0;
+  for (const piece of pieces) {
+    const at = line.indexOf(piece, from);
+    if (at === -1) return false;
+    from = at + piece.length;
+  }
+  return true;
+}
+
+function patternFor(rule) {
+  let entry = COMPILED.get(rule.id);
+  if (!entry || entry.source !== rule.pattern) {
+    const alternatives = compilePattern(rule.pattern).filter(pieces => pieces.length);
+    entry = {
+      source: rule.pattern,
+      test: (line) => {
+        const lower = line.toLowerCase();
+        return alternatives.some(pieces => matchesPieces(lower, pieces));
+      }
+    };
+    COMPILED.set(rule.id, entry);
+  }
+  return entry;
+}
+
+function stripAnsi(text) {
+  return String(text).replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+function fire(rule, { title, message, fields = {} }) {
+  const current = getRule(rule.id);
+  if (!current || !current.enabled) return;
+  if (current.lastFiredAt && now() - current.lastFiredAt < current.cooldownMinutes * 60 * 1000) {
+    SUPPRESSED.set(rule.id, (SUPPRESSED.get(rule.id) || 0) + 1);
+    suppressed.inc({ type: rule.type });
+    return;
+  }
+  const suppressedCount = SUPPRESSED.get(rule.id) || 0;
+  SUPPRESSED.delete(rule.id);
+  saveRule({ ...current, lastFiredAt: now() });
+  fired.inc({ type: rule.type });
+  log.info(`alert ${rule.id} (${rule.type}) fired on server ${rule.serverId}`);
+  queueDelivery(current, { event: rule.type, title, message, fields, suppressedCount });
+}
+
+function onStatus(monitor, state) {
+  const previous = monitor.status;
+  // After a reconnect we may have missed the stop, so an offline server is not called a crash
+  const certain = !monitor.resumed;
+  monitor.status = state;
+  monitor.resumed = false;
+  if (state === 'stopping') monitor.stopping = true;
+  if (!previous || previous === state) return;
+
+  const name = monitor.serverName;
+  if (state === 'offline') {
+    monitor.over.clear();
+    for (const rule of monitor.rules('offline')) {
+      fire(rule, { title: `${name} went offline`, message: `${name} is now offline (was ${previous}).`, fields: { State: 'offline' } });
+    }
+    if (certain && !monitor.stopping) {
+      for (const rule of monitor.rules('crash')) {
+        fire(rule, { title: `${name} crashed`, message: `${name} went offline while ${previous}, without being stopped.`, fields: { State: 'offline' } });
+      }
+    }
+    monitor.stopping = false;
+  } else if (state === 'running') {
+    monitor.stopping = false;
+    for (const rule of monitor.rules('online')) {
+      fire(rule, { title: `${name} is back up`, message: `${name} is running again.`, fields: { State: 'running' } });
+    }
+  }
+}
+
+function onStats(monitor, raw) {
+  let stats;
+  try { stats = typeof raw === 'string' ? JSON.parse(raw) : raw; } catch (e) { return; }
+  if (!stats) return;
+
+  const values = {
+    cpu: Number(stats.cpu_absolute),
+    memory: stats.memory_limit_bytes > 0 ? (Number(stats.memory_bytes) / stats.memory_limit_bytes) * 100 : NaN
+  };
+  for (const type of ['cpu', 'memory']) {
+    const value = values[type];
+    if (!Number.isFinite(value)) continue;
+    for (const rule of monitor.rules(type)) {
+      const tracked = monitor.over.get(rule.id);
+      if (value <= rule.threshold) {
+        monitor.over.delete(rule.id);
+        continue;
+      }
+      if (!tracked) {
+        monitor.over.set(rule.id, { since: now(), fired: false });
+        if (rule.durationSeconds > 0) continue;
+      }
+      const entry = monitor.over.get(rule.id);
+      if (entry.fired || now() - entry.since < rule.durationSeconds * 1000) continue;
+      entry.fired = true;
+      const label = type === 'cpu' ? 'CPU' : 'Memory';
+      fire(rule, {
+        title: `${monitor.serverName}: ${label} above ${rule.threshold}%`,
+        message: `${label} has been at or above ${rule.threshold}% for ${rule.durationSeconds}s (now ${value.toFixed(1)}%).`,
+        fields: { [label]: `${value.toFixed(1)}%`, Threshold: `${rule.threshold}%` }
+      });
+    }
+  }
+}
+
+function onConsole(monitor, lines) {
+  if (!monitor.connectedAt || now() - monitor.connectedAt < HISTORY_GRACE_MS) return;
+  const consoleRules = monitor.rules('console');
+  if (!consoleRules.length) return;
+  for (const raw of lines) {
+    const line = stripAnsi(raw).slice(0, MAX_LINE_LENGTH);
+    for (const rule of consoleRules) {
+      if (!patternFor(rule).test(line)) continue;
+      fire(rule, {
+        title: `${monitor.serverName}: ${rule.name}`,
+        message: `Console line matched "${rule.pattern}":\n${line.replace(/`/g, "'")}`,
+        fields: { Pattern: rule.pattern }
+      });
+    }
+  }
+}
+
+// ============ Monitors ============
+
+// serverId -> monitor; one per server with enabled rules
+const MONITORS = new Map();
+
+function createMonitor(serverId) {
+  const monitor = {
+    serverId,
+    serverName: serverId,
+    watch: null,
+    owners: new Set(),
+    connecting: false,
+    reconnectTimer: null,
+    backoffMs: RECONNECT_BASE_MS,
+    connectedAt: null,
+    // Last state the node reported; kept across reconnects so changes in between are still noticed
+    status: null,
+    resumed: false,
+    stopping: false,
+    over: new Map(),
+    closed: false,
+    // Enabled rules of owners that could see the server when the console was opened
+    rules(type) {
+      return rules().filter(r => r.serverId === serverId && r.enabled && !r.error && r.type === type && monitor.owners.has(r.userId));
+    }
+  };
+  MONITORS.set(serverId, monitor);
+  return monitor;
+}
+
+function setRuleErrors(serverId, userId, error) {
+  for (const rule of rules()) {
+    if (rule.serverId !== serverId || rule.userId !== userId || rule.error === error) continue;
+    saveRule({ ...rule, error });
+  }
+}
+
+// Open the console with the key of the first owner who can still see the server
+async function connectMonitor(monitor) {
+  if (monitor.closed || monitor.watch || monitor.connecting) return;
+  monitor.connecting = true;
+  const { serverId } = monitor;
+  try {
+    const owners = [...new Set(rules().filter(r => r.serverId === serverId && r.enabled).map(r => r.userId))];
+    monitor.owners.clear();
+    let credentials = null;
+    let transient = false;
+    for (const userId of owners) {
+      const apiKey = panelKeyFor(userId);
+      if (!apiKey) {
+        setRuleErrors(serverId, userId, 'The monitoring key can no longer be read. Delete the rule and add it again.');
+        continue;
+      }
+      try {
+        const server = await getServerDetails(serverId, apiKey);
+        monitor.serverName = server.name || serverId;
+        // Every owner's alerts see the console, so each needs console access of their own (the console
+        // token below comes from the first owner only)
+        if (!hasServerPermission(await getServerPermissions(serverId, apiKey), 'websocket.connect')) {
+          setRuleErrors(serverId, userId, 'No longer has access to the console of this server.');
+          continue;
+        }
+        monitor.owners.add(userId);
+        setRuleErrors(serverId, userId, null);
+        if (!credentials) credentials = { apiKey, ...(await getConsoleToken(serverId, apiKey)) };
+      } catch (err) {
+        if (err instanceof PanelAuthError && err.status === 401) {
+          // Revoked on the panel: unusable for every server, until the user saves a rule again
+          const record = backend.get(KEY_PREFIX + userId);
+          if (record) backend.set(KEY_PREFIX + userId, { ...record, rejected: true });
+          setRuleErrors(serverId, userId, 'The panel no longer accepts the monitoring key. Add an alert again to renew it.');
+        } else if (err instanceof PanelAuthError || err instanceof PanelNotFoundError) {
+          setRuleErrors(serverId, userId, 'No longer has access to this server.');
+        } else {
+          transient = true;
+          log.warn(`could not open console of server ${serverId} for alerts: ${err.message}`);
+        }
+      }
+    }
+    if (monitor.closed) return;
+    if (!credentials || !credentials.token) {
+      // Nobody has access any more: keep the rules (with their error) but stop trying until one changes
+      if (transient) scheduleReconnect(monitor);
+      return;
+    }
+
+    const ownerIds = new Set(monitor.owners);
+    monitor.watch = watchConsole(serverId, {
+      name: `alerts:${serverId}`,
+      token: String(credentials.token),
+      socket: credentials.socket,
+      getSession: () => {
+        for (const userId of ownerIds) {
+          const apiKey = panelKeyFor(userId);
+          if (apiKey) return { apiKey };
+        }
+        return null;
+      },
+      onEvent: (event, args) => handleEvent(monitor, event, args),
+      onClose: (reason) => {
+        monitor.watch = null;
+        monitor.connectedAt = null;
+        if (monitor.closed) return;
+        log.info(`console of server ${serverId} closed (${reason}), watching again in ${Math.round(monitor.backoffMs / 1000)}s`);
+        scheduleReconnect(monitor);
+      }
+    });
+  } catch (err) {
+    log.error(`could not start watching server ${serverId}`, err);
+    scheduleReconnect(monitor);
+  } finally {
+    monitor.connecting = false;
+  }
+}
+
+function scheduleReconnect(monitor) {
+  clearTimeout(monitor.reconnectTimer);
+  monitor.reconnectTimer = setTimeout(() => connectMonitor(monitor), monitor.backoffMs);
+  monitor.reconnectTimer.unref();
+  monitor.backoffMs = Math.min(RECONNECT_MAX_MS, monitor.backoffMs * 2);
+}
+
+function handleEvent(monitor, event, args) {
+  if (event === 'auth success') {
+    monitor.resumed = monitor.status !== null;
+    monitor.connectedAt = now();
+    monitor.backoffMs = RECONNECT_BASE_MS;
+  } else if (event === 'status') {
+    onStatus(monitor, String(args[0]));
+  } else if (event === 'stats') {
+    onStats(monitor, args[0]);
+  } else if (event === 'console output') {
+    onConsole(monitor, args);
+  }
+}
+
+function stopMonitor(monitor) {
+  monitor.closed = true;
+  clearTimeout(monitor.reconnectTimer);
+  if (MONITORS.get(monitor.serverId) === monitor) MONITORS.delete(monitor.serverId);
+  if (monitor.watch) monitor.watch.close();
+  monitor.watch = null;
+}
+
+// Start, restart or stop watching a server after its rules changed
+function syncMonitor(serverId) {
+  const existing = MONITORS.get(serverId);
+  const wanted = rules().some(r => r.serverId === serverId && r.enabled);
+  if (!wanted) {
+    if (existing) stopMonitor(existing);
+    return;
+  }
+  if (!existing) return connectMonitor(createMonitor(serverId));
+  // Owners may have changed: reconnect so their access is checked again
+  if (existing.watch) {
+    const watch = existing.watch;
+    existing.watch = null;
+    watch.close();
+  }
+  clearTimeout(existing.reconnectTimer);
+  existing.backoffMs = RECONNECT_BASE_MS;
+  connectMonitor(existing);
+}
+
+/**
+ * Watch every server that has an enabled rule and resume deliveries still pending from before a
+ * restart. Called once at startup.
+ */
+function startNotifications() {
+  const servers = new Set(rules().filter(r => r.enabled).map(r => r.serverId));
+  for (const serverId of servers) syncMonitor(serverId);
+
+  let resumed = 0;
+  for (const [id, d] of history.entries()) {
+    if (d.status !== 'pending') continue;
+    scheduleRetry(id, (d.nextAttemptAt || now()) - now());
+    resumed++;
+  }
+  if (servers.size || resumed) log.info(`watching ${servers.size} server(s) for alerts, ${resumed} delivery(s) pending`);
+}
+
+gauge('notification_rules', 'Alert rules stored, by state', () => {
+  const counts = { enabled: 0, disabled: 0, error: 0 };
+  for (const rule of rules()) counts[rule.error ? 'error' : rule.enabled ? 'enabled' : 'disabled']++;
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+gauge('notification_monitors', 'Servers watched for alerts with their console open', () =>
+  [...MONITORS.values()].filter(m => m.watch).length);
+
+module.exports = {
+  RULE_TYPES,
+  FORMATS,
+  listRules,
+  createRule,
+  toggleRule,
+  deleteRule,
+  sendTestNotification,
+  listDeliveries,
+  startNotifications
+};
@@ -0,0 +1,264 @@
+// OpenAPI 3 description of the JSON API in api_v1.js, served at GET /api/v1/openapi.json.
+// Written by hand: when a route or its response shape changes there, change it here too.
+
+const POWER_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// { data: <schema> } body for a status code
+function dataResponse(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema: { type: 'object', required: ['data'], properties: { data: schema } } } }
+  };
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('Error') } } };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const serverIdParam = {
+  name: 'id', in: 'path', required: true,
+  description: 'Server id: the short identifier from panel URLs, prefixed with "<panel id>-" for servers on an extra panel',
+  schema: { type: 'string', example: '1a2b3c4d' }
+};
+
+// Errors every authenticated route can return
+const commonErrors = {
+  401: errorResponse('Missing, invalid or expired API token'),
+  403: errorResponse('The panel refused: the token owner lacks the permission'),
+  500: errorResponse('Unexpected error in this frontend'),
+  502: errorResponse('The panel failed or could not be reached (for the server list: every panel)')
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['status', 'code', 'message', 'details'],
+        properties: {
+          status: { type: 'integer', example: 404 },
+          code: { type: 'string', enum: ['unauthenticated', 'forbidden', 'not_found', 'validation_failed', 'conflict', 'rate_limited', 'panel_error', 'internal_error'] },
+          message: { type: 'string' },
+          details: { type: 'array', items: { type: 'string' }, description: 'One entry per problem, e.g. per invalid field' }
+        }
+      }
+    }
+  },
+  Server: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'What the /servers/{id} routes take', example: 'eu-1a2b3c4d' },
+      identifier: { type: 'string', description: "The panel's own short identifier" },
+      panel: ref('Panel'),
+      uuid: { type: 'string', nullable: true },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      node: { type: 'string', nullable: true },
+      status: { type: 'string', nullable: true, description: 'Panel status such as "installing" or "suspended"; null for a normal server' },
+      suspended: { type: 'boolean' },
+      installing: { type: 'boolean' },
+      limits: { type: 'object', nullable: true, additionalProperties: true },
+      featureLimits: { type: 'object', nullable: true, additionalProperties: true },
+      sftp: { type: 'object', nullable: true, properties: { ip: { type: 'string' }, port: { type: 'integer' } } }
+    }
+  },
+  Panel: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'main' },
+      name: { type: 'string' }
+    }
+  },
+  PanelWarning: {
+    type: 'object',
+    description: 'A panel whose servers could not be listed; the servers of the other panels are still returned',
+    properties: {
+      panel: ref('Panel'),
+      message: { type: 'string' }
+    }
+  },
+  Resources: {
+    type: 'object',
+    properties: {
+      state: { type: 'string', enum: ['running', 'starting', 'stopping', 'offline'] },
+      resources: {
+        type: 'object',
+        properties: {
+          memory_bytes: { type: 'integer' },
+          cpu_absolute: { type: 'number' },
+          disk_bytes: { type: 'integer' },
+          network_rx_bytes: { type: 'integer' },
+          network_tx_bytes: { type: 'integer' },
+          uptime: { type: 'integer', description: 'Milliseconds' }
+        }
+      }
+    }
+  },
+  ConsoleToken: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'Send as {"event":"auth","args":["<token>"]} after connecting' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      socket: { type: 'string', description: 'Websocket path on this host; connect with the same Authorization header', example: '/ws/server/1a2b3c4d' }
+    }
+  },
+  ApiToken: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      tokenPrefix: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  }
+};
+
+const paths = {
+  '/servers': {
+    get: {
+      summary: 'List the servers the token owner can access',
+      operationId: 'listServers',
+      responses: {
+        200: {
+          description: 'Servers from every panel that answered',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['data', 'warnings'],
+                properties: { data: { type: 'array', items: ref('Server') }, warnings: { type: 'array', items: ref('PanelWarning') } }
+              }
+            }
+          }
+        },
+        ...commonErrors
+      }
+    }
+  },
+  '/servers/{id}': {
+    get: {
+      summary: 'Server details',
+      operationId: 'getServer',
+      parameters: [serverIdParam],
+      responses: { 200: dataResponse('The server', ref('Server')), 404: errorResponse('No such server'), ...commonErrors }
+    }
+  },
+  '/servers/{id}/resources': {
+    get: {
+      summary: 'Current state and resource usage',
+      operationId: 'getServerResources',
+      parameters: [serverIdParam],
+      responses: { 200: dataResponse('Usage snapshot', ref('Resources')), 404: errorResponse('No such server'), ...commonErrors }
+    }
+  },
+  '/servers/{id}/power': {
+    post: {
+      summary: 'Send a power signal',
+      operationId: 'sendPowerSignal',
+      parameters: [serverIdParam],
+      requestBody: jsonBody({ type: 'object', required: ['signal'], properties: { signal: { type: 'string', enum: POWER_SIGNALS } } }),
+      responses: {
+        204: { description: 'Signal sent' },
+        400: errorResponse('Unknown signal'),
+        404: errorResponse('No such server'),
+        409: errorResponse('The server is installing, transferring or restoring a backup'),
+        ...commonErrors
+      }
+    }
+  },
+  '/servers/{id}/command': {
+    post: {
+      summary: 'Send a console command',
+      operationId: 'sendCommand',
+      parameters: [serverIdParam],
+      requestBody: jsonBody({ type: 'object', required: ['command'], properties: { command: { type: 'string', example: 'say hello' } } }),
+      responses: {
+        204: { description: 'Command sent' },
+        400: errorResponse('Empty command'),
+        404: errorResponse('No such server'),
+        409: errorResponse('The server is not running'),
+        ...commonErrors
+      }
+    }
+  },
+  '/servers/{id}/console-token': {
+    post: {
+      summary: 'Issue a single-use console token for the websocket proxy',
+      operationId: 'issueConsoleToken',
+      parameters: [serverIdParam],
+      responses: { 201: dataResponse('Token and socket path', ref('ConsoleToken')), 404: errorResponse('No such server'), ...commonErrors }
+    }
+  },
+  '/tokens': {
+    get: {
+      summary: "List the token owner's API tokens",
+      operationId: 'listApiTokens',
+      responses: { 200: dataResponse('Tokens (never the secret)', { type: 'array', items: ref('ApiToken') }), ...commonErrors }
+    },
+    post: {
+      summary: 'Issue a new API token',
+      description: 'Only with a signed-in browser session (and its CSRF header); bearer tokens get 403.',
+      operationId: 'createApiToken',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', maxLength: 60 },
+          expiresInDays: { type: 'integer', minimum: 0, description: '0 for no expiry; the server default when omitted' }
+        }
+      }),
+      responses: {
+        201: dataResponse('The token; `token` is only returned here', { allOf: [ref('ApiToken'), { type: 'object', properties: { token: { type: 'string' } } }] }),
+        400: errorResponse('Missing name, bad expiry or too many tokens'),
+        ...commonErrors,
+        403: errorResponse('Called with an API token instead of a browser session')
+      }
+    }
+  },
+  '/tokens/{id}': {
+    delete: {
+      summary: 'Revoke an API token',
+      description: 'Only with a signed-in browser session (and its CSRF header); bearer tokens get 403.',
+      operationId: 'revokeApiToken',
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 204: { description: 'Revoked' }, 404: errorResponse('No such token'), ...commonErrors, 403: errorResponse('Called with an API token instead of a browser session') }
+    }
+  }
+};
+
+/**
+ * The OpenAPI document, with this frontend's URL as the server
+ * @param {string} baseUrl - e.g. "https://games.example.com"
+ * @returns {object}
+ */
+function openApiDocument(baseUrl) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: `${process.env.APP_NAME || 'Pterodactyl Frontend'} API`,
+      version: '1.0.0',
+      description: 'JSON API for scripts. Create a personal token on the dashboard (API tokens) and send it as a bearer token.'
+    },
+    servers: [{ url: `${baseUrl}/api/v1` }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API token (ptf_...)' } },
+      schemas
+    },
+    paths
+  };
+}
+
+module.exports = { openApiDocument };
@@ -0,0 +1,118 @@
+// Short-lived cache for panel reads. Entries are keyed per server and per user scope (a hash of
+// the API key, since what a user can see depends on their permissions); concurrent loads of the
+// same key share one upstream call, and any mutation on a server drops everything cached for it.
+
+const ENTRIES = new Map();
+const INFLIGHT = new Map();
+const STATS = new Map();
+const MAX_ENTRIES = Number(process.env.PANEL_CACHE_MAX_ENTRIES) || 5000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function now() { return Date.now(); }
+
+function cacheKey({ scope, serverId, resource, id }) {
+  const tail = [resource, id, scope].filter(v => v !== undefined && v !== null).join(':');
+  return serverId ? `server:${serverId}:${tail}` : `user:${tail}`;
+}
+
+function bucket(resource) {
+  let s = STATS.get(resource);
+  if (!s) {
+    s = { hits: 0, misses: 0, coalesced: 0, invalidated: 0 };
+    STATS.set(resource, s);
+  }
+  return s;
+}
+
+/**
+ * Return a cached value, or load it. Errors are not cached.
+ * @param {{scope: string, serverId?: string, resource: string, id?: string|number}} parts - Key parts; resource is also the stats bucket
+ * @param {number} ttlMs - Time to live; 0 bypasses the cache entirely
+ * @param {() => Promise<*>} loader - Upstream call
+ * @returns {Promise<*>} Shared value, callers must not mutate it
+ */
+function cached(parts, ttlMs, loader) {
+  if (!ttlMs) return loader();
+
+  const key = cacheKey(parts);
+  const stats = bucket(parts.resource);
+
+  const entry = ENTRIES.get(key);
+  if (entry && entry.expiresAt > now()) {
+    stats.hits++;
+    return Promise.resolve(entry.value);
+  }
+
+  const pending = INFLIGHT.get(key);
+  if (pending) {
+    stats.coalesced++;
+    return pending.promise;
+  }
+
+  stats.misses++;
+  const load = { stale: false };
+  load.promise = loader()
+    .then((value) => {
+      // A mutation while we were loading makes this value suspect; hand it out but do not keep it
+      if (!load.stale) {
+        ENTRIES.delete(key);
+        ENTRIES.set(key, { value, expiresAt: now() + ttlMs });
+        if (ENTRIES.size > MAX_ENTRIES) ENTRIES.delete(ENTRIES.keys().next().value);
+      }
+      return value;
+    })
+    .finally(() => {
+      if (INFLIGHT.get(key) === load) INFLIGHT.delete(key);
+    });
+  INFLIGHT.set(key, load);
+  return load.promise;
+}
+
+/**
+ * Drop everything cached for a server (all users), including loads still in flight
+ * @param {string} serverId - Server identifier
+ */
+function invalidateServer(serverId) {
+  const prefix = `server:${serverId}:`;
+  for (const key of ENTRIES.keys()) {
+    if (key.startsWith(prefix)) {
+      ENTRIES.delete(key);
+      bucket(key.slice(prefix.length).split(':')[0]).invalidated++;
+    }
+  }
+  for (const [key, load] of INFLIGHT.entries()) {
+    if (key.startsWith(prefix)) {
+      load.stale = true;
+      INFLIGHT.delete(key);
+    }
+  }
+}
+
+function clearCache() {
+  ENTRIES.clear();
+  for (const load of INFLIGHT.values()) load.stale = true;
+  INFLIGHT.clear();
+}
+
+function sweepCache() {
+  for (const [key, entry] of ENTRIES.entries()) {
+    if (entry.expiresAt <= now()) ENTRIES.delete(key);
+  }
+}
+
+setInterval(sweepCache, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Hit rate per resource; coalesced requests count as hits since they cost no extra upstream call
+ * @returns {{entries: number, inflight: number, resources: object}}
+ */
+function cacheStats() {
+  const resources = {};
+  for (const [resource, s] of STATS.entries()) {
+    const total = s.hits + s.misses + s.coalesced;
+    resources[resource] = { ...s, hitRate: total ? Number(((s.hits + s.coalesced) / total).toFixed(3)) : null };
+  }
+  return { entries: ENTRIES.size, inflight: INFLIGHT.size, maxEntries: MAX_ENTRIES, resources };
+}
+
+module.exports = { cached, invalidateServer, clearCache, sweepCache, cacheStats };
@@ -0,0 +1,232 @@
+const axios = require('axios');
+const { logApiRequest } = require('./apiLog');
+const { observePanelCall } = require('./metrics');
+
+// ============ Errors ============
+
+/**
+ * Base error for anything that goes wrong talking to the panel.
+ * `errors` holds the panel's own error objects ({ code, detail, ... }) when it sent any.
+ */
+class PanelError extends Error {
+  constructor(message, { status = null, errors = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.errors = errors;
+  }
+
+  /** All human-readable details (one per invalid field on validation errors) */
+  details() {
+    const details = this.errors.map(e => e.detail).filter(Boolean);
+    return details.length ? details : [this.message];
+  }
+}
+
+/** PANEL_URL missing or similar misconfiguration on our side */
+class PanelConfigError extends PanelError {}
+
+/** No API key, or the panel rejected it (401/403) */
+class PanelAuthError extends PanelError {}
+
+/** The resource does not exist or is not visible to this user (404) */
+class PanelNotFoundError extends PanelError {}
+
+/** Rejected input, either by our own checks or by the panel (400/422) */
+class PanelValidationError extends PanelError {}
+
+/** The panel refused because the resource is busy (409, e.g. server installing or transferring) */
+class PanelConflictError extends PanelError {}
+
+/** Still rate limited (429) after retrying; `retryAfterMs` says how long the panel asked us to wait */
+class PanelRateLimitError extends PanelError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/** Network failure, timeout or 5xx from the panel or node */
+class PanelUnavailableError extends PanelError {}
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Map an axios error to one of the typed errors above
+function toPanelError(error, fallbackMessage) {
+  if (error instanceof PanelError) return error;
+
+  const status = error.response?.status ?? null;
+  const errors = Array.isArray(error.response?.data?.errors) ? error.response.data.errors : [];
+  const message = errors[0]?.detail || fallbackMessage;
+  const options = { status, errors, cause: error };
+
+  if (!error.response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new PanelUnavailableError(timedOut ? 'The panel did not respond in time.' : 'Could not reach the panel.', options);
+  }
+  if (status === 401 || status === 403) return new PanelAuthError(message, options);
+  if (status === 404) return new PanelNotFoundError(message, options);
+  if (status === 400 || status === 422) return new PanelValidationError(message, options);
+  if (status === 409) return new PanelConflictError(message, options);
+  if (status === 429) return new PanelRateLimitError(message, { ...options, retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']) });
+  if (status >= 500) return new PanelUnavailableError(message, options);
+  return new PanelError(message, options);
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or an HTTP date)
+ * @param {string} value
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============ Client ============
+
+/**
+ * Create a panel client. Every Pterodactyl API call goes through `request`, which adds auth headers,
+ * a timeout, retries with exponential backoff on transient failures, Retry-After handling and logging.
+ * @param {object} options
+ * @param {string} options.baseUrl - Panel URL, e.g. https://panel.example.com
+ * @param {number} [options.timeoutMs=10000] - Per-attempt timeout
+ * @param {number} [options.retries=2] - Extra attempts after the first one
+ * @param {number} [options.retryBaseMs=300] - First backoff delay, doubled per attempt (plus jitter)
+ * @param {number} [options.maxRetryAfterMs=30000] - Longest Retry-After we are willing to wait for
+ */
+function createPanelClient({ baseUrl, timeoutMs = 10000, retries = 2, retryBaseMs = 300, maxRetryAfterMs = 30000 } = {}) {
+  // Decide whether (and how long) to wait before another attempt; null means give up
+  function retryDelay(error, method, attempt) {
+    if (attempt > retries) return null;
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const wait = parseRetryAfter(error.response.headers?.['retry-after']);
+      if (wait !== null) return wait <= maxRetryAfterMs ? wait : null;
+      return retryBaseMs * 2 ** (attempt - 1);
+    }
+
+    // Anything else that may have reached the panel is only retried when repeating it is harmless
+    const transient = (!error.response && TRANSIENT_CODES.includes(error.code)) || [502, 503, 504].includes(status);
+    if (!transient) return null;
+    if (!IDEMPOTENT_METHODS.includes(method) && error.code !== 'ECONNREFUSED') return null;
+    return retryBaseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * retryBaseMs);
+  }
+
+  /**
+   * Perform a panel request
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below the panel URL, e.g. /api/client/servers/abc
+   * @param {object} [opts]
+   * @param {string|null} [opts.apiKey] - Bearer key; required unless opts.auth is false
+   * @param {boolean} [opts.auth=true] - Send a bearer key (false for the cookie based login flow)
+   * @param {*} [opts.data] - Request body
+   * @param {object} [opts.params] - Query string
+   * @param {object} [opts.headers] - Extra headers
+   * @param {string} [opts.responseType] - axios responseType ('text' keeps the body untouched)
+   * @param {boolean} [opts.retry=true] - Set false for bodies that cannot be replayed (streams)
+   * @param {boolean} [opts.raw=false] - Resolve with the whole axios response instead of its data
+   * @param {object} [opts.requestData] - What to write to the API log instead of the body
+   * @param {string} [opts.errorMessage] - Message when the panel does not send one
+   * @param {string} [opts.url] - Absolute URL to call instead of baseUrl + apiPath (signed node URLs)
+   * @param {string} [opts.logUrl] - URL to log instead of the real one
+   * @returns {Promise<*>} Response data
+   * @throws {PanelError}
+   */
+  async function request(method, apiPath, opts = {}) {
+    const {
+      apiKey, auth = true, data, params, headers, responseType, retry = true, raw = false,
+      requestData = null, errorMessage = 'Panel request failed.', url: absoluteUrl, logUrl,
+      maxBodyLength, timeout
+    } = opts;
+    const upper = method.toUpperCase();
+
+    if (!absoluteUrl && !baseUrl) throw new PanelConfigError('Panel URL not configured.');
+    if (auth && !apiKey) throw new PanelAuthError('Not signed in to the panel.');
+
+    const url = absoluteUrl || `${baseUrl}${apiPath}`;
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      try {
+        const response = await axios({
+          method: upper,
+          url,
+          data,
+          params,
+          responseType,
+          timeout: timeout ?? timeoutMs,
+          maxBodyLength,
+          maxContentLength: maxBodyLength,
+          // Keep raw text responses (file contents) exactly as sent
+          transformResponse: responseType === 'text' ? [(d) => d] : undefined,
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            ...(auth ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            ...headers
+          }
+        });
+
+        const durationMs = Date.now() - started;
+        observePanelCall({ method: upper, url: logUrl || url, status: response.status, durationMs });
+        await logApiRequest({
+          method: upper, url: logUrl || url, requestData, attempt, durationMs,
+          status: response.status, responseData: responseType === 'text' || responseType === 'stream' ? null : response.data
+        });
+        return raw ? response : response.data;
+      } catch (error) {
+        const durationMs = Date.now() - started;
+        observePanelCall({ method: upper, url: logUrl || url, status: error.response?.status, durationMs });
+        await logApiRequest({
+          method: upper, url: logUrl || url, requestData, attempt, durationMs,
+          status: error.response?.status, responseData: responseType === 'stream' ? null : error.response?.data, error
+        });
+
+        const delay = retry ? retryDelay(error, upper, attempt) : null;
+        if (delay === null) throw toPanelError(error, errorMessage);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch every page of a paginated list endpoint
+   * @param {string} apiPath - List endpoint
+   * @param {object} [opts] - Same as request(); opts.params.per_page sets the page size
+   * @returns {Promise<{items: array, meta: object}>} All items plus the first page's meta
+   * @throws {PanelError}
+   */
+  async function paginate(apiPath, opts = {}) {
+    const items = [];
+    let meta = {};
+    for (let page = 1; ; page++) {
+      const body = await request('GET', apiPath, { ...opts, params: { per_page: 50, ...opts.params, page } });
+      items.push(...(body.data || []));
+      if (page === 1) meta = body.meta || {};
+      const totalPages = body.meta?.pagination?.total_pages || 1;
+      if (page >= totalPages || !(body.data || []).length) break;
+    }
+    return { items, meta };
+  }
+
+  return { baseUrl, request, paginate };
+}
+
+module.exports = {
+  createPanelClient,
+  parseRetryAfter,
+  PanelError,
+  PanelConfigError,
+  PanelAuthError,
+  PanelNotFoundError,
+  PanelValidationError,
+  PanelConflictError,
+  PanelRateLimitError,
+  PanelUnavailableError
+};
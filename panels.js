@@ -0,0 +1,142 @@
+const { createPanelClient } = require('./panelClient');
+
+// Panel configurations. The frontend can serve servers from several Pterodactyl panels at once:
+// the default panel comes from PANEL_URL, further ones are named in PANELS and configured with
+// the same variables suffixed by their id. The admin area always manages the default panel.
+//
+// Config:
+//   PANEL_URL=https://panel.example.com           the default panel (id "main")
+//   PANEL_NAME=Main                               label on server cards, when more than one panel is configured
+//   PANELS=eu,us                                  ids of further panels (lowercase letters and digits)
+//   PANEL_URL_EU=https://eu.panel.example.com
+//   PANEL_NAME_EU=Europe                          defaults to the id
+//
+// Servers of the default panel keep their plain identifier (so existing links, API token scripts
+// and alert rules still work); servers of another panel are addressed as "<panel id>-<identifier>".
+//
+// A user holds one client API key per panel. They travel together as a key ring string,
+// "main=ptlc_...;eu=ptlc_...", wherever a single key used to be stored (sessions, API tokens,
+// alert keys); a bare key is the default panel's, which is also how a one-panel ring is written.
+
+const DEFAULT_PANEL_ID = 'main';
+const PANEL_ID_PATTERN = /^[a-z0-9]+$/;
+
+// The retry and timeout settings are shared by every panel
+const clientOptions = {
+  timeoutMs: Number(process.env.PANEL_TIMEOUT_MS) || 10000,
+  retries: process.env.PANEL_RETRIES !== undefined ? Number(process.env.PANEL_RETRIES) : 2,
+  retryBaseMs: Number(process.env.PANEL_RETRY_BASE_MS) || 300,
+  maxRetryAfterMs: Number(process.env.PANEL_MAX_RETRY_AFTER_MS) || 30000
+};
+
+function panelConfig(id, suffix) {
+  const url = (process.env[`PANEL_URL${suffix}`] || '').replace(/\/+$/, '') || undefined;
+  return {
+    id,
+    name: process.env[`PANEL_NAME${suffix}`] || (id === DEFAULT_PANEL_ID ? 'Main' : id),
+    url,
+    client: createPanelClient({ baseUrl: url, ...clientOptions })
+  };
+}
+
+// Read once at startup, like every other setting (index.js sets PANEL_URL first in demo mode)
+const PANELS = [panelConfig(DEFAULT_PANEL_ID, '')];
+for (const raw of (process.env.PANELS || '').split(',')) {
+  const id = raw.trim().toLowerCase();
+  if (!id) continue;
+  if (!PANEL_ID_PATTERN.test(id) || PANELS.some(p => p.id === id)) {
+    throw new Error(`PANELS: "${raw.trim()}" is not a valid panel id (lowercase letters and digits, unique, not "${DEFAULT_PANEL_ID}")`);
+  }
+  PANELS.push(panelConfig(id, `_${id.toUpperCase()}`));
+}
+const BY_ID = new Map(PANELS.map(p => [p.id, p]));
+const DEFAULT_PANEL = PANELS[0];
+
+// ============ Panels ============
+
+/**
+ * Every configured panel, the default one first
+ * @returns {Array<{id: string, name: string, url: string, client: object}>}
+ */
+function listPanels() {
+  return PANELS;
+}
+
+/**
+ * A panel by id
+ * @param {string} [id] - Defaults to the default panel
+ * @returns {object|null}
+ */
+function getPanel(id) {
+  return id ? BY_ID.get(id) || null : DEFAULT_PANEL;
+}
+
+/** Whether more than one panel is configured (cards and API responses then name the panel) */
+function isMultiPanel() {
+  return PANELS.length > 1;
+}
+
+// ============ Server ids ============
+
+/**
+ * Id this frontend uses for a server of a panel
+ * @param {string} panelId
+ * @param {string} identifier - The panel's own short identifier
+ * @returns {string}
+ */
+function qualifyServerId(panelId, identifier) {
+  return panelId === DEFAULT_PANEL_ID ? identifier : `${panelId}-${identifier}`;
+}
+
+/**
+ * Split a frontend server id into its panel and the panel's own identifier
+ * @param {string} serverId
+ * @returns {{panel: object, identifier: string}}
+ */
+function resolveServerId(serverId) {
+  const match = String(serverId).match(/^([a-z0-9]+)-(.+)$/);
+  const panel = match && BY_ID.get(match[1]);
+  // Anything else (a plain identifier, a UUID) is the default panel's, which answers 404 for unknown ids
+  if (!panel || panel.id === DEFAULT_PANEL_ID) return { panel: DEFAULT_PANEL, identifier: serverId };
+  return { panel, identifier: match[2] };
+}
+
+// ============ Key rings ============
+
+/**
+ * Parse a key ring into panel id -> key. A bare key belongs to the default panel.
+ * @param {string} ring
+ * @returns {Object<string, string>}
+ */
+function parseKeyRing(ring) {
+  if (!ring) return {};
+  if (!ring.includes('=')) return { [DEFAULT_PANEL_ID]: ring };
+  const keys = {};
+  for (const part of ring.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0) keys[part.slice(0, idx)] = part.slice(idx + 1);
+  }
+  return keys;
+}
+
+/**
+ * Write panel id -> key as a key ring; only the default panel's key is written bare
+ * @param {Object<string, string>} keys
+ * @returns {string}
+ */
+function formatKeyRing(keys) {
+  const entries = Object.entries(keys).filter(([, key]) => key);
+  if (entries.length === 1 && entries[0][0] === DEFAULT_PANEL_ID) return entries[0][1];
+  return entries.map(([id, key]) => `${id}=${key}`).join(';');
+}
+
+module.exports = {
+  DEFAULT_PANEL_ID,
+  listPanels,
+  getPanel,
+  isMultiPanel,
+  qualifyServerId,
+  resolveServerId,
+  parseKeyRing,
+  formatKeyRing
+};
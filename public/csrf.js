@@ -0,0 +1,13 @@
+// Sends the page's CSRF token (from <meta name="csrf-token">) with every htmx request; other
+// scripts that POST use csrfToken() for the X-CSRF-Token header
+(function () {
+  function csrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.content : '';
+  }
+  window.csrfToken = csrfToken;
+
+  document.addEventListener('htmx:configRequest', (e) => {
+    e.detail.headers['X-CSRF-Token'] = csrfToken();
+  });
+})();
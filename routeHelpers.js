@@ -0,0 +1,94 @@
+// Helpers shared by the API routers (index_api.js, admin_api.js, api_v1.js): panel errors to alerts or JSON, action results, console tokens
+const { alertHtml, escapeHtml, getConsoleToken } = require('./functions');
+const { PanelError, PanelAuthError, PanelNotFoundError, PanelValidationError, PanelConflictError, PanelRateLimitError } = require('./panelClient');
+const { storeToken } = require('./tokenStore');
+const { createLogger } = require('./logger');
+const { counter } = require('./metrics');
+
+const log = createLogger('API');
+
+// Form fields may arrive as a single string or an array depending on how many were checked
+function toArray(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Panel validation failures (422) carry one entry per invalid field; show them all
+function panelErrorHtml(err, type = 'danger') {
+  const details = err.details();
+  if (details.length > 1) {
+    return alertHtml(`<ul class="mb-0">${details.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>`, type);
+  }
+  if (err instanceof PanelRateLimitError && err.retryAfterMs) {
+    return alertHtml(`${escapeHtml(details[0])} Try again in ${Math.ceil(err.retryAfterMs / 1000)}s.`, type);
+  }
+  return alertHtml(escapeHtml(details[0]), type);
+}
+
+// HTTP status for JSON and download callers; htmx fragments always get 200 so the alert is swapped in
+function panelErrorStatus(err) {
+  if (err instanceof PanelValidationError) return 400;
+  if (err instanceof PanelAuthError) return 403;
+  if (err instanceof PanelNotFoundError) return 404;
+  if (err instanceof PanelConflictError) return 409;
+  if (err instanceof PanelRateLimitError) return 429;
+  return 502;
+}
+
+// Shared catch for fragment routes. Panel errors become an alert (wrapped in the list container when
+// wrapperId is given, so the next refresh still finds it); anything else is a bug and gets logged.
+function sendPanelError(res, err, context, wrapperId) {
+  if (!(err instanceof PanelError)) {
+    log.error(context, err);
+    return res.status(500).send(alertHtml('Internal server error.', 'danger'));
+  }
+  const html = panelErrorHtml(err, wrapperId ? 'warning' : 'danger');
+  res.send(wrapperId ? `<div id="${wrapperId}">${html}</div>` : html);
+}
+
+// Same for JSON endpoints
+function sendPanelErrorJson(res, err, context) {
+  if (!(err instanceof PanelError)) {
+    log.error(context, err);
+    return res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+  res.status(panelErrorStatus(err)).json({ success: false, error: err.message, details: err.details() });
+}
+
+// Answer a tab mutation: alert fragment plus an HX-Trigger event so that tab's listing reloads
+function sendActionResult(res, successMessage, trigger) {
+  res.setHeader('HX-Trigger', trigger);
+  res.send(alertHtml(successMessage, 'success'));
+}
+
+// Console tokens live 15 minutes in the token store; the proxy only accepts them from the same session
+const CONSOLE_TOKEN_TTL_MS = 15 * 60 * 1000;
+const tokenIssueFailures = counter('console_token_issue_failures_total', 'Console token requests the panel refused or failed');
+
+/**
+ * Get a node token from the panel and store it (with the node socket) for the console proxy
+ * @param {string} serverId
+ * @param {{apiKey: string, user?: object}} session - Browser session or API token session
+ * @param {string} sessionId - The token is only accepted on a proxy connection with this session
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ * @throws {PanelError}
+ */
+async function issueConsoleToken(serverId, session, sessionId) {
+  let result;
+  try {
+    result = await getConsoleToken(serverId, session.apiKey);
+  } catch (err) {
+    tokenIssueFailures.inc();
+    throw err;
+  }
+
+  const token = String(result.token);
+  const socket = result.socket || result.data?.data?.socket || result.data?.socket || null;
+  const expiresAt = Date.now() + CONSOLE_TOKEN_TTL_MS;
+  storeToken(token, { serverId, socket, expiresAt, sessionId, userId: session.user?.uuid || session.user?.username, username: session.user?.username });
+
+  log.info(`stored console token for server ${serverId} socket=${socket} expiresAt=${new Date(expiresAt).toISOString()} tokenPrefix=${token.slice(0,8)}...`);
+  return { token, expiresAt };
+}
+
+module.exports = { toArray, panelErrorHtml, panelErrorStatus, sendPanelError, sendPanelErrorJson, sendActionResult, issueConsoleToken };
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { alertHtml } = require('./functions');
+const { sign } = require('./auth');
+const { createLogger } = require('./logger');
+const { counter } = require('./metrics');
+
+// Security middleware: response headers with a per-request CSP nonce, CSRF tokens for every
+// state-changing route, login throttling and the Origin check for console websocket upgrades.
+//
+// Config:
+//   ALLOWED_ORIGINS=https://a.example,...   extra origins allowed to open console sockets (same host is always allowed)
+//   LOGIN_MAX_ATTEMPTS_PER_IP=20            failed sign-ins from one address within the window before it is locked out
+//   LOGIN_MAX_ATTEMPTS_PER_ACCOUNT=5        failed sign-ins for one email within the window before it is locked out
+//   LOGIN_WINDOW_MINUTES=15
+//   LOGIN_LOCKOUT_MINUTES=15
+
+const log = createLogger('Security');
+
+const CSRF_COOKIE = 'ptero_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// connect-livereload injects a script from this port on the page's host
+const LIVERELOAD_PORT = 35729;
+
+const LOGIN_MAX_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_MAX_PER_ACCOUNT = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5;
+const LOGIN_WINDOW_MS = (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const csrfRejections = counter('csrf_rejections_total', 'State-changing requests refused for a missing or wrong CSRF token');
+const loginLockouts = counter('login_lockouts_total', 'Sign-in lockouts by scope (ip or account)');
+const originRejections = counter('console_origin_rejections_total', 'Console websocket upgrades refused for a foreign Origin');
+
+// ============ Headers ============
+
+/**
+ * Express middleware setting the security headers. Inline scripts in the views must carry
+ * nonce="<%= cspNonce %>"; htmx is kept from evaluating code (hx-on, js: values) by the same policy.
+ */
+function securityHeaders(req, res, next) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.locals.cspNonce = nonce;
+
+  const scripts = [`'self'`, `'nonce-${nonce}'`, 'https://cdn.jsdelivr.net', 'https://unpkg.com', 'https://cdnjs.cloudflare.com'];
+  const connect = [`'self'`];
+  if (process.env.NODE_ENV !== 'production') {
+    scripts.push(`http://${req.hostname}:${LIVERELOAD_PORT}`);
+    connect.push(`ws://${req.hostname}:${LIVERELOAD_PORT}`);
+  }
+
+  res.setHeader('Content-Security-Policy', [
+    `default-src 'self'`,
+    `script-src ${scripts.join(' ')}`,
+    `style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net`,
+    `font-src 'self' https://cdn.jsdelivr.net`,
+    `img-src 'self' data:`,
+    `connect-src ${connect.join(' ')}`,
+    `object-src 'none'`,
+    `base-uri 'self'`,
+    `form-action 'self'`,
+    `frame-ancestors 'none'`
+  ].join('; '));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Referrer-Policy', 'same-origin');
+  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  if (req.secure) res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  next();
+}
+
+// ============ CSRF ============
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0 && part.slice(0, idx).trim() === name) return part.slice(idx + 1).trim();
+  }
+  return null;
+}
+
+// The token is bound to the browser's CSRF cookie, so a page from another site can neither read nor forge it
+function csrfTokenFor(cookieValue) {
+  return sign(`csrf:${cookieValue}`);
+}
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware issuing the CSRF cookie and checking the token on POST/PUT/PATCH/DELETE.
+ * Pages get the token as res.locals.csrfToken (rendered into <meta name="csrf-token">, from where
+ * public/csrf.js adds it to every htmx request); plain forms may send it as a _csrf field instead.
+ */
+function csrfProtection(req, res, next) {
+  let cookie = readCookie(req, CSRF_COOKIE);
+  if (!cookie || !/^[\w-]{32,}$/.test(cookie)) {
+    cookie = crypto.randomBytes(24).toString('base64url');
+    const parts = [`${CSRF_COOKIE}=${cookie}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+    if (req.secure) parts.push('Secure');
+    res.append('Set-Cookie', parts.join('; '));
+  }
+  const expected = csrfTokenFor(cookie);
+  res.locals.csrfToken = expected;
+
+  // Bearer-authenticated JSON API calls do not use the cookie (api_v1.js), so there is nothing to forge
+  if (SAFE_METHODS.includes(req.method) || (req.path.startsWith('/api/v1/') && /^Bearer\s/i.test(req.get('Authorization') || ''))) return next();
+
+  const given = req.get(CSRF_HEADER) || (req.body && req.body._csrf);
+  if (tokenMatches(given, expected)) return next();
+
+  csrfRejections.inc();
+  log.warn(`rejected ${req.method} ${req.originalUrl}: missing or invalid CSRF token`);
+  if (req.get('HX-Request')) {
+    return res.send(alertHtml('This page has expired. Reload it and try again.', 'warning'));
+  }
+  if (req.path.startsWith('/api/v1/')) {
+    return res.status(403).json({ error: { status: 403, code: 'forbidden', message: 'Invalid CSRF token. Scripts should use an API token instead of the session cookie.', details: [] } });
+  }
+  if (req.path.startsWith('/api')) {
+    return res.status(403).json({ success: false, error: 'Invalid CSRF token.' });
+  }
+  res.status(403).type('text/plain').send('Invalid CSRF token.\n');
+}
+
+// ============ Login throttling ============
+
+// key ("ip:<address>" or "account:<email>") -> { failures: number[], lockedUntil: number }
+const attempts = new Map();
+
+function throttleKeys(ip, account) {
+  const keys = [{ key: `ip:${ip}`, scope: 'ip', max: LOGIN_MAX_PER_IP }];
+  if (account) keys.push({ key: `account:${String(account).trim().toLowerCase()}`, scope: 'account', max: LOGIN_MAX_PER_ACCOUNT });
+  return keys;
+}
+
+/**
+ * How long a sign-in from this address / for this account is still locked out
+ * @param {string} ip
+ * @param {string} [account] - The email or username entered
+ * @returns {number} Milliseconds until the lockout ends, 0 when sign-in may be attempted
+ */
+function loginLockedFor(ip, account) {
+  const now = Date.now();
+  return Math.max(0, ...throttleKeys(ip, account).map(({ key }) => (attempts.get(key)?.lockedUntil || 0) - now));
+}
+
+/**
+ * Count a failed sign-in; locks the address or account once it reaches its limit within the window
+ * @param {string} ip
+ * @param {string} [account]
+ */
+function recordLoginFailure(ip, account) {
+  const now = Date.now();
+  for (const { key, scope, max } of throttleKeys(ip, account)) {
+    const entry = attempts.get(key) || { failures: [], lockedUntil: 0 };
+    entry.failures = entry.failures.filter(t => now - t < LOGIN_WINDOW_MS);
+    entry.failures.push(now);
+    if (entry.failures.length >= max) {
+      entry.failures = [];
+      entry.lockedUntil = now + LOGIN_LOCKOUT_MS;
+      loginLockouts.inc({ scope });
+      log.warn(`sign-in locked for ${Math.round(LOGIN_LOCKOUT_MS / 60000)} min after ${max} failures (${key})`);
+    }
+    attempts.set(key, entry);
+  }
+}
+
+/**
+ * Clear the account's failures after a successful sign-in. The address keeps its count, so one
+ * working account cannot be used to reset the counter while guessing others from the same place.
+ * @param {string} account
+ */
+function recordLoginSuccess(account) {
+  attempts.delete(`account:${String(account).trim().toLowerCase()}`);
+}
+
+// Drop entries that are neither locked nor hold failures inside the window
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of attempts) {
+    if (entry.lockedUntil <= now && !entry.failures.some(t => now - t < LOGIN_WINDOW_MS)) attempts.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// ============ WebSocket Origin ============
+
+/**
+ * Whether a websocket upgrade may proceed: browsers always send Origin, which must be this
+ * host (http or https) or one of ALLOWED_ORIGINS. Non-browser clients without Origin pass,
+ * they still need the session cookie and a console token.
+ * @param {import('http').IncomingMessage} request
+ * @returns {boolean}
+ */
+function isAllowedOrigin(request) {
+  const origin = request.headers.origin;
+  if (!origin) return true;
+
+  const host = request.headers.host;
+  const allowed = (process.env.ALLOWED_ORIGINS || '').split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean);
+  if (origin === `http://${host}` || origin === `https://${host}` || allowed.includes(origin)) return true;
+
+  originRejections.inc();
+  log.warn(`refused console websocket from origin ${origin}`);
+  return false;
+}
+
+module.exports = {
+  securityHeaders,
+  csrfProtection,
+  loginLockedFor,
+  recordLoginFailure,
+  recordLoginSuccess,
+  isAllowedOrigin
+};
@@ -0,0 +1,262 @@
+const path = require('path');
+const { createFileBackend } = require('./tokenStore');
+const { POWER_ACTIONS, getServers, getServerState, sendPowerAction } = require('./functions');
+const { PanelError, PanelValidationError } = require('./panelClient');
+const { createLogger } = require('./logger');
+const { counter } = require('./metrics');
+
+const log = createLogger('ServerList');
+
+// The dashboard's server list: search, filters and sorting done here rather than in the browser,
+// per-user favorites (pinned to the top) and groups, and power actions on many servers at once.
+// Live states come from each server's resource usage (cached a few seconds). They are only fetched
+// with the list when the state filter or sort needs them; otherwise each card loads its own badge
+// once it is on screen. A server whose usage cannot be read is "unknown" instead of failing the page.
+//
+// Config:
+//   DASHBOARD_PREFS_FILE=data/dashboard.json   favorites and groups per user
+//   DASHBOARD_STATE_CONCURRENCY=8              resource usage calls in flight while building the list
+//   BULK_POWER_MAX_SERVERS=50                  servers one bulk power action may target
+
+const PREFS_FILE = path.resolve(__dirname, process.env.DASHBOARD_PREFS_FILE || 'data/dashboard.json');
+const STATE_CONCURRENCY = Number(process.env.DASHBOARD_STATE_CONCURRENCY) || 8;
+const BULK_MAX_SERVERS = Number(process.env.BULK_POWER_MAX_SERVERS) || 50;
+
+const MAX_GROUP_LENGTH = 40;
+// Favorites and group entries per user, so the file cannot be grown without bound
+const MAX_PREF_ENTRIES = 500;
+const MAX_QUERY_LENGTH = 100;
+
+const STATES = ['running', 'starting', 'stopping', 'offline', 'unknown'];
+const SORTS = {
+  name: 'Name',
+  state: 'State',
+  node: 'Node'
+};
+// Running servers first when sorting by state
+const STATE_ORDER = Object.fromEntries(STATES.map((state, i) => [state, i]));
+
+// user id -> { favorites: [serverId], groups: { serverId: name } }
+const backend = createFileBackend(PREFS_FILE);
+
+const bulkActions = counter('bulk_power_actions_total', 'Power signals sent from bulk actions, by action and result');
+
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ============ Preferences ============
+
+/**
+ * A user's favorites and groups
+ * @param {string} userId
+ * @returns {{favorites: string[], groups: Object<string, string>}}
+ */
+function getPreferences(userId) {
+  const prefs = backend.get(userId);
+  return { favorites: prefs?.favorites || [], groups: prefs?.groups || {} };
+}
+
+function savePreferences(userId, prefs) {
+  if (!prefs.favorites.length && !Object.keys(prefs.groups).length) backend.delete(userId);
+  else backend.set(userId, prefs);
+}
+
+/**
+ * Pin a server to the top of the user's list, or unpin it
+ * @param {string} userId
+ * @param {string} serverId
+ * @returns {boolean} Whether the server is a favorite now
+ * @throws {PanelValidationError} Too many favorites
+ */
+function toggleFavorite(userId, serverId) {
+  const prefs = getPreferences(userId);
+  const favorite = !prefs.favorites.includes(serverId);
+  if (favorite && prefs.favorites.length >= MAX_PREF_ENTRIES) {
+    throw new PanelValidationError(`At most ${MAX_PREF_ENTRIES} servers can be pinned.`);
+  }
+  prefs.favorites = favorite ? [...prefs.favorites, serverId] : prefs.favorites.filter(id => id !== serverId);
+  savePreferences(userId, prefs);
+  return favorite;
+}
+
+/**
+ * Put a server in one of the user's groups; an empty name takes it out of its group
+ * @param {string} userId
+ * @param {string} serverId
+ * @param {string} name
+ * @returns {string|null} The group now
+ * @throws {PanelValidationError} Name too long, or too many grouped servers
+ */
+function setServerGroup(userId, serverId, name) {
+  const group = String(name || '').trim().replace(/\s+/g, ' ');
+  if (group.length > MAX_GROUP_LENGTH) {
+    throw new PanelValidationError(`Group names can be at most ${MAX_GROUP_LENGTH} characters.`);
+  }
+  const prefs = getPreferences(userId);
+  if (group && !prefs.groups[serverId] && Object.keys(prefs.groups).length >= MAX_PREF_ENTRIES) {
+    throw new PanelValidationError(`At most ${MAX_PREF_ENTRIES} servers can be in groups.`);
+  }
+  const groups = { ...prefs.groups };
+  if (group) groups[serverId] = group;
+  else delete groups[serverId];
+  savePreferences(userId, { ...prefs, groups });
+  return group || null;
+}
+
+// ============ Listing ============
+
+/**
+ * Normalise the list filters from a query string; unknown values fall back to "any"
+ * @param {object} query - q, node, state, group, sort
+ * @returns {{q: string, node: string, state: string, group: string, sort: string}}
+ */
+function parseListQuery(query = {}) {
+  const text = (v) => (typeof v === 'string' ? v.trim() : '');
+  return {
+    q: text(query.q).slice(0, MAX_QUERY_LENGTH),
+    node: text(query.node),
+    state: STATES.includes(query.state) ? query.state : '',
+    group: text(query.group),
+    sort: SORTS[query.sort] ? query.sort : 'name'
+  };
+}
+
+function matchesQuery(server, q) {
+  if (!q) return true;
+  const needle = q.toLowerCase();
+  return [server.name, server.description, server.id, server.identifier].some(v => String(v || '').toLowerCase().includes(needle));
+}
+
+function compareServers(sort) {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  if (sort === 'state') return (a, b) => (STATE_ORDER[a.state] - STATE_ORDER[b.state]) || byName(a, b);
+  if (sort === 'node') return (a, b) => String(a.node || '').localeCompare(String(b.node || '')) || byName(a, b);
+  return byName;
+}
+
+/**
+ * A server's live state, "unknown" when the panel cannot tell
+ * @param {{apiKey: string}} session
+ * @param {string} serverId
+ * @returns {Promise<string>}
+ */
+async function serverState(session, serverId) {
+  try {
+    return (await getServerState(serverId, session.apiKey)) || 'unknown';
+  } catch (err) {
+    if (!(err instanceof PanelError)) throw err;
+    log.debug(`no state for server ${serverId}: ${err.message}`);
+    return 'unknown';
+  }
+}
+
+/**
+ * The signed-in user's servers for the dashboard, filtered, sorted and split into sections:
+ * favorites first, then one section per group (by name), then the rest.
+ * @param {{apiKey: string}} session
+ * @param {string} userId
+ * @param {object} filters - From parseListQuery
+ * @returns {Promise<{sections: Array<{title: string|null, favorites?: boolean, servers: array}>, total: number, shown: number, nodes: string[], groups: string[], warnings: array}>}
+ *   Each server gains `state` (null unless the filters needed it), `favorite` and `group`
+ * @throws {PanelError} When no panel could list servers
+ */
+async function listDashboardServers(session, userId, filters) {
+  const { servers, warnings } = await getServers(session.apiKey);
+  const prefs = getPreferences(userId);
+
+  // Filter on everything but the live state first, so only the remaining servers are asked for it
+  const candidates = servers.filter(s => matchesQuery(s, filters.q)
+    && (!filters.node || s.node === filters.node)
+    && (!filters.group || prefs.groups[s.id] === filters.group));
+
+  const needsState = !!filters.state || filters.sort === 'state';
+  const states = needsState
+    ? await mapLimit(candidates, STATE_CONCURRENCY, (s) => serverState(session, s.id))
+    : candidates.map(() => null);
+
+  const shown = candidates
+    .map((s, i) => ({ ...s, state: states[i], favorite: prefs.favorites.includes(s.id), group: prefs.groups[s.id] || null }))
+    .filter(s => !filters.state || s.state === filters.state)
+    .sort(compareServers(filters.sort));
+
+  const favorites = shown.filter(s => s.favorite);
+  const groupNames = [...new Set(shown.filter(s => !s.favorite && s.group).map(s => s.group))].sort((a, b) => a.localeCompare(b));
+  const rest = shown.filter(s => !s.favorite && !s.group);
+  const sections = [
+    favorites.length ? { title: 'Favorites', favorites: true, servers: favorites } : null,
+    ...groupNames.map(name => ({ title: name, servers: shown.filter(s => !s.favorite && s.group === name) })),
+    // Only worth a heading when there are other sections above it
+    rest.length ? { title: favorites.length || groupNames.length ? 'Other servers' : null, servers: rest } : null
+  ].filter(Boolean);
+
+  return {
+    sections,
+    total: servers.length,
+    shown: shown.length,
+    // Filter choices come from every server, not just the ones shown
+    nodes: [...new Set(servers.map(s => s.node).filter(Boolean))].sort(),
+    groups: [...new Set(servers.map(s => prefs.groups[s.id]).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    warnings
+  };
+}
+
+// ============ Bulk power ============
+
+/**
+ * Send one power action to many servers. Only servers in the user's own list are signalled; each
+ * server's outcome is reported rather than stopping at the first failure.
+ * @param {{apiKey: string}} session
+ * @param {string[]} serverIds
+ * @param {'start'|'stop'|'restart'|'kill'} action
+ * @returns {Promise<Array<{id: string, name: string, ok: boolean, message: string|null}>>}
+ * @throws {PanelValidationError} Unknown action, no servers or too many
+ * @throws {PanelError} When no panel could list servers
+ */
+async function bulkPowerAction(session, serverIds, action) {
+  if (!POWER_ACTIONS.includes(action)) {
+    throw new PanelValidationError(`Invalid action. Must be one of: ${POWER_ACTIONS.join(', ')}`);
+  }
+  const ids = [...new Set(serverIds)];
+  if (!ids.length) throw new PanelValidationError('Select at least one server.');
+  if (ids.length > BULK_MAX_SERVERS) throw new PanelValidationError(`Select at most ${BULK_MAX_SERVERS} servers at once.`);
+
+  const { servers } = await getServers(session.apiKey);
+  const known = new Map(servers.map(s => [s.id, s]));
+
+  return mapLimit(ids, STATE_CONCURRENCY, async (id) => {
+    const server = known.get(id);
+    if (!server) return { id, name: id, ok: false, message: 'Server not found.' };
+    try {
+      await sendPowerAction(id, action, session.apiKey);
+      bulkActions.inc({ action, result: 'sent' });
+      return { id, name: server.name, ok: true, message: null };
+    } catch (err) {
+      if (!(err instanceof PanelError)) throw err;
+      bulkActions.inc({ action, result: 'failed' });
+      return { id, name: server.name, ok: false, message: err.message };
+    }
+  });
+}
+
+module.exports = {
+  STATES,
+  SORTS,
+  getPreferences,
+  toggleFavorite,
+  setServerGroup,
+  parseListQuery,
+  serverState,
+  listDashboardServers,
+  bulkPowerAction
+};
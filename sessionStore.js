@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+const STORE = new Map();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Called with the expired session so its panel API key can be revoked
+let onExpire = null;
+// Called with the id of every session that ends (logout or expiry), e.g. to close its consoles
+const endListeners = [];
+
+function notifyEnd(id) {
+  for (const fn of endListeners) {
+    try { fn(id); } catch (e) {}
+  }
+}
+
+function now() { return Date.now(); }
+
+function createSession(data = {}, ttlMs) {
+  const id = crypto.randomBytes(32).toString('hex');
+  STORE.set(id, { ...data, ttlMs, createdAt: now(), lastSeenAt: now(), expiresAt: now() + ttlMs });
+  return id;
+}
+
+function getSession(id) {
+  if (!id) return null;
+  const s = STORE.get(id);
+  if (!s) return null;
+  if (now() > s.expiresAt) {
+    STORE.delete(id);
+    if (onExpire) onExpire(s);
+    notifyEnd(id);
+    return null;
+  }
+  return s;
+}
+
+// Sliding expiry: every authenticated request pushes the deadline out again
+function touchSession(id) {
+  const s = getSession(id);
+  if (!s) return null;
+  s.lastSeenAt = now();
+  s.expiresAt = now() + s.ttlMs;
+  return s;
+}
+
+function destroySession(id) {
+  const s = STORE.get(id);
+  STORE.delete(id);
+  if (s) notifyEnd(id);
+  return s || null;
+}
+
+function setExpireHandler(fn) { onExpire = fn; }
+
+function onSessionEnd(fn) { endListeners.push(fn); }
+
+function sweepSessions() {
+  for (const [id, s] of STORE.entries()) {
+    if (now() > s.expiresAt) {
+      STORE.delete(id);
+      if (onExpire) onExpire(s);
+      notifyEnd(id);
+    }
+  }
+}
+
+setInterval(sweepSessions, SWEEP_INTERVAL_MS).unref();
+
+// The stored sessions themselves, for revoking their panel keys
+function activeSessions() {
+  return [...STORE.values()].filter(s => now() <= s.expiresAt);
+}
+
+function listSessions() {
+  const out = [];
+  for (const [id, s] of STORE.entries()) {
+    out.push({ sessionPrefix: id.slice(0,8) + '...', user: s.user?.username, createdAt: s.createdAt, expiresAt: s.expiresAt });
+  }
+  return out;
+}
+
+module.exports = { createSession, getSession, touchSession, destroySession, setExpireHandler, onSessionEnd, sweepSessions, listSessions, activeSessions };
@@ -0,0 +1,115 @@
+// End-to-end: the console proxy (/ws/server/:id) in front of the demo panel's Wings socket
+const { startFrontend, signIn, openConsole, sleep } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Short node tokens, so "token expiring" arrives (halfway, after 2s) while the test watches
+const TOKEN_TTL_SECONDS = 4;
+
+let frontend;
+let demo;
+let viewer;
+
+before(async () => {
+  frontend = await startFrontend({ DEMO_TOKEN_TTL_SECONDS: String(TOKEN_TTL_SECONDS) });
+  demo = await signIn(frontend.url, 'demo');
+  viewer = await signIn(frontend.url, 'viewer');
+});
+
+after(async () => {
+  await frontend?.stop();
+});
+
+async function consoleToken(client, serverId) {
+  const res = await client.request(`/api/server/${serverId}/console`);
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.ok(body.token);
+  return body.token;
+}
+
+test('refuses the upgrade without a session or API token', async () => {
+  await assert.rejects(openConsole(frontend.url, 'de0a1b2c'), { status: 401 });
+});
+
+test('refuses the upgrade from another origin', async () => {
+  await assert.rejects(openConsole(frontend.url, 'de0a1b2c', { Cookie: demo.cookie(), Origin: 'https://evil.example' }), { status: 403 });
+});
+
+test('authenticates with a console token and streams the console', async () => {
+  const token = await consoleToken(demo, 'de0a1b2c');
+  const socket = await openConsole(frontend.url, 'de0a1b2c', { Cookie: demo.cookie() });
+  socket.send('auth', token);
+  await socket.next('auth success');
+  socket.send('send logs', null);
+  await socket.next('console output');
+  socket.ws.close();
+  await socket.closed;
+});
+
+test('rejects a single-use token the second time', async () => {
+  const token = await consoleToken(demo, 'de0c3d4e');
+  const first = await openConsole(frontend.url, 'de0c3d4e', { Cookie: demo.cookie() });
+  first.send('auth', token);
+  await first.next('auth success');
+
+  const second = await openConsole(frontend.url, 'de0c3d4e', { Cookie: demo.cookie() });
+  second.send('auth', token);
+  assert.deepStrictEqual(await second.next('error'), ['Invalid or expired token']);
+  await second.closed;
+
+  first.ws.close();
+  await first.closed;
+});
+
+test('rejects a token of another session or another server', async () => {
+  const viewerToken = await consoleToken(viewer, 'de0a1b2c');
+  const otherSession = await openConsole(frontend.url, 'de0a1b2c', { Cookie: demo.cookie() });
+  otherSession.send('auth', viewerToken);
+  assert.deepStrictEqual(await otherSession.next('error'), ['Invalid or expired token']);
+  await otherSession.closed;
+
+  const demoToken = await consoleToken(demo, 'de0a1b2c');
+  const otherServer = await openConsole(frontend.url, 'de0e5f60', { Cookie: demo.cookie() });
+  otherServer.send('auth', demoToken);
+  assert.deepStrictEqual(await otherServer.next('error'), ['Invalid or expired token']);
+  await otherServer.closed;
+
+  // Neither attempt used the token up
+  const own = await openConsole(frontend.url, 'de0a1b2c', { Cookie: demo.cookie() });
+  own.send('auth', demoToken);
+  await own.next('auth success');
+  own.ws.close();
+  await own.closed;
+});
+
+test('refreshes the node token before it expires and keeps the console open', async () => {
+  const token = await consoleToken(demo, 'de0e5f60');
+  const socket = await openConsole(frontend.url, 'de0e5f60', { Cookie: demo.cookie() });
+  socket.send('auth', token);
+  await socket.next('auth success');
+
+  const [prefix] = await socket.next('token refreshed', TOKEN_TTL_SECONDS * 1000 + 2000);
+  assert.match(prefix, /\.\.\.$/);
+
+  // Past the first token's lifetime the console still answers
+  await sleep(TOKEN_TTL_SECONDS * 1000);
+  socket.clear();
+  socket.send('send stats');
+  await socket.next('stats');
+  socket.ws.close();
+  await socket.closed;
+});
+
+test('closes the consoles of a session that signs out', async () => {
+  const client = await signIn(frontend.url, 'demo');
+  const token = await consoleToken(client, 'de0a1b2c');
+  const socket = await openConsole(frontend.url, 'de0a1b2c', { Cookie: client.cookie() });
+  socket.send('auth', token);
+  await socket.next('auth success');
+
+  const res = await client.request('/api/logout', { method: 'POST' });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await socket.next('error'), ['Session expired']);
+  await socket.closed;
+});
@@ -0,0 +1,39 @@
+// describeCron: the plain English schedule summaries on the schedules tab
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { describeCron } = require('../functions');
+
+function cron(expression) {
+  const [minute, hour, day_of_month, month, day_of_week] = expression.split(' ');
+  return { minute, hour, day_of_month, month, day_of_week };
+}
+
+test('describes common schedules', () => {
+  const cases = {
+    '0 4 * * *': 'At 04:00 every day',
+    '0 4 * * 1': 'At 04:00 on Monday',
+    '*/15 * * * *': 'Every 15 minutes',
+    '* * * * *': 'Every minute',
+    '30 */2 * * *': 'At minute 30 every 2 hours',
+    '0 0 1 1,7 *': 'At 00:00 on day 1 of the month in January and July',
+    '5 * * * 1-5': 'At minute 5 of every hour on Monday through Friday'
+  };
+  for (const [expression, text] of Object.entries(cases)) {
+    assert.strictEqual(describeCron(cron(expression)), text, expression);
+  }
+});
+
+test('matches either a restricted day of month or day of week, like cron', () => {
+  assert.strictEqual(describeCron(cron('0 12 15 * 0')), 'At 12:00 on day 15 of the month or on Sunday');
+});
+
+test('accepts numbers as well as strings', () => {
+  assert.strictEqual(describeCron({ minute: 0, hour: 4, day_of_month: '*', month: '*', day_of_week: '*' }), 'At 04:00 every day');
+});
+
+test('returns null for fields that are not cron expressions', () => {
+  assert.strictEqual(describeCron(cron('61x * * * *')), null);
+  assert.strictEqual(describeCron({ minute: '', hour: '*', day_of_month: '*', month: '*', day_of_week: '*' }), null);
+  assert.strictEqual(describeCron({}), null);
+});
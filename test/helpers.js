@@ -0,0 +1,175 @@
+// Shared setup for the test suites (node --test runs every *.test.js file in its own process).
+// Requiring this first points every data and log file at a temporary directory, so tests never
+// touch data/ or log.txt, and gives the modules that need one a session secret.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const ROOT = path.resolve(__dirname, '..');
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ptero-frontend-test-'));
+
+// Environment for a process whose files live in dir
+function dataEnv(dir) {
+  return {
+    LOG_FILE: path.join(dir, 'log.txt'),
+    LOG_LEVEL: 'error',
+    LIVERELOAD: '0',
+    SESSION_SECRET: 'test-session-secret-0123456789abcdef',
+    INSTANCE_ID: 'test',
+    TOKEN_STORE: 'memory',
+    TOKEN_STORE_FILE: path.join(dir, 'tokens.json'),
+    API_TOKEN_FILE: path.join(dir, 'api-tokens.json'),
+    NOTIFY_FILE: path.join(dir, 'notifications.json'),
+    NOTIFY_HISTORY_FILE: path.join(dir, 'notification-deliveries.json'),
+    DASHBOARD_PREFS_FILE: path.join(dir, 'dashboard.json'),
+    INSTANCE_FILE: path.join(dir, 'instance.json'),
+    CONSOLE_RECORD_DIR: path.join(dir, 'consoles')
+  };
+}
+
+Object.assign(process.env, dataEnv(TMP_DIR));
+process.on('exit', () => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/** A port nothing listens on right now */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the frontend (index.js) in demo mode in a child process, with its own demo panel and data directory
+ * @param {object} [env] - Extra environment, e.g. { DEMO_TOKEN_TTL_SECONDS: '4' }
+ * @returns {Promise<{url: string, stop: () => Promise<void>}>}
+ */
+async function startFrontend(env = {}) {
+  const dir = fs.mkdtempSync(path.join(TMP_DIR, 'frontend-'));
+  const port = await freePort();
+  const panelPort = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: { ...process.env, ...dataEnv(dir), PORT: String(port), DEMO_MODE: '1', DEMO_PANEL_PORT: String(panelPort), ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    if (child.exitCode !== null) throw new Error(`frontend exited with ${child.exitCode}: ${stderr}`);
+    try {
+      await fetch(`${url}/login`);
+      break;
+    } catch (err) {
+      if (i >= 100) {
+        child.kill();
+        throw new Error(`frontend did not start: ${stderr}`);
+      }
+      await sleep(100);
+    }
+  }
+
+  return {
+    url,
+    async stop() {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      await exited;
+    }
+  };
+}
+
+/**
+ * Sign in to a running frontend the way the login page does
+ * @param {string} url - Frontend base URL
+ * @param {string} username - Demo panel user (demo or viewer)
+ * @returns {Promise<{cookie: () => string, request: (path: string, opts?: object) => Promise<Response>}>}
+ */
+async function signIn(url, username) {
+  const cookies = {};
+  const cookie = () => Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; ');
+  let csrf = null;
+
+  async function request(pathname, opts = {}) {
+    const headers = { Cookie: cookie(), ...(csrf ? { 'X-CSRF-Token': csrf } : {}), ...opts.headers };
+    const res = await fetch(url + pathname, { ...opts, headers, redirect: 'manual' });
+    for (const line of res.headers.getSetCookie()) {
+      const [pair] = line.split(';');
+      const i = pair.indexOf('=');
+      cookies[pair.slice(0, i)] = pair.slice(i + 1);
+    }
+    return res;
+  }
+
+  const page = await (await request('/login')).text();
+  csrf = page.match(/name="csrf-token" content="([^"]*)"/)[1];
+  const res = await request('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: username, password: username })
+  });
+  if (res.status !== 200) throw new Error(`sign-in as ${username} failed with ${res.status}`);
+  return { cookie, request };
+}
+
+/**
+ * Open a console proxy socket and collect its events
+ * @param {string} url - Frontend base URL
+ * @param {string} serverId - Server identifier
+ * @param {object} [headers] - Cookie and the like; Origin is set to the frontend
+ * @returns {Promise<{ws: WebSocket, send: Function, next: (event: string, timeoutMs?: number) => Promise<Array>, clear: Function, closed: Promise<void>}>}
+ */
+function openConsole(url, serverId, headers = {}) {
+  const ws = new WebSocket(`${url.replace(/^http/, 'ws')}/ws/server/${serverId}`, { headers: { Origin: url, ...headers } });
+  const events = [];
+  const waiters = [];
+  const closed = new Promise(resolve => ws.once('close', resolve));
+
+  ws.on('message', (raw) => {
+    const { event, args } = JSON.parse(raw.toString());
+    const i = waiters.findIndex(w => w.event === event);
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(args);
+    else events.push({ event, args });
+  });
+
+  function next(event, timeoutMs = 5000) {
+    const i = events.findIndex(e => e.event === event);
+    if (i >= 0) return Promise.resolve(events.splice(i, 1)[0].args);
+    return new Promise((resolve, reject) => {
+      const waiter = { event, resolve: (args) => { clearTimeout(timer); resolve(args); } };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`no "${event}" event within ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve({
+      ws,
+      next,
+      closed,
+      send: (event, ...args) => ws.send(JSON.stringify({ event, args })),
+      // Forget the events received so far, so next() only sees newer ones
+      clear: () => { events.length = 0; }
+    }));
+    ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error(`upgrade answered ${res.statusCode}`), { status: res.statusCode })));
+    ws.once('error', reject);
+  });
+}
+
+module.exports = { ROOT, TMP_DIR, sleep, freePort, startFrontend, signIn, openConsole };
@@ -0,0 +1,114 @@
+// panelCache: coalescing concurrent loads, invalidation per server and the stats behind /api/cache/stats
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { cached, invalidateServer, clearCache, cacheStats } = require('../panelCache');
+
+beforeEach(() => clearCache());
+
+// A loader that resolves when the test says so, counting its calls
+function deferredLoader() {
+  const loader = () => {
+    loader.calls++;
+    return new Promise((resolve) => { loader.resolve = resolve; });
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+test('serves a fresh entry from the cache', async () => {
+  let calls = 0;
+  const load = async () => ++calls;
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'details' };
+  assert.strictEqual(await cached(parts, 1000, load), 1);
+  assert.strictEqual(await cached(parts, 1000, load), 1);
+  assert.strictEqual(calls, 1);
+});
+
+test('shares one upstream call between concurrent loads', async () => {
+  const loader = deferredLoader();
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'coalesce' };
+  const loads = [cached(parts, 1000, loader), cached(parts, 1000, loader), cached(parts, 1000, loader)];
+  loader.resolve({ name: 'Survival' });
+  const values = await Promise.all(loads);
+  assert.strictEqual(loader.calls, 1);
+  assert.ok(values.every(v => v === values[0]));
+
+  const stats = cacheStats().resources.coalesce;
+  assert.strictEqual(stats.misses, 1);
+  assert.strictEqual(stats.coalesced, 2);
+  assert.strictEqual(stats.hitRate, 0.667);
+});
+
+test('keeps users apart', async () => {
+  const one = await cached({ scope: 'u1', serverId: 'srv1', resource: 'perms' }, 1000, async () => ['control.console']);
+  const two = await cached({ scope: 'u2', serverId: 'srv1', resource: 'perms' }, 1000, async () => []);
+  assert.deepStrictEqual(one, ['control.console']);
+  assert.deepStrictEqual(two, []);
+});
+
+test('does not cache errors', async () => {
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'errors' };
+  await assert.rejects(cached(parts, 1000, async () => { throw new Error('panel down'); }), /panel down/);
+  assert.strictEqual(await cached(parts, 1000, async () => 'ok'), 'ok');
+});
+
+test('bypasses the cache with a ttl of 0', async () => {
+  let calls = 0;
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'uncached' };
+  await cached(parts, 0, async () => ++calls);
+  await cached(parts, 0, async () => ++calls);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(cacheStats().entries, 0);
+});
+
+test('expires entries after their ttl', async () => {
+  let calls = 0;
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'short' };
+  await cached(parts, 20, async () => ++calls);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(await cached(parts, 20, async () => ++calls), 2);
+});
+
+test('invalidating a server drops its entries for every user, and only its entries', async () => {
+  let calls = 0;
+  const load = async () => ++calls;
+  await cached({ scope: 'u1', serverId: 'srv1', resource: 'resources' }, 1000, load);
+  await cached({ scope: 'u2', serverId: 'srv1', resource: 'resources' }, 1000, load);
+  await cached({ scope: 'u1', serverId: 'srv2', resource: 'resources' }, 1000, load);
+
+  invalidateServer('srv1');
+  assert.strictEqual(cacheStats().entries, 1);
+  assert.strictEqual(cacheStats().resources.resources.invalidated, 2);
+
+  assert.strictEqual(await cached({ scope: 'u1', serverId: 'srv1', resource: 'resources' }, 1000, load), 4);
+  assert.strictEqual(await cached({ scope: 'u1', serverId: 'srv2', resource: 'resources' }, 1000, load), 3);
+});
+
+test('does not keep a value that was loading while the server changed', async () => {
+  const stale = deferredLoader();
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'inflight' };
+  const loading = cached(parts, 1000, stale);
+  invalidateServer('srv1');
+
+  // A load after the mutation does not join the one started before it
+  const fresh = deferredLoader();
+  const reloading = cached(parts, 1000, fresh);
+  assert.strictEqual(fresh.calls, 1);
+
+  stale.resolve('old');
+  fresh.resolve('new');
+  assert.strictEqual(await loading, 'old');
+  assert.strictEqual(await reloading, 'new');
+  assert.strictEqual(await cached(parts, 1000, async () => 'reloaded'), 'new');
+});
+
+test('hands out but does not store a load that finishes after the invalidation', async () => {
+  const loader = deferredLoader();
+  const parts = { scope: 'u1', serverId: 'srv1', resource: 'late' };
+  const loading = cached(parts, 1000, loader);
+  invalidateServer('srv1');
+  loader.resolve('old');
+  assert.strictEqual(await loading, 'old');
+  assert.strictEqual(await cached(parts, 1000, async () => 'reloaded'), 'reloaded');
+});
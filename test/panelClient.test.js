@@ -0,0 +1,148 @@
+// panelClient: mapping panel responses to typed errors, and which failures are retried
+require('./helpers');
+const http = require('http');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  createPanelClient, PanelAuthError, PanelNotFoundError, PanelValidationError, PanelConflictError,
+  PanelRateLimitError, PanelUnavailableError, PanelConfigError
+} = require('../panelClient');
+
+// A panel that answers with whatever the test queued for the next requests, then 200
+let replies = [];
+let hits = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push({ method: req.method, url: req.url, at: Date.now() });
+    const reply = replies.shift() || { status: 200, body: { object: 'ok' } };
+    if (reply.destroy) return req.socket.destroy();
+    res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+    res.end(JSON.stringify(reply.body ?? {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  replies = [];
+  hits = [];
+});
+
+function client(options = {}) {
+  return createPanelClient({ baseUrl, retries: 2, retryBaseMs: 5, timeoutMs: 2000, ...options });
+}
+
+test('returns the response body', async () => {
+  const data = await client().request('GET', '/api/client', { apiKey: 'key' });
+  assert.deepStrictEqual(data, { object: 'ok' });
+  assert.strictEqual(hits.length, 1);
+});
+
+test('refuses to call without a key or a panel URL', async () => {
+  await assert.rejects(client().request('GET', '/api/client'), PanelAuthError);
+  await assert.rejects(createPanelClient({}).request('GET', '/api/client', { apiKey: 'key' }), PanelConfigError);
+  assert.strictEqual(hits.length, 0);
+});
+
+test('maps panel statuses to typed errors', async () => {
+  const cases = [
+    [401, PanelAuthError],
+    [403, PanelAuthError],
+    [404, PanelNotFoundError],
+    [400, PanelValidationError],
+    [422, PanelValidationError],
+    [409, PanelConflictError],
+    [500, PanelUnavailableError]
+  ];
+  for (const [status, ErrorClass] of cases) {
+    replies = [{ status, body: {} }];
+    await assert.rejects(client().request('POST', '/api/client/servers/abc/command', { apiKey: 'key' }), (err) => {
+      assert.ok(err instanceof ErrorClass, `${status} -> ${err.name}`);
+      assert.strictEqual(err.status, status);
+      return true;
+    });
+  }
+});
+
+test('uses the panel error details as the message', async () => {
+  const errors = [
+    { code: 'ValidationException', detail: 'The name field is required.' },
+    { code: 'ValidationException', detail: 'The cron minute is invalid.' }
+  ];
+  replies = [{ status: 422, body: { errors } }];
+  await assert.rejects(client().request('POST', '/api/client/servers/abc/schedules', { apiKey: 'key' }), (err) => {
+    assert.ok(err instanceof PanelValidationError);
+    assert.strictEqual(err.message, 'The name field is required.');
+    assert.deepStrictEqual(err.details(), ['The name field is required.', 'The cron minute is invalid.']);
+    return true;
+  });
+});
+
+test('honours Retry-After on 429 and then succeeds', async () => {
+  replies = [{ status: 429, headers: { 'Retry-After': '1' } }];
+  const data = await client().request('POST', '/api/client/servers/abc/power', { apiKey: 'key' });
+  assert.deepStrictEqual(data, { object: 'ok' });
+  assert.strictEqual(hits.length, 2);
+  assert.ok(hits[1].at - hits[0].at >= 900, 'waited for Retry-After');
+});
+
+test('gives up on 429 when Retry-After is longer than allowed', async () => {
+  replies = [{ status: 429, headers: { 'Retry-After': '120' } }];
+  await assert.rejects(client().request('GET', '/api/client', { apiKey: 'key' }), (err) => {
+    assert.ok(err instanceof PanelRateLimitError);
+    assert.strictEqual(err.retryAfterMs, 120000);
+    return true;
+  });
+  assert.strictEqual(hits.length, 1);
+});
+
+test('retries 5xx gateway errors on idempotent requests, up to the retry limit', async () => {
+  replies = [{ status: 503 }, { status: 502 }];
+  assert.deepStrictEqual(await client().request('GET', '/api/client', { apiKey: 'key' }), { object: 'ok' });
+  assert.strictEqual(hits.length, 3);
+
+  hits = [];
+  replies = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 503 }];
+  await assert.rejects(client().request('DELETE', '/api/client/servers/abc/files', { apiKey: 'key' }), PanelUnavailableError);
+  assert.strictEqual(hits.length, 3);
+});
+
+test('does not repeat a POST that may have reached the panel', async () => {
+  replies = [{ status: 503 }];
+  await assert.rejects(client().request('POST', '/api/client/servers/abc/command', { apiKey: 'key' }), PanelUnavailableError);
+  assert.strictEqual(hits.length, 1);
+
+  hits = [];
+  replies = [{ destroy: true }];
+  await assert.rejects(client().request('POST', '/api/client/servers/abc/command', { apiKey: 'key' }), PanelUnavailableError);
+  assert.strictEqual(hits.length, 1);
+});
+
+test('retries a dropped connection on GET and skips retries when asked to', async () => {
+  replies = [{ destroy: true }];
+  assert.deepStrictEqual(await client().request('GET', '/api/client', { apiKey: 'key' }), { object: 'ok' });
+  assert.strictEqual(hits.length, 2);
+
+  hits = [];
+  replies = [{ status: 503 }];
+  await assert.rejects(client().request('GET', '/api/client', { apiKey: 'key', retry: false }), PanelUnavailableError);
+  assert.strictEqual(hits.length, 1);
+});
+
+test('reports an unreachable panel as unavailable', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(createPanelClient({ baseUrl: url, retries: 1, retryBaseMs: 5 }).request('POST', '/auth/login', { auth: false }), (err) => {
+    assert.ok(err instanceof PanelUnavailableError);
+    assert.strictEqual(err.message, 'Could not reach the panel.');
+    return true;
+  });
+});
@@ -0,0 +1,89 @@
+// tokenStore: single-use console tokens and the pending token limits per user and per server
+require('./helpers');
+process.env.TOKEN_MAX_PER_USER = '2';
+process.env.TOKEN_MAX_PER_SERVER = '3';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { PanelRateLimitError } = require('../panelClient');
+const { storeToken, getToken, consumeToken, deleteToken, sweepTokens, listTokens, setTokenBackend, createMemoryBackend } = require('../tokenStore');
+
+beforeEach(() => setTokenBackend(createMemoryBackend()));
+
+function meta(userId, serverId, extra = {}) {
+  return { serverId, socket: 'wss://node.example/ws', sessionId: `session-${userId}`, userId, expiresAt: Date.now() + 60000, ...extra };
+}
+
+test('a token opens one proxy connection', () => {
+  storeToken('token-a', meta('u1', 'srv1'));
+  const used = consumeToken('token-a');
+  assert.strictEqual(used.serverId, 'srv1');
+  assert.strictEqual(used.uses, 1);
+  assert.strictEqual(consumeToken('token-a'), null);
+
+  // The used record is still listed until it expires
+  assert.deepStrictEqual(listTokens().map(t => [t.tokenPrefix, t.uses]), [['token-a...', 1]]);
+});
+
+test('unknown, deleted and expired tokens are rejected', () => {
+  assert.strictEqual(consumeToken('nope'), null);
+
+  storeToken('token-b', meta('u1', 'srv1'));
+  deleteToken('token-b');
+  assert.strictEqual(consumeToken('token-b'), null);
+
+  storeToken('token-c', meta('u1', 'srv1', { expiresAt: Date.now() - 1 }));
+  assert.strictEqual(getToken('token-c'), null);
+  assert.strictEqual(consumeToken('token-c'), null);
+
+  storeToken('token-d', meta('u1', 'srv1', { expiresAt: Date.now() - 1 }));
+  assert.strictEqual(sweepTokens(), 1);
+});
+
+test('never stores the raw token', () => {
+  const backend = createMemoryBackend();
+  setTokenBackend(backend);
+  storeToken('secret-token-value', meta('u1', 'srv1'));
+  const [[key, record]] = [...backend.entries()];
+  assert.notStrictEqual(key, 'secret-token-value');
+  assert.ok(!JSON.stringify(record).includes('secret-token-value'));
+});
+
+test('past the per-user limit the user\'s own oldest token is evicted', () => {
+  storeToken('u1-first', meta('u1', 'srv1'));
+  storeToken('u1-second', meta('u1', 'srv2'));
+  storeToken('u1-third', meta('u1', 'srv1'));
+  assert.strictEqual(getToken('u1-first'), null);
+  assert.ok(getToken('u1-second'));
+  assert.ok(getToken('u1-third'));
+});
+
+test('a full server evicts the caller\'s own token, never another user\'s', () => {
+  storeToken('u1-token', meta('u1', 'srv1'));
+  storeToken('u2-token', meta('u2', 'srv1'));
+  storeToken('u3-token', meta('u3', 'srv1'));
+
+  // u3 already has one there, so their own makes room
+  storeToken('u3-again', meta('u3', 'srv1'));
+  assert.strictEqual(getToken('u3-token'), null);
+  assert.ok(getToken('u1-token'));
+  assert.ok(getToken('u2-token'));
+
+  // u4 has none there and is refused
+  assert.throws(() => storeToken('u4-token', meta('u4', 'srv1')), PanelRateLimitError);
+  assert.strictEqual(getToken('u4-token'), null);
+  assert.ok(getToken('u1-token'));
+
+  // Other servers are unaffected
+  storeToken('u4-elsewhere', meta('u4', 'srv2'));
+  assert.ok(getToken('u4-elsewhere'));
+});
+
+test('used tokens no longer count against the server limit', () => {
+  storeToken('u1-token', meta('u1', 'srv1'));
+  storeToken('u2-token', meta('u2', 'srv1'));
+  storeToken('u3-token', meta('u3', 'srv1'));
+  assert.ok(consumeToken('u1-token'));
+  storeToken('u4-token', meta('u4', 'srv1'));
+  assert.ok(getToken('u4-token'));
+});
@@ -0,0 +1,58 @@
+// Alert webhooks: rules may not point at loopback, private or link-local addresses (checked on the demo panel)
+require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDemoPanel } = require('../demoPanel');
+
+const BLOCKED_MESSAGE = 'The webhook host is a loopback, private or link-local address.';
+
+let demo;
+let notifications;
+let session;
+
+before(async () => {
+  demo = startDemoPanel({ port: 0 });
+  await demo.ready;
+  // panels.js reads PANEL_URL once, when functions.js first loads
+  process.env.PANEL_URL = demo.url;
+  notifications = require('../notifications');
+  session = await require('../functions').loginToPanel('demo', 'demo');
+});
+
+after(async () => {
+  await demo?.close();
+});
+
+function rule(url) {
+  return { type: 'offline', format: 'json', url };
+}
+
+test('refuses webhooks on internal addresses', async () => {
+  const urls = [
+    'https://127.0.0.1/hook',
+    'https://[::1]/hook',
+    'https://10.0.0.5/hook',
+    'https://192.168.1.20:8443/hook',
+    'https://172.16.0.1/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::ffff:10.0.0.1]/hook',
+    'https://[fe80::1]/hook',
+    'https://localhost/hook'
+  ];
+  for (const url of urls) {
+    await assert.rejects(notifications.createRule(session, 'de0a1b2c', rule(url)), { name: 'PanelValidationError', message: BLOCKED_MESSAGE }, url);
+  }
+  assert.deepStrictEqual(notifications.listRules(session.user.uuid, 'de0a1b2c'), []);
+});
+
+test('refuses plain http webhooks', async () => {
+  await assert.rejects(notifications.createRule(session, 'de0a1b2c', rule('http://93.184.216.34/hook')), {
+    name: 'PanelValidationError',
+    message: 'Enter a valid https webhook URL.'
+  });
+});
+
+test('lets public addresses through to the server checks', async () => {
+  // The guard passes, so the panel is asked about the server, which demo cannot see
+  await assert.rejects(notifications.createRule(session, 'ffffffff', rule('https://93.184.216.34/hook')), { name: 'PanelNotFoundError' });
+});
@@ -1,35 +1,254 @@
-const STORE = new Map();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PanelRateLimitError } = require('./panelClient');
+const { createLogger } = require('./logger');
+const { counter, gauge } = require('./metrics');
+
+const log = createLogger('TokenStore');
+
+// Console tokens handed to browsers, checked again when they authenticate to /ws/server/:id.
+// Records are keyed by a hash of the token so a persisted store never holds usable tokens.
+//
+// Config:
+//   TOKEN_STORE=memory|file             backend (default memory)
+//   TOKEN_STORE_FILE=data/tokens.json   file backend location
+//   TOKEN_SINGLE_USE=0                  allow a token to open more than one proxy connection
+//   TOKEN_MAX_PER_USER / TOKEN_MAX_PER_SERVER   pending token limits: past the user limit their oldest token is
+//                                               evicted, a full server refuses tokens of users with none there
+
+const SWEEP_INTERVAL_MS = Number(process.env.TOKEN_SWEEP_INTERVAL_MS) || 60 * 1000;
+const SINGLE_USE = process.env.TOKEN_SINGLE_USE !== '0' && process.env.TOKEN_SINGLE_USE !== 'false';
+const MAX_PER_USER = Number(process.env.TOKEN_MAX_PER_USER) || 20;
+const MAX_PER_SERVER = Number(process.env.TOKEN_MAX_PER_SERVER) || 100;
 
 function now() { return Date.now(); }
 
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token).trim()).digest('hex');
+}
+
+// ============ Backends ============
+// A backend is a synchronous key -> record map: { get, set, delete, entries }
+
+function createMemoryBackend() {
+  const map = new Map();
+  return {
+    get: (key) => map.get(key),
+    set: (key, record) => { map.set(key, record); },
+    delete: (key) => { map.delete(key); },
+    entries: () => map.entries()
+  };
+}
+
+// Every file backend, so a shutdown can write them all out (flushFileBackends)
+const FILE_BACKENDS = new Set();
+
+/**
+ * Memory map mirrored to a JSON file, so records survive a restart. For console tokens that only
+ * helps tokens issued to personal API tokens: browser sessions live in memory, so tokens bound to
+ * them are rejected after a restart anyway.
+ * Writes are batched and done atomically (temp file + rename); the file is readable by the owner only.
+ * Pending writes are flushed on exit; signals go through the shutdown in index.js (flushFileBackends).
+ * @param {string} file - Path of the JSON file
+ */
+function createFileBackend(file) {
+  const map = new Map();
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, record] of saved) map.set(key, record);
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn(`could not read ${file}, starting empty: ${err.message}`);
+  }
+
+  let timer = null;
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify([...map.entries()]), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log.error('could not write token file', err);
+    }
+  }
+  function scheduleFlush() {
+    if (!timer) {
+      timer = setTimeout(flush, 200);
+      timer.unref();
+    }
+  }
+  process.on('exit', () => { if (timer) flush(); });
+
+  const fileBackend = {
+    get: (key) => map.get(key),
+    set: (key, record) => { map.set(key, record); scheduleFlush(); },
+    delete: (key) => { if (map.delete(key)) scheduleFlush(); },
+    entries: () => map.entries(),
+    flush,
+    pending: () => !!timer
+  };
+  FILE_BACKENDS.add(fileBackend);
+  return fileBackend;
+}
+
+/**
+ * Write out every file backend with unsaved changes now (on SIGTERM/SIGINT, before slower cleanup)
+ */
+function flushFileBackends() {
+  for (const fileBackend of FILE_BACKENDS) {
+    if (fileBackend.pending()) fileBackend.flush();
+  }
+}
+
+function createBackendFromEnv() {
+  const kind = (process.env.TOKEN_STORE || 'memory').toLowerCase();
+  if (kind === 'file') {
+    return createFileBackend(path.resolve(__dirname, process.env.TOKEN_STORE_FILE || 'data/tokens.json'));
+  }
+  if (kind !== 'memory') log.warn(`unknown TOKEN_STORE "${kind}", using memory`);
+  return createMemoryBackend();
+}
+
+let backend = createBackendFromEnv();
+
+/**
+ * Swap the storage backend (e.g. a custom one). Existing tokens are not migrated.
+ * @param {{get: Function, set: Function, delete: Function, entries: Function}} next
+ */
+function setTokenBackend(next) {
+  backend = next;
+}
+
+// ============ Token API ============
+
+function isExpired(record) {
+  return !!record.expiresAt && now() > record.expiresAt;
+}
+
+// Tokens that can still open a proxy connection (not expired, not a used single-use token), oldest first
+function pendingTokens(predicate) {
+  const matching = [];
+  for (const [key, record] of backend.entries()) {
+    if (!isExpired(record) && !(record.singleUse && record.uses > 0) && predicate(record)) matching.push([key, record]);
+  }
+  return matching.sort((a, b) => a[1].createdAt - b[1].createdAt);
+}
+
+/**
+ * Remember a console token. Past the per-user limit the user's own oldest token is evicted. A full
+ * server only makes room by evicting one of the caller's own tokens there, never another user's, so
+ * one viewer cannot invalidate everyone else's pending tokens; without one of their own it is refused.
+ * @param {string} token - Raw panel websocket token
+ * @param {{serverId: string, socket: string, expiresAt: number, sessionId: string, userId?: string}} meta
+ * @throws {PanelRateLimitError} The server already has TOKEN_MAX_PER_SERVER pending tokens of other users
+ */
 function storeToken(token, meta = {}) {
   if (!token) return;
+  if (meta.serverId) {
+    const onServer = pendingTokens(r => r.serverId === meta.serverId);
+    if (onServer.length >= MAX_PER_SERVER) {
+      const own = onServer.find(([, r]) => meta.userId && r.userId === meta.userId);
+      if (!own) throw new PanelRateLimitError('Too many consoles are being opened on this server. Try again in a few minutes.');
+      backend.delete(own[0]);
+    }
+  }
+
+  tokensIssued.inc();
   const key = String(token).trim();
-  STORE.set(key, { ...meta, createdAt: now() });
+  backend.set(hashToken(key), {
+    ...meta,
+    tokenPrefix: key.slice(0, 8) + '...',
+    singleUse: SINGLE_USE,
+    uses: 0,
+    lastUsedAt: null,
+    createdAt: now()
+  });
+
+  if (meta.userId) {
+    const mine = pendingTokens(r => r.userId === meta.userId);
+    for (const [oldKey] of mine.slice(0, Math.max(0, mine.length - MAX_PER_USER))) backend.delete(oldKey);
+  }
 }
 
 function getToken(token) {
-  const key = String(token).trim();
-  const t = STORE.get(key);
+  const key = hashToken(token);
+  const t = backend.get(key);
   if (!t) return null;
-  if (t.expiresAt && now() > t.expiresAt) {
-    STORE.delete(key);
+  if (isExpired(t)) {
+    backend.delete(key);
     return null;
   }
   return t;
 }
 
+/**
+ * Validate a token for a proxy connection and record the use.
+ * A single-use token is rejected once it has been used; the record stays (for listTokens) until it expires.
+ * @param {string} token
+ * @returns {object|null} Token meta, or null when unknown, expired or already used
+ */
+function consumeToken(token) {
+  const t = getToken(token);
+  if (!t || (t.singleUse && t.uses > 0)) return null;
+
+  const used = { ...t, uses: (t.uses || 0) + 1, lastUsedAt: now() };
+  backend.set(hashToken(token), used);
+  return used;
+}
+
 function deleteToken(token) {
-  const key = String(token).trim();
-  STORE.delete(key);
+  backend.delete(hashToken(token));
 }
 
+function sweepTokens() {
+  let removed = 0;
+  for (const [key, record] of [...backend.entries()]) {
+    if (isExpired(record)) {
+      backend.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+setInterval(sweepTokens, SWEEP_INTERVAL_MS).unref();
+
+const tokensIssued = counter('console_tokens_issued_total', 'Console tokens handed to browsers');
+gauge('console_tokens_active', 'Console tokens stored and not expired', () => {
+  let n = 0;
+  for (const [, record] of backend.entries()) if (!isExpired(record)) n++;
+  return n;
+});
+
 function listTokens() {
   const out = [];
-  for (const [k, v] of STORE.entries()) {
-    out.push({ tokenPrefix: k.slice(0,8) + '...', serverId: v.serverId, createdAt: v.createdAt, expiresAt: v.expiresAt });
+  for (const [, v] of backend.entries()) {
+    out.push({
+      tokenPrefix: v.tokenPrefix,
+      serverId: v.serverId,
+      userId: v.userId || null,
+      singleUse: !!v.singleUse,
+      uses: v.uses || 0,
+      lastUsedAt: v.lastUsedAt,
+      createdAt: v.createdAt,
+      expiresAt: v.expiresAt
+    });
   }
   return out;
 }
 
-module.exports = { storeToken, getToken, deleteToken, listTokens };
+module.exports = {
+  storeToken,
+  getToken,
+  consumeToken,
+  deleteToken,
+  sweepTokens,
+  listTokens,
+  setTokenBackend,
+  createMemoryBackend,
+  createFileBackend,
+  flushFileBackends
+};